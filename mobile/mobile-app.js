@@ -1,68 +1,55 @@
 // Mobile Family Tree Builder - trvdition v0.0.1
 // Optimized for touch devices with mobile-first design
 
-const { useState, useEffect, useCallback, useRef } = React;
+import {
+  saveFamilyTree,
+  loadFamilyTree,
+  loadTreeIndex,
+  getActiveTree,
+  setActiveTree,
+  migrateLegacyStorage,
+  resolveStorageConflict,
+  subscribeSaveStatus,
+  getStorageBackend,
+  exportFamilyTree,
+  exportGedcom,
+  importFamilyTree,
+  storeImportedFiles,
+  pruneAttachments,
+  addAttachment,
+  canStoreAttachments,
+  loadAttachment,
+  loadCheckSettings,
+  saveCheckSettings,
+  BACKUP_KEY
+} from '../src/shared/storage.js';
+import { formatIssues } from '../src/shared/schema.js';
+import { PARENT_KINDS, PARTNER_STATUSES, connectPeople, linkKind, linkLabel, tidyRelationship } from '../src/shared/relationships.js';
+import { personYears, searchPeople } from '../src/shared/search.js';
+import {
+  EVENT_TYPES,
+  NAME_TYPES,
+  VITAL_EVENTS,
+  eventKind,
+  findEvent,
+  keyFacts,
+  avatarOf,
+  isImage,
+  tidyDetails,
+  updateVitalEvent,
+  vitalEventIndexes
+} from '../src/shared/person.js';
+import { exportTreePng, exportTreeSvg, pngSize, printTree } from '../src/shared/treeImage.js';
+import { citationsOfSource, confidenceLabel, createSource, removeSource, unsourcedFacts } from '../src/shared/sources.js';
+import { formatDate, normalizeDate, readDate } from '../src/shared/dates.js';
+import { CHECK_RULES, checkTree, problemsByPerson } from '../src/shared/consistency.js';
+import { connectorPath, routeConnectors } from '../src/shared/connectors.js';
+
+const { useState, useEffect, useCallback, useMemo, useRef } = React;
 const { createRoot } = ReactDOM;
 
-// Storage utilities (compatible with main app)
-const STORAGE_KEY = 'familyTree';
-
-const saveFamilyTree = (familyTree) => {
-  try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(familyTree));
-  } catch (error) {
-    console.error('Failed to save family tree:', error);
-  }
-};
-
-const loadFamilyTree = () => {
-  try {
-    const saved = localStorage.getItem(STORAGE_KEY);
-    if (saved) {
-      return JSON.parse(saved);
-    }
-  } catch (error) {
-    console.error('Failed to load family tree:', error);
-  }
-  return { people: [], relationships: [] };
-};
-
-const exportFamilyTree = (familyTree) => {
-  const dataStr = JSON.stringify(familyTree, null, 2);
-  const dataBlob = new Blob([dataStr], { type: 'application/json' });
-  const url = URL.createObjectURL(dataBlob);
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = `family-tree-${new Date().toISOString().split('T')[0]}.json`;
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
-  URL.revokeObjectURL(url);
-};
-
-const importFamilyTree = () => {
-  return new Promise((resolve, reject) => {
-    const input = document.createElement('input');
-    input.type = 'file';
-    input.accept = '.json';
-    input.onchange = (e) => {
-      const file = e.target.files[0];
-      if (file) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-          try {
-            const data = JSON.parse(e.target.result);
-            resolve(data);
-          } catch (error) {
-            reject(new Error('Invalid JSON file'));
-          }
-        };
-        reader.readAsText(file);
-      }
-    };
-    input.click();
-  });
-};
+// Size of a person card, for routing the lines between them
+const CARD_SIZE = { width: 120, height: 60 };
 
 // Mobile-optimized Person Node Component
 const MobilePersonNode = ({ 
@@ -73,6 +60,9 @@ const MobilePersonNode = ({
   onConnectionStart,
   isSelected,
   isConnecting,
+  isFlashing,
+  markUnsourced,
+  problems = [],
   connectionMode,
   scale = 1
 }) => {
@@ -81,6 +71,8 @@ const MobilePersonNode = ({
   const [longPressTimer, setLongPressTimer] = useState(null);
   const [dragStart, setDragStart] = useState({ x: 0, y: 0 });
   const nodeRef = useRef(null);
+  const avatarUrl = useAttachmentUrl(avatarOf(person)?.id);
+  const unsourced = markUnsourced ? unsourcedFacts(person) : [];
 
   const handleTouchStart = useCallback((e) => {
     if (isEditing) return;
@@ -162,16 +154,6 @@ const MobilePersonNode = ({
     setIsEditing(false);
   }, [onPersonUpdate]);
 
-  const formatDateRange = () => {
-    const birth = person.birthDate ? new Date(person.birthDate).getFullYear() : '';
-    const death = person.deathDate ? new Date(person.deathDate).getFullYear() : '';
-    
-    if (birth && death) return `${birth} - ${death}`;
-    if (birth) return `b. ${birth}`;
-    if (death) return `d. ${death}`;
-    return '';
-  };
-
   const getGenderIcon = () => {
     switch (person.gender) {
       case 'male': return '♂';
@@ -211,7 +193,7 @@ const MobilePersonNode = ({
     userSelect: 'none',
     cursor: connectionMode ? 'crosshair' : 'grab',
     zIndex: isDragging ? 1000 : isSelected ? 100 : 1,
-    animation: isConnecting ? 'pulse 1s infinite' : 'none'
+    animation: isFlashing ? 'flash 0.4s ease-in-out 4 alternate' : isConnecting ? 'pulse 1s infinite' : 'none'
   };
 
   return React.createElement('div', {
@@ -222,23 +204,431 @@ const MobilePersonNode = ({
     onTouchEnd: handleTouchEnd,
     'data-person-id': person.id
   }, [
+    problems.length > 0 && React.createElement('span', {
+      key: 'problems',
+      title: problems.map(p => p.message).join('\n'),
+      style: {
+        position: 'absolute',
+        top: '4px',
+        left: '6px',
+        width: '16px',
+        height: '16px',
+        borderRadius: '50%',
+        background: problems.some(p => p.severity === 'error') ? '#dc3545' : '#fd7e14',
+        color: 'white',
+        fontSize: '11px',
+        fontWeight: '700',
+        lineHeight: '16px',
+        textAlign: 'center'
+      }
+    }, '!'),
+    unsourced.length > 0 && React.createElement('span', {
+      key: 'unsourced',
+      title: `No source for: ${unsourced.join(', ')}`,
+      style: {
+        position: 'absolute',
+        top: '4px',
+        right: '6px',
+        width: '16px',
+        height: '16px',
+        borderRadius: '50%',
+        background: '#fff3cd',
+        color: '#856404',
+        fontSize: '11px',
+        fontWeight: '700',
+        lineHeight: '16px',
+        textAlign: 'center'
+      }
+    }, '?'),
+
+    avatarUrl && React.createElement('img', {
+      key: 'avatar',
+      src: avatarUrl,
+      alt: '',
+      draggable: false,
+      style: {
+        display: 'block',
+        width: '40px',
+        height: '40px',
+        borderRadius: '50%',
+        objectFit: 'cover',
+        margin: '0 auto 6px'
+      }
+    }),
+
     React.createElement('div', {
       key: 'name',
       style: {
         fontSize: '14px',
         fontWeight: '600',
         color: '#333',
-        marginBottom: '4px'
+        marginBottom: '4px',
+        textDecoration: unsourced.includes('Name') ? 'underline dotted #e0a800' : 'none'
       }
     }, `${getGenderIcon()} ${person.name}`),
     
-    formatDateRange() && React.createElement('div', {
+    personYears(person) && React.createElement('div', {
       key: 'dates',
       style: {
         fontSize: '11px',
-        color: '#666'
+        color: '#666',
+        textDecoration: unsourced.includes('Birth') || unsourced.includes('Death') ? 'underline dotted #e0a800' : 'none'
+      }
+    }, personYears(person)),
+
+    ...keyFacts(person).map(fact => React.createElement('div', {
+      key: `fact-${fact}`,
+      style: {
+        fontSize: '10px',
+        color: '#555',
+        whiteSpace: 'nowrap',
+        overflow: 'hidden',
+        textOverflow: 'ellipsis'
       }
-    }, formatDateRange())
+    }, fact))
+  ]);
+};
+
+// Object URL for a stored attachment of the active tree, revoked on unmount
+const useAttachmentUrl = (id) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    if (!id) return;
+    let objectUrl = null;
+    let cancelled = false;
+    loadAttachment(id)
+      .then(blob => {
+        if (cancelled || !blob) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch(error => console.error('Failed to load attachment:', error));
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+      setUrl(null);
+    };
+  }, [id]);
+
+  return url;
+};
+
+const MobileAttachmentTile = ({ attachment, isAvatar, onUseAsAvatar, onRemove }) => {
+  const url = useAttachmentUrl(attachment.id);
+  const image = isImage(attachment);
+  const smallButton = {
+    background: 'none',
+    border: 'none',
+    fontSize: '20px',
+    minWidth: '40px',
+    minHeight: '40px'
+  };
+
+  return React.createElement('div', {
+    style: {
+      width: '96px',
+      border: `2px solid ${isAvatar ? '#ffc107' : '#e9ecef'}`,
+      borderRadius: '8px',
+      padding: '4px',
+      textAlign: 'center'
+    }
+  }, [
+    React.createElement('button', {
+      key: 'preview',
+      type: 'button',
+      disabled: !url,
+      onClick: () => url && window.open(url, '_blank'),
+      style: { width: '84px', height: '84px', border: 'none', background: '#f8f9fa', borderRadius: '6px', padding: 0, overflow: 'hidden' }
+    }, image && url
+      ? React.createElement('img', { src: url, alt: attachment.name, style: { width: '100%', height: '100%', objectFit: 'cover' } })
+      : React.createElement('span', { style: { fontSize: '32px' } }, image ? '🖼' : '📄')),
+    React.createElement('div', {
+      key: 'name',
+      style: { fontSize: '11px', color: '#555', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }
+    }, attachment.name),
+    React.createElement('div', { key: 'actions', style: { display: 'flex', justifyContent: 'center' } }, [
+      image && React.createElement('button', {
+        key: 'avatar',
+        type: 'button',
+        disabled: isAvatar,
+        onClick: onUseAsAvatar,
+        title: isAvatar ? 'Shown on the card' : 'Show on the card',
+        style: { ...smallButton, color: '#ffc107' }
+      }, isAvatar ? '★' : '☆'),
+      React.createElement('button', {
+        key: 'remove',
+        type: 'button',
+        onClick: onRemove,
+        title: 'Remove attachment',
+        style: { ...smallButton, color: '#dc3545' }
+      }, '×')
+    ])
+  ]);
+};
+
+// Photos and documents of a person; the files themselves are stored by storage.js
+const MobileAttachments = ({ attachments, avatar, onChange, addStyle }) => {
+  const [supported, setSupported] = useState(null);
+  const [adding, setAdding] = useState(false);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    canStoreAttachments().then(setSupported);
+  }, []);
+
+  const handleFiles = async (files) => {
+    if (!files || files.length === 0) return;
+    setAdding(true);
+    const added = [];
+    const failures = [];
+    for (const file of Array.from(files)) {
+      try {
+        added.push(await addAttachment(file));
+      } catch (error) {
+        failures.push(error.message);
+      }
+    }
+    setAdding(false);
+    if (inputRef.current) inputRef.current.value = '';
+    if (failures.length > 0) alert(failures.join('\n'));
+    if (added.length === 0) return;
+
+    // The first photo added becomes the card photo unless one was picked
+    const firstImage = added.find(isImage);
+    onChange({ attachments: [...attachments, ...added], avatar: avatar || firstImage?.id });
+  };
+
+  return React.createElement('div', null, [
+    attachments.length > 0 && React.createElement('div', {
+      key: 'grid',
+      style: { display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '8px' }
+    }, attachments.map(attachment => React.createElement(MobileAttachmentTile, {
+      key: attachment.id,
+      attachment,
+      isAvatar: attachment.id === avatar,
+      onUseAsAvatar: () => onChange({ avatar: attachment.id }),
+      onRemove: () => onChange({
+        attachments: attachments.filter(a => a.id !== attachment.id),
+        avatar: avatar === attachment.id ? undefined : avatar
+      })
+    }))),
+    supported === false
+      ? React.createElement('p', {
+        key: 'unavailable',
+        style: { fontSize: '13px', color: '#856404' }
+      }, "This browser isn't allowing the app to use IndexedDB, so photos and documents can't be stored.")
+      : React.createElement('input', {
+        key: 'input',
+        ref: inputRef,
+        type: 'file',
+        accept: 'image/*,application/pdf,.doc,.docx,.odt,.rtf,.txt',
+        multiple: true,
+        hidden: true,
+        onChange: (e) => handleFiles(e.target.files)
+      }),
+    supported !== false && React.createElement('button', {
+      key: 'add',
+      type: 'button',
+      disabled: adding || supported === null,
+      onClick: () => inputRef.current?.click(),
+      style: addStyle
+    }, adding ? 'Adding…' : '+ Add photos or documents')
+  ]);
+};
+
+// Free-text genealogical date ("abt 1850", "bet 1820 and 1825"); keeps what is
+// typed until the value changes from elsewhere
+const MobileDateInput = ({ value, onChange, label, style }) => {
+  const [text, setText] = useState(() => formatDate(value));
+  const lastValue = useRef(value);
+
+  useEffect(() => {
+    if (value === lastValue.current) return;
+    lastValue.current = value;
+    setText(formatDate(value));
+  }, [value]);
+
+  const unreadable = Boolean(value && readDate(value).phrase !== undefined);
+
+  return React.createElement('input', {
+    type: 'text',
+    value: text,
+    placeholder: `${label} (e.g. abt 1850)`,
+    'aria-label': label,
+    onChange: (e) => {
+      setText(e.target.value);
+      const normalized = normalizeDate(e.target.value);
+      lastValue.current = normalized;
+      onChange(normalized);
+    },
+    onBlur: () => setText(formatDate(value)),
+    style: unreadable ? { ...style, borderColor: '#ffc107', fontStyle: 'italic' } : style
+  });
+};
+
+// Birth, death, other names, life events, notes and attachments, shared by the add and edit forms
+const MobilePersonDetails = ({ details, onChange, inputStyle }) => {
+  const names = details.names || [];
+  const events = details.events || [];
+  const vitalIndexes = vitalEventIndexes(events);
+  const rowStyle = { display: 'flex', gap: '8px', alignItems: 'center' };
+  const fieldStyle = { ...inputStyle, flex: 1, minWidth: 0, marginBottom: '8px' };
+  const headingStyle = { margin: '8px 0', fontSize: '14px', fontWeight: '600', color: '#555' };
+  const addStyle = {
+    background: 'none',
+    border: '1px dashed #ced4da',
+    borderRadius: '8px',
+    color: '#007bff',
+    fontSize: '14px',
+    padding: '8px 12px',
+    marginBottom: '12px',
+    minHeight: '40px'
+  };
+  const removeStyle = {
+    background: 'none',
+    border: 'none',
+    color: '#dc3545',
+    fontSize: '22px',
+    minWidth: '40px',
+    minHeight: '40px',
+    marginBottom: '8px'
+  };
+
+  const setName = (index, changes) => {
+    onChange({ names: names.map((name, i) => (i === index ? { ...name, ...changes } : name)) });
+  };
+  const setEvent = (index, changes) => {
+    onChange({ events: events.map((event, i) => (i === index ? { ...event, ...changes } : event)) });
+  };
+  const removeButton = (key, title, onClick) => React.createElement('button', {
+    key, type: 'button', title, onClick, style: removeStyle
+  }, '×');
+
+  const vitals = ['birth', 'death'].map(type => {
+    const event = findEvent(details, type);
+    const label = type === 'birth' ? 'Birth' : 'Death';
+    return React.createElement('div', { key: type, style: rowStyle }, [
+      React.createElement(MobileDateInput, {
+        key: 'date',
+        value: event?.date,
+        onChange: (date) => onChange({ events: updateVitalEvent(events, type, { date }) }),
+        label: `${label} date`,
+        style: fieldStyle
+      }),
+      React.createElement('input', {
+        key: 'place',
+        type: 'text',
+        placeholder: `${label} place`,
+        value: event?.place || '',
+        onChange: (e) => onChange({ events: updateVitalEvent(events, type, { place: e.target.value }) }),
+        style: fieldStyle
+      })
+    ]);
+  });
+
+  const nameRows = names.map((name, index) => React.createElement('div', { key: `name-${index}`, style: rowStyle }, [
+    React.createElement('select', {
+      key: 'type',
+      value: name.type,
+      onChange: (e) => setName(index, { type: e.target.value }),
+      'aria-label': 'Name type',
+      style: { ...fieldStyle, flex: '0 0 40%' }
+    }, NAME_TYPES.map(kind => React.createElement('option', { key: kind.type, value: kind.type }, kind.label))),
+    React.createElement('input', {
+      key: 'value',
+      type: 'text',
+      placeholder: 'Name',
+      value: name.value,
+      onChange: (e) => setName(index, { value: e.target.value }),
+      style: fieldStyle
+    }),
+    removeButton('remove', 'Remove name', () => onChange({ names: names.filter((_, i) => i !== index) }))
+  ]));
+
+  const eventRows = events.map((event, index) => vitalIndexes.has(index) ? null : React.createElement('div', {
+    key: `event-${index}`,
+    style: { borderBottom: '1px solid #f0f0f0', marginBottom: '8px' }
+  }, [
+    React.createElement('div', { key: 'what', style: rowStyle }, [
+      React.createElement('select', {
+        key: 'type',
+        value: event.type,
+        onChange: (e) => setEvent(index, { type: e.target.value }),
+        'aria-label': 'Event type',
+        style: fieldStyle
+      }, EVENT_TYPES
+        .filter(kind => kind.type === event.type || !VITAL_EVENTS.includes(kind.type))
+        .map(kind => React.createElement('option', { key: kind.type, value: kind.type }, kind.label))),
+      removeButton('remove', 'Remove event', () => onChange({ events: events.filter((_, i) => i !== index) }))
+    ]),
+    eventKind(event.type).described && React.createElement('input', {
+      key: 'description',
+      type: 'text',
+      placeholder: event.type === 'other' ? 'What happened' : eventKind(event.type).label,
+      value: event.description || '',
+      onChange: (e) => setEvent(index, { description: e.target.value || undefined }),
+      style: { ...inputStyle, marginBottom: '8px' }
+    }),
+    React.createElement('div', { key: 'when', style: rowStyle }, [
+      React.createElement(MobileDateInput, {
+        key: 'date',
+        value: event.date,
+        onChange: (date) => setEvent(index, { date }),
+        label: 'Event date',
+        style: fieldStyle
+      }),
+      React.createElement('input', {
+        key: 'place',
+        type: 'text',
+        placeholder: 'Place',
+        value: event.place || '',
+        onChange: (e) => setEvent(index, { place: e.target.value || undefined }),
+        style: fieldStyle
+      })
+    ])
+  ]));
+
+  return React.createElement('div', null, [
+    ...vitals,
+    React.createElement('details', { key: 'more', style: { marginBottom: '12px' } }, [
+      React.createElement('summary', {
+        key: 'summary',
+        style: { color: '#007bff', fontSize: '15px', padding: '8px 0', cursor: 'pointer' }
+      }, 'Names, events, notes & files'),
+      React.createElement('h4', { key: 'names-heading', style: headingStyle }, 'Other names'),
+      ...nameRows,
+      React.createElement('button', {
+        key: 'add-name',
+        type: 'button',
+        onClick: () => onChange({ names: [...names, { type: 'birth', value: '' }] }),
+        style: addStyle
+      }, '+ Add name'),
+      React.createElement('h4', { key: 'events-heading', style: headingStyle }, 'Life events'),
+      ...eventRows,
+      React.createElement('button', {
+        key: 'add-event',
+        type: 'button',
+        onClick: () => onChange({ events: [...events, { type: 'occupation' }] }),
+        style: addStyle
+      }, '+ Add event'),
+      React.createElement('h4', { key: 'notes-heading', style: headingStyle }, 'Notes'),
+      React.createElement('textarea', {
+        key: 'notes',
+        rows: 4,
+        value: details.notes || '',
+        onChange: (e) => onChange({ notes: e.target.value || undefined }),
+        style: { ...inputStyle, resize: 'vertical' }
+      }),
+      React.createElement('h4', { key: 'files-heading', style: headingStyle }, 'Photos & documents'),
+      React.createElement(MobileAttachments, {
+        key: 'files',
+        attachments: details.attachments || [],
+        avatar: details.avatar,
+        onChange,
+        addStyle
+      })
+    ])
   ]);
 };
 
@@ -246,15 +636,21 @@ const MobilePersonNode = ({
 const MobilePersonEditor = ({ person, onSubmit, onCancel, onDelete }) => {
   const [formData, setFormData] = useState({
     name: person.name,
-    birthDate: person.birthDate || '',
-    deathDate: person.deathDate || '',
     gender: person.gender || ''
   });
+  const [details, setDetails] = useState({
+    names: person.names,
+    events: person.events,
+    notes: person.notes,
+    attachments: person.attachments,
+    avatar: person.avatar,
+    citations: person.citations
+  });
 
   const handleSubmit = (e) => {
     e.preventDefault();
     if (formData.name.trim()) {
-      onSubmit({ ...person, ...formData });
+      onSubmit({ ...person, ...formData, ...tidyDetails(details) });
     }
   };
 
@@ -278,6 +674,8 @@ const MobilePersonEditor = ({ person, onSubmit, onCancel, onDelete }) => {
     padding: '24px',
     width: '100%',
     maxWidth: '400px',
+    maxHeight: '90vh',
+    overflowY: 'auto',
     boxShadow: '0 20px 60px rgba(0,0,0,0.3)'
   };
 
@@ -318,24 +716,6 @@ const MobilePersonEditor = ({ person, onSubmit, onCancel, onDelete }) => {
         style: inputStyle
       }),
       
-      React.createElement('input', {
-        key: 'birth',
-        type: 'date',
-        placeholder: 'Birth Date',
-        value: formData.birthDate,
-        onChange: (e) => setFormData({...formData, birthDate: e.target.value}),
-        style: inputStyle
-      }),
-      
-      React.createElement('input', {
-        key: 'death',
-        type: 'date',
-        placeholder: 'Death Date',
-        value: formData.deathDate,
-        onChange: (e) => setFormData({...formData, deathDate: e.target.value}),
-        style: inputStyle
-      }),
-      
       React.createElement('select', {
         key: 'gender',
         value: formData.gender,
@@ -347,6 +727,13 @@ const MobilePersonEditor = ({ person, onSubmit, onCancel, onDelete }) => {
         React.createElement('option', { key: 'female', value: 'female' }, 'Female'),
         React.createElement('option', { key: 'other', value: 'other' }, 'Other')
       ]),
+
+      React.createElement(MobilePersonDetails, {
+        key: 'details',
+        details,
+        onChange: (changes) => setDetails(prev => ({ ...prev, ...changes })),
+        inputStyle
+      }),
       
       React.createElement('div', {
         key: 'actions',
@@ -376,25 +763,145 @@ const MobilePersonEditor = ({ person, onSubmit, onCancel, onDelete }) => {
   );
 };
 
+// Kind of parent or partnership, dates and notes of a link
+const MobileLinkEditor = ({ relationship, fromName, toName, onSubmit, onCancel, onDelete }) => {
+  const [draft, setDraft] = useState(relationship);
+  const isParent = draft.type === 'parent';
+  const kind = linkKind(draft);
+  const change = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const inputStyle = {
+    width: '100%',
+    padding: '12px',
+    border: '2px solid #e9ecef',
+    borderRadius: '8px',
+    fontSize: '16px',
+    marginBottom: '16px',
+    fontFamily: 'inherit'
+  };
+
+  const buttonStyle = {
+    padding: '12px 24px',
+    border: 'none',
+    borderRadius: '8px',
+    fontSize: '16px',
+    fontWeight: '500',
+    cursor: 'pointer',
+    minHeight: '48px'
+  };
+
+  const options = isParent
+    ? PARENT_KINDS
+    : [{ value: '', label: 'Partnership not recorded' }, ...PARTNER_STATUSES];
+
+  return React.createElement('div', {
+    style: {
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0,0,0,0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 10000,
+      padding: '20px'
+    }
+  },
+    React.createElement('form', {
+      style: {
+        background: 'white',
+        borderRadius: '16px',
+        padding: '24px',
+        width: '100%',
+        maxWidth: '400px',
+        maxHeight: '90vh',
+        overflowY: 'auto',
+        boxShadow: '0 20px 60px rgba(0,0,0,0.3)'
+      },
+      onSubmit: (e) => {
+        e.preventDefault();
+        onSubmit(tidyRelationship(draft));
+      }
+    }, [
+      React.createElement('h3', {
+        key: 'title',
+        style: { margin: '0 0 20px 0', fontSize: '18px', fontWeight: '600' }
+      }, linkLabel(draft, fromName, toName)),
+
+      React.createElement('select', {
+        key: 'kind',
+        'aria-label': isParent ? 'Kind of parent' : 'Partnership',
+        value: (isParent ? draft.subtype || 'biological' : draft.status) || '',
+        onChange: (e) => change(isParent ? { subtype: e.target.value } : { status: e.target.value || undefined }),
+        style: inputStyle
+      }, options.map(option => React.createElement('option', { key: option.value, value: option.value }, option.label))),
+
+      // Biological parents have no dates of their own
+      ...(!isParent || kind?.start ? [
+        React.createElement(MobileDateInput, {
+          key: 'start',
+          value: draft.startDate,
+          onChange: (startDate) => change({ startDate }),
+          label: kind?.start || 'From',
+          style: inputStyle
+        }),
+        React.createElement(MobileDateInput, {
+          key: 'end',
+          value: draft.endDate,
+          onChange: (endDate) => change({ endDate }),
+          label: kind?.end || 'Until',
+          style: inputStyle
+        })
+      ] : []),
+
+      React.createElement('textarea', {
+        key: 'notes',
+        placeholder: 'Notes',
+        value: draft.notes || '',
+        onChange: (e) => change({ notes: e.target.value || undefined }),
+        rows: 3,
+        style: inputStyle
+      }),
+
+      React.createElement('div', {
+        key: 'actions',
+        style: { display: 'flex', gap: '8px' }
+      }, [
+        React.createElement('button', {
+          key: 'save',
+          type: 'submit',
+          style: { ...buttonStyle, background: '#007bff', color: 'white', flex: 1 }
+        }, 'Save'),
+        React.createElement('button', {
+          key: 'cancel',
+          type: 'button',
+          onClick: onCancel,
+          style: { ...buttonStyle, background: '#6c757d', color: 'white', flex: 1 }
+        }, 'Cancel'),
+        React.createElement('button', {
+          key: 'delete',
+          type: 'button',
+          'aria-label': 'Delete link',
+          onClick: () => {
+            if (confirm('Delete this link?')) onDelete(relationship.id);
+          },
+          style: { ...buttonStyle, background: '#dc3545', color: 'white', minWidth: '60px' }
+        }, '🗑')
+      ])
+    ])
+  );
+};
+
 // Mobile Canvas Component
 const MobileCanvas = ({ children, onCanvasTouch, scale, offset, onOffsetChange, mode }) => {
   const canvasRef = useRef(null);
   const [isPanning, setIsPanning] = useState(false);
   const [isZooming, setIsZooming] = useState(false);
   const [lastTouchCenter, setLastTouchCenter] = useState({ x: 0, y: 0 });
-  const [lastTouchDistance, setLastTouchDistance] = useState(0);
   const [touchStartTime, setTouchStartTime] = useState(0);
 
-  const getTouchDistance = (touches) => {
-    if (touches.length < 2) return 0;
-    const touch1 = touches[0];
-    const touch2 = touches[1];
-    return Math.sqrt(
-      Math.pow(touch2.clientX - touch1.clientX, 2) + 
-      Math.pow(touch2.clientY - touch1.clientY, 2)
-    );
-  };
-
   const getTouchCenter = (touches) => {
     if (touches.length === 1) {
       return { x: touches[0].clientX, y: touches[0].clientY };
@@ -439,10 +946,7 @@ const MobileCanvas = ({ children, onCanvasTouch, scale, offset, onOffsetChange,
       e.preventDefault();
       setIsZooming(true);
       setIsPanning(false);
-      const distance = getTouchDistance(e.touches);
-      const center = getTouchCenter(e.touches);
-      setLastTouchDistance(distance);
-      setLastTouchCenter(center);
+      setLastTouchCenter(getTouchCenter(e.touches));
     }
   }, [scale, offset, onCanvasTouch, mode]);
 
@@ -521,7 +1025,7 @@ const MobileCanvas = ({ children, onCanvasTouch, scale, offset, onOffsetChange,
 };
 
 // Mobile Menu Component
-const MobileMenu = ({ isOpen, onClose, onExport, onImport, onClear, onDesktop }) => {
+const MobileMenu = ({ isOpen, onClose, trees, activeTreeId, onSwitchTree, onSources, onCheck, problemCount, onExport, onExportGedcom, onExportImage, onImport, onClear, onDesktop }) => {
   if (!isOpen) return null;
 
   const overlayStyle = {
@@ -608,6 +1112,43 @@ const MobileMenu = ({ isOpen, onClose, onExport, onImport, onClear, onDesktop })
         style: titleStyle
       }, 'Menu'),
       
+      // Trees are created and managed on desktop; here you can switch between them
+      trees.length > 1 && React.createElement('select', {
+        key: 'tree',
+        value: activeTreeId,
+        onChange: (e) => { onSwitchTree(e.target.value); onClose(); },
+        'aria-label': 'Tree',
+        style: {
+          width: '100%',
+          padding: '12px',
+          marginBottom: '8px',
+          border: '2px solid #e9ecef',
+          borderRadius: '12px',
+          fontSize: '16px',
+          background: 'white'
+        }
+      }, trees.map(tree =>
+        React.createElement('option', { key: tree.id, value: tree.id }, `🌳 ${tree.name}`)
+      )),
+      
+      React.createElement('button', {
+        key: 'sources',
+        style: secondaryButtonStyle,
+        onClick: () => { onSources(); onClose(); }
+      }, [
+        React.createElement('span', { key: 'icon' }, '📚'),
+        React.createElement('span', { key: 'text' }, 'Sources')
+      ]),
+      
+      React.createElement('button', {
+        key: 'check',
+        style: secondaryButtonStyle,
+        onClick: () => { onCheck(); onClose(); }
+      }, [
+        React.createElement('span', { key: 'icon' }, '🩺'),
+        React.createElement('span', { key: 'text' }, problemCount > 0 ? `Check tree (${problemCount})` : 'Check tree')
+      ]),
+      
       React.createElement('button', {
         key: 'export',
         style: primaryButtonStyle,
@@ -617,6 +1158,26 @@ const MobileMenu = ({ isOpen, onClose, onExport, onImport, onClear, onDesktop })
         React.createElement('span', { key: 'text' }, 'Export Tree')
       ]),
       
+      React.createElement('button', {
+        key: 'image',
+        style: secondaryButtonStyle,
+        onClick: () => { onExportImage(); onClose(); }
+      }, [
+        React.createElement('span', { key: 'icon' }, '🖼'),
+        React.createElement('span', { key: 'text' }, 'Export Image')
+      ]),
+      
+      ...['5.5.1', '7.0'].map(version =>
+        React.createElement('button', {
+          key: `gedcom-${version}`,
+          style: secondaryButtonStyle,
+          onClick: () => { onExportGedcom(version); onClose(); }
+        }, [
+          React.createElement('span', { key: 'icon' }, '🧬'),
+          React.createElement('span', { key: 'text' }, `Export GEDCOM ${version}`)
+        ])
+      ),
+      
       React.createElement('button', {
         key: 'import',
         style: secondaryButtonStyle,
@@ -641,7 +1202,7 @@ const MobileMenu = ({ isOpen, onClose, onExport, onImport, onClear, onDesktop })
         onClick: () => { onClear(); onClose(); }
       }, [
         React.createElement('span', { key: 'icon' }, '🗑️'),
-        React.createElement('span', { key: 'text' }, 'Clear All Data')
+        React.createElement('span', { key: 'text' }, 'Clear This Tree')
       ]),
       
       React.createElement('button', {
@@ -660,29 +1221,94 @@ const MobileFamilyTreeApp = () => {
   const [mode, setMode] = useState('navigate'); // navigate, add, connect
   const [connectionType, setConnectionType] = useState('parent');
   const [connectionStart, setConnectionStart] = useState(null);
+  // Why the last connection was refused, shown in place of the connect hint
+  const [connectionError, setConnectionError] = useState(null);
   const [scale, setScale] = useState(1);
   const [offset, setOffset] = useState({ x: 0, y: 0 });
   const [showAddForm, setShowAddForm] = useState(false);
+  const [editingLinkId, setEditingLinkId] = useState(null);
   const [addPosition, setAddPosition] = useState({ x: 0, y: 0 });
   const [showMenu, setShowMenu] = useState(false);
   const [version, setVersion] = useState({ version: '0.0.1', name: 'trvdition' });
+  const [storageConflict, setStorageConflict] = useState(null);
+  const [showSearch, setShowSearch] = useState(false);
+  const [showImageExport, setShowImageExport] = useState(false);
+  const [showSources, setShowSources] = useState(false);
+  const [showCheck, setShowCheck] = useState(false);
+  const [checkSettings, setCheckSettings] = useState(loadCheckSettings);
+  // Person briefly highlighted after jumping to them from search
+  const [flashPersonId, setFlashPersonId] = useState(null);
+  const canvasAreaRef = useRef(null);
+  // Null until the stored tree is loaded, so the empty tree can't replace it
+  const [activeTree, setActiveTreeSummary] = useState(null);
+  const [trees, setTrees] = useState([]);
+  const [saveStatus, setSaveStatus] = useState({ state: 'saved' });
+  const [limitedStorage, setLimitedStorage] = useState(false);
+  const [warningDismissed, setWarningDismissed] = useState(false);
+  // Only the latest load may replace the tree when trees are switched quickly
+  const loadCountRef = useRef(0);
+
+  const loadSavedTree = useCallback(async () => {
+    const load = ++loadCountRef.current;
+    const active = getActiveTree();
+    const { tree, errors, warnings, orphans } = await loadFamilyTree(active.id);
+    if (load !== loadCountRef.current) return;
+    setFamilyTree(tree);
+    // Files no person refers to any more can go (mobile keeps no undo history)
+    if (errors.length === 0) pruneAttachments(active.id, [tree]);
+    setActiveTreeSummary(active);
+    setTrees(loadTreeIndex().trees);
+    setOffset({ x: 0, y: 0 });
+    if (errors.length > 0) {
+      alert(`Your saved tree could not be loaded:\n${formatIssues(errors)}\n\n` +
+        `A copy of the saved data was kept under "${BACKUP_KEY}".`);
+    } else if (warnings.length + orphans.length > 0) {
+      alert(`Your saved tree had problems and was repaired:\n${formatIssues([...warnings, ...orphans])}`);
+    }
+  }, []);
 
   // Load data on mount
   useEffect(() => {
-    const saved = loadFamilyTree();
-    setFamilyTree(saved);
+    // Older versions saved mobile data separately; ask which tree to keep if both exist
+    migrateLegacyStorage().then(conflict => {
+      if (conflict) {
+        setStorageConflict(conflict);
+      } else {
+        loadSavedTree();
+      }
+    });
+    getStorageBackend().then(backend => setLimitedStorage(backend === 'localStorage'));
     
     // Load version info
     fetch('../version.json')
       .then(response => response.json())
       .then(data => setVersion(data))
       .catch(error => console.log('Could not load version:', error));
-  }, []);
+  }, [loadSavedTree]);
 
   // Auto-save changes
   useEffect(() => {
-    saveFamilyTree(familyTree);
-  }, [familyTree]);
+    if (activeTree) {
+      saveFamilyTree(familyTree, activeTree.id);
+    }
+  }, [familyTree, activeTree]);
+
+  useEffect(() => subscribeSaveStatus(status => {
+    setSaveStatus(status);
+    if (status.state !== 'failed') setWarningDismissed(false);
+  }), []);
+
+  const handleSwitchTree = (id) => {
+    setActiveTree(id);
+    setSelectedPersonId(null);
+    loadSavedTree();
+  };
+
+  const handleResolveConflict = async (choice) => {
+    await resolveStorageConflict(storageConflict, choice);
+    setStorageConflict(null);
+    loadSavedTree();
+  };
 
   const addPerson = useCallback((personData) => {
     const newPerson = {
@@ -710,6 +1336,7 @@ const MobileFamilyTreeApp = () => {
 
   const deletePerson = useCallback((id) => {
     setFamilyTree(prev => ({
+      ...prev,
       people: prev.people.filter(p => p.id !== id),
       relationships: prev.relationships.filter(r => 
         r.from !== id && r.to !== id
@@ -719,26 +1346,35 @@ const MobileFamilyTreeApp = () => {
   }, []);
 
   const addRelationship = useCallback((fromId, toId, type) => {
-    const newRelationship = {
-      id: Date.now().toString(),
-      type,
-      from: fromId,
-      to: toId
-    };
-    
+    const result = connectPeople(familyTree, type, fromId, toId);
+    setConnectionError(result.error);
+    if (result.tree) {
+      setFamilyTree(result.tree);
+    }
+  }, [familyTree]);
+
+  useEffect(() => {
+    setConnectionError(null);
+  }, [mode, connectionType]);
+
+  const deleteRelationship = useCallback((id) => {
     setFamilyTree(prev => ({
       ...prev,
-      relationships: [...prev.relationships, newRelationship]
+      relationships: prev.relationships.filter(r => r.id !== id)
     }));
+    setEditingLinkId(null);
   }, []);
 
-  const deleteRelationship = useCallback((id) => {
+  const updateRelationship = useCallback((updated) => {
     setFamilyTree(prev => ({
       ...prev,
-      relationships: prev.relationships.filter(r => r.id !== id)
+      relationships: prev.relationships.map(r => (r.id === updated.id ? updated : r))
     }));
+    setEditingLinkId(null);
   }, []);
 
+  const editingLink = editingLinkId && familyTree.relationships.find(r => r.id === editingLinkId);
+
   const handleCanvasTouch = useCallback((x, y) => {
     if (mode === 'add') {
       setAddPosition({ x: x - 60, y: y - 30 });
@@ -751,7 +1387,7 @@ const MobileFamilyTreeApp = () => {
 
   const handlePersonSelect = useCallback((personId) => {
     if (mode === 'connect') {
-      if (connectionStart && connectionStart.personId !== personId) {
+      if (connectionStart) {
         // Complete connection
         addRelationship(connectionStart.personId, personId, connectionType);
         setConnectionStart(null);
@@ -774,10 +1410,40 @@ const MobileFamilyTreeApp = () => {
     }
   }, [mode]);
 
+  const handleExport = async () => {
+    try {
+      await exportFamilyTree(familyTree);
+    } catch (error) {
+      alert('Failed to export tree: ' + error.message);
+    }
+  };
+
   const handleImport = async () => {
     try {
-      const imported = await importFamilyTree();
-      setFamilyTree(imported);
+      const result = await importFamilyTree();
+      const { tree, warnings, orphans, skipped, migratedFrom, files } = result;
+      const lines = [
+        `${tree.people.length} people, ${tree.relationships.length} relationships`
+      ];
+      if (files && files.size > 0) lines.push(`${files.size} photos and documents`);
+      if (migratedFrom !== undefined) lines.push(`Upgraded from schema version ${migratedFrom}`);
+      if (warnings.length + orphans.length > 0) {
+        lines.push('', `Problems fixed:\n${formatIssues([...warnings, ...orphans])}`);
+      }
+      if (skipped.length > 0) {
+        lines.push('', `Skipped ${skipped.length} GEDCOM record(s):\n${formatIssues(
+          skipped.map(record => ({ record: `${record.tag}${record.xref ? ` ${record.xref}` : ''}:`, message: record.reason }))
+        )}`);
+      }
+      // Show what's in the file before it replaces the current tree
+      if (!confirm(`${lines.join('\n')}\n\nImporting replaces the current tree. Continue?`)) return;
+
+      try {
+        await storeImportedFiles(result);
+      } catch (error) {
+        alert("The tree was imported, but its photos and documents couldn't be stored: " + error.message);
+      }
+      setFamilyTree(tree);
       setOffset({ x: 0, y: 0 });
       setScale(1);
     } catch (error) {
@@ -785,8 +1451,37 @@ const MobileFamilyTreeApp = () => {
     }
   };
 
+  const problems = useMemo(() => checkTree(familyTree, checkSettings), [familyTree, checkSettings]);
+  const problemsOf = useMemo(() => problemsByPerson(problems), [problems]);
+  const connectors = useMemo(
+    () => routeConnectors(familyTree.people, familyTree.relationships, CARD_SIZE),
+    [familyTree.people, familyTree.relationships]
+  );
+
+  // Centres the person in the canvas; MobileCanvas's transform transition animates the move
+  const handleSearchPick = (personId) => {
+    const person = familyTree.people.find(p => p.id === personId);
+    const rect = canvasAreaRef.current?.getBoundingClientRect();
+    if (!person || !rect) return;
+    setOffset({
+      x: rect.width / 2 - (person.x + 60) * scale,
+      y: rect.height / 2 - (person.y + 30) * scale
+    });
+    setSelectedPersonId(personId);
+    setFlashPersonId(personId);
+    setShowSearch(false);
+    setShowSources(false);
+    setShowCheck(false);
+  };
+
+  useEffect(() => {
+    if (!flashPersonId) return;
+    const timer = setTimeout(() => setFlashPersonId(null), 1600);
+    return () => clearTimeout(timer);
+  }, [flashPersonId]);
+
   const handleClear = () => {
-    if (confirm('Are you sure you want to clear all data?')) {
+    if (confirm(`Remove everyone from "${activeTree?.name}"? Other trees are kept.`)) {
       setFamilyTree({ people: [], relationships: [] });
       setOffset({ x: 0, y: 0 });
       setScale(1);
@@ -869,20 +1564,79 @@ const MobileFamilyTreeApp = () => {
     React.createElement('header', { key: 'header', style: headerStyle }, [
       React.createElement('div', { key: 'title' }, [
         React.createElement('h1', { style: titleStyle }, 'Family Tree'),
-        React.createElement('div', { style: versionStyle }, `Mobile | ${version.name} v${version.version}`)
+        React.createElement('div', { style: versionStyle },
+          `${activeTree ? `${activeTree.name} · ` : ''}Mobile | ${version.name} v${version.version}`),
+        React.createElement('div', {
+          style: { ...versionStyle, fontWeight: saveStatus.state === 'failed' ? '600' : 'normal' },
+          role: 'status'
+        }, saveStatus.state === 'failed' ? '⚠ Not saved'
+          : saveStatus.state === 'saving' ? 'Saving…'
+          : `✓ Saved${limitedStorage ? ' (limited storage)' : ''}`)
       ]),
+      React.createElement('div', { key: 'actions', style: { display: 'flex', gap: '8px' } }, [
+        React.createElement('button', {
+          key: 'search',
+          style: {
+            background: 'rgba(255,255,255,0.2)',
+            border: 'none',
+            color: 'white',
+            padding: '8px 12px',
+            borderRadius: '6px',
+            fontSize: '14px'
+          },
+          'aria-label': 'Search people',
+          onClick: () => setShowSearch(true)
+        }, '🔍'),
+        React.createElement('button', {
+          key: 'menu',
+          style: {
+            background: 'rgba(255,255,255,0.2)',
+            border: 'none',
+            color: 'white',
+            padding: '8px 12px',
+            borderRadius: '6px',
+            fontSize: '14px'
+          },
+          onClick: () => setShowMenu(true)
+        }, '⋯')
+      ])
+    ]),
+
+    // Storage full or unavailable: say so and offer a copy of the tree
+    saveStatus.state === 'failed' && !warningDismissed && React.createElement('div', {
+      key: 'storage-warning',
+      role: 'alert',
+      style: {
+        background: '#fdecea',
+        color: '#8a1c1c',
+        padding: '10px 16px',
+        fontSize: '13px',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px'
+      }
+    }, [
+      React.createElement('span', { key: 'message', style: { flex: 1 } },
+        `${saveStatus.message} Export the tree to keep a copy.`),
       React.createElement('button', {
-        key: 'menu',
+        key: 'export',
         style: {
-          background: 'rgba(255,255,255,0.2)',
-          border: 'none',
+          background: '#c62828',
           color: 'white',
-          padding: '8px 12px',
+          border: 'none',
           borderRadius: '6px',
-          fontSize: '14px'
+          padding: '8px 12px',
+          fontSize: '13px',
+          minHeight: '44px'
         },
-        onClick: () => setShowMenu(true)
-      }, '⋯')
+        onClick: handleExport
+      }, 'Export now'),
+      React.createElement('button', {
+        key: 'dismiss',
+        style: { background: 'none', border: 'none', color: '#8a1c1c', fontSize: '20px', minHeight: '44px' },
+        'aria-label': 'Dismiss',
+        onClick: () => setWarningDismissed(true)
+      }, '×')
     ]),
 
     // Toolbar
@@ -935,18 +1689,18 @@ const MobileFamilyTreeApp = () => {
         style: {
           textAlign: 'center',
           fontSize: '12px',
-          color: '#6c757d',
+          color: mode === 'connect' && connectionError ? '#dc3545' : '#6c757d',
           fontStyle: 'italic'
         }
       }, 
         mode === 'navigate' ? 'Drag people to move • Long press to edit' :
         mode === 'add' ? 'Tap anywhere to add a new person' :
-        `Touch people to create ${connectionType} relationships`
+        connectionError || `Touch people to create ${connectionType} relationships`
       )
     ]),
 
     // Canvas
-    React.createElement('div', { key: 'canvas', style: canvasStyle },
+    React.createElement('div', { key: 'canvas', ref: canvasAreaRef, style: canvasStyle },
       React.createElement(MobileCanvas, {
         onCanvasTouch: handleCanvasTouch,
         scale,
@@ -965,6 +1719,10 @@ const MobileFamilyTreeApp = () => {
             onConnectionStart: handleConnectionStart,
             isSelected: selectedPersonId === person.id,
             isConnecting: connectionStart?.personId === person.id,
+            isFlashing: flashPersonId === person.id,
+            // Unsourced facts are marked once the tree has any sources
+            markUnsourced: (familyTree.sources || []).length > 0,
+            problems: problemsOf.get(person.id),
             connectionMode: mode === 'connect',
             scale
           })
@@ -983,80 +1741,56 @@ const MobileFamilyTreeApp = () => {
             zIndex: 0
           }
         }, [
-          React.createElement('defs', { key: 'defs' },
-            React.createElement('marker', {
-              id: 'arrowhead',
-              markerWidth: '10',
-              markerHeight: '7',
-              refX: '10',
-              refY: '3.5',
-              orient: 'auto'
-            }, React.createElement('polygon', {
-              points: '0 0, 10 3.5, 0 7',
-              fill: '#666'
-            }))
-          ),
           ...familyTree.relationships.map(relationship => {
-            const fromPerson = familyTree.people.find(p => p.id === relationship.from);
-            const toPerson = familyTree.people.find(p => p.id === relationship.to);
+            const connector = connectors.get(relationship.id);
             
-            if (!fromPerson || !toPerson) return null;
+            if (!connector) return null;
             
-            const fromX = fromPerson.x + 60;
-            const fromY = fromPerson.y + 30;
-            const toX = toPerson.x + 60;
-            const toY = toPerson.y + 30;
-            
-            const midX = (fromX + toX) / 2;
-            const midY = (fromY + toY) / 2;
+            const { x: midX, y: midY } = connector.handle;
+            // Parent labels go beside the drop line so a child's two parents don't cover each other
+            const labelX = relationship.type === 'parent' ? midX + 31 : midX;
             
             const getLineColor = (type) => {
               switch (type) {
                 case 'parent': return '#dc3545';
                 case 'spouse': return '#28a745';
-                case 'child': return '#007bff';
                 default: return '#6c757d';
               }
             };
             
-            const getTypeLabel = (type) => {
-              switch (type) {
-                case 'parent': return 'Parent';
-                case 'spouse': return 'Spouse';
-                case 'child': return 'Child';
-                default: return type;
-              }
+            const kind = linkKind(relationship);
+            // Biological parents and spouses without a status keep the plain label
+            const typeLabel = kind?.start ? kind.label : relationship.type === 'spouse' ? 'Spouse' : 'Parent';
+            const openEditor = (e) => {
+              e.preventDefault();
+              e.stopPropagation();
+              setEditingLinkId(relationship.id);
             };
             
             return React.createElement('g', { key: relationship.id }, [
               // Connection line
-              React.createElement('line', {
+              React.createElement('path', {
                 key: 'line',
-                x1: fromX,
-                y1: fromY,
-                x2: toX,
-                y2: toY,
+                d: connectorPath(connector),
+                fill: 'none',
                 stroke: getLineColor(relationship.type),
                 strokeWidth: 3,
-                markerEnd: 'url(#arrowhead)',
+                strokeDasharray: kind?.dash,
+                // Faded when no source backs it, once the tree has sources
+                strokeOpacity: (familyTree.sources || []).length > 0 && !relationship.citations?.length ? 0.45 : undefined,
                 style: { cursor: 'pointer' },
                 onTouchStart: (e) => {
                   e.preventDefault();
                   e.stopPropagation();
                 },
-                onTouchEnd: (e) => {
-                  e.preventDefault();
-                  e.stopPropagation();
-                  if (confirm(`Delete ${getTypeLabel(relationship.type).toLowerCase()} relationship?`)) {
-                    deleteRelationship(relationship.id);
-                  }
-                }
+                onTouchEnd: openEditor,
+                onClick: openEditor
               }),
               
               // Label background
               React.createElement('rect', {
                 key: 'label-bg',
-                x: midX - 25,
+                x: labelX - 25,
                 y: midY - 10,
                 width: 50,
                 height: 20,
@@ -1069,19 +1803,14 @@ const MobileFamilyTreeApp = () => {
                   e.preventDefault();
                   e.stopPropagation();
                 },
-                onTouchEnd: (e) => {
-                  e.preventDefault();
-                  e.stopPropagation();
-                  if (confirm(`Delete ${getTypeLabel(relationship.type).toLowerCase()} relationship?`)) {
-                    deleteRelationship(relationship.id);
-                  }
-                }
+                onTouchEnd: openEditor,
+                onClick: openEditor
               }),
               
               // Label text
               React.createElement('text', {
                 key: 'label-text',
-                x: midX,
+                x: labelX,
                 y: midY + 4,
                 textAnchor: 'middle',
                 fontSize: '10',
@@ -1092,7 +1821,7 @@ const MobileFamilyTreeApp = () => {
                   pointerEvents: 'none',
                   userSelect: 'none'
                 }
-              }, getTypeLabel(relationship.type))
+              }, typeLabel)
             ]);
           })
         ]),
@@ -1122,6 +1851,16 @@ const MobileFamilyTreeApp = () => {
       ])
     ),
 
+    editingLink && React.createElement(MobileLinkEditor, {
+      key: `link-editor-${editingLink.id}`,
+      relationship: editingLink,
+      fromName: familyTree.people.find(p => p.id === editingLink.from)?.name || '',
+      toName: familyTree.people.find(p => p.id === editingLink.to)?.name || '',
+      onSubmit: updateRelationship,
+      onCancel: () => setEditingLinkId(null),
+      onDelete: deleteRelationship
+    }),
+
     // Add Person Form
     showAddForm && React.createElement(AddPersonForm, {
       key: 'add-form',
@@ -1134,27 +1873,715 @@ const MobileFamilyTreeApp = () => {
       key: 'menu',
       isOpen: showMenu,
       onClose: () => setShowMenu(false),
-      onExport: () => exportFamilyTree(familyTree),
+      trees,
+      activeTreeId: activeTree?.id,
+      onSwitchTree: handleSwitchTree,
+      onSources: () => setShowSources(true),
+      onCheck: () => setShowCheck(true),
+      problemCount: problems.length,
+      onExport: handleExport,
+      onExportGedcom: (version) => exportGedcom(familyTree, version),
+      onExportImage: () => setShowImageExport(true),
       onImport: handleImport,
       onClear: handleClear,
       onDesktop: () => window.location.href = '../index.html?desktop=true'
+    }),
+
+    showSearch && React.createElement(MobileSearch, {
+      key: 'search',
+      people: familyTree.people,
+      onPick: handleSearchPick,
+      onClose: () => setShowSearch(false)
+    }),
+
+    showSources && React.createElement(MobileSources, {
+      key: 'sources',
+      tree: familyTree,
+      onChange: setFamilyTree,
+      onShowPerson: handleSearchPick,
+      onClose: () => setShowSources(false)
+    }),
+
+    showCheck && React.createElement(MobileTreeCheck, {
+      key: 'check',
+      problems,
+      settings: checkSettings,
+      onSettingsChange: (settings) => {
+        setCheckSettings(settings);
+        saveCheckSettings(settings);
+      },
+      onShowPerson: handleSearchPick,
+      onClose: () => setShowCheck(false)
+    }),
+
+    showImageExport && React.createElement(MobileImageExport, {
+      key: 'image-export',
+      tree: familyTree,
+      treeName: activeTree ? activeTree.name : 'Family Tree',
+      onClose: () => setShowImageExport(false)
+    }),
+
+    // Storage conflict left over from when mobile saved separately
+    storageConflict && React.createElement(StorageConflictPrompt, {
+      key: 'storage-conflict',
+      conflict: storageConflict,
+      onResolve: handleResolveConflict
     })
   ]);
 };
 
+// Full-screen person search; picking a result jumps to that person
+const MobileSearch = ({ people, onPick, onClose }) => {
+  const [query, setQuery] = useState('');
+  const results = searchPeople(people, query);
+
+  return React.createElement('div', {
+    style: {
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0,0,0,0.5)',
+      zIndex: 10000,
+      display: 'flex',
+      flexDirection: 'column'
+    },
+    onClick: (e) => {
+      if (e.target === e.currentTarget) onClose();
+    }
+  },
+    React.createElement('div', {
+      style: {
+        background: 'white',
+        padding: '12px 16px',
+        maxHeight: '70vh',
+        display: 'flex',
+        flexDirection: 'column',
+        boxShadow: '0 4px 16px rgba(0,0,0,0.2)'
+      }
+    }, [
+      React.createElement('div', { key: 'bar', style: { display: 'flex', gap: '8px' } }, [
+        React.createElement('input', {
+          key: 'input',
+          type: 'search',
+          value: query,
+          onChange: (e) => setQuery(e.target.value),
+          onKeyDown: (e) => {
+            if (e.key === 'Enter' && results[0]) onPick(results[0].person.id);
+            if (e.key === 'Escape') onClose();
+          },
+          placeholder: 'Name or year…',
+          autoFocus: true,
+          style: {
+            flex: 1,
+            padding: '12px',
+            border: '2px solid #e9ecef',
+            borderRadius: '8px',
+            fontSize: '16px',
+            fontFamily: 'inherit'
+          }
+        }),
+        React.createElement('button', {
+          key: 'close',
+          onClick: onClose,
+          style: {
+            padding: '0 16px',
+            border: 'none',
+            borderRadius: '8px',
+            background: '#6c757d',
+            color: 'white',
+            fontSize: '16px',
+            minHeight: '48px'
+          }
+        }, 'Cancel')
+      ]),
+
+      query.trim() && React.createElement('div', {
+        key: 'results',
+        style: { overflowY: 'auto', marginTop: '8px' }
+      },
+        results.length === 0
+          ? React.createElement('div', { style: { padding: '12px', color: '#6c757d' } }, 'No matches')
+          : results.map(({ person }) => React.createElement('button', {
+            key: person.id,
+            onClick: () => onPick(person.id),
+            style: {
+              display: 'flex',
+              justifyContent: 'space-between',
+              width: '100%',
+              padding: '14px 12px',
+              border: 'none',
+              borderBottom: '1px solid #f1f3f5',
+              background: 'white',
+              fontSize: '16px',
+              textAlign: 'left'
+            }
+          }, [
+            React.createElement('span', { key: 'name' }, person.name),
+            React.createElement('span', { key: 'years', style: { color: '#6c757d', fontSize: '14px' } }, personYears(person))
+          ]))
+      )
+    ])
+  );
+};
+
+// Sources of the tree: list, add and edit them, and see what cites each one.
+// Citations themselves are edited in the desktop version.
+const MobileSources = ({ tree, onChange, onShowPerson, onClose }) => {
+  const sources = tree.sources || [];
+  // null shows the list; 'new' while a source is being added
+  const [openId, setOpenId] = useState(null);
+  const [draft, setDraft] = useState({});
+  const openSource = sources.find(s => s.id === openId);
+
+  const open = (source) => {
+    setOpenId(source ? source.id : 'new');
+    setDraft(source ? { ...source } : { title: '' });
+  };
+
+  const handleSave = () => {
+    const title = (draft.title || '').trim();
+    if (!title) {
+      alert('A source needs a title');
+      return;
+    }
+    const changes = {
+      title,
+      author: draft.author?.trim() || undefined,
+      archive: draft.archive?.trim() || undefined,
+      url: draft.url?.trim() || undefined,
+      notes: draft.notes?.trim() ? draft.notes : undefined
+    };
+    onChange(openSource
+      ? { ...tree, sources: sources.map(s => (s.id === openSource.id ? { ...s, ...changes } : s)) }
+      : { ...tree, sources: [...sources, { ...createSource(title), ...changes }] });
+    setOpenId(null);
+  };
+
+  const handleDelete = () => {
+    const count = citationsOfSource(tree, openSource.id).length;
+    if (!confirm(count > 0 ? `Delete "${openSource.title}" and the ${count} citation${count === 1 ? '' : 's'} of it?` : `Delete "${openSource.title}"?`)) return;
+    onChange(removeSource(tree, openSource.id));
+    setOpenId(null);
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '12px',
+    marginBottom: '8px',
+    border: '2px solid #e9ecef',
+    borderRadius: '8px',
+    fontSize: '16px',
+    fontFamily: 'inherit',
+    boxSizing: 'border-box'
+  };
+
+  const buttonStyle = {
+    flex: 1,
+    minHeight: '48px',
+    border: 'none',
+    borderRadius: '8px',
+    fontSize: '16px'
+  };
+
+  const field = (name, placeholder, type = 'text') => React.createElement('input', {
+    key: name,
+    type,
+    value: draft[name] || '',
+    onChange: (e) => setDraft(prev => ({ ...prev, [name]: e.target.value })),
+    placeholder,
+    'aria-label': placeholder,
+    style: inputStyle
+  });
+
+  const rowStyle = {
+    display: 'block',
+    width: '100%',
+    padding: '14px 12px',
+    border: 'none',
+    borderBottom: '1px solid #f1f3f5',
+    background: 'white',
+    fontSize: '16px',
+    textAlign: 'left'
+  };
+
+  const list = () => [
+    sources.length === 0 && React.createElement('p', { key: 'empty', style: { color: '#6c757d' } },
+      'No sources yet. Add the records you found people in; cite them from the desktop version.'),
+    ...sources.map(source => {
+      const count = citationsOfSource(tree, source.id).length;
+      return React.createElement('button', {
+        key: source.id,
+        onClick: () => open(source),
+        style: rowStyle
+      }, [
+        React.createElement('div', { key: 'title' }, source.title),
+        React.createElement('div', { key: 'count', style: { color: '#6c757d', fontSize: '13px' } },
+          `${count} citation${count === 1 ? '' : 's'}${source.author ? ` · ${source.author}` : ''}`)
+      ]);
+    }),
+    React.createElement('div', { key: 'actions', style: { display: 'flex', gap: '8px', marginTop: '12px' } }, [
+      React.createElement('button', {
+        key: 'close',
+        onClick: onClose,
+        style: { ...buttonStyle, background: '#6c757d', color: 'white' }
+      }, 'Close'),
+      React.createElement('button', {
+        key: 'add',
+        onClick: () => open(null),
+        style: { ...buttonStyle, background: '#007bff', color: 'white' }
+      }, '+ New Source')
+    ])
+  ];
+
+  const detail = () => [
+    field('title', 'Title *'),
+    field('author', 'Author'),
+    field('archive', 'Archive'),
+    field('url', 'URL', 'url'),
+    React.createElement('textarea', {
+      key: 'notes',
+      value: draft.notes || '',
+      onChange: (e) => setDraft(prev => ({ ...prev, notes: e.target.value })),
+      placeholder: 'Notes',
+      'aria-label': 'Notes',
+      rows: 3,
+      style: inputStyle
+    }),
+    React.createElement('div', { key: 'actions', style: { display: 'flex', gap: '8px' } }, [
+      React.createElement('button', {
+        key: 'back',
+        onClick: () => setOpenId(null),
+        style: { ...buttonStyle, background: '#6c757d', color: 'white' }
+      }, 'Back'),
+      openSource && React.createElement('button', {
+        key: 'delete',
+        onClick: handleDelete,
+        style: { ...buttonStyle, background: '#dc3545', color: 'white' }
+      }, 'Delete'),
+      React.createElement('button', {
+        key: 'save',
+        onClick: handleSave,
+        style: { ...buttonStyle, background: '#007bff', color: 'white' }
+      }, openSource ? 'Save' : 'Add')
+    ]),
+    openSource && React.createElement('h4', { key: 'cited-title', style: { margin: '16px 0 4px' } }, 'Cited by'),
+    ...(openSource ? citationsOfSource(tree, openSource.id) : []).map(({ citation, label, personId }) =>
+      React.createElement('button', {
+        key: citation.id,
+        onClick: () => personId && onShowPerson(personId),
+        style: rowStyle
+      }, [
+        React.createElement('div', { key: 'label' }, label),
+        React.createElement('div', { key: 'meta', style: { color: '#6c757d', fontSize: '13px' } },
+          [citation.page, confidenceLabel(citation.confidence)].filter(Boolean).join(' · '))
+      ]))
+  ];
+
+  return React.createElement('div', {
+    style: {
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0,0,0,0.5)',
+      zIndex: 10000,
+      display: 'flex',
+      alignItems: 'flex-end'
+    },
+    onClick: (e) => {
+      if (e.target === e.currentTarget) onClose();
+    }
+  },
+    React.createElement('div', {
+      style: {
+        background: 'white',
+        width: '100%',
+        maxHeight: '85vh',
+        overflowY: 'auto',
+        borderRadius: '16px 16px 0 0',
+        padding: '20px',
+        boxSizing: 'border-box'
+      }
+    }, [
+      React.createElement('h3', { key: 'title', style: { margin: '0 0 12px', textAlign: 'center' } },
+        openId === null ? 'Sources' : openSource ? 'Edit Source' : 'New Source'),
+      ...(openId === null ? list() : detail())
+    ])
+  );
+};
+
+// Problems the tree checker found, errors first; tapping one shows the person.
+// The rules and their age limits are shared with desktop.
+const MobileTreeCheck = ({ problems, settings, onSettingsChange, onShowPerson, onClose }) => {
+  const [showRules, setShowRules] = useState(false);
+  const colors = { error: '#dc3545', warning: '#fd7e14' };
+
+  const rowStyle = {
+    display: 'block',
+    width: '100%',
+    padding: '12px',
+    marginBottom: '6px',
+    border: 'none',
+    borderRadius: '8px',
+    background: '#f8f9fa',
+    fontSize: '15px',
+    textAlign: 'left'
+  };
+
+  const buttonStyle = {
+    flex: 1,
+    minHeight: '48px',
+    border: 'none',
+    borderRadius: '8px',
+    fontSize: '16px',
+    color: 'white'
+  };
+
+  const setRule = (id, on) => onSettingsChange({
+    ...settings,
+    disabled: on ? settings.disabled.filter(rule => rule !== id) : [...settings.disabled, id]
+  });
+
+  const setLimit = (key, value) => {
+    const years = parseInt(value, 10);
+    if (!Number.isNaN(years) && years >= 0) onSettingsChange({ ...settings, [key]: years });
+  };
+
+  const rules = () => CHECK_RULES.map(rule => React.createElement('div', { key: rule.id, style: { margin: '10px 0' } }, [
+    React.createElement('label', { key: 'on', style: { display: 'flex', alignItems: 'center', gap: '8px', fontSize: '15px' } }, [
+      React.createElement('input', {
+        key: 'box',
+        type: 'checkbox',
+        checked: !settings.disabled.includes(rule.id),
+        onChange: (e) => setRule(rule.id, e.target.checked),
+        style: { width: '20px', height: '20px' }
+      }),
+      React.createElement('span', { key: 'label', style: { color: colors[rule.severity] } }, rule.label)
+    ]),
+    ...(rule.limits || []).map(limit => React.createElement('label', {
+      key: limit.key,
+      style: { display: 'flex', alignItems: 'center', gap: '8px', margin: '6px 0 0 28px', color: '#555', fontSize: '14px' }
+    }, [
+      React.createElement('span', { key: 'label', style: { flex: 1 } }, limit.label),
+      React.createElement('input', {
+        key: 'years',
+        type: 'number',
+        min: 0,
+        value: settings[limit.key],
+        disabled: settings.disabled.includes(rule.id),
+        onChange: (e) => setLimit(limit.key, e.target.value),
+        style: { width: '70px', padding: '8px', fontSize: '16px', border: '2px solid #e9ecef', borderRadius: '8px' }
+      }),
+      React.createElement('span', { key: 'unit' }, 'years')
+    ]))
+  ]));
+
+  return React.createElement('div', {
+    style: {
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0,0,0,0.5)',
+      zIndex: 10000,
+      display: 'flex',
+      alignItems: 'flex-end'
+    },
+    onClick: (e) => {
+      if (e.target === e.currentTarget) onClose();
+    }
+  },
+    React.createElement('div', {
+      style: {
+        background: 'white',
+        width: '100%',
+        maxHeight: '85vh',
+        overflowY: 'auto',
+        borderRadius: '16px 16px 0 0',
+        padding: '20px',
+        boxSizing: 'border-box'
+      }
+    }, [
+      React.createElement('h3', { key: 'title', style: { margin: '0 0 12px', textAlign: 'center' } },
+        showRules ? 'Check Rules' : 'Check Tree'),
+      ...(showRules ? rules() : [
+        problems.length === 0 && React.createElement('p', { key: 'none', style: { color: '#6c757d' } }, 'No problems found.'),
+        ...problems.map((problem, index) => React.createElement('button', {
+          key: `${problem.rule}-${index}`,
+          onClick: () => onShowPerson(problem.people[0]),
+          style: { ...rowStyle, borderLeft: `4px solid ${colors[problem.severity]}` }
+        }, problem.message))
+      ]),
+      React.createElement('div', { key: 'actions', style: { display: 'flex', gap: '8px', marginTop: '12px' } }, [
+        React.createElement('button', {
+          key: 'close',
+          onClick: onClose,
+          style: { ...buttonStyle, background: '#6c757d' }
+        }, 'Close'),
+        React.createElement('button', {
+          key: 'rules',
+          onClick: () => setShowRules(!showRules),
+          style: { ...buttonStyle, background: '#007bff' }
+        }, showRules ? 'Problems' : 'Rules')
+      ])
+    ])
+  );
+};
+
+// Asks which tree to keep when the desktop and old mobile storage disagree
+// Picture of the whole tree to share or print, same output as desktop
+const MobileImageExport = ({ tree, treeName, onClose }) => {
+  const [format, setFormat] = useState('png');
+  const [title, setTitle] = useState(treeName);
+  const [legend, setLegend] = useState(true);
+  const [resolution, setResolution] = useState(2);
+  const [paper, setPaper] = useState('a4');
+  const [orientation, setOrientation] = useState('portrait');
+  const [printScale, setPrintScale] = useState('fit');
+
+  const options = { title: title.trim(), legend };
+  const size = pngSize(tree, resolution, options);
+
+  const handleExport = async () => {
+    try {
+      if (format === 'svg') {
+        exportTreeSvg(tree, options);
+      } else if (format === 'png') {
+        await exportTreePng(tree, resolution, options);
+      } else {
+        printTree(tree, { ...options, paper, orientation, scale: printScale === 'fit' ? 'fit' : Number(printScale) });
+      }
+      onClose();
+    } catch (error) {
+      alert('Failed to export image: ' + error.message);
+    }
+  };
+
+  const fieldStyle = {
+    width: '100%',
+    padding: '12px',
+    marginBottom: '12px',
+    border: '2px solid #e9ecef',
+    borderRadius: '12px',
+    fontSize: '16px',
+    background: 'white',
+    boxSizing: 'border-box'
+  };
+
+  const labelStyle = { display: 'block', fontSize: '13px', color: '#6c757d', marginBottom: '4px' };
+
+  const buttonStyle = {
+    padding: '12px 24px',
+    border: 'none',
+    borderRadius: '8px',
+    fontSize: '16px',
+    fontWeight: '500',
+    cursor: 'pointer',
+    minHeight: '48px',
+    flex: 1
+  };
+
+  const select = (key, label, value, onChange, choices) => [
+    React.createElement('label', { key: `${key}-label`, htmlFor: `image-${key}`, style: labelStyle }, label),
+    React.createElement('select', {
+      key,
+      id: `image-${key}`,
+      value,
+      onChange: (e) => onChange(e.target.value),
+      style: fieldStyle
+    }, choices.map(([choice, text]) => React.createElement('option', { key: choice, value: choice }, text)))
+  ];
+
+  return React.createElement('div', {
+    style: {
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0,0,0,0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 10001,
+      padding: '20px'
+    },
+    onClick: (e) => e.target === e.currentTarget && onClose()
+  },
+    React.createElement('div', {
+      style: {
+        background: 'white',
+        borderRadius: '16px',
+        padding: '24px',
+        width: '100%',
+        maxWidth: '400px',
+        maxHeight: '90vh',
+        overflowY: 'auto',
+        boxShadow: '0 20px 60px rgba(0,0,0,0.3)'
+      }
+    }, [
+      React.createElement('h3', {
+        key: 'title',
+        style: { margin: '0 0 16px 0', fontSize: '18px', fontWeight: '600' }
+      }, 'Export Image'),
+
+      ...select('format', 'Format', format, setFormat, [
+        ['png', 'PNG picture'],
+        ['svg', 'SVG (scalable)'],
+        ['pdf', 'PDF / Print']
+      ]),
+
+      ...(format === 'png' ? [
+        ...select('resolution', `Resolution (${size.width} × ${size.height} pixels)`, resolution,
+          (value) => setResolution(Number(value)),
+          [1, 2, 3, 4].map(scale => [scale, `${scale}× full size`]))
+      ] : []),
+
+      ...(format === 'pdf' ? [
+        ...select('paper', 'Paper', paper, setPaper, [['a4', 'A4'], ['letter', 'US Letter']]),
+        ...select('orientation', 'Orientation', orientation, setOrientation, [['portrait', 'Portrait'], ['landscape', 'Landscape']]),
+        ...select('scale', 'Size', printScale, setPrintScale, [
+          ['fit', 'Fit on one page'],
+          ['1', 'Full size, over several pages'],
+          ['0.75', '75%, over several pages'],
+          ['0.5', '50%, over several pages']
+        ])
+      ] : []),
+
+      React.createElement('label', { key: 'title-label', htmlFor: 'image-title', style: labelStyle }, 'Title (leave empty for none)'),
+      React.createElement('input', {
+        key: 'title-input',
+        id: 'image-title',
+        type: 'text',
+        value: title,
+        onChange: (e) => setTitle(e.target.value),
+        style: fieldStyle
+      }),
+
+      React.createElement('label', {
+        key: 'legend',
+        style: { display: 'flex', alignItems: 'center', gap: '8px', fontSize: '16px', marginBottom: '16px', minHeight: '44px' }
+      }, [
+        React.createElement('input', {
+          key: 'checkbox',
+          type: 'checkbox',
+          checked: legend,
+          onChange: (e) => setLegend(e.target.checked),
+          style: { width: '20px', height: '20px' }
+        }),
+        React.createElement('span', { key: 'text' }, 'Legend')
+      ]),
+
+      React.createElement('div', { key: 'actions', style: { display: 'flex', gap: '8px' } }, [
+        React.createElement('button', {
+          key: 'cancel',
+          onClick: onClose,
+          style: { ...buttonStyle, background: '#6c757d', color: 'white' }
+        }, 'Cancel'),
+        React.createElement('button', {
+          key: 'export',
+          onClick: handleExport,
+          style: { ...buttonStyle, background: '#007bff', color: 'white' }
+        }, format === 'pdf' ? 'Print…' : 'Export')
+      ])
+    ])
+  );
+};
+
+const StorageConflictPrompt = ({ conflict, onResolve }) => {
+  const describe = ({ tree }) =>
+    `${tree.people.length} people, ${tree.relationships.length} relationships`;
+
+  const buttonStyle = {
+    padding: '12px 24px',
+    border: 'none',
+    borderRadius: '8px',
+    fontSize: '16px',
+    fontWeight: '500',
+    cursor: 'pointer',
+    minHeight: '48px',
+    width: '100%',
+    color: 'white'
+  };
+
+  return React.createElement('div', {
+    style: {
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0,0,0,0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 10001,
+      padding: '20px'
+    }
+  },
+    React.createElement('div', {
+      style: {
+        background: 'white',
+        borderRadius: '16px',
+        padding: '24px',
+        width: '100%',
+        maxWidth: '400px',
+        boxShadow: '0 20px 60px rgba(0,0,0,0.3)'
+      }
+    }, [
+      React.createElement('h3', {
+        key: 'title',
+        style: { margin: '0 0 12px 0', fontSize: '18px', fontWeight: '600' }
+      }, 'Two Saved Trees Found'),
+
+      React.createElement('p', { key: 'text', style: { margin: '0 0 12px 0', fontSize: '14px', color: '#495057' } },
+        'The desktop and mobile versions now share one saved tree, but this browser has a different tree saved by each.'),
+
+      React.createElement('div', { key: 'counts', style: { margin: '0 0 16px 0', fontSize: '14px' } }, [
+        React.createElement('div', { key: 'desktop' }, `Desktop: ${describe(conflict.desktop)}`),
+        React.createElement('div', { key: 'mobile' }, `Mobile: ${describe(conflict.mobile)}`)
+      ]),
+
+      React.createElement('div', {
+        key: 'actions',
+        style: { display: 'flex', flexDirection: 'column', gap: '8px' }
+      }, [
+        React.createElement('button', {
+          key: 'merge',
+          onClick: () => onResolve('merge'),
+          style: { ...buttonStyle, background: '#007bff' }
+        }, 'Merge Both'),
+        React.createElement('button', {
+          key: 'mobile',
+          onClick: () => onResolve('mobile'),
+          style: { ...buttonStyle, background: '#6c757d' }
+        }, 'Keep Mobile'),
+        React.createElement('button', {
+          key: 'desktop',
+          onClick: () => onResolve('desktop'),
+          style: { ...buttonStyle, background: '#6c757d' }
+        }, 'Keep Desktop')
+      ])
+    ])
+  );
+};
+
 // Add Person Form Component
 const AddPersonForm = ({ onSubmit, onCancel }) => {
   const [formData, setFormData] = useState({
     name: '',
-    birthDate: '',
-    deathDate: '',
     gender: ''
   });
+  const [details, setDetails] = useState({});
 
   const handleSubmit = (e) => {
     e.preventDefault();
     if (formData.name.trim()) {
-      onSubmit(formData);
+      onSubmit({ ...formData, ...tidyDetails(details) });
     }
   };
 
@@ -1178,6 +2605,8 @@ const AddPersonForm = ({ onSubmit, onCancel }) => {
     padding: '24px',
     width: '100%',
     maxWidth: '400px',
+    maxHeight: '90vh',
+    overflowY: 'auto',
     boxShadow: '0 20px 60px rgba(0,0,0,0.3)'
   };
 
@@ -1219,24 +2648,6 @@ const AddPersonForm = ({ onSubmit, onCancel }) => {
         style: inputStyle
       }),
       
-      React.createElement('input', {
-        key: 'birth',
-        type: 'date',
-        placeholder: 'Birth Date',
-        value: formData.birthDate,
-        onChange: (e) => setFormData({...formData, birthDate: e.target.value}),
-        style: inputStyle
-      }),
-      
-      React.createElement('input', {
-        key: 'death',
-        type: 'date',
-        placeholder: 'Death Date',
-        value: formData.deathDate,
-        onChange: (e) => setFormData({...formData, deathDate: e.target.value}),
-        style: inputStyle
-      }),
-      
       React.createElement('select', {
         key: 'gender',
         value: formData.gender,
@@ -1248,6 +2659,13 @@ const AddPersonForm = ({ onSubmit, onCancel }) => {
         React.createElement('option', { key: 'female', value: 'female' }, 'Female'),
         React.createElement('option', { key: 'other', value: 'other' }, 'Other')
       ]),
+
+      React.createElement(MobilePersonDetails, {
+        key: 'details',
+        details,
+        onChange: (changes) => setDetails(prev => ({ ...prev, ...changes })),
+        inputStyle
+      }),
       
       React.createElement('div', {
         key: 'actions',
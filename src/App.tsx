@@ -1,8 +1,40 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import './App.css';
-import { FamilyTree } from './types';
 import { FamilyTreeCanvas } from './FamilyTreeCanvas';
-import { saveFamilyTree, loadFamilyTree, exportFamilyTree, importFamilyTree } from './storage';
+import { ImportSummaryDialog } from './ImportSummaryDialog';
+import { StorageConflictDialog } from './StorageConflictDialog';
+import { TreeManagerDialog } from './TreeManagerDialog';
+import { SaveStatusIndicator } from './SaveStatusIndicator';
+import { StorageWarning } from './StorageWarning';
+import { ImageExportDialog } from './ImageExportDialog';
+import type { CanvasView } from './InteractiveCanvas';
+import { useTreeHistory } from './useTreeHistory';
+import {
+  scheduleSave,
+  saveNow,
+  loadFamilyTree,
+  loadTreeIndex,
+  getActiveTree,
+  setActiveTree,
+  createTree,
+  renameTree,
+  duplicateTree,
+  deleteTree,
+  saveTreeViewport,
+  migrateLegacyStorage,
+  resolveStorageConflict,
+  subscribeSaveStatus,
+  getStorageBackend,
+  exportFamilyTree,
+  exportGedcom,
+  importFamilyTree,
+  storeImportedFiles,
+  pruneAttachments,
+  BACKUP_KEY
+} from './shared/storage';
+import type { ImportResult, SaveStatus, StorageChoice, StorageConflict, TreeIndex, TreeSummary } from './shared/storage';
+import { formatIssues } from './shared/schema';
+import type { GedcomVersion } from './shared/gedcom';
 
 // Utility function to detect mobile devices
 const isMobile = () => {
@@ -11,40 +43,197 @@ const isMobile = () => {
 };
 
 function App() {
-  const [familyTree, setFamilyTree] = useState<FamilyTree>({ people: [], relationships: [] });
+  const {
+    tree: familyTree,
+    setTree: setFamilyTree,
+    resetTree,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    beginBatch,
+    endBatch
+  } = useTreeHistory();
   const [version, setVersion] = useState<{ version: string; name: string }>({ version: '0.0.1', name: 'trvdition' });
+  const [pendingImport, setPendingImport] = useState<ImportResult | null>(null);
+  const [storageConflict, setStorageConflict] = useState<StorageConflict | null>(null);
+  // Null until the stored tree has been loaded, so nothing is saved before
+  // then and the empty initial tree can't overwrite it
+  const [activeTree, setActiveTreeSummary] = useState<TreeSummary | null>(null);
+  const [treeIndex, setTreeIndex] = useState<TreeIndex | null>(null);
+  const [showTreeManager, setShowTreeManager] = useState(false);
+  const [showImageExport, setShowImageExport] = useState(false);
+  const [saveStatus, setSaveStatus] = useState<SaveStatus>({ state: 'saved' });
+  const [limitedStorage, setLimitedStorage] = useState(false);
+  const [warningDismissed, setWarningDismissed] = useState(false);
   const canvasResetRef = useRef<(() => void) | null>(null);
+  const canvasSetViewRef = useRef<((view: CanvasView) => void) | null>(null);
+  const viewSaveTimerRef = useRef<ReturnType<typeof setTimeout> | null>(null);
+  // Only the latest load may replace the tree when trees are switched quickly
+  const loadCountRef = useRef(0);
+
+  const loadSavedTree = useCallback(async () => {
+    const load = ++loadCountRef.current;
+    const active = getActiveTree();
+    const { tree, errors, warnings, orphans } = await loadFamilyTree(active.id);
+    if (load !== loadCountRef.current) return;
+    const history = resetTree(tree);
+    // Files nothing refers to any more, not even through undo, can go
+    if (errors.length === 0) pruneAttachments(active.id, history);
+    setActiveTreeSummary(active);
+    setTreeIndex(loadTreeIndex());
+    if (errors.length > 0) {
+      alert(`Your saved tree could not be loaded:\n${formatIssues(errors)}\n\n` +
+        `A copy of the saved data was kept in local storage under "${BACKUP_KEY}".`);
+    } else if (warnings.length + orphans.length > 0) {
+      alert(`Your saved tree had problems and was repaired:\n${formatIssues([...warnings, ...orphans])}`);
+    }
+    // Go back to where this tree was left, or to the origin
+    setTimeout(() => {
+      if (active.viewport) {
+        canvasSetViewRef.current?.(active.viewport);
+      } else {
+        canvasResetRef.current?.();
+      }
+    }, 100);
+  }, [resetTree]);
 
   useEffect(() => {
-    const saved = loadFamilyTree();
-    setFamilyTree(saved);
-    // Reset view to origin when loading
-    setTimeout(() => canvasResetRef.current?.(), 100);
+    // The mobile app used to keep its own copy; ask which one to keep if both have a tree
+    migrateLegacyStorage().then(conflict => {
+      if (conflict) {
+        setStorageConflict(conflict);
+        return;
+      }
+      loadSavedTree();
+    });
+    getStorageBackend().then(backend => setLimitedStorage(backend === 'localStorage'));
     
     // Load version info
     fetch('./version.json')
       .then(response => response.json())
       .then(data => setVersion(data))
       .catch(error => console.log('Could not load version:', error));
+  }, [loadSavedTree]);
+
+  useEffect(() => {
+    if (activeTree) {
+      scheduleSave(familyTree, activeTree.id);
+    }
+  }, [familyTree, activeTree]);
+
+  // Don't leave changes waiting when the tab is closed or put away
+  useEffect(() => {
+    const flush = () => {
+      if (document.visibilityState === 'hidden') saveNow();
+    };
+    document.addEventListener('visibilitychange', flush);
+    window.addEventListener('pagehide', saveNow);
+    return () => {
+      document.removeEventListener('visibilitychange', flush);
+      window.removeEventListener('pagehide', saveNow);
+    };
   }, []);
 
+  useEffect(() => subscribeSaveStatus(status => {
+    setSaveStatus(status);
+    if (status.state !== 'failed') setWarningDismissed(false);
+  }), []);
+
+  // Closing the page while changes aren't stored would lose them
   useEffect(() => {
-    saveFamilyTree(familyTree);
-  }, [familyTree]);
+    if (saveStatus.state === 'saved') return;
+    const warn = (e: BeforeUnloadEvent) => e.preventDefault();
+    window.addEventListener('beforeunload', warn);
+    return () => window.removeEventListener('beforeunload', warn);
+  }, [saveStatus.state]);
+
+  const activeTreeId = activeTree?.id;
+  const handleViewChange = useCallback((view: CanvasView) => {
+    if (!activeTreeId) return;
+    if (viewSaveTimerRef.current) clearTimeout(viewSaveTimerRef.current);
+    viewSaveTimerRef.current = setTimeout(() => saveTreeViewport(activeTreeId, view), 500);
+  }, [activeTreeId]);
+
+  const refreshTrees = () => setTreeIndex(loadTreeIndex());
+
+  const openTree = (id: string) => {
+    if (viewSaveTimerRef.current) clearTimeout(viewSaveTimerRef.current);
+    setActiveTree(id);
+    setShowTreeManager(false);
+    loadSavedTree();
+  };
+
+  const handleCreateTree = async () => {
+    const name = window.prompt('Name for the new tree:', 'New Tree');
+    if (!name?.trim()) return;
+    openTree((await createTree(name.trim())).id);
+  };
+
+  const handleRenameTree = (id: string) => {
+    const current = treeIndex?.trees.find(t => t.id === id);
+    const name = window.prompt('Rename tree:', current?.name);
+    if (!name?.trim()) return;
+    renameTree(id, name.trim());
+    refreshTrees();
+    if (id === activeTree?.id) setActiveTreeSummary({ ...activeTree, name: name.trim() });
+  };
+
+  const handleDuplicateTree = async (id: string) => {
+    await duplicateTree(id);
+    refreshTrees();
+  };
+
+  const handleDeleteTree = async (id: string) => {
+    const tree = treeIndex?.trees.find(t => t.id === id);
+    if (!tree || !window.confirm(`Delete "${tree.name}"? This can't be undone.`)) return;
+    await deleteTree(id);
+    if (id === activeTree?.id) {
+      loadSavedTree();
+    } else {
+      refreshTrees();
+    }
+  };
+
+  const handleResolveConflict = async (choice: StorageChoice) => {
+    if (!storageConflict) return;
+    await resolveStorageConflict(storageConflict, choice);
+    setStorageConflict(null);
+    loadSavedTree();
+  };
+
+  const handleExport = async () => {
+    try {
+      await exportFamilyTree(familyTree);
+    } catch (error) {
+      alert('Failed to export tree: ' + (error as Error).message);
+    }
+  };
 
   const handleImport = async () => {
     try {
-      const imported = await importFamilyTree();
-      setFamilyTree(imported);
-      // Reset view to origin when importing
-      setTimeout(() => canvasResetRef.current?.(), 100);
+      // Show what's in the file before it replaces the current tree
+      setPendingImport(await importFamilyTree());
     } catch (error) {
       alert('Failed to import file: ' + (error as Error).message);
     }
   };
 
+  const handleConfirmImport = async () => {
+    if (!pendingImport) return;
+    try {
+      await storeImportedFiles(pendingImport);
+    } catch (error) {
+      alert("The tree was imported, but its photos and documents couldn't be stored: " + (error as Error).message);
+    }
+    setFamilyTree(pendingImport.tree);
+    setPendingImport(null);
+    // Reset view to origin when importing
+    setTimeout(() => canvasResetRef.current?.(), 100);
+  };
+
   const handleClear = () => {
-    if (window.confirm('Are you sure you want to clear all data?')) {
+    if (window.confirm(`Are you sure you want to remove everyone from "${activeTree?.name}"? Other trees are kept.`)) {
       setFamilyTree({ people: [], relationships: [] });
       // Reset view to origin when clearing
       setTimeout(() => canvasResetRef.current?.(), 100);
@@ -59,11 +248,38 @@ function App() {
           <span className="version-info">
             {isMobile() ? "Mobile" : "Desktop"} | {version.name} v{version.version}
           </span>
+          <SaveStatusIndicator status={saveStatus} limitedStorage={limitedStorage} />
         </div>
         <div className="header-actions">
-          <button onClick={() => exportFamilyTree(familyTree)}>
+          {treeIndex && (
+            <select
+              value={treeIndex.activeId}
+              onChange={(e) => openTree(e.target.value)}
+              title="Switch tree"
+            >
+              {treeIndex.trees.map(tree => (
+                <option key={tree.id} value={tree.id}>{tree.name}</option>
+              ))}
+            </select>
+          )}
+          <button onClick={() => { refreshTrees(); setShowTreeManager(true); }}>
+            🗂 Trees
+          </button>
+          <button onClick={handleExport}>
             Export Tree
           </button>
+          <button onClick={() => setShowImageExport(true)}>
+            🖼 Export Image
+          </button>
+          <select
+            value=""
+            onChange={(e) => exportGedcom(familyTree, e.target.value as GedcomVersion)}
+            title="Export as GEDCOM"
+          >
+            <option value="" disabled>Export GEDCOM</option>
+            <option value="5.5.1">GEDCOM 5.5.1</option>
+            <option value="7.0">GEDCOM 7.0</option>
+          </select>
           <button onClick={handleImport}>
             Import Tree
           </button>
@@ -77,14 +293,65 @@ function App() {
           )}
         </div>
       </header>
+
+      {saveStatus.state === 'failed' && !warningDismissed && (
+        <StorageWarning
+          status={saveStatus}
+          onExport={handleExport}
+          onDismiss={() => setWarningDismissed(true)}
+        />
+      )}
       
       <main>
         <FamilyTreeCanvas 
           familyTree={familyTree}
           onFamilyTreeUpdate={setFamilyTree}
+          onUndo={undo}
+          onRedo={redo}
+          canUndo={canUndo}
+          canRedo={canRedo}
+          onBatchStart={beginBatch}
+          onBatchEnd={endBatch}
           onResetViewReady={(resetFn) => { canvasResetRef.current = resetFn; }}
+          onSetViewReady={(setViewFn) => { canvasSetViewRef.current = setViewFn; }}
+          onViewChange={handleViewChange}
         />
       </main>
+      
+      {pendingImport && (
+        <ImportSummaryDialog
+          result={pendingImport}
+          onConfirm={handleConfirmImport}
+          onCancel={() => setPendingImport(null)}
+        />
+      )}
+
+      {showImageExport && (
+        <ImageExportDialog
+          tree={familyTree}
+          treeName={activeTree?.name || 'Family Tree'}
+          onClose={() => setShowImageExport(false)}
+        />
+      )}
+
+      {showTreeManager && treeIndex && (
+        <TreeManagerDialog
+          index={treeIndex}
+          onOpen={openTree}
+          onCreate={handleCreateTree}
+          onRename={handleRenameTree}
+          onDuplicate={handleDuplicateTree}
+          onDelete={handleDeleteTree}
+          onClose={() => setShowTreeManager(false)}
+        />
+      )}
+
+      {storageConflict && (
+        <StorageConflictDialog
+          conflict={storageConflict}
+          onResolve={handleResolveConflict}
+        />
+      )}
     </div>
   );
 }
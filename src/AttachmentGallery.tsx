@@ -0,0 +1,140 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Attachment } from './types';
+import { isImage } from './shared/person';
+import { addAttachment, canStoreAttachments } from './shared/storage';
+import { useAttachmentUrl } from './useAttachmentUrl';
+
+interface AttachmentGalleryProps {
+  attachments: Attachment[];
+  avatar?: string;
+  onChange: (changes: { attachments?: Attachment[]; avatar?: string }) => void;
+}
+
+const ACCEPTED_FILES = 'image/*,application/pdf,.doc,.docx,.odt,.rtf,.txt';
+
+const formatSize = (bytes: number) =>
+  bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+interface AttachmentTileProps {
+  attachment: Attachment;
+  isAvatar: boolean;
+  onUseAsAvatar: () => void;
+  onRemove: () => void;
+}
+
+const AttachmentTile: React.FC<AttachmentTileProps> = ({ attachment, isAvatar, onUseAsAvatar, onRemove }) => {
+  const url = useAttachmentUrl(attachment.id);
+  const image = isImage(attachment);
+
+  return (
+    <div className={`attachment-tile${isAvatar ? ' avatar' : ''}`}>
+      <button
+        type="button"
+        className="attachment-preview"
+        onClick={() => url && window.open(url, '_blank')}
+        disabled={!url}
+        title={url ? `Open ${attachment.name}` : `${attachment.name} is not stored in this browser`}
+      >
+        {image && url ? <img src={url} alt={attachment.name} /> : <span className="attachment-icon">{image ? '🖼' : '📄'}</span>}
+      </button>
+      <div className="attachment-name" title={attachment.name}>{attachment.name}</div>
+      <div className="attachment-meta">{formatSize(attachment.size)}</div>
+      <div className="attachment-actions">
+        {image && (
+          <button
+            type="button"
+            onClick={onUseAsAvatar}
+            disabled={isAvatar}
+            title={isAvatar ? 'Shown on the card' : 'Show on the card'}
+          >
+            {isAvatar ? '★' : '☆'}
+          </button>
+        )}
+        <button type="button" className="details-remove" onClick={onRemove} title="Remove attachment">
+          ×
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export const AttachmentGallery: React.FC<AttachmentGalleryProps> = ({ attachments, avatar, onChange }) => {
+  const [supported, setSupported] = useState<boolean | null>(null);
+  const [adding, setAdding] = useState(false);
+  const inputRef = useRef<HTMLInputElement>(null);
+
+  useEffect(() => {
+    canStoreAttachments().then(setSupported);
+  }, []);
+
+  const handleFiles = async (files: FileList | null) => {
+    if (!files || files.length === 0) return;
+    setAdding(true);
+    const added: Attachment[] = [];
+    const failures: string[] = [];
+    for (const file of Array.from(files)) {
+      try {
+        added.push(await addAttachment(file));
+      } catch (error) {
+        failures.push((error as Error).message);
+      }
+    }
+    setAdding(false);
+    if (inputRef.current) inputRef.current.value = '';
+    if (failures.length > 0) alert(failures.join('\n'));
+    if (added.length === 0) return;
+
+    // The first photo added becomes the card photo unless one was picked
+    const firstImage = added.find(isImage);
+    onChange({
+      attachments: [...attachments, ...added],
+      avatar: avatar || firstImage?.id
+    });
+  };
+
+  return (
+    <div className="details-section attachment-gallery">
+      <h4>Photos &amp; documents</h4>
+      {attachments.length > 0 && (
+        <div className="attachment-grid">
+          {attachments.map(attachment => (
+            <AttachmentTile
+              key={attachment.id}
+              attachment={attachment}
+              isAvatar={attachment.id === avatar}
+              onUseAsAvatar={() => onChange({ avatar: attachment.id })}
+              onRemove={() => onChange({
+                attachments: attachments.filter(a => a.id !== attachment.id),
+                avatar: avatar === attachment.id ? undefined : avatar
+              })}
+            />
+          ))}
+        </div>
+      )}
+      {supported === false ? (
+        <p className="attachment-unavailable">
+          This browser isn't allowing the app to use IndexedDB, so photos and documents can't be stored.
+        </p>
+      ) : (
+        <>
+          <input
+            ref={inputRef}
+            type="file"
+            accept={ACCEPTED_FILES}
+            multiple
+            hidden
+            onChange={(e) => handleFiles(e.target.files)}
+          />
+          <button
+            type="button"
+            className="details-add"
+            onClick={() => inputRef.current?.click()}
+            disabled={adding || supported === null}
+          >
+            {adding ? 'Adding…' : '+ Add photos or documents'}
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
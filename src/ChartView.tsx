@@ -0,0 +1,88 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { FamilyTree } from './types';
+import { InteractiveCanvas } from './InteractiveCanvas';
+import { CHART_CARD, ChartKind, buildChart } from './charts';
+import { connectorPath, routeConnectors } from './shared/connectors';
+import type { Connector } from './shared/connectors';
+import { linkKind, linkLabel } from './shared/relationships';
+import { personYears } from './shared/search';
+
+interface ChartViewProps {
+  tree: FamilyTree;
+  kind: ChartKind;
+  rootId: string;
+  generations: number;
+  onRootChange: (personId: string) => void;
+}
+
+const LINE_COLORS = { parent: '#2196F3', spouse: '#E91E63' };
+const GENDER_ICONS: Record<string, string> = { male: '♂ ', female: '♀ ' };
+
+// A generated chart around one person, drawn from the links rather than the
+// saved positions. Clicking someone makes them the root; the view glides to
+// the root whenever the chart changes.
+export const ChartView: React.FC<ChartViewProps> = ({ tree, kind, rootId, generations, onRootChange }) => {
+  const chart = useMemo(() => buildChart(tree, kind, rootId, generations), [tree, kind, rootId, generations]);
+  const connectorsRef = useRef<Map<string, Connector> | undefined>(undefined);
+  const connectors = useMemo(() => {
+    connectorsRef.current = routeConnectors(chart.people, chart.relationships, CHART_CARD, connectorsRef.current);
+    return connectorsRef.current;
+  }, [chart]);
+  const focusRef = useRef<((x: number, y: number) => void) | null>(null);
+  const nameOf = (id: string) => chart.people.find(p => p.id === id)?.name || '';
+
+  const root = chart.people.find(p => p.id === rootId);
+  const rootX = root?.x;
+  const rootY = root?.y;
+  useEffect(() => {
+    if (rootX !== undefined && rootY !== undefined) {
+      focusRef.current?.(rootX + CHART_CARD.width / 2, rootY + CHART_CARD.height / 2);
+    }
+  }, [rootX, rootY, kind, generations]);
+
+  return (
+    <InteractiveCanvas
+      className="canvas chart-view mode-navigate"
+      onFocusReady={(focusFn) => { focusRef.current = focusFn; }}
+    >
+      <svg className="connections-svg" style={{ width: '100%', height: '100%', overflow: 'visible' }} aria-hidden="true">
+        {chart.relationships.map(relationship => {
+          const connector = connectors.get(relationship.id);
+          if (!connector) return null;
+          return (
+            <path
+              key={relationship.id}
+              d={connectorPath(connector)}
+              fill="none"
+              stroke={LINE_COLORS[relationship.type]}
+              strokeWidth={2}
+              strokeDasharray={linkKind(relationship)?.dash}
+            >
+              <title>{linkLabel(relationship, nameOf(relationship.from), nameOf(relationship.to))}</title>
+            </path>
+          );
+        })}
+      </svg>
+      {chart.people.map(person => {
+        const years = personYears(person);
+        return (
+          <button
+            key={person.id}
+            type="button"
+            className={`chart-card${person.id === rootId ? ' root' : ''}`}
+            style={{ left: person.x, top: person.y, width: CHART_CARD.width, height: CHART_CARD.height }}
+            onClick={() => onRootChange(person.id)}
+            aria-current={person.id === rootId ? 'true' : undefined}
+            title={person.id === rootId ? `${person.name} is the root of the chart` : `Show the chart around ${person.name}`}
+          >
+            <span className="chart-card-name">{GENDER_ICONS[person.gender || ''] || ''}{person.name}</span>
+            {years && <span className="chart-card-years">{years}</span>}
+            {chart.truncated.has(person.id) && (
+              <span className="chart-card-more" title={`${person.name} has ${person.y < 0 ? 'ancestors' : 'descendants'} beyond the chart`}>…</span>
+            )}
+          </button>
+        );
+      })}
+    </InteractiveCanvas>
+  );
+};
@@ -0,0 +1,109 @@
+import React from 'react';
+import { Citation, Confidence, Source } from './types';
+import { CITED_FIELDS, CONFIDENCE_LEVELS, createCitation, createSource } from './shared/sources';
+
+interface CitationEditorProps {
+  citations?: Citation[];
+  sources: Source[];
+  // `newSource` was created from the source picker and has to be added to the tree along with the change
+  onChange: (citations: Citation[] | undefined, newSource?: Source) => void;
+  withField?: boolean; // person-level citations can be narrowed to the name or gender
+}
+
+const NEW_SOURCE = '__new';
+
+const askForSource = () => {
+  const title = window.prompt('Title of the new source (e.g. "1881 census" or "Parish register, St Mary")');
+  return title?.trim() ? createSource(title.trim()) : null;
+};
+
+export const CitationEditor: React.FC<CitationEditorProps> = ({ citations = [], sources, onChange, withField = false }) => {
+  const setCitation = (index: number, changes: Partial<Citation>, newSource?: Source) => {
+    onChange(citations.map((citation, i) => (i === index ? { ...citation, ...changes } : citation)), newSource);
+  };
+
+  const pickSource = (index: number, value: string) => {
+    if (value !== NEW_SOURCE) {
+      setCitation(index, { sourceId: value });
+      return;
+    }
+    const source = askForSource();
+    if (source) setCitation(index, { sourceId: source.id }, source);
+  };
+
+  const addCitation = () => {
+    if (sources.length > 0) {
+      onChange([...citations, createCitation(sources[0].id)]);
+      return;
+    }
+    const source = askForSource();
+    if (source) onChange([...citations, createCitation(source.id)], source);
+  };
+
+  const removeCitation = (index: number) => {
+    const kept = citations.filter((_, i) => i !== index);
+    onChange(kept.length ? kept : undefined);
+  };
+
+  return (
+    <div className="citations">
+      {citations.map((citation, index) => (
+        <div className="details-row citation-row" key={citation.id}>
+          <select
+            value={citation.sourceId}
+            onChange={(e) => pickSource(index, e.target.value)}
+            aria-label="Source"
+          >
+            {sources.map(source => (
+              <option key={source.id} value={source.id}>{source.title}</option>
+            ))}
+            <option value={NEW_SOURCE}>New source…</option>
+          </select>
+          {withField && (
+            <select
+              value={citation.field || ''}
+              onChange={(e) => setCitation(index, { field: (e.target.value || undefined) as Citation['field'] })}
+              aria-label="Cited for"
+              className="citation-field"
+            >
+              <option value="">Whole person</option>
+              {CITED_FIELDS.map(f => (
+                <option key={f.field} value={f.field}>{f.label}</option>
+              ))}
+            </select>
+          )}
+          <input
+            type="text"
+            value={citation.page || ''}
+            onChange={(e) => setCitation(index, { page: e.target.value || undefined })}
+            placeholder="Page"
+            aria-label="Page or entry"
+            className="citation-page"
+          />
+          <select
+            value={citation.confidence}
+            onChange={(e) => setCitation(index, { confidence: e.target.value as Confidence })}
+            aria-label="Confidence"
+            title="How far the source can be trusted for this"
+            className={`citation-confidence confidence-${citation.confidence}`}
+          >
+            {CONFIDENCE_LEVELS.map(c => (
+              <option key={c.level} value={c.level}>{c.label}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="details-remove"
+            onClick={() => removeCitation(index)}
+            title="Remove citation"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <button type="button" className="details-add citation-add" onClick={addCitation}>
+        + Cite a source
+      </button>
+    </div>
+  );
+};
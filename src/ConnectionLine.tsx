@@ -1,78 +1,111 @@
 import React from 'react';
 import { Person, Relationship } from './types';
+import { connectorPath } from './shared/connectors';
+import { linkKind, linkLabel } from './shared/relationships';
+import type { Connector } from './shared/connectors';
 
 interface ConnectionLineProps {
   relationship: Relationship;
   fromPerson: Person;
   toPerson: Person;
+  connector: Connector;
   onDelete: (id: string) => void;
+  onEdit: (id: string) => void;
+  highlighted?: boolean;
+  unsourced?: boolean; // drawn faded when no citation backs the relationship
+  focusable?: boolean; // the link's button is in the Tab order (links of the selected person)
 }
 
-export const ConnectionLine: React.FC<ConnectionLineProps> = ({
+// Memoised: while one person is dragged only the lines whose route changed redraw
+export const ConnectionLine = React.memo<ConnectionLineProps>(({
   relationship,
   fromPerson,
   toPerson,
-  onDelete
+  connector,
+  onDelete,
+  onEdit,
+  highlighted = false,
+  unsourced = false,
+  focusable = false
 }) => {
-  const x1 = fromPerson.x + 75; // center of person node
-  const y1 = fromPerson.y + 50;
-  const x2 = toPerson.x + 75;
-  const y2 = toPerson.y + 50;
-
-  const midX = (x1 + x2) / 2;
-  const midY = (y1 + y2) / 2;
+  const { x: handleX, y: handleY } = connector.handle;
+  // Parent buttons sit on a drop line, so their label goes beside them rather than over the line
+  const besideLine = relationship.type === 'parent';
 
   const getLineColor = () => {
     switch (relationship.type) {
       case 'parent': return '#2196F3';
       case 'spouse': return '#E91E63';
-      case 'child': return '#4CAF50';
       default: return '#666';
     }
   };
 
+  const label = linkLabel(relationship, fromPerson.name, toPerson.name);
+  // Dashes tell the kinds of parent and partnership apart
+  const kind = linkKind(relationship);
+
+  const handleKeyDown = (e: React.KeyboardEvent) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      onEdit(relationship.id);
+    } else if (e.key === 'Delete' || e.key === 'Backspace') {
+      e.preventDefault();
+      onDelete(relationship.id);
+    }
+  };
+
   return (
-    <g>
-      <line
-        x1={x1}
-        y1={y1}
-        x2={x2}
-        y2={y2}
+    <g className={highlighted ? 'highlighted' : undefined} role="group" aria-label={label}>
+      <title>{label}</title>
+      <path
+        d={connectorPath(connector)}
+        fill="none"
         stroke={getLineColor()}
-        strokeWidth={2}
-        markerEnd="url(#arrowhead)"
+        strokeWidth={highlighted ? 5 : 2}
+        strokeDasharray={kind?.dash}
+        strokeOpacity={unsourced ? 0.45 : undefined}
       />
-      <circle
-        cx={midX}
-        cy={midY}
-        r={8}
-        fill="white"
-        stroke={getLineColor()}
-        strokeWidth={2}
-        style={{ cursor: 'pointer' }}
-        onClick={() => onDelete(relationship.id)}
-      />
-      <text
-        x={midX}
-        y={midY + 1}
-        textAnchor="middle"
-        fontSize="8"
-        fill={getLineColor()}
-        style={{ cursor: 'pointer', userSelect: 'none' }}
-        onClick={() => onDelete(relationship.id)}
+      <g
+        className="connection-edit"
+        role="button"
+        tabIndex={focusable ? 0 : -1}
+        aria-label={`Edit link: ${label}`}
+        onKeyDown={handleKeyDown}
       >
-        ×
-      </text>
+        <circle
+          cx={handleX}
+          cy={handleY}
+          r={8}
+          fill="white"
+          stroke={getLineColor()}
+          strokeWidth={2}
+          style={{ cursor: 'pointer' }}
+          onClick={() => onEdit(relationship.id)}
+        />
+        <text
+          x={handleX}
+          y={handleY + 1}
+          textAnchor="middle"
+          fontSize="8"
+          fill={getLineColor()}
+          style={{ cursor: 'pointer', userSelect: 'none' }}
+          onClick={() => onEdit(relationship.id)}
+          aria-hidden="true"
+        >
+          ✎
+        </text>
+      </g>
       <text
-        x={midX}
-        y={midY - 15}
-        textAnchor="middle"
+        x={besideLine ? handleX + 12 : handleX}
+        y={besideLine ? handleY + 3 : handleY - 12}
+        textAnchor={besideLine ? 'start' : 'middle'}
         fontSize="10"
         fill={getLineColor()}
         style={{ userSelect: 'none' }}
+        aria-hidden="true"
       >
-        {relationship.type}
+        {relationship.type === 'spouse' ? kind?.label.toLowerCase() || 'spouse' : kind?.noun || 'parent'}
       </text>
     </g>
   );
-};
\ No newline at end of file
+});
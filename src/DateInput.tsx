@@ -0,0 +1,46 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { formatDate, normalizeDate, readDate } from './shared/dates';
+
+interface DateInputProps {
+  value?: string;
+  onChange: (value: string | undefined) => void;
+  label: string;
+}
+
+const HINT = 'e.g. 12 Mar 1901, Mar 1901, abt 1850, bef 1790, bet 1820 and 1825, 11 Feb 1731/32';
+
+// Free-text genealogical date. What is typed stays in the box while the
+// stored form is kept up to date; the box only resets when the value
+// changes from elsewhere (undo, another editor).
+export const DateInput: React.FC<DateInputProps> = ({ value, onChange, label }) => {
+  const [text, setText] = useState(() => formatDate(value));
+  const lastValue = useRef(value);
+
+  useEffect(() => {
+    if (value === lastValue.current) return;
+    lastValue.current = value;
+    setText(formatDate(value));
+  }, [value]);
+
+  const handleChange = (next: string) => {
+    setText(next);
+    const normalized = normalizeDate(next);
+    lastValue.current = normalized;
+    onChange(normalized);
+  };
+
+  const unreadable = Boolean(value && readDate(value).phrase !== undefined);
+
+  return (
+    <input
+      type="text"
+      className={`date-input${unreadable ? ' unreadable' : ''}`}
+      value={text}
+      onChange={(e) => handleChange(e.target.value)}
+      onBlur={() => setText(formatDate(value))}
+      placeholder="Date"
+      aria-label={label}
+      title={unreadable ? `Not a date we can read, so it is kept as written (${HINT})` : `${label}: ${formatDate(value) || HINT}`}
+    />
+  );
+};
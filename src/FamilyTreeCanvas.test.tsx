@@ -0,0 +1,68 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { FamilyTreeCanvas } from './FamilyTreeCanvas';
+import { generateTree } from './testing/benchmark';
+import { FamilyTree } from './types';
+
+// jsdom doesn't lay anything out; give the canvas the size of a laptop screen
+beforeEach(() => {
+  jest.spyOn(HTMLElement.prototype, 'clientWidth', 'get').mockReturnValue(1200);
+  jest.spyOn(HTMLElement.prototype, 'clientHeight', 'get').mockReturnValue(700);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+test('renders only the people and links near the view of a large tree', () => {
+  const tree = generateTree(2000);
+  render(<FamilyTreeCanvas familyTree={tree} onFamilyTreeUpdate={() => {}} />);
+
+  const cards = screen.getAllByRole('button', { description: /Arrow keys go to relatives/ });
+  expect(cards.length).toBeGreaterThan(0);
+  expect(cards.length).toBeLessThan(100);
+  expect(cards[0]).toHaveAccessibleName(new RegExp(`^${tree.people[0].name}`));
+  expect(screen.getAllByRole('group', { name: /parent of|spouses/ }).length).toBeLessThan(200);
+});
+
+test('shows a chart worked out from the links, re-rooted by clicking a person', () => {
+  const tree: FamilyTree = {
+    people: [
+      { id: 'dad', name: 'Dad', x: 0, y: 0 },
+      { id: 'kid', name: 'Kid', x: 0, y: 0 },
+      { id: 'grandson', name: 'Grandson', x: 0, y: 0 }
+    ],
+    relationships: [
+      { id: 'r1', type: 'parent', from: 'dad', to: 'kid' },
+      { id: 'r2', type: 'parent', from: 'kid', to: 'grandson' }
+    ]
+  };
+  render(<FamilyTreeCanvas familyTree={tree} onFamilyTreeUpdate={() => {}} />);
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'View' }), { target: { value: 'descendants' } });
+  fireEvent.change(screen.getByRole('combobox', { name: 'Generations' }), { target: { value: '1' } });
+  expect(screen.getByRole('button', { current: true })).toHaveTextContent('Dad');
+  expect(screen.queryByRole('button', { name: /Grandson/ })).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: /^Kid/ }));
+  expect(screen.getByRole('button', { current: true })).toHaveTextContent('Kid');
+  expect(screen.getByRole('button', { name: /Grandson/ })).toBeInTheDocument();
+});
+
+test('shows lifespans on a timeline and goes back to the canvas for the one picked', () => {
+  const tree: FamilyTree = {
+    people: [
+      { id: 'mum', name: 'Mum', x: 0, y: 0, events: [{ type: 'birth', date: '1950' }] },
+      { id: 'kid', name: 'Kid', x: 300, y: 200, events: [{ type: 'birth', date: '1980' }] },
+      { id: 'aunt', name: 'Aunt', x: 600, y: 0 }
+    ],
+    relationships: [{ id: 'r1', type: 'parent', from: 'mum', to: 'kid' }]
+  };
+  render(<FamilyTreeCanvas familyTree={tree} onFamilyTreeUpdate={() => {}} />);
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'View' }), { target: { value: 'timeline' } });
+  expect(screen.getByRole('group', { name: 'Lifespans of 2 people' })).toBeInTheDocument();
+  expect(screen.getByText(/no birth or death date: Aunt/)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: /^Kid, b\. 1980.*Show on the canvas/ }));
+  expect(screen.getByRole('combobox', { name: 'View' })).toHaveValue('canvas');
+  expect(screen.getByRole('button', { name: /^Kid/, description: /Arrow keys go to relatives/ })).toHaveClass('selected');
+});
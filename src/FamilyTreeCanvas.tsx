@@ -1,26 +1,145 @@
-import React, { useState, useCallback } from 'react';
-import { Person, Relationship, FamilyTree } from './types';
+import React, { useState, useCallback, useDeferredValue, useEffect, useMemo, useRef } from 'react';
+import { Person, FamilyTree, ConnectionType, Relationship, Source } from './types';
 import { PersonNode } from './PersonNode';
 import { ConnectionLine } from './ConnectionLine';
-import { InteractiveCanvas } from './InteractiveCanvas';
+import { InteractiveCanvas, CanvasState, CanvasView } from './InteractiveCanvas';
 import { PersonForm } from './PersonForm';
+import { KinshipPanel } from './KinshipPanel';
+import { PersonSearch } from './PersonSearch';
+import { SourcesDialog } from './SourcesDialog';
+import { TreeCheckPanel } from './TreeCheckPanel';
+import { KeyboardHelp } from './KeyboardHelp';
+import { ImageExportDialog } from './ImageExportDialog';
+import { RelationshipEditor } from './RelationshipEditor';
+import { Minimap } from './Minimap';
+import { ChartView } from './ChartView';
+import { CHART_KINDS, ChartKind } from './charts';
+import { TimelineView } from './TimelineView';
+import type { TimelineGrouping } from './timeline';
+import { NodeKeyCommand } from './canvasKeys';
+import { buildTreeGraph, neighbours, relativeInDirection } from './treeGraph';
+import { autoArrange, LayoutScope } from './autoLayout';
+import { copyText, pastePeople, readPasted } from './clipboard';
+import {
+  ALIGNMENTS,
+  Alignment,
+  CanvasRect,
+  Lineage,
+  alignPeople,
+  extractPeople,
+  lineageOf,
+  movePeople,
+  NODE_HEIGHT,
+  NODE_WIDTH,
+  peopleInRect,
+  removePeople
+} from './selection';
+import { connectPeople } from './shared/relationships';
+import { connectorNearRect, routeConnectors } from './shared/connectors';
+import type { Connector } from './shared/connectors';
+import { checkTree, problemsByPerson } from './shared/consistency';
+import type { CheckSettings } from './shared/consistency';
+import { exportFamilyTree, exportGedcom, gatherAttachments, loadCheckSettings, saveCheckSettings } from './shared/storage';
+import type { GedcomVersion } from './shared/gedcom';
+import { findKinship, pathRelationshipIds } from './kinship';
 
 interface FamilyTreeCanvasProps {
   familyTree: FamilyTree;
   onFamilyTreeUpdate: (tree: FamilyTree) => void;
   onResetViewReady?: (resetFn: () => void) => void;
+  onSetViewReady?: (setViewFn: (view: CanvasView) => void) => void;
+  onViewChange?: (view: CanvasView) => void;
+  onUndo?: () => void;
+  onRedo?: () => void;
+  canUndo?: boolean;
+  canRedo?: boolean;
+  // Updates between these calls are recorded as a single undo step
+  onBatchStart?: () => void;
+  onBatchEnd?: () => void;
 }
 
 type InteractionMode = 'navigate' | 'add-person' | 'connect';
+// The editable canvas, or a read-only view generated from the data
+type TreeView = 'canvas' | ChartKind | 'timeline';
+
+// People and links this far outside the view, in screen pixels, are still rendered
+const CULL_MARGIN = 300;
 
 export const FamilyTreeCanvas: React.FC<FamilyTreeCanvasProps> = ({
   familyTree,
   onFamilyTreeUpdate,
-  onResetViewReady
+  onResetViewReady,
+  onSetViewReady,
+  onViewChange,
+  onUndo,
+  onRedo,
+  canUndo = false,
+  canRedo = false,
+  onBatchStart,
+  onBatchEnd
 }) => {
-  const [selectedPerson, setSelectedPerson] = useState<string | null>(null);
+  // Everyone selected, in the order picked; the last is the one single-person actions use
+  const [selection, setSelection] = useState<string[]>([]);
+  const selectedPerson = selection.length > 0 ? selection[selection.length - 1] : null;
+  const setSelectedPerson = useCallback((personId: string | null) => setSelection(personId ? [personId] : []), []);
+  // The selected people as a tree of their own while the image export is open
+  const [imageExportTree, setImageExportTree] = useState<FamilyTree | null>(null);
+  // The link being edited, and whether its button was reached from the keyboard
+  const [editingLink, setEditingLink] = useState<{ id: string; fromKeyboard: boolean } | null>(null);
   const [interactionMode, setInteractionMode] = useState<InteractionMode>('navigate');
-  const [connectionType, setConnectionType] = useState<Relationship['type']>('parent');
+  // A generated view shown in place of the canvas (which stays mounted, keeping its
+  // zoom and pan), the person a chart is drawn around, and the timeline's options
+  const [treeView, setTreeView] = useState<TreeView>('canvas');
+  const editing = treeView === 'canvas';
+  const chartKind = editing || treeView === 'timeline' ? null : treeView;
+  const [chartRoot, setChartRoot] = useState<string | null>(null);
+  const [chartGenerations, setChartGenerations] = useState(4);
+  const [timelineGrouping, setTimelineGrouping] = useState<TimelineGrouping>('family');
+  const [timelineBranch, setTimelineBranch] = useState<Lineage | 'all'>('all');
+  const [connectionType, setConnectionType] = useState<ConnectionType>('parent');
+  // Why the last connection was refused, shown in place of the connect-mode hint
+  const [connectionError, setConnectionError] = useState<string | null>(null);
+  const [layoutScope, setLayoutScope] = useState<LayoutScope>('all');
+  // Kinship calculator: the first person while waiting for the second pick, then the pair
+  const [kinshipFrom, setKinshipFrom] = useState<string | null>(null);
+  const [kinshipPair, setKinshipPair] = useState<[string, string] | null>(null);
+  const [showSearch, setShowSearch] = useState(false);
+  const [showSources, setShowSources] = useState(false);
+  // Marking of unsourced facts; until toggled it's on once the tree has any sources
+  const [markUnsourcedChoice, setMarkUnsourcedChoice] = useState<boolean | null>(null);
+  const sources = useMemo(() => familyTree.sources || [], [familyTree.sources]);
+  const markUnsourced = markUnsourcedChoice ?? sources.length > 0;
+  // Tree checker: its panel, and the rules in force (also behind the badges on the cards)
+  const [showCheck, setShowCheck] = useState(false);
+  const [checkSettings, setCheckSettings] = useState<CheckSettings>(loadCheckSettings);
+  // Checked a render behind, so dragging through a large tree doesn't wait for it
+  const checkedTree = useDeferredValue(familyTree);
+  const problems = useMemo(() => checkTree(checkedTree, checkSettings), [checkedTree, checkSettings]);
+  const problemsOf = useMemo(() => problemsByPerson(problems), [problems]);
+  // Person briefly highlighted after jumping to them from the search box
+  const [flashPerson, setFlashPerson] = useState<string | null>(null);
+  const focusViewRef = useRef<((x: number, y: number) => void) | null>(null);
+  // Keyboard use: what screen readers are told, the person a keyboard connection
+  // starts from, and where focus goes back to when the add form closes
+  const [announcement, setAnnouncement] = useState({ text: '', count: 0 });
+  const [keyboardConnectFrom, setKeyboardConnectFrom] = useState<string | null>(null);
+  const [showKeyboardHelp, setShowKeyboardHelp] = useState(false);
+  const formOpenerRef = useRef<string | null>(null);
+  const containerRef = useRef<HTMLDivElement>(null);
+  const viewRef = useRef<CanvasView>({ zoom: 1, pan: { x: 0, y: 0 } });
+  // Someone picked on the timeline, shown once the canvas is back
+  const showOnCanvasRef = useRef<string | null>(null);
+  // Where the mouse last was over the canvas, in canvas coordinates; Ctrl+V pastes there
+  const pointerRef = useRef<{ x: number; y: number } | null>(null);
+  const graph = useMemo(() => buildTreeGraph(familyTree), [familyTree]);
+  const peopleById = useMemo(() => new Map(familyTree.people.map(p => [p.id, p])), [familyTree.people]);
+  // Routes that didn't change keep their objects, so their memoised lines skip redrawing
+  const connectorsRef = useRef<Map<string, Connector> | undefined>(undefined);
+  const connectors = useMemo(
+    () => routeConnectors(familyTree.people, familyTree.relationships, { width: NODE_WIDTH, height: NODE_HEIGHT }, connectorsRef.current),
+    [familyTree.people, familyTree.relationships]
+  );
+  connectorsRef.current = connectors;
   const [dragConnection, setDragConnection] = useState<{
     active: boolean;
     fromPersonId: string | null;
@@ -37,7 +156,27 @@ export const FamilyTreeCanvas: React.FC<FamilyTreeCanvasProps> = ({
     position: { x: 0, y: 0 }
   });
 
-  const addPerson = useCallback((personData: Omit<Person, 'id'>) => {
+  const announce = useCallback((text: string) => {
+    setAnnouncement(prev => ({ text, count: prev.count + 1 }));
+  }, []);
+
+  // Moves keyboard focus to a person's card once it has rendered, bringing it into view
+  const focusPerson = useCallback((personId: string) => {
+    setSelectedPerson(personId);
+    requestAnimationFrame(() => {
+      const node = containerRef.current?.querySelector<HTMLElement>(`[data-person-id="${personId.replace(/"/g, '\\"')}"]`);
+      const canvas = containerRef.current?.querySelector('.interactive-canvas');
+      if (!node || !canvas) return;
+      node.focus({ preventScroll: true });
+      const box = node.getBoundingClientRect();
+      const view = canvas.getBoundingClientRect();
+      if (box.left < view.left || box.right > view.right || box.top < view.top || box.bottom > view.bottom) {
+        focusViewRef.current?.(node.offsetLeft + node.offsetWidth / 2, node.offsetTop + node.offsetHeight / 2);
+      }
+    });
+  }, [setSelectedPerson]);
+
+  const addPerson = useCallback((personData: Omit<Person, 'id'>, newSources: Source[] = []) => {
     const newPerson: Person = {
       id: Date.now().toString(),
       ...personData
@@ -45,48 +184,204 @@ export const FamilyTreeCanvas: React.FC<FamilyTreeCanvasProps> = ({
     
     onFamilyTreeUpdate({
       ...familyTree,
+      ...(newSources.length > 0 && { sources: [...sources, ...newSources] }),
       people: [...familyTree.people, newPerson]
     });
-  }, [familyTree, onFamilyTreeUpdate]);
+    return newPerson.id;
+  }, [familyTree, sources, onFamilyTreeUpdate]);
 
-  const updatePerson = useCallback((updatedPerson: Person) => {
+  const updatePerson = useCallback((updatedPerson: Person, newSource?: Source) => {
     onFamilyTreeUpdate({
       ...familyTree,
+      ...(newSource && { sources: [...sources, newSource] }),
       people: familyTree.people.map(p => 
         p.id === updatedPerson.id ? updatedPerson : p
       )
     });
-  }, [familyTree, onFamilyTreeUpdate]);
+  }, [familyTree, sources, onFamilyTreeUpdate]);
 
-  const deletePerson = useCallback((id: string) => {
-    onFamilyTreeUpdate({
-      people: familyTree.people.filter(p => p.id !== id),
-      relationships: familyTree.relationships.filter(r => 
-        r.from !== id && r.to !== id
-      )
-    });
+  const deletePeople = useCallback((ids: string[]) => {
+    // A relative takes the focus if one of the deleted people had it
+    const hadFocus = !!containerRef.current?.contains(document.activeElement);
+    const next = ids
+      .flatMap(id => [graph.spouses, graph.parents, graph.children].flatMap(map => neighbours(map, id)))
+      .find(id => !ids.includes(id));
+    const name = familyTree.people.find(p => p.id === ids[0])?.name;
+    onFamilyTreeUpdate(removePeople(familyTree, ids));
+    setSelection(prev => prev.filter(id => !ids.includes(id)));
+    announce(ids.length === 1 ? `Deleted ${name}` : `Deleted ${ids.length} people`);
+    if (hadFocus && next) focusPerson(next);
+  }, [familyTree, graph, onFamilyTreeUpdate, announce, focusPerson]);
+
+  const deletePerson = useCallback((id: string) => deletePeople([id]), [deletePeople]);
+
+  // The person, or the whole selection when they are part of it
+  const groupOf = useCallback((personId: string) => (
+    selection.length > 1 && selection.includes(personId) ? selection : [personId]
+  ), [selection]);
+
+  const confirmDelete = useCallback((ids: string[]) => {
+    const name = familyTree.people.find(p => p.id === ids[0])?.name;
+    if (window.confirm(ids.length === 1 ? `Delete ${name}?` : `Delete the ${ids.length} selected people?`)) {
+      deletePeople(ids);
+    }
+  }, [familyTree.people, deletePeople]);
+
+  const movePerson = useCallback((personId: string, x: number, y: number) => {
+    const person = familyTree.people.find(p => p.id === personId);
+    if (!person) return;
+    onFamilyTreeUpdate(movePeople(familyTree, groupOf(personId), x - person.x, y - person.y));
+  }, [familyTree, onFamilyTreeUpdate, groupOf]);
+
+  const selectLineage = useCallback((lineage: Lineage) => {
+    if (!selectedPerson) return;
+    const found = lineageOf(familyTree, selectedPerson, lineage).filter(id => id !== selectedPerson);
+    setSelection([...found, selectedPerson]);
+    announce(`Selected ${found.length} ${lineage === 'descendants' ? 'descendants' : 'ancestors'} too`);
+  }, [familyTree, selectedPerson, announce]);
+
+  const handleMarqueeSelect = useCallback((rect: CanvasRect, additive: boolean) => {
+    const found = peopleInRect(familyTree.people, rect);
+    setSelection(prev => (additive ? [...prev.filter(id => !found.includes(id)), ...found] : found));
+    announce(found.length === 1 ? '1 person selected' : `${found.length} people selected`);
+  }, [familyTree.people, announce]);
+
+  const handleAlign = useCallback((alignment: Alignment) => {
+    onFamilyTreeUpdate(alignPeople(familyTree, selection, alignment));
+  }, [familyTree, selection, onFamilyTreeUpdate]);
+
+  const handleExportSelection = useCallback(async (format: 'json' | 'image' | GedcomVersion) => {
+    const part = extractPeople(familyTree, selection);
+    if (format === 'json') {
+      try {
+        await exportFamilyTree(part);
+      } catch (error) {
+        alert('Failed to export tree: ' + (error as Error).message);
+      }
+    } else if (format === 'image') {
+      setImageExportTree(part);
+    } else {
+      exportGedcom(part, format);
+    }
+  }, [familyTree, selection]);
+
+  const addRelationship = useCallback((fromId: string, toId: string, type: ConnectionType) => {
+    const result = connectPeople(familyTree, type, fromId, toId);
+    setConnectionError(result.error);
+    if (result.tree) {
+      onFamilyTreeUpdate(result.tree);
+    }
+    return result.error;
   }, [familyTree, onFamilyTreeUpdate]);
 
-  const addRelationship = useCallback((fromId: string, toId: string, type: Relationship['type']) => {
-    const newRelationship: Relationship = {
-      id: Date.now().toString(),
-      type,
-      from: fromId,
-      to: toId
-    };
-    
+  useEffect(() => {
+    setConnectionError(null);
+  }, [interactionMode, connectionType]);
+
+  useEffect(() => {
+    if (interactionMode !== 'connect') setKeyboardConnectFrom(null);
+  }, [interactionMode]);
+
+  const deleteRelationship = useCallback((id: string) => {
+    // Deleted from the keyboard: focus returns to the selected person
+    const fromKeyboard = !!document.activeElement?.closest('.connections-svg');
     onFamilyTreeUpdate({
       ...familyTree,
-      relationships: [...familyTree.relationships, newRelationship]
+      relationships: familyTree.relationships.filter(r => r.id !== id)
     });
-  }, [familyTree, onFamilyTreeUpdate]);
+    announce('Link deleted');
+    if (fromKeyboard && selectedPerson) focusPerson(selectedPerson);
+  }, [familyTree, onFamilyTreeUpdate, announce, focusPerson, selectedPerson]);
 
-  const deleteRelationship = useCallback((id: string) => {
+  const editingRelationship = editingLink && familyTree.relationships.find(r => r.id === editingLink.id);
+
+  const editRelationship = useCallback((id: string) => {
+    setEditingLink({ id, fromKeyboard: !!document.activeElement?.closest('.connections-svg') });
+  }, []);
+
+  const closeLinkEditor = useCallback(() => {
+    if (editingLink?.fromKeyboard && selectedPerson) focusPerson(selectedPerson);
+    setEditingLink(null);
+  }, [editingLink, focusPerson, selectedPerson]);
+
+  const updateRelationship = useCallback((updated: Relationship, newSources: Source[]) => {
     onFamilyTreeUpdate({
       ...familyTree,
-      relationships: familyTree.relationships.filter(r => r.id !== id)
+      ...(newSources.length > 0 && { sources: [...sources, ...newSources] }),
+      relationships: familyTree.relationships.map(r => (r.id === updated.id ? updated : r))
     });
-  }, [familyTree, onFamilyTreeUpdate]);
+    closeLinkEditor();
+  }, [familyTree, sources, onFamilyTreeUpdate, closeLinkEditor]);
+
+  const handleSearchPick = useCallback((personId: string) => {
+    const person = familyTree.people.find(p => p.id === personId);
+    if (!person) return;
+    setSelectedPerson(personId);
+    setShowSearch(false);
+    // A chart is redrawn around them and the timeline scrolls to them; the canvas goes to where they are
+    if (!editing) {
+      setChartRoot(personId);
+      return;
+    }
+    focusViewRef.current?.(person.x + 75, person.y + 50); // centre of the node
+    setFlashPerson(personId);
+  }, [familyTree.people, setSelectedPerson, editing]);
+
+  const handleTreeViewChange = useCallback((next: TreeView) => {
+    if (next !== 'canvas') setInteractionMode('navigate');
+    setTreeView(next);
+    setChartRoot(selectedPerson);
+  }, [selectedPerson]);
+
+  // The selected person's branch, when the timeline is narrowed to one
+  const timelineBranchIds = useMemo(
+    () => treeView === 'timeline' && selectedPerson && timelineBranch !== 'all'
+      ? lineageOf(familyTree, selectedPerson, timelineBranch)
+      : undefined,
+    [treeView, familyTree, selectedPerson, timelineBranch]
+  );
+
+  const handleTimelinePick = useCallback((personId: string) => {
+    showOnCanvasRef.current = personId;
+    setTreeView('canvas');
+    setSelectedPerson(personId);
+  }, [setSelectedPerson]);
+
+  // Only visible canvases can be measured, so the view moves once it is back
+  useEffect(() => {
+    const person = showOnCanvasRef.current && peopleById.get(showOnCanvasRef.current);
+    if (!editing || !person) return;
+    showOnCanvasRef.current = null;
+    focusViewRef.current?.(person.x + 75, person.y + 50);
+    setFlashPerson(person.id);
+  }, [editing, peopleById]);
+
+  const handleChartRootChange = useCallback((personId: string) => {
+    setChartRoot(personId);
+    setSelectedPerson(personId);
+  }, [setSelectedPerson]);
+
+  // The chart is drawn around the selected person, or the first person in the tree
+  const chartRootId = [chartRoot, selectedPerson, familyTree.people[0]?.id].find(id => id && peopleById.has(id));
+
+  const handleCheckSettingsChange = useCallback((settings: CheckSettings) => {
+    setCheckSettings(settings);
+    saveCheckSettings(settings);
+  }, []);
+
+  useEffect(() => {
+    if (!flashPerson) return;
+    const timer = setTimeout(() => setFlashPerson(null), 1600);
+    return () => clearTimeout(timer);
+  }, [flashPerson]);
+
+  const handleAutoArrange = useCallback(() => {
+    if (layoutScope !== 'all' && !selectedPerson) {
+      alert('Select a person first to arrange their ' + layoutScope);
+      return;
+    }
+    onFamilyTreeUpdate(autoArrange(familyTree, layoutScope, selectedPerson || undefined));
+  }, [familyTree, onFamilyTreeUpdate, layoutScope, selectedPerson]);
 
   const handleCanvasClick = useCallback((x: number, y: number) => {
     if (interactionMode === 'add-person') {
@@ -106,10 +401,16 @@ export const FamilyTreeCanvas: React.FC<FamilyTreeCanvasProps> = ({
     }
   }, [interactionMode, dragConnection.active]);
 
-  const handlePersonSelect = useCallback((personId: string) => {
+  const handlePersonSelect = useCallback((personId: string, additive = false) => {
     console.log('Person selected:', personId, 'dragConnection:', dragConnection);
     
-    if (dragConnection.active && dragConnection.fromPersonId && dragConnection.fromPersonId !== personId) {
+    if (additive && interactionMode !== 'connect') {
+      const name = familyTree.people.find(p => p.id === personId)?.name;
+      const picked = !selection.includes(personId);
+      const count = selection.length + (picked ? 1 : -1);
+      setSelection(picked ? [...selection, personId] : selection.filter(id => id !== personId));
+      announce(`${name} ${picked ? 'added to' : 'taken out of'} the selection, ${count} selected`);
+    } else if (dragConnection.active && dragConnection.fromPersonId && dragConnection.fromPersonId !== personId) {
       // Complete connection
       console.log('Completing connection:', dragConnection.fromPersonId, '->', personId, 'type:', connectionType);
       addRelationship(dragConnection.fromPersonId, personId, connectionType);
@@ -120,10 +421,183 @@ export const FamilyTreeCanvas: React.FC<FamilyTreeCanvasProps> = ({
         currentPos: { x: 0, y: 0 }
       });
       // Stay in connect mode for successive connections
-    } else {
+    } else if (keyboardConnectFrom && interactionMode === 'connect') {
+      if (keyboardConnectFrom === personId) return;
+      const from = familyTree.people.find(p => p.id === keyboardConnectFrom)?.name;
+      const to = familyTree.people.find(p => p.id === personId)?.name;
+      const error = addRelationship(keyboardConnectFrom, personId, connectionType);
+      announce(error || `Linked ${from} to ${to} as ${connectionType}`);
+      setKeyboardConnectFrom(null);
       setSelectedPerson(personId);
+    } else {
+      if (kinshipFrom && kinshipFrom !== personId) {
+        setKinshipPair([kinshipFrom, personId]);
+        setKinshipFrom(null);
+      }
+      // Picking someone already in a group keeps the group, so it can be dragged together
+      setSelection(prev => (prev.length > 1 && prev.includes(personId)
+        ? [...prev.filter(id => id !== personId), personId]
+        : [personId]));
+    }
+  }, [dragConnection, addRelationship, connectionType, kinshipFrom, keyboardConnectFrom, interactionMode, familyTree.people, announce, selection, setSelectedPerson]);
+
+  // "2 parents, 1 spouse, 3 children" for screen readers
+  const relativesSummary = useCallback((personId: string) => {
+    const count = (n: number, one: string, many: string) => (n > 0 ? `${n} ${n === 1 ? one : many}` : '');
+    const text = [
+      count(neighbours(graph.parents, personId).length, 'parent', 'parents'),
+      count(neighbours(graph.spouses, personId).length, 'spouse', 'spouses'),
+      count(neighbours(graph.children, personId).length, 'child', 'children')
+    ].filter(Boolean).join(', ');
+    return text || 'no relatives linked';
+  }, [graph]);
+
+  const openPersonForm = useCallback((position: { x: number; y: number }, openerId: string | null) => {
+    formOpenerRef.current = openerId;
+    setShowPersonForm({ show: true, position });
+  }, []);
+
+  // The middle of the view in canvas coordinates, for things placed without a mouse
+  const viewCentre = useCallback(() => {
+    const rect = containerRef.current?.querySelector('.interactive-canvas')?.getBoundingClientRect();
+    const { zoom, pan } = viewRef.current;
+    return {
+      x: rect ? (rect.width / 2 - pan.x) / zoom : 0,
+      y: rect ? (rect.height / 2 - pan.y) / zoom : 0
+    };
+  }, []);
+
+  // Opening the add form without a mouse: the new person goes in the middle of the view
+  const openPersonFormInView = useCallback(() => {
+    const { x, y } = viewCentre();
+    openPersonForm({ x: Math.round(x - 75), y: Math.round(y - 50) }, '');
+  }, [openPersonForm, viewCentre]);
+
+  const screenToCanvas = useCallback((screenX: number, screenY: number) => {
+    const rect = containerRef.current?.querySelector('.interactive-canvas')?.getBoundingClientRect();
+    const { zoom, pan } = viewRef.current;
+    return {
+      x: (screenX - (rect ? rect.left : 0) - pan.x) / zoom,
+      y: (screenY - (rect ? rect.top : 0) - pan.y) / zoom
+    };
+  }, []);
+
+  const trackPointer = useCallback((e: React.MouseEvent) => {
+    const overCanvas = !!(e.target as HTMLElement).closest?.('.interactive-canvas');
+    pointerRef.current = overCanvas ? screenToCanvas(e.clientX, e.clientY) : null;
+  }, [screenToCanvas]);
+
+  // `clipboard` is the event's data for Ctrl+C/X; the toolbar buttons use the async clipboard
+  const copySelection = useCallback(async (cut: boolean, clipboard?: DataTransfer) => {
+    const ids = selection.filter(id => familyTree.people.some(p => p.id === id));
+    if (ids.length === 0) return;
+    const text = copyText(familyTree, ids);
+    try {
+      if (clipboard) {
+        clipboard.setData('text/plain', text);
+      } else {
+        await navigator.clipboard.writeText(text);
+      }
+    } catch (error) {
+      console.error('Failed to copy:', error);
+      alert(`This browser won't let the page use the clipboard. Use Ctrl+${cut ? 'X' : 'C'} instead.`);
+      return;
+    }
+    if (cut) deletePeople(ids);
+    announce(`${cut ? 'Cut' : 'Copied'} ${ids.length === 1 ? '1 person' : `${ids.length} people`}`);
+  }, [selection, familyTree, deletePeople, announce]);
+
+  const pasteText = useCallback(async (text: string, at: { x: number; y: number }) => {
+    let pasted: FamilyTree;
+    try {
+      pasted = readPasted(text);
+    } catch (error) {
+      alert(error instanceof Error ? error.message : String(error));
+      return;
+    }
+    if (pasted.people.length === 0) {
+      announce('Nothing to paste');
+      return;
+    }
+    // Files of photos and documents copied from another tree in this browser come along
+    let missing = 0;
+    try {
+      missing = (await gatherAttachments(pasted)).length;
+    } catch (error) {
+      console.error('Failed to copy attachments:', error);
+    }
+    const result = pastePeople(familyTree, pasted, at);
+    onFamilyTreeUpdate(result.tree);
+    setSelection(result.ids);
+    announce(`Pasted ${result.ids.length === 1 ? '1 person' : `${result.ids.length} people`}`);
+    if (missing > 0) {
+      alert(`${missing} photo${missing === 1 ? '' : 's'} or document${missing === 1 ? '' : 's'} aren't stored in this browser, so only their descriptions were pasted.`);
+    }
+  }, [familyTree, onFamilyTreeUpdate, announce]);
+
+  const pasteFromButton = useCallback(async () => {
+    let text: string;
+    try {
+      text = await navigator.clipboard.readText();
+    } catch (error) {
+      console.error('Failed to read the clipboard:', error);
+      alert("This browser won't let the page read the clipboard. Press Ctrl+V over the canvas instead.");
+      return;
     }
-  }, [dragConnection, addRelationship, connectionType]);
+    pasteText(text, viewCentre());
+  }, [pasteText, viewCentre]);
+
+  const handleKeyCommand = useCallback((personId: string, command: NodeKeyCommand) => {
+    const person = familyTree.people.find(p => p.id === personId);
+    if (!person) return;
+    switch (command.type) {
+      case 'go': {
+        const next = relativeInDirection(familyTree, graph, personId, command.direction);
+        if (next) {
+          focusPerson(next);
+        } else {
+          announce({
+            up: `No parents of ${person.name} in the tree`,
+            down: `No children of ${person.name} in the tree`,
+            left: 'No spouse, sibling or co-parent to the left',
+            right: 'No spouse, sibling or co-parent to the right'
+          }[command.direction]);
+        }
+        break;
+      }
+      case 'connect':
+        setInteractionMode('connect');
+        setKeyboardConnectFrom(personId);
+        announce(`Connecting from ${person.name} as ${connectionType}. Go to the other person and press Enter, or Escape to cancel.`);
+        break;
+      case 'cancel':
+        if (keyboardConnectFrom) {
+          setKeyboardConnectFrom(null);
+          announce('Connection cancelled');
+        } else if (selection.length > 1) {
+          setSelectedPerson(personId);
+          announce(`Only ${person.name} selected`);
+        }
+        break;
+      case 'add':
+        openPersonForm({ x: person.x + 200, y: person.y }, personId);
+        break;
+      case 'delete':
+        confirmDelete(groupOf(personId));
+        break;
+    }
+  }, [familyTree, graph, focusPerson, announce, connectionType, keyboardConnectFrom, openPersonForm, selection, setSelectedPerson, confirmDelete, groupOf]);
+
+  const kinshipPeople = kinshipPair && kinshipPair.map(id => familyTree.people.find(p => p.id === id));
+  const kinship = useMemo(
+    () => (kinshipPair ? findKinship(familyTree, kinshipPair[0], kinshipPair[1]) : null),
+    [familyTree, kinshipPair]
+  );
+  const kinshipPath = useMemo(() => new Set(kinship?.path || []), [kinship]);
+  const kinshipEdges = useMemo(
+    () => (kinship ? pathRelationshipIds(familyTree, kinship.path) : new Set<string>()),
+    [familyTree, kinship]
+  );
 
 
   const handleConnectionDrag = useCallback((personId: string, startPos: { x: number; y: number }, currentPos: { x: number; y: number }) => {
@@ -166,16 +640,21 @@ export const FamilyTreeCanvas: React.FC<FamilyTreeCanvasProps> = ({
     });
   }, [dragConnection.active, dragConnection.fromPersonId, connectionType, addRelationship]);
 
-  const handlePersonFormSubmit = useCallback((personData: Omit<Person, 'id'>) => {
-    addPerson(personData);
+  const handlePersonFormSubmit = useCallback((personData: Omit<Person, 'id'>, newSources: Source[]) => {
+    const id = addPerson(personData, newSources);
     setShowPersonForm({ show: false, position: { x: 0, y: 0 } });
+    announce(`Added ${personData.name}`);
+    if (formOpenerRef.current !== null) focusPerson(id);
+    formOpenerRef.current = null;
     // Stay in add-person mode for successive additions
-  }, [addPerson]);
+  }, [addPerson, announce, focusPerson]);
 
   const handlePersonFormCancel = useCallback(() => {
     setShowPersonForm({ show: false, position: { x: 0, y: 0 } });
     setInteractionMode('navigate');
-  }, []);
+    if (formOpenerRef.current) focusPerson(formOpenerRef.current);
+    formOpenerRef.current = null;
+  }, [focusPerson]);
 
   // Global mouseup and touchend handlers for connection drops
   React.useEffect(() => {
@@ -208,39 +687,471 @@ export const FamilyTreeCanvas: React.FC<FamilyTreeCanvasProps> = ({
     }
   }, [dragConnection.active, handleConnectionDragEnd]);
 
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y); form fields keep their own text undo
+  React.useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      const inField = !!(e.target as HTMLElement | null)?.closest?.('input, textarea, select');
+      if (e.key === '?' && !inField) {
+        e.preventDefault();
+        setShowKeyboardHelp(open => !open);
+        return;
+      }
+      if (!(e.ctrlKey || e.metaKey)) return;
+      // Ctrl+F opens person search instead of the browser's find bar
+      if (e.key.toLowerCase() === 'f' && !e.shiftKey && !e.altKey) {
+        e.preventDefault();
+        setShowSearch(true);
+        return;
+      }
+      if (inField) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'a' && !e.shiftKey && !e.altKey) {
+        e.preventDefault();
+        setSelection(familyTree.people.map(p => p.id));
+        announce(`All ${familyTree.people.length} people selected`);
+      } else if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        onUndo?.();
+        announce(canUndo ? 'Undone' : 'Nothing to undo');
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        onRedo?.();
+        announce(canRedo ? 'Redone' : 'Nothing to redo');
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onUndo, onRedo, canUndo, canRedo, announce, familyTree.people]);
+
+  // Copy, cut and paste of people; fields and selected text keep the usual behaviour,
+  // and charts can only be copied from
+  React.useEffect(() => {
+    const forPeople = (e: ClipboardEvent) =>
+      !(e.target as HTMLElement | null)?.closest?.('input, textarea, select') && document.getSelection()?.isCollapsed !== false &&
+      (e.type === 'copy' || editing);
+
+    const handleCopy = (e: ClipboardEvent) => {
+      if (!forPeople(e) || selection.length === 0) return;
+      e.preventDefault();
+      copySelection(e.type === 'cut', e.clipboardData || undefined);
+    };
+    const handlePaste = (e: ClipboardEvent) => {
+      const text = e.clipboardData?.getData('text/plain');
+      if (!forPeople(e) || !text) return;
+      e.preventDefault();
+      pasteText(text, pointerRef.current || viewCentre());
+    };
+
+    document.addEventListener('copy', handleCopy);
+    document.addEventListener('cut', handleCopy);
+    document.addEventListener('paste', handlePaste);
+    return () => {
+      document.removeEventListener('copy', handleCopy);
+      document.removeEventListener('cut', handleCopy);
+      document.removeEventListener('paste', handlePaste);
+    };
+  }, [selection, copySelection, pasteText, viewCentre, editing]);
+
+  // Cards and lines are memoised, so the callbacks they get must not change from
+  // render to render; these forward to the latest handlers
+  const handlers = {
+    handlePersonSelect,
+    updatePerson,
+    movePerson,
+    deletePerson,
+    deleteRelationship,
+    editRelationship,
+    handleKeyCommand,
+    handleConnectionDragEnd
+  };
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+  const stable = useMemo(() => ({
+    select: (personId: string, additive?: boolean) => handlersRef.current.handlePersonSelect(personId, additive),
+    update: (person: Person, newSource?: Source) => handlersRef.current.updatePerson(person, newSource),
+    move: (personId: string, x: number, y: number) => handlersRef.current.movePerson(personId, x, y),
+    delete: (personId: string) => handlersRef.current.deletePerson(personId),
+    deleteLink: (relationshipId: string) => handlersRef.current.deleteRelationship(relationshipId),
+    editLink: (relationshipId: string) => handlersRef.current.editRelationship(relationshipId),
+    keyCommand: (personId: string, command: NodeKeyCommand) => handlersRef.current.handleKeyCommand(personId, command),
+    connectionDragEnd: () => handlersRef.current.handleConnectionDragEnd(),
+    focus: (personId: string) => setSelection(prev => (prev.includes(personId) ? prev : [personId]))
+  }), []);
+
+  // Only what is in or near the view is rendered, along with the selected people and
+  // the one Tab reaches. The canvas is measured before the first paint.
+  const renderContent = ({ zoom, pan, size }: CanvasState) => {
+    const area = {
+      x: (-pan.x - CULL_MARGIN) / zoom,
+      y: (-pan.y - CULL_MARGIN) / zoom,
+      width: (size.width + CULL_MARGIN * 2) / zoom,
+      height: (size.height + CULL_MARGIN * 2) / zoom
+    };
+    const tabbableId = selectedPerson && peopleById.has(selectedPerson) ? selectedPerson : familyTree.people[0]?.id;
+    const shown = new Set(peopleInRect(familyTree.people, area));
+    selection.forEach(id => shown.add(id));
+    if (tabbableId) shown.add(tabbableId);
+
+    return (
+      <>
+        <svg className="connections-svg" style={{ width: '100%', height: '100%', overflow: 'visible' }}>
+          <defs>
+            <marker
+              id="arrowhead"
+              markerWidth="10"
+              markerHeight="7"
+              refX="10"
+              refY="3.5"
+              orient="auto"
+            >
+              <polygon points="0 0, 10 3.5, 0 7" fill="#666" />
+            </marker>
+          </defs>
+          {familyTree.relationships.map(relationship => {
+            const fromPerson = peopleById.get(relationship.from);
+            const toPerson = peopleById.get(relationship.to);
+            const connector = connectors.get(relationship.id);
+            
+            if (!fromPerson || !toPerson || !connector) return null;
+            if (!shown.has(fromPerson.id) && !shown.has(toPerson.id) && !connectorNearRect(connector, area)) {
+              return null;
+            }
+            
+            return (
+              <ConnectionLine
+                key={relationship.id}
+                relationship={relationship}
+                fromPerson={fromPerson}
+                toPerson={toPerson}
+                connector={connector}
+                onDelete={stable.deleteLink}
+                onEdit={stable.editLink}
+                highlighted={kinshipEdges.has(relationship.id)}
+                unsourced={markUnsourced && !relationship.citations?.length}
+                focusable={relationship.from === selectedPerson || relationship.to === selectedPerson}
+              />
+            );
+          })}
+          
+          {dragConnection.active && (
+            <line
+              x1={dragConnection.startPos.x}
+              y1={dragConnection.startPos.y}
+              x2={dragConnection.currentPos.x}
+              y2={dragConnection.currentPos.y}
+              stroke="#007bff"
+              strokeWidth={3}
+              strokeDasharray="5,5"
+              markerEnd="url(#arrowhead)"
+              className="drag-connection-line"
+            />
+          )}
+        </svg>
+        
+        {familyTree.people.filter(person => shown.has(person.id)).map(person => (
+          <PersonNode
+            key={person.id}
+            person={person}
+            sources={sources}
+            onPersonUpdate={stable.update}
+            onPersonMove={stable.move}
+            onPersonDelete={stable.delete}
+            isSelected={selection.includes(person.id)}
+            isHighlighted={kinshipPath.has(person.id)}
+            isFlashing={flashPerson === person.id}
+            markUnsourced={markUnsourced}
+            problems={problemsOf.get(person.id)}
+            tabbable={person.id === tabbableId}
+            relativesSummary={relativesSummary(person.id)}
+            onSelect={stable.select}
+            onFocusPerson={stable.focus}
+            onKeyCommand={stable.keyCommand}
+            interactionMode={interactionMode}
+            connectionType={connectionType}
+            onConnectionDrag={handleConnectionDrag}
+            onConnectionDragEnd={stable.connectionDragEnd}
+            onBatchStart={onBatchStart}
+            onBatchEnd={onBatchEnd}
+            screenToCanvas={screenToCanvas}
+          />
+        ))}
+        
+        {interactionMode === 'add-person' && (
+          <div className="mode-instruction">
+            Click anywhere to add a new person
+          </div>
+        )}
+        
+        {kinshipFrom && interactionMode === 'navigate' && (
+          <div className="mode-instruction">
+            Click another person to see how {peopleById.get(kinshipFrom)?.name} is related to them
+          </div>
+        )}
+        
+        {interactionMode === 'connect' && (
+          <div className={`mode-instruction${connectionError ? ' mode-error' : ''}`} role="status">
+            {connectionError || (keyboardConnectFrom
+              ? `Go to the person to link ${peopleById.get(keyboardConnectFrom)?.name} to and press Enter`
+              : `Drag from one person to another to create a ${connectionType} relationship`)}
+          </div>
+        )}
+      </>
+    );
+  };
+
   return (
-    <div className="family-tree-container">
+    <div className="family-tree-container" ref={containerRef} onMouseMove={trackPointer}>
       <div className="toolbar">
-        <div className="mode-controls">
-          <button 
-            className={interactionMode === 'navigate' ? 'active' : ''}
-            onClick={() => setInteractionMode('navigate')}
-            title="Navigate Mode"
+        <div className="view-controls">
+          <select
+            value={treeView}
+            onChange={(e) => handleTreeViewChange(e.target.value as TreeView)}
+            title="Edit on the canvas, or read the tree as a chart or timeline worked out from the data"
+            aria-label="View"
           >
-            🖱️ Navigate
+            <option value="canvas">✏️ Canvas</option>
+            {CHART_KINDS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+            <option value="timeline">Timeline</option>
+          </select>
+          {chartKind && (
+            <select
+              value={chartGenerations}
+              onChange={(e) => setChartGenerations(Number(e.target.value))}
+              title="How many generations the chart goes back or down"
+              aria-label="Generations"
+            >
+              {[1, 2, 3, 4, 5, 6, 7, 8].map(count => (
+                <option key={count} value={count}>{count} generation{count === 1 ? '' : 's'}</option>
+              ))}
+            </select>
+          )}
+          {treeView === 'timeline' && (
+            <>
+              <select
+                value={timelineGrouping}
+                onChange={(e) => setTimelineGrouping(e.target.value as TimelineGrouping)}
+                title="How the lifespans are grouped"
+                aria-label="Group by"
+              >
+                <option value="family">By family</option>
+                <option value="generation">By generation</option>
+              </select>
+              <select
+                value={selectedPerson ? timelineBranch : 'all'}
+                onChange={(e) => setTimelineBranch(e.target.value as Lineage | 'all')}
+                title="Show everyone, or only the selected person's branch"
+                aria-label="Branch"
+              >
+                <option value="all">Whole tree</option>
+                <option value="descendants" disabled={!selectedPerson}>Descendants of selected</option>
+                <option value="ancestors" disabled={!selectedPerson}>Ancestors of selected</option>
+              </select>
+            </>
+          )}
+        </div>
+        
+        {editing && (
+          <div className="mode-controls">
+            <button 
+              className={interactionMode === 'navigate' ? 'active' : ''}
+              onClick={() => setInteractionMode('navigate')}
+              title="Navigate Mode"
+              aria-pressed={interactionMode === 'navigate'}
+            >
+              🖱️ Navigate
+            </button>
+            <button 
+              className={interactionMode === 'add-person' ? 'active' : ''}
+              onClick={(e) => {
+                setInteractionMode('add-person');
+                // From the keyboard there is no canvas click to place the person, so ask straight away
+                if (e.detail === 0) openPersonFormInView();
+              }}
+              title="Add Person Mode"
+              aria-pressed={interactionMode === 'add-person'}
+            >
+              👤 Add Person
+            </button>
+            <button 
+              className={interactionMode === 'connect' ? 'active' : ''}
+              onClick={() => setInteractionMode('connect')}
+              title="Connect Mode"
+              aria-pressed={interactionMode === 'connect'}
+            >
+              🔗 Connect
+            </button>
+          </div>
+        )}
+        
+        <div className="history-controls">
+          <button onClick={onUndo} disabled={!canUndo} title="Undo (Ctrl+Z)">
+            ↶ Undo
           </button>
-          <button 
-            className={interactionMode === 'add-person' ? 'active' : ''}
-            onClick={() => setInteractionMode('add-person')}
-            title="Add Person Mode"
+          <button onClick={onRedo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)">
+            ↷ Redo
+          </button>
+        </div>
+        
+        {editing && (
+          <>
+            <div className="clipboard-controls">
+              <button onClick={() => copySelection(false)} disabled={!selectedPerson} title="Copy the selected people and their links (Ctrl+C)">
+                ⧉ Copy
+              </button>
+              <button onClick={() => copySelection(true)} disabled={!selectedPerson} title="Cut the selected people and their links (Ctrl+X)">
+                ✂ Cut
+              </button>
+              <button onClick={pasteFromButton} title="Paste people copied from this or another tree (Ctrl+V pastes at the mouse)">
+                📋 Paste
+              </button>
+            </div>
+        
+            <div className="layout-controls">
+              <button
+                onClick={handleAutoArrange}
+                disabled={familyTree.people.length === 0}
+                title="Arrange people in generation rows"
+              >
+                🧩 Auto-arrange
+              </button>
+              <select
+                value={layoutScope}
+                onChange={(e) => setLayoutScope(e.target.value as LayoutScope)}
+                title="What to arrange"
+              >
+                <option value="all">Whole tree</option>
+                <option value="descendants">Descendants of selected</option>
+                <option value="ancestors">Ancestors of selected</option>
+              </select>
+            </div>
+        
+            <div className="kinship-controls">
+              <button
+                className={kinshipFrom ? 'active' : ''}
+                onClick={() => {
+                  setKinshipFrom(kinshipFrom ? null : selectedPerson);
+                  setInteractionMode('navigate');
+                }}
+                disabled={!selectedPerson && !kinshipFrom}
+                title="Select a person, then click another to see how they are related"
+              >
+                🧬 How related?
+              </button>
+            </div>
+          </>
+        )}
+        
+        <div className="search-controls">
+          <button
+            className={showSearch ? 'active' : ''}
+            onClick={() => setShowSearch(!showSearch)}
+            title="Find a person (Ctrl+F)"
           >
-            👤 Add Person
+            🔍 Search
           </button>
-          <button 
-            className={interactionMode === 'connect' ? 'active' : ''}
-            onClick={() => setInteractionMode('connect')}
-            title="Connect Mode"
+          {showSearch && (
+            <PersonSearch
+              people={familyTree.people}
+              onPick={handleSearchPick}
+              onClose={() => setShowSearch(false)}
+            />
+          )}
+        </div>
+        
+        <div className="source-controls">
+          <button
+            className={showSources ? 'active' : ''}
+            onClick={() => setShowSources(true)}
+            title="Sources and what cites them"
           >
-            🔗 Connect
+            📚 Sources
           </button>
+          <label title="Mark names, years and relationships that no source backs">
+            <input
+              type="checkbox"
+              checked={markUnsourced}
+              onChange={(e) => setMarkUnsourcedChoice(e.target.checked)}
+            />
+            Mark unsourced
+          </label>
         </div>
         
-        {interactionMode === 'connect' && (
+        <div className="check-controls">
+          <button
+            className={showCheck ? 'active' : ''}
+            onClick={() => setShowCheck(!showCheck)}
+            title="Look for impossible or suspicious dates and links"
+          >
+            🩺 Check tree
+            {problems.length > 0 && (
+              <span className={`check-count ${problems.some(p => p.severity === 'error') ? 'error' : 'warning'}`}>
+                {problems.length}
+              </span>
+            )}
+          </button>
+        </div>
+        
+        {selectedPerson && editing && (
+          <div className="selection-controls">
+            {selection.length > 1 && (
+              <span className="selection-count" role="status">{selection.length} selected</span>
+            )}
+            <button
+              onClick={() => selectLineage('descendants')}
+              title="Add everyone descended from the selected person to the selection"
+            >
+              ⬇ Descendants
+            </button>
+            <button
+              onClick={() => selectLineage('ancestors')}
+              title="Add all the selected person's ancestors to the selection"
+            >
+              ⬆ Ancestors
+            </button>
+            {selection.length > 1 && (
+              <>
+                <select
+                  value=""
+                  onChange={(e) => handleAlign(e.target.value as Alignment)}
+                  title="Line up the selected people"
+                >
+                  <option value="" disabled>Align…</option>
+                  {ALIGNMENTS.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <select
+                  value=""
+                  onChange={(e) => handleExportSelection(e.target.value as 'json' | 'image' | GedcomVersion)}
+                  title="Export only the selected people and the links between them"
+                >
+                  <option value="" disabled>Export selection…</option>
+                  <option value="json">Tree file</option>
+                  <option value="5.5.1">GEDCOM 5.5.1</option>
+                  <option value="7.0">GEDCOM 7.0</option>
+                  <option value="image">Image</option>
+                </select>
+                <button onClick={() => confirmDelete(selection)} title="Delete the selected people (Delete)">
+                  🗑 Delete
+                </button>
+                <button onClick={() => setSelectedPerson(selectedPerson)} title="Keep only the last person picked selected (Escape)">
+                  ✕ Clear
+                </button>
+              </>
+            )}
+          </div>
+        )}
+        
+        {interactionMode === 'connect' && editing && (
           <div className="connection-controls">
             <label>Connection Type:</label>
             <select 
               value={connectionType} 
-              onChange={(e) => setConnectionType(e.target.value as Relationship['type'])}
+              onChange={(e) => setConnectionType(e.target.value as ConnectionType)}
             >
               <option value="parent">Parent</option>
               <option value="spouse">Spouse</option>
@@ -252,97 +1163,125 @@ export const FamilyTreeCanvas: React.FC<FamilyTreeCanvasProps> = ({
       
       <InteractiveCanvas 
         className={`canvas mode-${interactionMode}`}
+        hidden={!editing}
         onCanvasClick={handleCanvasClick}
         disableCanvasClick={interactionMode === 'connect'}
         onResetViewReady={onResetViewReady}
-      >
-        {({ canvasRef, zoom, pan }) => (
-          <>
-            <svg className="connections-svg" style={{ width: '100%', height: '100%', overflow: 'visible' }}>
-              <defs>
-                <marker
-                  id="arrowhead"
-                  markerWidth="10"
-                  markerHeight="7"
-                  refX="10"
-                  refY="3.5"
-                  orient="auto"
-                >
-                  <polygon points="0 0, 10 3.5, 0 7" fill="#666" />
-                </marker>
-              </defs>
-              {familyTree.relationships.map(relationship => {
-                const fromPerson = familyTree.people.find(p => p.id === relationship.from);
-                const toPerson = familyTree.people.find(p => p.id === relationship.to);
-                
-                if (!fromPerson || !toPerson) return null;
-                
-                return (
-                  <ConnectionLine
-                    key={relationship.id}
-                    relationship={relationship}
-                    fromPerson={fromPerson}
-                    toPerson={toPerson}
-                    onDelete={deleteRelationship}
-                  />
-                );
-              })}
-              
-              {dragConnection.active && (
-                <line
-                  x1={dragConnection.startPos.x}
-                  y1={dragConnection.startPos.y}
-                  x2={dragConnection.currentPos.x}
-                  y2={dragConnection.currentPos.y}
-                  stroke="#007bff"
-                  strokeWidth={3}
-                  strokeDasharray="5,5"
-                  markerEnd="url(#arrowhead)"
-                  className="drag-connection-line"
-                />
-              )}
-            </svg>
-            
-            {familyTree.people.map(person => (
-              <PersonNode
-                key={person.id}
-                person={person}
-                onPersonUpdate={updatePerson}
-                onPersonDelete={deletePerson}
-                isSelected={selectedPerson === person.id}
-                onSelect={() => handlePersonSelect(person.id)}
-                interactionMode={interactionMode}
-                connectionType={connectionType}
-                onConnectionDrag={handleConnectionDrag}
-                onConnectionDragEnd={handleConnectionDragEnd}
-                canvasRef={canvasRef}
-                zoom={zoom}
-                pan={pan}
-              />
-            ))}
-            
-            {interactionMode === 'add-person' && (
-              <div className="mode-instruction">
-                Click anywhere to add a new person
-              </div>
-            )}
-            
-            {interactionMode === 'connect' && (
-              <div className="mode-instruction">
-                Drag from one person to another to create a {connectionType} relationship
-              </div>
-            )}
-          </>
+        onSetViewReady={onSetViewReady}
+        onViewChange={(view) => {
+          viewRef.current = view;
+          onViewChange?.(view);
+        }}
+        onFocusReady={(focusFn) => { focusViewRef.current = focusFn; }}
+        describedBy="canvas-keyboard-help"
+        onMarqueeSelect={interactionMode === 'connect' ? undefined : handleMarqueeSelect}
+        overlay={(canvasState, panTo) => (
+          <Minimap
+            people={familyTree.people}
+            relationships={familyTree.relationships}
+            selection={selection}
+            view={canvasState}
+            onPan={panTo}
+          />
         )}
+      >
+        {renderContent}
       </InteractiveCanvas>
+      {chartKind && chartRootId && (
+        <ChartView
+          tree={familyTree}
+          kind={chartKind}
+          rootId={chartRootId}
+          generations={chartGenerations}
+          onRootChange={handleChartRootChange}
+        />
+      )}
+      {treeView === 'timeline' && (
+        <TimelineView
+          tree={familyTree}
+          grouping={timelineGrouping}
+          branch={timelineBranchIds}
+          selectedId={selectedPerson}
+          onPick={handleTimelinePick}
+        />
+      )}
+      
+      <div className="sr-only" aria-live="polite" role="status">
+        <span key={announcement.count}>{announcement.text}</span>
+      </div>
+      
+      <KeyboardHelp id="canvas-keyboard-help" open={showKeyboardHelp} onClose={() => setShowKeyboardHelp(false)} />
+      <p id="person-node-hint" hidden>
+        Arrow keys go to relatives, Enter edits, C connects, N adds a person. Press question mark for all shortcuts.
+      </p>
+      
+      {kinshipPeople && kinshipPeople[0] && kinshipPeople[1] && (
+        <KinshipPanel
+          from={kinshipPeople[0]}
+          to={kinshipPeople[1]}
+          kinship={kinship}
+          people={familyTree.people}
+          onSwap={() => setKinshipPair([kinshipPair![1], kinshipPair![0]])}
+          onClose={() => setKinshipPair(null)}
+        />
+      )}
+      
+      {showCheck && (
+        <TreeCheckPanel
+          problems={problems}
+          people={familyTree.people}
+          settings={checkSettings}
+          onSettingsChange={handleCheckSettingsChange}
+          onShowPerson={handleSearchPick}
+          onClose={() => setShowCheck(false)}
+        />
+      )}
+      
+      {editingRelationship && (
+        <RelationshipEditor
+          relationship={editingRelationship}
+          fromName={familyTree.people.find(p => p.id === editingRelationship.from)?.name || ''}
+          toName={familyTree.people.find(p => p.id === editingRelationship.to)?.name || ''}
+          sources={sources}
+          onSave={updateRelationship}
+          onDelete={(id) => {
+            closeLinkEditor();
+            deleteRelationship(id);
+          }}
+          onCancel={closeLinkEditor}
+        />
+      )}
+      
+      {imageExportTree && (
+        <ImageExportDialog
+          tree={imageExportTree}
+          treeName="Selected people"
+          onClose={() => setImageExportTree(null)}
+        />
+      )}
       
       {showPersonForm.show && (
         <PersonForm
+          sources={sources}
           position={showPersonForm.position}
           onSubmit={handlePersonFormSubmit}
           onCancel={handlePersonFormCancel}
         />
       )}
+      
+      {showSources && (
+        <SourcesDialog
+          familyTree={familyTree}
+          onFamilyTreeUpdate={onFamilyTreeUpdate}
+          onShowPerson={(personId) => {
+            setShowSources(false);
+            handleSearchPick(personId);
+          }}
+          onClose={() => setShowSources(false)}
+          onBatchStart={onBatchStart}
+          onBatchEnd={onBatchEnd}
+        />
+      )}
     </div>
   );
 };
\ No newline at end of file
@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { FamilyTree } from './types';
+import { exportTreePng, exportTreeSvg, pngSize, printTree } from './shared/treeImage';
+import type { PaperSize } from './shared/treeImage';
+
+interface ImageExportDialogProps {
+  tree: FamilyTree;
+  treeName: string;
+  onClose: () => void;
+}
+
+type ImageFormat = 'svg' | 'png' | 'pdf';
+
+export const ImageExportDialog: React.FC<ImageExportDialogProps> = ({ tree, treeName, onClose }) => {
+  const [format, setFormat] = useState<ImageFormat>('png');
+  const [showTitle, setShowTitle] = useState(true);
+  const [title, setTitle] = useState(treeName);
+  const [legend, setLegend] = useState(true);
+  const [resolution, setResolution] = useState(2);
+  const [paper, setPaper] = useState<PaperSize>('a4');
+  const [orientation, setOrientation] = useState<'portrait' | 'landscape'>('landscape');
+  const [printScale, setPrintScale] = useState('fit');
+
+  const options = { title: showTitle ? title.trim() : '', legend };
+  const size = pngSize(tree, resolution, options);
+
+  const handleExport = async () => {
+    try {
+      if (format === 'svg') {
+        exportTreeSvg(tree, options);
+      } else if (format === 'png') {
+        await exportTreePng(tree, resolution, options);
+      } else {
+        printTree(tree, {
+          ...options,
+          paper,
+          orientation,
+          scale: printScale === 'fit' ? 'fit' : Number(printScale)
+        });
+      }
+      onClose();
+    } catch (error) {
+      alert('Failed to export image: ' + (error as Error).message);
+    }
+  };
+
+  return (
+    <div className="person-form-overlay">
+      <div className="person-form image-export">
+        <h3>Export Image</h3>
+
+        <div className="form-group">
+          <label htmlFor="image-format">Format</label>
+          <select id="image-format" value={format} onChange={(e) => setFormat(e.target.value as ImageFormat)}>
+            <option value="png">PNG picture</option>
+            <option value="svg">SVG (scalable)</option>
+            <option value="pdf">PDF / Print</option>
+          </select>
+        </div>
+
+        {format === 'png' && (
+          <div className="form-group">
+            <label htmlFor="image-resolution">Resolution</label>
+            <select id="image-resolution" value={resolution} onChange={(e) => setResolution(Number(e.target.value))}>
+              {[1, 2, 3, 4].map(scale => (
+                <option key={scale} value={scale}>{scale}× full size</option>
+              ))}
+            </select>
+            <small className="image-export-hint">{size.width} × {size.height} pixels</small>
+          </div>
+        )}
+
+        {format === 'pdf' && (
+          <>
+            <div className="form-group">
+              <label htmlFor="image-paper">Paper</label>
+              <select id="image-paper" value={paper} onChange={(e) => setPaper(e.target.value as PaperSize)}>
+                <option value="a4">A4</option>
+                <option value="letter">US Letter</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="image-orientation">Orientation</label>
+              <select
+                id="image-orientation"
+                value={orientation}
+                onChange={(e) => setOrientation(e.target.value as 'portrait' | 'landscape')}
+              >
+                <option value="landscape">Landscape</option>
+                <option value="portrait">Portrait</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="image-scale">Size</label>
+              <select id="image-scale" value={printScale} onChange={(e) => setPrintScale(e.target.value)}>
+                <option value="fit">Fit on one page</option>
+                <option value="1">Full size, over several pages</option>
+                <option value="0.75">75%, over several pages</option>
+                <option value="0.5">50%, over several pages</option>
+              </select>
+              <small className="image-export-hint">Choose "Save as PDF" in the print dialog for a PDF file</small>
+            </div>
+          </>
+        )}
+
+        <div className="form-group">
+          <label>
+            <input type="checkbox" checked={showTitle} onChange={(e) => setShowTitle(e.target.checked)} /> Title
+          </label>
+          {showTitle && (
+            <input type="text" value={title} onChange={(e) => setTitle(e.target.value)} aria-label="Title" />
+          )}
+        </div>
+
+        <div className="form-group">
+          <label>
+            <input type="checkbox" checked={legend} onChange={(e) => setLegend(e.target.checked)} /> Legend
+          </label>
+        </div>
+
+        <div className="form-actions">
+          <button type="button" onClick={onClose} className="cancel-btn">
+            Cancel
+          </button>
+          <button type="button" onClick={handleExport} className="submit-btn">
+            {format === 'pdf' ? 'Print…' : 'Export'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
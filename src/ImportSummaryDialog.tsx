@@ -0,0 +1,87 @@
+import React from 'react';
+import type { ImportResult } from './shared/storage';
+
+interface ImportSummaryDialogProps {
+  result: ImportResult;
+  onConfirm: () => void;
+  onCancel: () => void;
+}
+
+export const ImportSummaryDialog: React.FC<ImportSummaryDialogProps> = ({ result, onConfirm, onCancel }) => {
+  const { tree, warnings, orphans, skipped, migratedFrom, files } = result;
+
+  return (
+    <div className="person-form-overlay">
+      <div className="person-form import-summary">
+        <h3>Import Summary</h3>
+
+        <ul className="import-counts">
+          <li><strong>{tree.people.length}</strong> people</li>
+          <li><strong>{tree.relationships.length}</strong> relationships</li>
+          {files && files.size > 0 && (
+            <li><strong>{files.size}</strong> photos and documents</li>
+          )}
+          {orphans.length > 0 && (
+            <li className="import-warning">
+              <strong>{orphans.length}</strong> orphaned relationships dropped
+            </li>
+          )}
+          {skipped.length > 0 && (
+            <li className="import-warning">
+              <strong>{skipped.length}</strong> GEDCOM records skipped
+            </li>
+          )}
+          {migratedFrom !== undefined && (
+            <li>Upgraded from schema version {migratedFrom}</li>
+          )}
+        </ul>
+
+        {warnings.length > 0 && (
+          <section>
+            <h4>Warnings</h4>
+            <ul className="import-issues">
+              {warnings.map((warning, index) => (
+                <li key={index}>{warning.record} {warning.message}</li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        {orphans.length > 0 && (
+          <section>
+            <h4>Orphaned relationships</h4>
+            <ul className="import-issues">
+              {orphans.map((orphan, index) => (
+                <li key={index}>{orphan.record}</li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        {skipped.length > 0 && (
+          <section>
+            <h4>Skipped GEDCOM records</h4>
+            <ul className="import-issues">
+              {skipped.map((record, index) => (
+                <li key={index}>
+                  {record.tag}{record.xref ? ` ${record.xref}` : ''}: {record.reason}
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        <p className="import-note">Importing replaces the current tree.</p>
+
+        <div className="form-actions">
+          <button type="button" onClick={onCancel} className="cancel-btn">
+            Cancel
+          </button>
+          <button type="button" onClick={onConfirm} className="submit-btn" autoFocus>
+            Replace Tree
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
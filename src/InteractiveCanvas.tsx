@@ -1,11 +1,35 @@
-import React, { useState, useRef, useCallback, useEffect } from 'react';
+import React, { useState, useRef, useCallback, useEffect, useLayoutEffect } from 'react';
+import type { CanvasRect } from './selection';
 
 interface InteractiveCanvasProps {
-  children: React.ReactNode | ((canvasState: { canvasRef: React.RefObject<HTMLDivElement | null>; zoom: number; pan: { x: number; y: number } }) => React.ReactNode);
+  children: React.ReactNode | ((canvasState: CanvasState) => React.ReactNode);
   onCanvasClick?: (x: number, y: number) => void;
   className?: string;
   disableCanvasClick?: boolean;
   onResetViewReady?: (resetFn: () => void) => void;
+  // Receives a function that smoothly centres the view on a canvas point
+  onFocusReady?: (focusFn: (x: number, y: number) => void) => void;
+  // Receives a function that jumps straight to a saved zoom/pan
+  onSetViewReady?: (setViewFn: (view: CanvasView) => void) => void;
+  onViewChange?: (view: CanvasView) => void;
+  describedBy?: string; // id of the keyboard help, read out by screen readers
+  // Shift+drag on the background draws a selection rectangle, reported in canvas coordinates;
+  // `additive` when Ctrl/Cmd was also held
+  onMarqueeSelect?: (rect: CanvasRect, additive: boolean) => void;
+  // Drawn over the canvas, outside the zoom and pan (the minimap); `panTo` moves the view
+  overlay?: (canvasState: CanvasState, panTo: (pan: { x: number; y: number }) => void) => React.ReactNode;
+  hidden?: boolean; // out of sight but still mounted, keeping its zoom and pan
+}
+
+export interface CanvasView {
+  zoom: number;
+  pan: { x: number; y: number };
+}
+
+// What the content is drawn with; `size` is the visible area in screen pixels
+export interface CanvasState extends CanvasView {
+  canvasRef: React.RefObject<HTMLDivElement | null>;
+  size: { width: number; height: number };
 }
 
 // Utility function to detect mobile devices
@@ -19,7 +43,14 @@ export const InteractiveCanvas: React.FC<InteractiveCanvasProps> = ({
   onCanvasClick,
   className = '',
   disableCanvasClick = false,
-  onResetViewReady
+  onResetViewReady,
+  onFocusReady,
+  onSetViewReady,
+  onViewChange,
+  describedBy,
+  onMarqueeSelect,
+  overlay,
+  hidden
 }) => {
   const [zoom, setZoom] = useState(1);
   const [pan, setPan] = useState({ x: 0, y: 0 });
@@ -27,10 +58,24 @@ export const InteractiveCanvas: React.FC<InteractiveCanvasProps> = ({
   const [lastPanPoint, setLastPanPoint] = useState({ x: 0, y: 0 });
   const [isTouch, setIsTouch] = useState(false);
   const [lastTouchDistance, setLastTouchDistance] = useState(0);
+  // Selection rectangle being drawn, in pixels from the canvas's top left
+  const [marquee, setMarquee] = useState<{ from: { x: number; y: number }; to: { x: number; y: number }; additive: boolean } | null>(null);
+  const [size, setSize] = useState({ width: 0, height: 0 });
   const canvasRef = useRef<HTMLDivElement>(null);
+  const viewRef = useRef({ zoom, pan });
+  const animationRef = useRef<number | null>(null);
+  viewRef.current = { zoom, pan };
+
+  const stopAnimation = () => {
+    if (animationRef.current !== null) {
+      cancelAnimationFrame(animationRef.current);
+      animationRef.current = null;
+    }
+  };
 
   const handleWheel = useCallback((e: React.WheelEvent) => {
     e.preventDefault();
+    stopAnimation();
     
     if (e.ctrlKey || e.metaKey) {
       // Pan when holding Ctrl/Cmd
@@ -61,11 +106,19 @@ export const InteractiveCanvas: React.FC<InteractiveCanvasProps> = ({
   }, [zoom, pan]);
 
   const handleMouseDown = useCallback((e: React.MouseEvent) => {
+    stopAnimation();
     if (e.button === 1 || (e.button === 0 && e.altKey)) {
       // Middle mouse or Alt+click for panning
       e.preventDefault();
       setIsPanning(true);
       setLastPanPoint({ x: e.clientX, y: e.clientY });
+    } else if (e.button === 0 && e.shiftKey && onMarqueeSelect) {
+      const target = e.target as HTMLElement;
+      const rect = canvasRef.current?.getBoundingClientRect();
+      if (!rect || !(target.classList.contains('interactive-canvas') || target.classList.contains('canvas-content'))) return;
+      e.preventDefault();
+      const point = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+      setMarquee({ from: point, to: point, additive: e.ctrlKey || e.metaKey });
     } else if (e.button === 0 && !disableCanvasClick) {
       // Left click on canvas (check if click is on canvas or canvas-content)
       const target = e.target as HTMLElement;
@@ -104,7 +157,44 @@ export const InteractiveCanvas: React.FC<InteractiveCanvasProps> = ({
         setLastPanPoint({ x: e.clientX, y: e.clientY });
       }
     }
-  }, [pan, zoom, onCanvasClick, disableCanvasClick, className]);
+  }, [pan, zoom, onCanvasClick, disableCanvasClick, className, onMarqueeSelect]);
+
+  const isDrawingMarquee = marquee !== null;
+  useEffect(() => {
+    if (!isDrawingMarquee) return;
+    const pointOf = (e: MouseEvent) => {
+      const rect = canvasRef.current?.getBoundingClientRect();
+      return rect ? { x: e.clientX - rect.left, y: e.clientY - rect.top } : null;
+    };
+    const handleMove = (e: MouseEvent) => {
+      const point = pointOf(e);
+      if (point) setMarquee(prev => prev && { ...prev, to: point });
+    };
+    const handleUp = (e: MouseEvent) => {
+      const point = pointOf(e);
+      setMarquee(prev => {
+        if (prev && point) {
+          // Screen pixels to canvas coordinates at the current zoom and pan
+          const { zoom: z, pan: p } = viewRef.current;
+          const left = Math.min(prev.from.x, point.x);
+          const top = Math.min(prev.from.y, point.y);
+          onMarqueeSelect?.({
+            x: (left - p.x) / z,
+            y: (top - p.y) / z,
+            width: Math.abs(point.x - prev.from.x) / z,
+            height: Math.abs(point.y - prev.from.y) / z
+          }, prev.additive);
+        }
+        return null;
+      });
+    };
+    document.addEventListener('mousemove', handleMove);
+    document.addEventListener('mouseup', handleUp);
+    return () => {
+      document.removeEventListener('mousemove', handleMove);
+      document.removeEventListener('mouseup', handleUp);
+    };
+  }, [isDrawingMarquee, onMarqueeSelect]);
 
   const handleMouseMove = useCallback((e: React.MouseEvent) => {
     if (isPanning) {
@@ -152,6 +242,7 @@ export const InteractiveCanvas: React.FC<InteractiveCanvasProps> = ({
 
   const handleTouchStart = useCallback((e: React.TouchEvent) => {
     setIsTouch(true);
+    stopAnimation();
     
     if (e.touches.length === 1) {
       // Single touch - start panning or handle tap
@@ -261,6 +352,45 @@ export const InteractiveCanvas: React.FC<InteractiveCanvasProps> = ({
     setPan({ x: 0, y: 0 });
   }, []);
 
+  // Glides to centre (x, y), zooming in to at least 100% on the way
+  const focusOn = useCallback((x: number, y: number) => {
+    const rect = canvasRef.current?.getBoundingClientRect();
+    if (!rect) return;
+
+    stopAnimation();
+    const from = viewRef.current;
+    const toZoom = Math.max(from.zoom, 1);
+    const toPan = { x: rect.width / 2 - x * toZoom, y: rect.height / 2 - y * toZoom };
+    const duration = 400;
+    let start: number | null = null;
+
+    const step = (time: number) => {
+      if (start === null) start = time;
+      const t = Math.min(1, (time - start) / duration);
+      const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+      setZoom(from.zoom + (toZoom - from.zoom) * eased);
+      setPan({
+        x: from.pan.x + (toPan.x - from.pan.x) * eased,
+        y: from.pan.y + (toPan.y - from.pan.y) * eased
+      });
+      animationRef.current = t < 1 ? requestAnimationFrame(step) : null;
+    };
+    animationRef.current = requestAnimationFrame(step);
+  }, []);
+
+  useEffect(() => stopAnimation, []);
+
+  const setView = useCallback((view: CanvasView) => {
+    stopAnimation();
+    setZoom(view.zoom);
+    setPan(view.pan);
+  }, []);
+
+  const panTo = useCallback((to: { x: number; y: number }) => {
+    stopAnimation();
+    setPan(to);
+  }, []);
+
   const zoomIn = useCallback(() => {
     setZoom(prev => Math.min(3, prev * 1.2));
   }, []);
@@ -269,6 +399,22 @@ export const InteractiveCanvas: React.FC<InteractiveCanvasProps> = ({
     setZoom(prev => Math.max(0.1, prev / 1.2));
   }, []);
 
+  // + / - / 0 zoom from anywhere in the canvas except form fields
+  const handleKeyDown = useCallback((e: React.KeyboardEvent) => {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if ((e.target as HTMLElement).closest('input, textarea, select')) return;
+    if (e.key === '+' || e.key === '=') {
+      zoomIn();
+    } else if (e.key === '-') {
+      zoomOut();
+    } else if (e.key === '0') {
+      resetView();
+    } else {
+      return;
+    }
+    e.preventDefault();
+  }, [zoomIn, zoomOut, resetView]);
+
   useEffect(() => {
     const handleGlobalMouseUp = () => setIsPanning(false);
     const handleGlobalMouseMove = (e: MouseEvent) => {
@@ -306,14 +452,46 @@ export const InteractiveCanvas: React.FC<InteractiveCanvasProps> = ({
     }
   }, [onResetViewReady, returnToOrigin]);
 
+  useEffect(() => {
+    onFocusReady?.(focusOn);
+  }, [onFocusReady, focusOn]);
+
+  useEffect(() => {
+    onSetViewReady?.(setView);
+  }, [onSetViewReady, setView]);
+
+  // Measured before paint, so culled content doesn't flash in on the first frame
+  useLayoutEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const measure = () => setSize(prev => (prev.width === canvas.clientWidth && prev.height === canvas.clientHeight
+      ? prev
+      : { width: canvas.clientWidth, height: canvas.clientHeight }));
+    measure();
+    if (typeof ResizeObserver === 'undefined') {
+      window.addEventListener('resize', measure);
+      return () => window.removeEventListener('resize', measure);
+    }
+    const observer = new ResizeObserver(measure);
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, []);
+
+  // Only real zoom/pan changes are reported, not a new callback
+  const onViewChangeRef = useRef(onViewChange);
+  onViewChangeRef.current = onViewChange;
+  useEffect(() => {
+    onViewChangeRef.current?.({ zoom, pan });
+  }, [zoom, pan]);
+
   return (
-    <div className={`interactive-canvas-container ${className} ${isPanning ? 'panning' : ''}`}>
+    <div className={`interactive-canvas-container ${className} ${isPanning ? 'panning' : ''}`} hidden={hidden}>
       <div className="canvas-controls">
-        <button onClick={zoomIn} title="Zoom In">+</button>
+        <button onClick={zoomIn} title="Zoom In" aria-label="Zoom in">+</button>
         <span className="zoom-indicator">{Math.round(zoom * 100)}%</span>
-        <button onClick={zoomOut} title="Zoom Out">-</button>
-        <button onClick={resetView} title="Reset View">⌂</button>
-        <button onClick={returnToOrigin} title="Return to Origin">⊙</button>
+        <button onClick={zoomOut} title="Zoom Out" aria-label="Zoom out">-</button>
+        <button onClick={resetView} title="Reset View" aria-label="Reset view">⌂</button>
+        <button onClick={returnToOrigin} title="Return to Origin" aria-label="Return to origin">⊙</button>
       </div>
       
       <div
@@ -326,6 +504,10 @@ export const InteractiveCanvas: React.FC<InteractiveCanvasProps> = ({
         onTouchStart={handleTouchStart}
         onTouchMove={handleTouchMove}
         onTouchEnd={handleTouchEnd}
+        onKeyDown={handleKeyDown}
+        role="application"
+        aria-label="Family tree"
+        aria-describedby={describedBy}
       >
         <div
           className="canvas-content"
@@ -335,17 +517,30 @@ export const InteractiveCanvas: React.FC<InteractiveCanvasProps> = ({
           }}
         >
           {typeof children === 'function' 
-            ? children({ canvasRef, zoom, pan })
+            ? children({ canvasRef, zoom, pan, size })
             : children
           }
         </div>
+        {marquee && (
+          <div
+            className="selection-marquee"
+            style={{
+              left: Math.min(marquee.from.x, marquee.to.x),
+              top: Math.min(marquee.from.y, marquee.to.y),
+              width: Math.abs(marquee.to.x - marquee.from.x),
+              height: Math.abs(marquee.to.y - marquee.from.y)
+            }}
+          />
+        )}
       </div>
       
+      {overlay?.({ canvasRef, zoom, pan, size }, panTo)}
+      
       <div className="navigation-help">
         <small>
           {isMobile() 
             ? "Touch: Pan • Pinch: Zoom" 
-            : "Drag: Pan • Scroll: Zoom • Ctrl+Scroll: Pan • Alt+Click: Pan"
+            : "Drag: Pan • Scroll: Zoom • Ctrl+Scroll: Pan • Alt+Click: Pan • Shift+Drag: Select • ?: Keyboard shortcuts"
           }
         </small>
       </div>
@@ -0,0 +1,27 @@
+import React from 'react';
+import { KEYBOARD_SHORTCUTS } from './canvasKeys';
+
+interface KeyboardHelpProps {
+  id: string;
+  open: boolean; // kept in the page while closed so screen readers can read it as the canvas description
+  onClose: () => void;
+}
+
+export const KeyboardHelp: React.FC<KeyboardHelpProps> = ({ id, open, onClose }) => (
+  <div className="keyboard-help" id={id} hidden={!open} role="dialog" aria-label="Keyboard shortcuts">
+    <div className="kinship-header">
+      <h4>Keyboard shortcuts</h4>
+      <button type="button" onClick={onClose} className="kinship-close" title="Close">
+        ×
+      </button>
+    </div>
+    <dl>
+      {KEYBOARD_SHORTCUTS.map(({ keys, action }) => (
+        <React.Fragment key={keys}>
+          <dt>{keys}</dt>
+          <dd>{action}</dd>
+        </React.Fragment>
+      ))}
+    </dl>
+  </div>
+);
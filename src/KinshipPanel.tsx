@@ -0,0 +1,50 @@
+import React from 'react';
+import { Person } from './types';
+import { Kinship } from './kinship';
+
+interface KinshipPanelProps {
+  from: Person;
+  to: Person;
+  kinship: Kinship | null;
+  people: Person[];
+  onSwap: () => void;
+  onClose: () => void;
+}
+
+export const KinshipPanel: React.FC<KinshipPanelProps> = ({ from, to, kinship, people, onSwap, onClose }) => {
+  const nameOf = (id: string) => people.find(p => p.id === id)?.name || id;
+
+  return (
+    <div className="kinship-panel" role="dialog" aria-label="Relationship">
+      <div className="kinship-header">
+        <h4>Relationship</h4>
+        <button type="button" onClick={onClose} className="kinship-close" title="Close">
+          ×
+        </button>
+      </div>
+
+      {kinship ? (
+        <>
+          <p className="kinship-term">
+            <strong>{from.name}</strong> is <strong>{to.name}</strong>'s {kinship.term}.
+          </p>
+          {kinship.commonAncestors.length > 0 && (
+            <p className="kinship-ancestors">
+              Common ancestor{kinship.commonAncestors.length > 1 ? 's' : ''}:{' '}
+              {kinship.commonAncestors.map(nameOf).join(' & ')}
+            </p>
+          )}
+        </>
+      ) : (
+        <p className="kinship-term">
+          No connection between <strong>{from.name}</strong> and <strong>{to.name}</strong> through
+          parent or spouse links in this tree.
+        </p>
+      )}
+
+      <button type="button" onClick={onSwap}>
+        ⇄ Other way round
+      </button>
+    </div>
+  );
+};
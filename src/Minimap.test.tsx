@@ -0,0 +1,32 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { Minimap } from './Minimap';
+import { Person } from './types';
+
+const person = (id: string, x: number, y: number): Person => ({ id, name: id, x, y });
+
+// Two people 1000 apart, with the padding, fill the 200px-wide map at 200/1350 scale
+const people = [person('a', 0, 0), person('b', 1000, 0)];
+const view = { canvasRef: { current: null }, zoom: 1, pan: { x: 0, y: 0 }, size: { width: 800, height: 600 } };
+
+beforeEach(() => localStorage.clear());
+
+test('centres the view on the point clicked in the map', () => {
+  const onPan = jest.fn();
+  render(<Minimap people={people} relationships={[]} selection={[]} view={view} onPan={onPan} />);
+
+  // The map's left edge is canvas x -100, so 100px in is canvas x 575; that is put in the middle
+  fireEvent.mouseDown(screen.getByRole('img', { name: /Minimap of 2 people/ }), { button: 0, clientX: 100, clientY: 70 });
+  const [{ x }] = onPan.mock.calls[0];
+  expect(x).toBeCloseTo(400 - 575);
+});
+
+test('can be collapsed, and stays so', () => {
+  const { unmount } = render(<Minimap people={people} relationships={[]} selection={[]} view={view} onPan={() => {}} />);
+  fireEvent.click(screen.getByRole('button', { name: /Map/ }));
+  expect(screen.queryByRole('img')).toBeNull();
+  unmount();
+
+  render(<Minimap people={people} relationships={[]} selection={[]} view={view} onPan={() => {}} />);
+  expect(screen.getByRole('button', { name: /Map/ })).toHaveAttribute('aria-expanded', 'false');
+});
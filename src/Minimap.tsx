@@ -0,0 +1,152 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Person, Relationship } from './types';
+import type { CanvasState } from './InteractiveCanvas';
+import { NODE_HEIGHT, NODE_WIDTH } from './selection';
+import { loadMinimapOpen, saveMinimapOpen } from './shared/storage';
+
+interface MinimapProps {
+  people: Person[];
+  relationships: Relationship[];
+  selection: string[];
+  view: CanvasState;
+  onPan: (pan: { x: number; y: number }) => void;
+}
+
+const MAP_WIDTH = 200;
+const MAP_HEIGHT = 140;
+const PADDING = 100; // canvas units around the outermost people
+
+interface MapLayout {
+  left: number;
+  top: number;
+  scale: number;
+  offsetX: number;
+  offsetY: number;
+}
+
+const toMapX = (layout: MapLayout, x: number) => (x - layout.left) * layout.scale + layout.offsetX;
+const toMapY = (layout: MapLayout, y: number) => (y - layout.top) * layout.scale + layout.offsetY;
+
+// Closed by default on phone-sized screens until the user opens it
+const startsOpen = () => loadMinimapOpen() ?? window.innerWidth > 640;
+
+// Everyone as a dot and every link as a thin line, scaled to fit the map,
+// with the visible part of the canvas outlined. Clicking or dragging on the
+// map centres the view there.
+export const Minimap: React.FC<MinimapProps> = ({ people, relationships, selection, view, onPan }) => {
+  const [open, setOpen] = useState(startsOpen);
+  const [dragging, setDragging] = useState(false);
+  const svgRef = useRef<SVGSVGElement>(null);
+
+  // Only changes when people move, so panning doesn't rebuild the paths
+  const layout = useMemo((): MapLayout => {
+    const xs = people.map(p => p.x);
+    const ys = people.map(p => p.y);
+    const left = (xs.length ? Math.min(...xs) : 0) - PADDING;
+    const top = (ys.length ? Math.min(...ys) : 0) - PADDING;
+    const width = (xs.length ? Math.max(...xs) : 0) + NODE_WIDTH + PADDING - left;
+    const height = (ys.length ? Math.max(...ys) : 0) + NODE_HEIGHT + PADDING - top;
+    const scale = Math.min(MAP_WIDTH / width, MAP_HEIGHT / height);
+    return {
+      left,
+      top,
+      scale,
+      offsetX: (MAP_WIDTH - width * scale) / 2,
+      offsetY: (MAP_HEIGHT - height * scale) / 2
+    };
+  }, [people]);
+
+  // One path each for the links and the dots: a zero-length segment with round caps draws a dot
+  const paths = useMemo(() => {
+    const byId = new Map(people.map(p => [p.id, p]));
+    const centre = (p: Person) => `${toMapX(layout, p.x + NODE_WIDTH / 2).toFixed(1)} ${toMapY(layout, p.y + NODE_HEIGHT / 2).toFixed(1)}`;
+    const dots = (list: Person[]) => list.map(p => `M${centre(p)}h0`).join('');
+    const chosen = new Set(selection);
+    return {
+      links: relationships.map(r => {
+        const from = byId.get(r.from);
+        const to = byId.get(r.to);
+        return from && to ? `M${centre(from)}L${centre(to)}` : '';
+      }).join(''),
+      people: dots(people.filter(p => !chosen.has(p.id))),
+      selected: dots(people.filter(p => chosen.has(p.id)))
+    };
+  }, [people, relationships, selection, layout]);
+
+  // The view outline is kept on the map, so it shows which way the tree is when scrolled off it
+  const { zoom, pan, size } = view;
+  const viewLeft = Math.min(Math.max(toMapX(layout, -pan.x / zoom), 0), MAP_WIDTH - 4);
+  const viewTop = Math.min(Math.max(toMapY(layout, -pan.y / zoom), 0), MAP_HEIGHT - 4);
+  const viewRight = Math.max(Math.min(toMapX(layout, (size.width - pan.x) / zoom), MAP_WIDTH), viewLeft + 4);
+  const viewBottom = Math.max(Math.min(toMapY(layout, (size.height - pan.y) / zoom), MAP_HEIGHT), viewTop + 4);
+
+  const centreOn = (clientX: number, clientY: number) => {
+    const rect = svgRef.current?.getBoundingClientRect();
+    if (!rect) return;
+    const x = (clientX - rect.left - layout.offsetX) / layout.scale + layout.left;
+    const y = (clientY - rect.top - layout.offsetY) / layout.scale + layout.top;
+    onPan({ x: size.width / 2 - x * zoom, y: size.height / 2 - y * zoom });
+  };
+  const centreOnRef = useRef(centreOn);
+  centreOnRef.current = centreOn;
+
+  // Dragging carries on outside the map, like panning the canvas
+  useEffect(() => {
+    if (!dragging) return;
+    const handleMove = (e: MouseEvent) => centreOnRef.current(e.clientX, e.clientY);
+    const handleUp = () => setDragging(false);
+    document.addEventListener('mousemove', handleMove);
+    document.addEventListener('mouseup', handleUp);
+    return () => {
+      document.removeEventListener('mousemove', handleMove);
+      document.removeEventListener('mouseup', handleUp);
+    };
+  }, [dragging]);
+
+  const toggle = () => {
+    setOpen(!open);
+    saveMinimapOpen(!open);
+  };
+
+  return (
+    <div className={`minimap ${open ? 'open' : 'collapsed'}`}>
+      <button
+        type="button"
+        className="minimap-toggle"
+        onClick={toggle}
+        aria-expanded={open}
+        title={open ? 'Hide the minimap' : 'Show the minimap'}
+      >
+        {open ? '▾ Map' : '▸ Map'}
+      </button>
+      {open && (
+        <svg
+          width={MAP_WIDTH}
+          height={MAP_HEIGHT}
+          role="img"
+          aria-label={`Minimap of ${people.length} people. Click to move the view there`}
+          ref={svgRef}
+          onMouseDown={(e) => {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            centreOn(e.clientX, e.clientY);
+            setDragging(true);
+          }}
+          onTouchStart={(e) => centreOn(e.touches[0].clientX, e.touches[0].clientY)}
+          onTouchMove={(e) => centreOn(e.touches[0].clientX, e.touches[0].clientY)}
+        >
+          <path d={paths.links} className="minimap-links" />
+          <path d={paths.people} className="minimap-people" />
+          <path d={paths.selected} className="minimap-people selected" />
+          <rect
+            className="minimap-view"
+            x={viewLeft}
+            y={viewTop}
+            width={viewRight - viewLeft}
+            height={viewBottom - viewTop}
+          />
+        </svg>
+      )}
+    </div>
+  );
+};
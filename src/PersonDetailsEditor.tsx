@@ -0,0 +1,216 @@
+import React from 'react';
+import { LifeEvent, LifeEventType, NameType, Person, Source } from './types';
+import { AttachmentGallery } from './AttachmentGallery';
+import { CitationEditor } from './CitationEditor';
+import { DateInput } from './DateInput';
+import { EVENT_TYPES, NAME_TYPES, VITAL_EVENTS, eventKind, findEvent, updateVitalEvent, vitalEventIndexes } from './shared/person';
+
+export type PersonDetails = Pick<Person, 'names' | 'events' | 'notes' | 'attachments' | 'avatar' | 'citations'>;
+
+interface PersonDetailsEditorProps {
+  details: PersonDetails;
+  sources: Source[];
+  // `newSource` was created while citing and has to be added to the tree along with the change
+  onChange: (changes: PersonDetails, newSource?: Source) => void;
+  compact?: boolean; // on the card: everything but birth and death folds away
+}
+
+const DESCRIPTION_HINTS: Partial<Record<LifeEventType, string>> = {
+  occupation: 'Occupation',
+  education: 'School or qualification',
+  other: 'What happened'
+};
+
+// Birth and death have their own rows, so they're only offered for events that already are one
+const typeOptions = (current: LifeEventType) =>
+  EVENT_TYPES.filter(kind => kind.type === current || !VITAL_EVENTS.includes(kind.type));
+
+export const PersonDetailsEditor: React.FC<PersonDetailsEditorProps> = ({ details, sources, onChange, compact = false }) => {
+  const names = details.names || [];
+  const events = details.events || [];
+  const vitalIndexes = vitalEventIndexes(events);
+
+  const setVital = (type: LifeEventType, changes: Partial<LifeEvent>, newSource?: Source) => {
+    onChange({ events: updateVitalEvent(events, type, changes) }, newSource);
+  };
+
+  const setName = (index: number, changes: { type?: NameType; value?: string }) => {
+    onChange({ names: names.map((name, i) => (i === index ? { ...name, ...changes } : name)) });
+  };
+
+  const setEvent = (index: number, changes: Partial<LifeEvent>, newSource?: Source) => {
+    onChange({ events: events.map((event, i) => (i === index ? { ...event, ...changes } : event)) }, newSource);
+  };
+
+  const vitals = (['birth', 'death'] as const).map(type => {
+    const event = findEvent(details, type);
+    const label = type === 'birth' ? 'Birth' : 'Death';
+    return (
+      <div className="form-group details-vital" key={type}>
+        <div className="details-row">
+          <label>{label}</label>
+          <DateInput
+            value={event?.date}
+            onChange={(date) => setVital(type, { date })}
+            label={`${label} date`}
+          />
+          <input
+            type="text"
+            value={event?.place || ''}
+            onChange={(e) => setVital(type, { place: e.target.value })}
+            placeholder="Place"
+            aria-label={`${label} place`}
+          />
+        </div>
+        <CitationEditor
+          citations={event?.citations}
+          sources={sources}
+          onChange={(citations, newSource) => setVital(type, { citations }, newSource)}
+        />
+      </div>
+    );
+  });
+
+  const more = (
+    <>
+      <div className="details-section">
+        <h4>Other names</h4>
+        {names.map((name, index) => (
+          <div className="details-row" key={index}>
+            <select
+              value={name.type}
+              onChange={(e) => setName(index, { type: e.target.value as NameType })}
+              aria-label="Name type"
+            >
+              {NAME_TYPES.map(kind => (
+                <option key={kind.type} value={kind.type}>{kind.label}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={name.value}
+              onChange={(e) => setName(index, { value: e.target.value })}
+              placeholder="Name"
+              aria-label="Other name"
+            />
+            <button
+              type="button"
+              className="details-remove"
+              onClick={() => onChange({ names: names.filter((_, i) => i !== index) })}
+              title="Remove name"
+            >
+              ×
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          className="details-add"
+          onClick={() => onChange({ names: [...names, { type: 'birth', value: '' }] })}
+        >
+          + Add name
+        </button>
+      </div>
+
+      <div className="details-section">
+        <h4>Life events</h4>
+        {events.map((event, index) => vitalIndexes.has(index) ? null : (
+          <div className="details-event" key={index}>
+            <div className="details-row">
+              <select
+                value={event.type}
+                onChange={(e) => setEvent(index, { type: e.target.value as LifeEventType })}
+                aria-label="Event type"
+              >
+                {typeOptions(event.type).map(kind => (
+                  <option key={kind.type} value={kind.type}>{kind.label}</option>
+                ))}
+              </select>
+              <DateInput
+                value={event.date}
+                onChange={(date) => setEvent(index, { date })}
+                label="Event date"
+              />
+              <button
+                type="button"
+                className="details-remove"
+                onClick={() => onChange({ events: events.filter((_, i) => i !== index) })}
+                title="Remove event"
+              >
+                ×
+              </button>
+            </div>
+            <div className="details-row">
+              {eventKind(event.type).described && (
+                <input
+                  type="text"
+                  value={event.description || ''}
+                  onChange={(e) => setEvent(index, { description: e.target.value || undefined })}
+                  placeholder={DESCRIPTION_HINTS[event.type]}
+                  aria-label="Event description"
+                />
+              )}
+              <input
+                type="text"
+                value={event.place || ''}
+                onChange={(e) => setEvent(index, { place: e.target.value || undefined })}
+                placeholder="Place"
+                aria-label="Event place"
+              />
+            </div>
+            <CitationEditor
+              citations={event.citations}
+              sources={sources}
+              onChange={(citations, newSource) => setEvent(index, { citations }, newSource)}
+            />
+          </div>
+        ))}
+        <button
+          type="button"
+          className="details-add"
+          onClick={() => onChange({ events: [...events, { type: 'occupation' }] })}
+        >
+          + Add event
+        </button>
+      </div>
+
+      <div className="details-section">
+        <h4>Sources for the person</h4>
+        <CitationEditor
+          citations={details.citations}
+          sources={sources}
+          onChange={(citations, newSource) => onChange({ citations }, newSource)}
+          withField
+        />
+      </div>
+
+      <div className="form-group details-section">
+        <h4>Notes</h4>
+        <textarea
+          value={details.notes || ''}
+          onChange={(e) => onChange({ notes: e.target.value || undefined })}
+          rows={compact ? 3 : 4}
+          aria-label="Notes"
+        />
+      </div>
+
+      <AttachmentGallery
+        attachments={details.attachments || []}
+        avatar={details.avatar}
+        onChange={onChange}
+      />
+    </>
+  );
+
+  return (
+    <div className={`person-details${compact ? ' compact' : ''}`}>
+      {vitals}
+      {compact ? (
+        <details>
+          <summary>Names, events, sources, notes &amp; files</summary>
+          {more}
+        </details>
+      ) : more}
+    </div>
+  );
+};
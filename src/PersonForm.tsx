@@ -1,19 +1,23 @@
 import React, { useState } from 'react';
-import { Person } from './types';
+import { Person, Source } from './types';
+import { PersonDetails, PersonDetailsEditor } from './PersonDetailsEditor';
+import { tidyDetails } from './shared/person';
 
 interface PersonFormProps {
-  onSubmit: (person: Omit<Person, 'id'>) => void;
+  sources: Source[];
+  // `newSources` were created while citing and are added to the tree with the person
+  onSubmit: (person: Omit<Person, 'id'>, newSources: Source[]) => void;
   onCancel: () => void;
   position: { x: number; y: number };
 }
 
-export const PersonForm: React.FC<PersonFormProps> = ({ onSubmit, onCancel, position }) => {
+export const PersonForm: React.FC<PersonFormProps> = ({ sources, onSubmit, onCancel, position }) => {
   const [formData, setFormData] = useState({
     name: '',
-    birthDate: '',
-    deathDate: '',
     gender: '' as Person['gender'] | ''
   });
+  const [details, setDetails] = useState<PersonDetails>({});
+  const [newSources, setNewSources] = useState<Source[]>([]);
 
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
@@ -25,12 +29,11 @@ export const PersonForm: React.FC<PersonFormProps> = ({ onSubmit, onCancel, posi
 
     onSubmit({
       name: formData.name.trim(),
-      birthDate: formData.birthDate || undefined,
-      deathDate: formData.deathDate || undefined,
+      ...tidyDetails(details),
       gender: formData.gender || undefined,
       x: position.x,
       y: position.y
-    });
+    }, newSources);
   };
 
   const handleChange = (field: string, value: string) => {
@@ -39,8 +42,15 @@ export const PersonForm: React.FC<PersonFormProps> = ({ onSubmit, onCancel, posi
 
   return (
     <div className="person-form-overlay">
-      <form className="person-form" onSubmit={handleSubmit}>
-        <h3>Add New Person</h3>
+      <form
+        className="person-form person-form-wide"
+        onSubmit={handleSubmit}
+        onKeyDown={(e) => e.key === 'Escape' && onCancel()}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="person-form-title"
+      >
+        <h3 id="person-form-title">Add New Person</h3>
         
         <div className="form-group">
           <label htmlFor="name">Name *</label>
@@ -55,26 +65,6 @@ export const PersonForm: React.FC<PersonFormProps> = ({ onSubmit, onCancel, posi
           />
         </div>
 
-        <div className="form-group">
-          <label htmlFor="birthDate">Birth Date</label>
-          <input
-            id="birthDate"
-            type="date"
-            value={formData.birthDate}
-            onChange={(e) => handleChange('birthDate', e.target.value)}
-          />
-        </div>
-
-        <div className="form-group">
-          <label htmlFor="deathDate">Death Date</label>
-          <input
-            id="deathDate"
-            type="date"
-            value={formData.deathDate}
-            onChange={(e) => handleChange('deathDate', e.target.value)}
-          />
-        </div>
-
         <div className="form-group">
           <label htmlFor="gender">Gender</label>
           <select
@@ -89,6 +79,15 @@ export const PersonForm: React.FC<PersonFormProps> = ({ onSubmit, onCancel, posi
           </select>
         </div>
 
+        <PersonDetailsEditor
+          details={details}
+          sources={[...sources, ...newSources]}
+          onChange={(changes, newSource) => {
+            setDetails(prev => ({ ...prev, ...changes }));
+            if (newSource) setNewSources(prev => [...prev, newSource]);
+          }}
+        />
+
         <div className="form-actions">
           <button type="button" onClick={onCancel} className="cancel-btn">
             Cancel
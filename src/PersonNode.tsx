@@ -1,5 +1,12 @@
-import React, { useState, useCallback } from 'react';
-import { Person, Relationship } from './types';
+import React, { useState, useCallback, useRef } from 'react';
+import { Person, ConnectionType, Source } from './types';
+import { PersonDetailsEditor } from './PersonDetailsEditor';
+import { avatarOf, keyFacts, tidyDetails } from './shared/person';
+import { personYears } from './shared/search';
+import { unsourcedFacts } from './shared/sources';
+import type { TreeProblem } from './shared/consistency';
+import { useAttachmentUrl } from './useAttachmentUrl';
+import { NodeKeyCommand, nodeKeyCommand } from './canvasKeys';
 
 // Utility function to detect mobile devices
 const isMobile = () => {
@@ -9,32 +16,58 @@ const isMobile = () => {
 
 interface PersonNodeProps {
   person: Person;
-  onPersonUpdate: (person: Person) => void;
+  sources: Source[];
+  // `newSource` was created while citing and is added to the tree in the same update
+  onPersonUpdate: (person: Person, newSource?: Source) => void;
+  // Drags and Shift+arrows; the canvas brings the rest of a multi-selection along
+  onPersonMove: (id: string, x: number, y: number) => void;
   onPersonDelete: (id: string) => void;
   isSelected: boolean;
-  onSelect: () => void;
+  isHighlighted?: boolean; // on the path shown by the kinship calculator
+  isFlashing?: boolean; // just jumped to from search
+  markUnsourced?: boolean; // flag the name and years when no citation backs them
+  problems?: TreeProblem[]; // what the tree checker found about this person
+  tabbable?: boolean; // the one person Tab reaches; arrow keys move on from there
+  relativesSummary?: string; // "2 parents, 1 spouse", read out by screen readers
+  // `additive` for Shift/Ctrl-click and Shift+Space: add to or take out of the selection
+  onSelect: (personId: string, additive?: boolean) => void;
+  onFocusPerson?: (personId: string) => void;
+  // Keys the canvas handles: going to a relative, connecting, adding, cancelling
+  onKeyCommand?: (personId: string, command: NodeKeyCommand) => void;
   interactionMode: 'navigate' | 'add-person' | 'connect';
-  connectionType: Relationship['type'];
+  connectionType: ConnectionType;
   onConnectionDrag: (personId: string, startPos: { x: number; y: number }, currentPos: { x: number; y: number }) => void;
   onConnectionDragEnd: () => void;
-  canvasRef?: React.RefObject<HTMLDivElement | null>;
-  zoom?: number;
-  pan?: { x: number; y: number };
+  onBatchStart?: () => void;
+  onBatchEnd?: () => void;
+  // Screen to canvas coordinates at the current zoom and pan. Callbacks take the person's id
+  // so the canvas can pass the same functions to every card and unchanged cards skip rendering.
+  screenToCanvas: (screenX: number, screenY: number) => { x: number; y: number };
 }
 
-export const PersonNode: React.FC<PersonNodeProps> = ({
+export const PersonNode = React.memo<PersonNodeProps>(({
   person,
+  sources,
   onPersonUpdate,
+  onPersonMove,
   onPersonDelete,
   isSelected,
+  isHighlighted = false,
+  isFlashing = false,
+  markUnsourced = false,
+  problems = [],
+  tabbable = false,
+  relativesSummary,
   onSelect,
+  onFocusPerson,
+  onKeyCommand,
   interactionMode,
   connectionType,
   onConnectionDrag,
   onConnectionDragEnd,
-  canvasRef,
-  zoom = 1,
-  pan = { x: 0, y: 0 }
+  onBatchStart,
+  onBatchEnd,
+  screenToCanvas
 }) => {
   const [isDragging, setIsDragging] = useState(false);
   const [isConnecting, setIsConnecting] = useState(false);
@@ -42,16 +75,24 @@ export const PersonNode: React.FC<PersonNodeProps> = ({
   const [dragStart, setDragStart] = useState({ x: 0, y: 0 });
   const [longPressTimer, setLongPressTimer] = useState<NodeJS.Timeout | null>(null);
   const [touchStartTime, setTouchStartTime] = useState(0);
+  // Where the finger landed, in screen pixels
+  const touchStartRef = useRef({ x: 0, y: 0 });
+  const avatarUrl = useAttachmentUrl(avatarOf(person)?.id);
+  const unsourced = markUnsourced ? unsourcedFacts(person) : [];
+  const nodeRef = useRef<HTMLDivElement>(null);
+  // Focus goes back to the card when editing from the keyboard ends
+  const returnFocusRef = useRef(false);
 
-  const screenToCanvasCoords = useCallback((screenX: number, screenY: number) => {
-    if (!canvasRef?.current) return { x: screenX, y: screenY };
-    
-    const rect = canvasRef.current.getBoundingClientRect();
-    const canvasX = (screenX - rect.left - pan.x) / zoom;
-    const canvasY = (screenY - rect.top - pan.y) / zoom;
-    
-    return { x: canvasX, y: canvasY };
-  }, [canvasRef, pan, zoom]);
+  // Moves the card under the pointer, keeping the grab point, snapped to the grid
+  const dragTo = useCallback((screenX: number, screenY: number) => {
+    const pointer = screenToCanvas(screenX, screenY);
+    const gridSize = 20;
+    const snappedX = Math.round((pointer.x - dragStart.x) / gridSize) * gridSize;
+    const snappedY = Math.round((pointer.y - dragStart.y) / gridSize) * gridSize;
+    if (snappedX !== person.x || snappedY !== person.y) {
+      onPersonMove(person.id, snappedX, snappedY);
+    }
+  }, [screenToCanvas, dragStart, person.id, person.x, person.y, onPersonMove]);
 
   const handleMouseDown = useCallback((e: React.MouseEvent) => {
     console.log('PersonNode mousedown:', { 
@@ -80,42 +121,35 @@ export const PersonNode: React.FC<PersonNodeProps> = ({
       const centerX = person.x + 75; // center of person node
       const centerY = person.y + 50;
       setDragStart({ x: centerX, y: centerY });
-      const currentPos = screenToCanvasCoords(e.clientX, e.clientY);
+      const currentPos = screenToCanvas(e.clientX, e.clientY);
       console.log('Connection drag positions:', { start: { x: centerX, y: centerY }, current: currentPos });
       onConnectionDrag(person.id, { x: centerX, y: centerY }, currentPos);
+    } else if (e.shiftKey || e.ctrlKey || e.metaKey) {
+      onSelect(person.id, true);
+      return;
     } else if (interactionMode === 'navigate' || interactionMode === 'add-person') {
-      // Start position drag (allowed in both navigate and add-person modes)
+      // Start position drag (allowed in both navigate and add-person modes);
+      // the grab point is kept in canvas coordinates so it holds at any zoom
       setIsDragging(true);
+      const grab = screenToCanvas(e.clientX, e.clientY);
       setDragStart({
-        x: e.clientX - person.x,
-        y: e.clientY - person.y
+        x: grab.x - person.x,
+        y: grab.y - person.y
       });
     }
     
-    onSelect();
-  }, [person.x, person.y, person.id, person.name, interactionMode, isEditing, onSelect, onConnectionDrag, screenToCanvasCoords]);
+    onSelect(person.id);
+  }, [person.x, person.y, person.id, person.name, interactionMode, isEditing, onSelect, onConnectionDrag, screenToCanvas]);
 
   const handleMouseMove = useCallback((e: MouseEvent) => {
     if (isDragging) {
-      const newX = e.clientX - dragStart.x;
-      const newY = e.clientY - dragStart.y;
-      
-      // Snap to grid (optional)
-      const gridSize = 20;
-      const snappedX = Math.round(newX / gridSize) * gridSize;
-      const snappedY = Math.round(newY / gridSize) * gridSize;
-      
-      onPersonUpdate({ 
-        ...person, 
-        x: snappedX, 
-        y: snappedY 
-      });
+      dragTo(e.clientX, e.clientY);
     } else if (isConnecting) {
       // Update connection drag line
-      const currentPos = screenToCanvasCoords(e.clientX, e.clientY);
+      const currentPos = screenToCanvas(e.clientX, e.clientY);
       onConnectionDrag(person.id, dragStart, currentPos);
     }
-  }, [isDragging, isConnecting, dragStart, person, onPersonUpdate, onConnectionDrag, screenToCanvasCoords]);
+  }, [isDragging, isConnecting, dragStart, person.id, dragTo, onConnectionDrag, screenToCanvas]);
 
   const handleMouseUp = useCallback((e: React.MouseEvent) => {
     console.log('PersonNode mouseup:', { person: person.name, isDragging, isConnecting, interactionMode });
@@ -128,9 +162,9 @@ export const PersonNode: React.FC<PersonNodeProps> = ({
     } else if (interactionMode === 'connect') {
       // This person is being targeted for connection
       console.log('Person targeted for connection:', person.name);
-      onSelect(); // This should trigger the connection completion
+      onSelect(person.id); // This should trigger the connection completion
     }
-  }, [isDragging, isConnecting, interactionMode, person.name, onConnectionDragEnd, onSelect]);
+  }, [isDragging, isConnecting, interactionMode, person.id, person.name, onConnectionDragEnd, onSelect]);
 
   const handleGlobalMouseUp = useCallback(() => {
     if (isDragging) {
@@ -147,23 +181,12 @@ export const PersonNode: React.FC<PersonNodeProps> = ({
     const touch = e.touches[0];
     
     if (isDragging) {
-      const newX = touch.clientX - dragStart.x;
-      const newY = touch.clientY - dragStart.y;
-      
-      const gridSize = 20;
-      const snappedX = Math.round(newX / gridSize) * gridSize;
-      const snappedY = Math.round(newY / gridSize) * gridSize;
-      
-      onPersonUpdate({ 
-        ...person, 
-        x: snappedX, 
-        y: snappedY 
-      });
+      dragTo(touch.clientX, touch.clientY);
     } else if (isConnecting) {
-      const currentPos = screenToCanvasCoords(touch.clientX, touch.clientY);
+      const currentPos = screenToCanvas(touch.clientX, touch.clientY);
       onConnectionDrag(person.id, dragStart, currentPos);
     }
-  }, [isDragging, isConnecting, dragStart, person, onPersonUpdate, onConnectionDrag, screenToCanvasCoords]);
+  }, [isDragging, isConnecting, dragStart, person.id, dragTo, onConnectionDrag, screenToCanvas]);
 
   const handleGlobalTouchEnd = useCallback(() => {
     if (isDragging) {
@@ -181,6 +204,7 @@ export const PersonNode: React.FC<PersonNodeProps> = ({
     
     const touch = e.touches[0];
     setTouchStartTime(Date.now());
+    touchStartRef.current = { x: touch.clientX, y: touch.clientY };
     
     // Clear any existing timer
     if (longPressTimer) {
@@ -196,13 +220,14 @@ export const PersonNode: React.FC<PersonNodeProps> = ({
       const centerX = person.x + 75;
       const centerY = person.y + 50;
       setDragStart({ x: centerX, y: centerY });
-      const currentPos = screenToCanvasCoords(touch.clientX, touch.clientY);
+      const currentPos = screenToCanvas(touch.clientX, touch.clientY);
       onConnectionDrag(person.id, { x: centerX, y: centerY }, currentPos);
     } else if (interactionMode === 'navigate' || interactionMode === 'add-person') {
       // Set up for potential drag operation
+      const grab = screenToCanvas(touch.clientX, touch.clientY);
       setDragStart({
-        x: touch.clientX - person.x,
-        y: touch.clientY - person.y
+        x: grab.x - person.x,
+        y: grab.y - person.y
       });
       
       // Set up long press for edit mode (mobile alternative to double-click)
@@ -215,8 +240,8 @@ export const PersonNode: React.FC<PersonNodeProps> = ({
       setLongPressTimer(timer);
     }
     
-    onSelect();
-  }, [person.x, person.y, person.id, interactionMode, isEditing, onSelect, onConnectionDrag, screenToCanvasCoords, longPressTimer]);
+    onSelect(person.id);
+  }, [person.x, person.y, person.id, interactionMode, isEditing, onSelect, onConnectionDrag, screenToCanvas, longPressTimer]);
 
   const handleTouchMove = useCallback((e: React.TouchEvent) => {
     if (e.touches.length !== 1) return;
@@ -227,8 +252,8 @@ export const PersonNode: React.FC<PersonNodeProps> = ({
     
     // Cancel long press if moved too much
     if (longPressTimer) {
-      const deltaX = Math.abs(touch.clientX - (person.x + dragStart.x));
-      const deltaY = Math.abs(touch.clientY - (person.y + dragStart.y));
+      const deltaX = Math.abs(touch.clientX - touchStartRef.current.x);
+      const deltaY = Math.abs(touch.clientY - touchStartRef.current.y);
       
       if (deltaX > moveThreshold || deltaY > moveThreshold) {
         clearTimeout(longPressTimer);
@@ -242,23 +267,12 @@ export const PersonNode: React.FC<PersonNodeProps> = ({
     }
     
     if (isDragging) {
-      const newX = touch.clientX - dragStart.x;
-      const newY = touch.clientY - dragStart.y;
-      
-      const gridSize = 20;
-      const snappedX = Math.round(newX / gridSize) * gridSize;
-      const snappedY = Math.round(newY / gridSize) * gridSize;
-      
-      onPersonUpdate({ 
-        ...person, 
-        x: snappedX, 
-        y: snappedY 
-      });
+      dragTo(touch.clientX, touch.clientY);
     } else if (isConnecting) {
-      const currentPos = screenToCanvasCoords(touch.clientX, touch.clientY);
+      const currentPos = screenToCanvas(touch.clientX, touch.clientY);
       onConnectionDrag(person.id, dragStart, currentPos);
     }
-  }, [isDragging, isConnecting, dragStart, person, onPersonUpdate, onConnectionDrag, screenToCanvasCoords, longPressTimer, touchStartTime, interactionMode]);
+  }, [isDragging, isConnecting, dragStart, person.id, dragTo, onConnectionDrag, screenToCanvas, longPressTimer, touchStartTime, interactionMode]);
 
   const handleTouchEnd = useCallback((e: React.TouchEvent) => {
     // Clear long press timer
@@ -277,9 +291,9 @@ export const PersonNode: React.FC<PersonNodeProps> = ({
       onConnectionDragEnd();
     } else if (interactionMode === 'connect' && touchDuration < 200) {
       // Quick tap in connect mode - target for connection
-      onSelect();
+      onSelect(person.id);
     }
-  }, [isDragging, isConnecting, longPressTimer, touchStartTime, interactionMode, onConnectionDragEnd, onSelect]);
+  }, [isDragging, isConnecting, longPressTimer, touchStartTime, interactionMode, person.id, onConnectionDragEnd, onSelect]);
 
   React.useEffect(() => {
     if (isDragging || isConnecting) {
@@ -297,6 +311,14 @@ export const PersonNode: React.FC<PersonNodeProps> = ({
     }
   }, [isDragging, isConnecting, handleMouseMove, handleGlobalMouseUp, handleGlobalTouchMove, handleGlobalTouchEnd]);
 
+  // A whole drag or edit session is one undo step
+  const isBatching = isDragging || isEditing;
+  React.useEffect(() => {
+    if (!isBatching) return;
+    onBatchStart?.();
+    return () => onBatchEnd?.();
+  }, [isBatching, onBatchStart, onBatchEnd]);
+
   // Cleanup long press timer on unmount
   React.useEffect(() => {
     return () => {
@@ -310,9 +332,6 @@ export const PersonNode: React.FC<PersonNodeProps> = ({
     onPersonUpdate({ ...person, name });
   };
 
-  const handleDateChange = (field: 'birthDate' | 'deathDate', value: string) => {
-    onPersonUpdate({ ...person, [field]: value });
-  };
 
   const handleDoubleClick = useCallback((e: React.MouseEvent) => {
     if (interactionMode === 'navigate' && !isMobile()) {
@@ -322,18 +341,58 @@ export const PersonNode: React.FC<PersonNodeProps> = ({
   }, [interactionMode]);
 
   const handleEditSubmit = useCallback(() => {
+    // Drop name rows and notes that were left blank
+    if (person.names?.some(name => !name.value.trim()) || (person.notes !== undefined && !person.notes.trim())) {
+      onPersonUpdate({ ...person, ...tidyDetails(person) });
+    }
     setIsEditing(false);
-  }, []);
+  }, [person, onPersonUpdate]);
 
-  const formatDateRange = useCallback(() => {
-    const birth = person.birthDate ? new Date(person.birthDate).getFullYear() : '';
-    const death = person.deathDate ? new Date(person.deathDate).getFullYear() : '';
-    
-    if (birth && death) return `${birth} - ${death}`;
-    if (birth) return `b. ${birth}`;
-    if (death) return `d. ${death}`;
-    return '';
-  }, [person.birthDate, person.deathDate]);
+  React.useEffect(() => {
+    if (isEditing || !returnFocusRef.current) return;
+    returnFocusRef.current = false;
+    nodeRef.current?.focus({ preventScroll: true });
+  }, [isEditing]);
+
+  const handleKeyDown = useCallback((e: React.KeyboardEvent) => {
+    if (e.target !== e.currentTarget) return;
+    const command = nodeKeyCommand(e);
+    if (!command) return;
+    e.preventDefault();
+
+    switch (command.type) {
+      case 'edit':
+        // Enter picks the person instead while connecting, as a click would
+        if (interactionMode === 'navigate') {
+          returnFocusRef.current = true;
+          setIsEditing(true);
+        } else {
+          onSelect(person.id);
+        }
+        break;
+      case 'select':
+      case 'toggle':
+        onSelect(person.id, command.type === 'toggle');
+        break;
+      case 'move':
+        onPersonMove(person.id, person.x + command.dx, person.y + command.dy);
+        break;
+      default:
+        // Delete goes to the canvas too, which knows whether others are selected
+        onKeyCommand?.(person.id, command);
+    }
+  }, [interactionMode, person.id, person.x, person.y, onSelect, onPersonMove, onKeyCommand]);
+
+  const describe = () => {
+    const gender = person.gender === 'male' || person.gender === 'female' ? person.gender : '';
+    const problemText = problems.length > 0
+      ? `${problems.length} problem${problems.length === 1 ? '' : 's'}: ${problems.map(p => p.message).join('; ')}`
+      : '';
+    const unsourcedText = unsourced.length > 0 ? `no source for ${unsourced.join(', ')}` : '';
+    return [person.name, gender, personYears(person), keyFacts(person).join(', '), relativesSummary, problemText, unsourcedText]
+      .filter(Boolean)
+      .join(', ');
+  };
 
   const getGenderIcon = () => {
     switch (person.gender) {
@@ -346,6 +405,8 @@ export const PersonNode: React.FC<PersonNodeProps> = ({
   const getNodeClasses = () => {
     let classes = 'person-node';
     if (isSelected) classes += ' selected';
+    if (isHighlighted) classes += ' highlighted';
+    if (isFlashing) classes += ' flashing';
     if (isDragging) classes += ' dragging';
     if (isConnecting) classes += ' connecting';
     if (isEditing) classes += ' editing';
@@ -371,38 +432,32 @@ export const PersonNode: React.FC<PersonNodeProps> = ({
           position: 'absolute'
         }}
       >
-        <div className="person-edit-form">
+        <div
+          className="person-edit-form"
+          role="group"
+          aria-label={`Editing ${person.name}`}
+          onKeyDown={(e) => {
+            if (e.key === 'Escape') {
+              e.stopPropagation();
+              handleEditSubmit();
+            }
+          }}
+        >
           <div className="form-group">
             <input
               type="text"
               value={person.name}
               onChange={(e) => handleNameChange(e.target.value)}
               placeholder="Name"
+              aria-label="Name"
               className="name-input"
               autoFocus
             />
           </div>
           
-          <div className="form-group">
-            <input
-              type="date"
-              value={person.birthDate || ''}
-              onChange={(e) => handleDateChange('birthDate', e.target.value)}
-              title="Birth Date"
-            />
-          </div>
-          
-          <div className="form-group">
-            <input
-              type="date"
-              value={person.deathDate || ''}
-              onChange={(e) => handleDateChange('deathDate', e.target.value)}
-              title="Death Date"
-            />
-          </div>
-          
           <div className="form-group">
             <select
+              aria-label="Gender"
               value={person.gender || ''}
               onChange={(e) => onPersonUpdate({ 
                 ...person, 
@@ -415,6 +470,13 @@ export const PersonNode: React.FC<PersonNodeProps> = ({
               <option value="other">Other</option>
             </select>
           </div>
+
+          <PersonDetailsEditor
+            details={person}
+            sources={sources}
+            onChange={(changes, newSource) => onPersonUpdate({ ...person, ...changes }, newSource)}
+            compact
+          />
           
           <div className="edit-actions">
             <button onClick={handleEditSubmit} className="done-btn">
@@ -423,7 +485,9 @@ export const PersonNode: React.FC<PersonNodeProps> = ({
             <button 
               onClick={(e) => {
                 e.stopPropagation();
-                if (window.confirm('Delete this person?')) {
+                if (window.confirm(`Delete ${person.name}?`)) {
+                  // Keep the delete separate from the edits made before it
+                  onBatchEnd?.();
                   onPersonDelete(person.id);
                 }
               }}
@@ -452,19 +516,46 @@ export const PersonNode: React.FC<PersonNodeProps> = ({
       onTouchStart={handleTouchStart}
       onTouchMove={handleTouchMove}
       onTouchEnd={handleTouchEnd}
+      onKeyDown={handleKeyDown}
+      onFocus={(e) => e.target === e.currentTarget && onFocusPerson?.(person.id)}
+      ref={nodeRef}
+      tabIndex={tabbable ? 0 : -1}
+      role="button"
+      aria-label={describe()}
+      aria-pressed={isSelected}
+      aria-describedby="person-node-hint"
       title={isMobile() ? "Long press to edit" : "Double-click to edit"}
       data-person-id={person.id}
     >
       <div className="person-display">
-        <div className="person-name">
+        {unsourced.length > 0 && (
+          <span className="unsourced-badge" title={`No source for: ${unsourced.join(', ')}`}>
+            ?
+          </span>
+        )}
+        {problems.length > 0 && (
+          <span
+            className={`problem-badge ${problems.some(p => p.severity === 'error') ? 'error' : 'warning'}`}
+            title={problems.map(p => p.message).join('\n')}
+          >
+            !
+          </span>
+        )}
+        {avatarUrl && <img className="person-avatar" src={avatarUrl} alt="" draggable={false} />}
+        <div className={`person-name${unsourced.includes('Name') ? ' unsourced' : ''}`}>
           {getGenderIcon()} {person.name}
         </div>
-        {formatDateRange() && (
-          <div className="person-dates">
-            {formatDateRange()}
+        {personYears(person) && (
+          <div className={`person-dates${unsourced.includes('Birth') || unsourced.includes('Death') ? ' unsourced' : ''}`}>
+            {personYears(person)}
           </div>
         )}
+        {keyFacts(person).map(fact => (
+          <div className="person-fact" key={fact}>
+            {fact}
+          </div>
+        ))}
       </div>
     </div>
   );
-};
\ No newline at end of file
+});
@@ -0,0 +1,70 @@
+import React, { useState, useMemo } from 'react';
+import { Person } from './types';
+import { personYears, searchPeople } from './shared/search';
+
+interface PersonSearchProps {
+  people: Person[];
+  onPick: (personId: string) => void;
+  onClose: () => void;
+}
+
+export const PersonSearch: React.FC<PersonSearchProps> = ({ people, onPick, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const results = useMemo(() => searchPeople(people, query), [people, query]);
+
+  const handleKeyDown = (e: React.KeyboardEvent) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(index => Math.min(index + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => Math.max(index - 1, 0));
+    } else if (e.key === 'Enter' && results[activeIndex]) {
+      e.preventDefault();
+      onPick(results[activeIndex].person.id);
+    }
+  };
+
+  return (
+    <div className="person-search" role="search">
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setActiveIndex(0);
+        }}
+        onKeyDown={handleKeyDown}
+        placeholder="Search by name or year…"
+        aria-label="Search people"
+        autoFocus
+      />
+      {query.trim() && (
+        <ul className="person-search-results" role="listbox">
+          {results.length === 0 && <li className="person-search-empty">No matches</li>}
+          {results.map(({ person }, index) => (
+            <li
+              key={person.id}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={index === activeIndex ? 'active' : ''}
+              onMouseEnter={() => setActiveIndex(index)}
+              onMouseDown={(e) => {
+                // Keep focus in the input until the pick is handled
+                e.preventDefault();
+                onPick(person.id);
+              }}
+            >
+              <span>{person.name}</span>
+              <small>{personYears(person)}</small>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
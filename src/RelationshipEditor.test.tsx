@@ -0,0 +1,44 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { RelationshipEditor } from './RelationshipEditor';
+import { Relationship } from './types';
+
+const parentLink: Relationship = { id: 'r1', type: 'parent', from: 'a', to: 'b' };
+
+const openEditor = (relationship: Relationship, onSave = jest.fn()) => {
+  render(
+    <RelationshipEditor
+      relationship={relationship}
+      fromName="Ann"
+      toName="Bob"
+      sources={[]}
+      onSave={onSave}
+      onDelete={() => {}}
+      onCancel={() => {}}
+    />
+  );
+  return onSave;
+};
+
+test('saves the kind of parent with its dates, which biological parents do not have', () => {
+  const onSave = openEditor(parentLink);
+  expect(screen.queryByRole('textbox', { name: 'Adopted' })).not.toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Kind of parent'), { target: { value: 'adoptive' } });
+  expect(screen.getByRole('heading', { level: 3 })).toHaveTextContent('Ann, adoptive parent of Bob');
+  fireEvent.change(screen.getByRole('textbox', { name: 'Adopted' }), { target: { value: '3 Jun 1921' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+  expect(onSave).toHaveBeenCalledWith({ ...parentLink, subtype: 'adoptive', startDate: '1921-06-03' }, []);
+});
+
+test('names the dates after the partnership status and drops empty fields', () => {
+  const onSave = openEditor({ id: 'r2', type: 'spouse', from: 'a', to: 'b', notes: 'Banns read' });
+
+  fireEvent.change(screen.getByLabelText('Partnership'), { target: { value: 'divorced' } });
+  fireEvent.change(screen.getByRole('textbox', { name: 'Divorced' }), { target: { value: '1950' } });
+  fireEvent.change(screen.getByLabelText('Notes'), { target: { value: '' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+  expect(onSave).toHaveBeenCalledWith({ id: 'r2', type: 'spouse', from: 'a', to: 'b', status: 'divorced', endDate: '1950' }, []);
+});
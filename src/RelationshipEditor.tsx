@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { Relationship, Source } from './types';
+import { CitationEditor } from './CitationEditor';
+import { DateInput } from './DateInput';
+import { PARENT_KINDS, PARTNER_STATUSES, linkKind, linkLabel, tidyRelationship } from './shared/relationships';
+
+interface RelationshipEditorProps {
+  relationship: Relationship;
+  fromName: string;
+  toName: string;
+  sources: Source[];
+  // `newSources` were created while citing and are added to the tree with the link
+  onSave: (relationship: Relationship, newSources: Source[]) => void;
+  onDelete: (id: string) => void;
+  onCancel: () => void;
+}
+
+// What kind of parent or partnership a link is, when it started and ended,
+// and notes and sources for it
+export const RelationshipEditor: React.FC<RelationshipEditorProps> = ({
+  relationship,
+  fromName,
+  toName,
+  sources,
+  onSave,
+  onDelete,
+  onCancel
+}) => {
+  const [draft, setDraft] = useState(relationship);
+  const [newSources, setNewSources] = useState<Source[]>([]);
+  const isParent = draft.type === 'parent';
+  const kind = linkKind(draft);
+
+  const change = (changes: Partial<Relationship>) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    onSave(tidyRelationship(draft), newSources);
+  };
+
+  return (
+    <div className="person-form-overlay">
+      <form className="person-form relationship-editor" onSubmit={handleSubmit} aria-label="Edit link">
+        <h3>{linkLabel(draft, fromName, toName)}</h3>
+
+        <div className="form-group">
+          {isParent ? (
+            <>
+              <label htmlFor="link-kind">Kind of parent</label>
+              <select
+                id="link-kind"
+                value={draft.subtype || 'biological'}
+                onChange={(e) => change({ subtype: e.target.value as Relationship['subtype'] })}
+              >
+                {PARENT_KINDS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </>
+          ) : (
+            <>
+              <label htmlFor="link-kind">Partnership</label>
+              <select
+                id="link-kind"
+                value={draft.status || ''}
+                onChange={(e) => change({ status: (e.target.value || undefined) as Relationship['status'] })}
+              >
+                <option value="">Not recorded</option>
+                {PARTNER_STATUSES.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </>
+          )}
+        </div>
+
+        {(!isParent || kind?.start) && (
+          <div className="form-group relationship-dates">
+            <label>
+              {kind?.start || 'From'}
+              <DateInput
+                value={draft.startDate}
+                onChange={(startDate) => change({ startDate })}
+                label={kind?.start || 'From'}
+              />
+            </label>
+            <label>
+              {kind?.end || 'Until'}
+              <DateInput
+                value={draft.endDate}
+                onChange={(endDate) => change({ endDate })}
+                label={kind?.end || 'Until'}
+              />
+            </label>
+          </div>
+        )}
+
+        <div className="form-group">
+          <label htmlFor="link-notes">Notes</label>
+          <textarea
+            id="link-notes"
+            value={draft.notes || ''}
+            onChange={(e) => change({ notes: e.target.value || undefined })}
+            rows={3}
+          />
+        </div>
+
+        <div className="details-section">
+          <h4>Sources</h4>
+          <CitationEditor
+            citations={draft.citations}
+            sources={[...sources, ...newSources]}
+            onChange={(citations, newSource) => {
+              change({ citations });
+              if (newSource) setNewSources(prev => [...prev, newSource]);
+            }}
+          />
+        </div>
+
+        <div className="form-actions">
+          <button type="button" onClick={() => onDelete(relationship.id)} className="danger-btn">
+            Delete link
+          </button>
+          <button type="button" onClick={onCancel} className="cancel-btn">
+            Cancel
+          </button>
+          <button type="submit" className="submit-btn">
+            Save
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
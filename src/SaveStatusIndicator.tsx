@@ -0,0 +1,28 @@
+import React from 'react';
+import type { SaveStatus } from './shared/storage';
+
+interface SaveStatusIndicatorProps {
+  status: SaveStatus;
+  limitedStorage: boolean; // saving to localStorage because IndexedDB isn't available
+}
+
+const LABELS: Record<SaveStatus['state'], string> = {
+  saved: '✓ Saved',
+  saving: 'Saving…',
+  failed: '⚠ Not saved'
+};
+
+export const SaveStatusIndicator: React.FC<SaveStatusIndicatorProps> = ({ status, limitedStorage }) => {
+  const title = status.state === 'failed'
+    ? status.message
+    : limitedStorage
+      ? "Saved in this browser's small local storage because IndexedDB isn't available. Export now and then to keep a copy."
+      : 'Changes are saved in this browser as you go';
+
+  return (
+    <span className={`save-status ${status.state}`} role="status" title={title}>
+      {LABELS[status.state]}
+      {limitedStorage && status.state !== 'failed' && ' (limited)'}
+    </span>
+  );
+};
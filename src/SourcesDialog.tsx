@@ -0,0 +1,289 @@
+import React, { useEffect, useState } from 'react';
+import { Confidence, FamilyTree, Source } from './types';
+import {
+  CONFIDENCE_LEVELS,
+  citationsOfSource,
+  createCitation,
+  createSource,
+  relationshipLabel,
+  removeSource,
+  updateCitation
+} from './shared/sources';
+
+interface SourcesDialogProps {
+  familyTree: FamilyTree;
+  onFamilyTreeUpdate: (tree: FamilyTree) => void;
+  onShowPerson: (personId: string) => void;
+  onClose: () => void;
+  // Everything changed while the dialog is open is one undo step
+  onBatchStart?: () => void;
+  onBatchEnd?: () => void;
+}
+
+type SourceDraft = Omit<Source, 'id' | 'gedcom'>;
+
+const EMPTY_DRAFT: SourceDraft = { title: '', author: '', archive: '', url: '', notes: '' };
+
+const draftOf = (source: Source): SourceDraft => ({
+  title: source.title,
+  author: source.author || '',
+  archive: source.archive || '',
+  url: source.url || '',
+  notes: source.notes || ''
+});
+
+// Blank fields are left off the saved source
+const tidyDraft = (draft: SourceDraft): SourceDraft => ({
+  title: draft.title.trim(),
+  author: draft.author?.trim() || undefined,
+  archive: draft.archive?.trim() || undefined,
+  url: draft.url?.trim() || undefined,
+  notes: draft.notes?.trim() ? draft.notes : undefined
+});
+
+export const SourcesDialog: React.FC<SourcesDialogProps> = ({
+  familyTree,
+  onFamilyTreeUpdate,
+  onShowPerson,
+  onClose,
+  onBatchStart,
+  onBatchEnd
+}) => {
+  const sources = familyTree.sources || [];
+  // The source open on the right; 'new' while one is being added
+  const [openId, setOpenId] = useState<string | null>(sources[0]?.id || null);
+  const [draft, setDraft] = useState<SourceDraft>(sources[0] ? draftOf(sources[0]) : EMPTY_DRAFT);
+  const [relationshipToCite, setRelationshipToCite] = useState('');
+
+  const openSource = sources.find(s => s.id === openId);
+  const citedBy = openSource ? citationsOfSource(familyTree, openSource.id) : [];
+  const names = new Map(familyTree.people.map(p => [p.id, p.name]));
+
+  useEffect(() => {
+    onBatchStart?.();
+    return () => onBatchEnd?.();
+  }, [onBatchStart, onBatchEnd]);
+
+  const open = (source: Source | null) => {
+    setOpenId(source ? source.id : 'new');
+    setDraft(source ? draftOf(source) : EMPTY_DRAFT);
+    setRelationshipToCite('');
+  };
+
+  const handleSave = (e: React.FormEvent) => {
+    e.preventDefault();
+    const changes = tidyDraft(draft);
+    if (!changes.title) {
+      alert('A source needs a title');
+      return;
+    }
+    if (openSource) {
+      onFamilyTreeUpdate({
+        ...familyTree,
+        sources: sources.map(s => (s.id === openSource.id ? { ...s, ...changes } : s))
+      });
+    } else {
+      const source = { ...createSource(changes.title), ...changes };
+      onFamilyTreeUpdate({ ...familyTree, sources: [...sources, source] });
+      setOpenId(source.id);
+    }
+  };
+
+  const handleDelete = () => {
+    if (!openSource) return;
+    const message = citedBy.length > 0
+      ? `Delete "${openSource.title}" and the ${citedBy.length} citation${citedBy.length === 1 ? '' : 's'} of it?`
+      : `Delete "${openSource.title}"?`;
+    if (!window.confirm(message)) return;
+    onFamilyTreeUpdate(removeSource(familyTree, openSource.id));
+    const next = sources.find(s => s.id !== openSource.id);
+    open(next || null);
+  };
+
+  const handleCiteRelationship = () => {
+    if (!openSource || !relationshipToCite) return;
+    onFamilyTreeUpdate({
+      ...familyTree,
+      relationships: familyTree.relationships.map(rel => (rel.id === relationshipToCite
+        ? { ...rel, citations: [...(rel.citations || []), createCitation(openSource.id)] }
+        : rel))
+    });
+    setRelationshipToCite('');
+  };
+
+  const setField = (field: keyof SourceDraft, value: string) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+  };
+
+  return (
+    <div className="person-form-overlay">
+      <div className="person-form sources-dialog">
+        <h3>Sources</h3>
+
+        <div className="sources-layout">
+          <div className="sources-sidebar">
+            <ul className="source-list">
+              {sources.map(source => (
+                <li key={source.id}>
+                  <button
+                    type="button"
+                    className={source.id === openId ? 'active' : ''}
+                    onClick={() => open(source)}
+                  >
+                    <strong>{source.title}</strong>
+                    {source.author && <small>{source.author}</small>}
+                  </button>
+                </li>
+              ))}
+            </ul>
+            {sources.length === 0 && openId !== 'new' && (
+              <p className="sources-empty">No sources yet. Add the records you found people in, then cite them.</p>
+            )}
+            <button type="button" className="details-add" onClick={() => open(null)}>
+              + New source
+            </button>
+          </div>
+
+          {openId && (
+            <div className="source-detail">
+              <form onSubmit={handleSave}>
+                <div className="form-group">
+                  <label htmlFor="source-title">Title *</label>
+                  <input
+                    id="source-title"
+                    type="text"
+                    value={draft.title}
+                    onChange={(e) => setField('title', e.target.value)}
+                    placeholder="e.g. 1881 census, Leeds"
+                    autoFocus={openId === 'new'}
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="source-author">Author</label>
+                  <input
+                    id="source-author"
+                    type="text"
+                    value={draft.author}
+                    onChange={(e) => setField('author', e.target.value)}
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="source-archive">Archive</label>
+                  <input
+                    id="source-archive"
+                    type="text"
+                    value={draft.archive}
+                    onChange={(e) => setField('archive', e.target.value)}
+                    placeholder="Where it is held"
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="source-url">URL</label>
+                  <input
+                    id="source-url"
+                    type="url"
+                    value={draft.url}
+                    onChange={(e) => setField('url', e.target.value)}
+                    placeholder="https://"
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="source-notes">Notes</label>
+                  <textarea
+                    id="source-notes"
+                    value={draft.notes}
+                    onChange={(e) => setField('notes', e.target.value)}
+                    rows={3}
+                  />
+                </div>
+                <div className="source-actions">
+                  {openSource && (
+                    <button type="button" className="danger" onClick={handleDelete}>
+                      Delete
+                    </button>
+                  )}
+                  <button type="submit" className="submit-btn">
+                    {openSource ? 'Save' : 'Add Source'}
+                  </button>
+                </div>
+              </form>
+
+              {openSource && (
+                <div className="details-section source-cited-by">
+                  <h4>Cited by</h4>
+                  {citedBy.length === 0 && (
+                    <p className="sources-empty">Nothing cites this source yet. Cite it from a person's editor.</p>
+                  )}
+                  <ul>
+                    {citedBy.map(({ citation, label, personId }) => (
+                      <li key={citation.id} className="details-row">
+                        <button
+                          type="button"
+                          className="source-cited-label"
+                          onClick={() => personId && onShowPerson(personId)}
+                          title="Show on the canvas"
+                        >
+                          {label}
+                        </button>
+                        <input
+                          type="text"
+                          value={citation.page || ''}
+                          onChange={(e) => onFamilyTreeUpdate(updateCitation(familyTree, citation.id, { page: e.target.value || undefined }))}
+                          placeholder="Page"
+                          aria-label="Page or entry"
+                          className="citation-page"
+                        />
+                        <select
+                          value={citation.confidence}
+                          onChange={(e) => onFamilyTreeUpdate(updateCitation(familyTree, citation.id, { confidence: e.target.value as Confidence }))}
+                          aria-label="Confidence"
+                          className={`citation-confidence confidence-${citation.confidence}`}
+                        >
+                          {CONFIDENCE_LEVELS.map(c => (
+                            <option key={c.level} value={c.level}>{c.label}</option>
+                          ))}
+                        </select>
+                        <button
+                          type="button"
+                          className="details-remove"
+                          onClick={() => onFamilyTreeUpdate(updateCitation(familyTree, citation.id, null))}
+                          title="Remove citation"
+                        >
+                          ×
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                  {familyTree.relationships.length > 0 && (
+                    <div className="details-row">
+                      <select
+                        value={relationshipToCite}
+                        onChange={(e) => setRelationshipToCite(e.target.value)}
+                        aria-label="Relationship to cite this source for"
+                      >
+                        <option value="">Cite for a relationship…</option>
+                        {familyTree.relationships.map(rel => (
+                          <option key={rel.id} value={rel.id}>{relationshipLabel(rel, names)}</option>
+                        ))}
+                      </select>
+                      <button type="button" className="details-add" onClick={handleCiteRelationship} disabled={!relationshipToCite}>
+                        Cite
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="form-actions">
+          <button type="button" onClick={onClose} className="cancel-btn">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
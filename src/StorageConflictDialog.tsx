@@ -0,0 +1,46 @@
+import React from 'react';
+import type { StorageChoice, StorageConflict } from './shared/storage';
+import type { ValidationResult } from './shared/schema';
+
+interface StorageConflictDialogProps {
+  conflict: StorageConflict;
+  onResolve: (choice: StorageChoice) => void;
+}
+
+const describe = ({ tree }: ValidationResult) =>
+  `${tree.people.length} people, ${tree.relationships.length} relationships`;
+
+// Shown once, when this browser has both a desktop tree and an older mobile tree
+export const StorageConflictDialog: React.FC<StorageConflictDialogProps> = ({ conflict, onResolve }) => (
+  <div className="person-form-overlay">
+    <div className="person-form import-summary">
+      <h3>Two Saved Trees Found</h3>
+
+      <p>
+        The desktop and mobile versions now share one saved tree, but this browser
+        has a different tree saved by each. Choose which to keep.
+      </p>
+
+      <ul className="import-counts">
+        <li><strong>Desktop:</strong> {describe(conflict.desktop)}</li>
+        <li><strong>Mobile:</strong> {describe(conflict.mobile)}</li>
+      </ul>
+
+      <p className="import-note">
+        Merging keeps everyone from both trees; where a person exists in both, the desktop version is kept.
+      </p>
+
+      <div className="form-actions">
+        <button type="button" onClick={() => onResolve('desktop')} className="cancel-btn">
+          Keep Desktop
+        </button>
+        <button type="button" onClick={() => onResolve('mobile')} className="cancel-btn">
+          Keep Mobile
+        </button>
+        <button type="button" onClick={() => onResolve('merge')} className="submit-btn" autoFocus>
+          Merge Both
+        </button>
+      </div>
+    </div>
+  </div>
+);
@@ -0,0 +1,25 @@
+import React from 'react';
+import type { SaveStatus } from './shared/storage';
+
+interface StorageWarningProps {
+  status: SaveStatus;
+  onExport: () => void;
+  onDismiss: () => void;
+}
+
+export const StorageWarning: React.FC<StorageWarningProps> = ({ status, onExport, onDismiss }) => (
+  <div className="storage-warning" role="alert">
+    <span>
+      {status.message}{' '}
+      {status.reason === 'quota'
+        ? 'Export the tree to keep a copy, then free up space by deleting trees you no longer need.'
+        : 'Export the tree to keep a copy before closing this page.'}
+    </span>
+    <button type="button" onClick={onExport}>
+      Export now
+    </button>
+    <button type="button" onClick={onDismiss} className="storage-warning-dismiss" title="Dismiss">
+      ×
+    </button>
+  </div>
+);
@@ -0,0 +1,177 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { FamilyTree } from './types';
+import { buildTimeline, TimelineBar, TimelineGrouping } from './timeline';
+import { personYears } from './shared/search';
+
+interface TimelineViewProps {
+  tree: FamilyTree;
+  grouping: TimelineGrouping;
+  branch?: string[]; // only these people, when filtered to a branch
+  selectedId: string | null;
+  onPick: (personId: string) => void;
+}
+
+const YEAR_WIDTH = 8;
+const ROW_HEIGHT = 26;
+const BAR_HEIGHT = 18;
+const GROUP_HEIGHT = 28;
+const AXIS_HEIGHT = 28;
+const MARGIN = 20;
+
+const barText = (bar: TimelineBar) => {
+  const years = personYears(bar.person);
+  const living = bar.to === 'living' ? ' (may be living)' : '';
+  return `${bar.person.name}${years ? `, ${years}` : ''}${living}`;
+};
+
+// Lifespans side by side: one bar per person on a horizontal scale of years,
+// with markers for partnerships and children's births. The lines between the
+// selected person and their relatives are drawn across the rows.
+export const TimelineView: React.FC<TimelineViewProps> = ({ tree, grouping, branch, selectedId, onPick }) => {
+  const timeline = useMemo(() => buildTimeline(tree, grouping, branch), [tree, grouping, branch]);
+  const containerRef = useRef<HTMLDivElement>(null);
+  const width = (timeline.end - timeline.start) * YEAR_WIDTH + MARGIN * 2;
+  const toX = (year: number) => MARGIN + (year - timeline.start) * YEAR_WIDTH;
+
+  // Rows from the top, with a header row for each group
+  const rows = useMemo(() => {
+    const rowOf = new Map<string, number>();
+    let y = 0;
+    const groups = timeline.groups.map(group => {
+      const top = y;
+      y += GROUP_HEIGHT;
+      group.bars.forEach(bar => {
+        rowOf.set(bar.person.id, y);
+        y += ROW_HEIGHT;
+      });
+      return { group, top };
+    });
+    return { rowOf, groups, height: y };
+  }, [timeline]);
+
+  const decades: number[] = [];
+  for (let year = timeline.start; year <= timeline.end; year += 10) decades.push(year);
+  const now = new Date().getFullYear();
+
+  // A person picked elsewhere (the search box) is scrolled into view
+  useEffect(() => {
+    if (!selectedId) return;
+    const bar = containerRef.current?.querySelector(`[data-person-id=${JSON.stringify(selectedId)}]`);
+    bar?.scrollIntoView?.({ block: 'nearest', inline: 'nearest' });
+  }, [selectedId]);
+
+  const bars = timeline.groups.flatMap(group => group.bars);
+  // Partnerships are marked on both partners' bars, so one of them is enough for the line
+  const links = bars.flatMap(bar => bar.markers
+    .filter(marker => rows.rowOf.has(marker.personId) &&
+      (bar.person.id === selectedId || (marker.kind === 'child' && marker.personId === selectedId)))
+    .map(marker => ({ bar, marker })));
+
+  return (
+    <div className="timeline-view" ref={containerRef}>
+      <div className="timeline-axis">
+        <svg width={width} height={AXIS_HEIGHT} aria-hidden="true">
+          {decades.map(year => (
+            <text key={year} x={toX(year)} y={AXIS_HEIGHT - 8} textAnchor="middle" fontSize="11" fill="#666">
+              {year}
+            </text>
+          ))}
+        </svg>
+      </div>
+      <svg width={width} height={rows.height + MARGIN} role="group" aria-label={`Lifespans of ${bars.length} people`}>
+        <defs>
+          <linearGradient id="timeline-fade-out">
+            <stop offset="0.6" stopColor="#cfe2ff" />
+            <stop offset="1" stopColor="#cfe2ff" stopOpacity="0" />
+          </linearGradient>
+          <linearGradient id="timeline-fade-in">
+            <stop offset="0" stopColor="#cfe2ff" stopOpacity="0" />
+            <stop offset="0.4" stopColor="#cfe2ff" />
+          </linearGradient>
+        </defs>
+        {decades.map(year => (
+          <line key={year} x1={toX(year)} x2={toX(year)} y1={0} y2={rows.height} className="timeline-decade" />
+        ))}
+        {now <= timeline.end && (
+          <line x1={toX(now)} x2={toX(now)} y1={0} y2={rows.height} className="timeline-today">
+            <title>Today</title>
+          </line>
+        )}
+
+        {rows.groups.map(({ group, top }) => (
+          <text key={`group-${top}`} x={MARGIN} y={top + GROUP_HEIGHT - 9} className="timeline-group">
+            {group.label}
+          </text>
+        ))}
+
+        {links.map(({ bar, marker }) => {
+          const from = rows.rowOf.get(bar.person.id)! + ROW_HEIGHT / 2;
+          const to = rows.rowOf.get(marker.personId)! + ROW_HEIGHT / 2;
+          return (
+            <line
+              key={`${bar.person.id}-${marker.kind}-${marker.personId}`}
+              x1={toX(marker.year)}
+              x2={toX(marker.year)}
+              y1={from}
+              y2={to}
+              className={`timeline-link ${marker.kind}`}
+            />
+          );
+        })}
+
+        {bars.map(bar => {
+          const y = rows.rowOf.get(bar.person.id)! + (ROW_HEIGHT - BAR_HEIGHT) / 2;
+          const x = toX(bar.start);
+          const selected = bar.person.id === selectedId;
+          const fill = bar.to === 'unknown' ? 'url(#timeline-fade-out)' : bar.from === 'unknown' ? 'url(#timeline-fade-in)' : undefined;
+          return (
+            <g
+              key={bar.person.id}
+              className={`timeline-bar${selected ? ' selected' : ''}`}
+              data-person-id={bar.person.id}
+            >
+              <g
+                role="button"
+                tabIndex={0}
+                aria-label={`${barText(bar)}. Show on the canvas`}
+                onClick={() => onPick(bar.person.id)}
+                onKeyDown={(e) => {
+                  if (e.key !== 'Enter' && e.key !== ' ') return;
+                  e.preventDefault();
+                  onPick(bar.person.id);
+                }}
+              >
+                <title>{barText(bar)}</title>
+                <rect
+                  x={x}
+                  y={y}
+                  width={Math.max((bar.end - bar.start) * YEAR_WIDTH, 4)}
+                  height={BAR_HEIGHT}
+                  rx={4}
+                  style={fill ? { fill } : undefined}
+                />
+                <text x={x + 6} y={y + BAR_HEIGHT - 5}>{bar.person.name}</text>
+              </g>
+              {bar.markers.map(marker => (
+                <circle
+                  key={`${marker.kind}-${marker.personId}`}
+                  cx={toX(marker.year)}
+                  cy={y + BAR_HEIGHT}
+                  r={3.5}
+                  className={`timeline-marker ${marker.kind}`}
+                >
+                  <title>{marker.label}</title>
+                </circle>
+              ))}
+            </g>
+          );
+        })}
+      </svg>
+      {timeline.undated.length > 0 && (
+        <p className="timeline-undated">
+          Not shown, with no birth or death date: {timeline.undated.map(p => p.name).join(', ')}
+        </p>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,102 @@
+import React from 'react';
+import { Person } from './types';
+import { CHECK_RULES } from './shared/consistency';
+import type { CheckLimit, CheckSettings, TreeProblem } from './shared/consistency';
+
+interface TreeCheckPanelProps {
+  problems: TreeProblem[];
+  people: Person[];
+  settings: CheckSettings;
+  onSettingsChange: (settings: CheckSettings) => void;
+  onShowPerson: (personId: string) => void;
+  onClose: () => void;
+}
+
+const countText = (count: number, noun: string) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+export const TreeCheckPanel: React.FC<TreeCheckPanelProps> = ({
+  problems,
+  people,
+  settings,
+  onSettingsChange,
+  onShowPerson,
+  onClose
+}) => {
+  const errors = problems.filter(p => p.severity === 'error').length;
+  const warnings = problems.length - errors;
+  const nameOf = (id: string) => people.find(p => p.id === id)?.name || id;
+
+  const setRule = (id: string, on: boolean) => {
+    onSettingsChange({
+      ...settings,
+      disabled: on ? settings.disabled.filter(rule => rule !== id) : [...settings.disabled, id]
+    });
+  };
+
+  const setLimit = (key: CheckLimit, value: string) => {
+    const years = parseInt(value, 10);
+    if (!Number.isNaN(years) && years >= 0) onSettingsChange({ ...settings, [key]: years });
+  };
+
+  return (
+    <div className="tree-check-panel" role="dialog" aria-label="Tree check">
+      <div className="kinship-header">
+        <h4>Tree check</h4>
+        <button type="button" onClick={onClose} className="kinship-close" title="Close">
+          ×
+        </button>
+      </div>
+
+      <p className="tree-check-summary" role="status">
+        {problems.length === 0
+          ? 'No problems found.'
+          : [errors && countText(errors, 'error'), warnings && countText(warnings, 'warning')].filter(Boolean).join(', ')}
+      </p>
+
+      <ul className="tree-check-list">
+        {problems.map((problem, index) => (
+          <li key={`${problem.rule}-${index}`}>
+            <button
+              type="button"
+              className={`tree-check-problem ${problem.severity}`}
+              onClick={() => onShowPerson(problem.people[0])}
+              title={`Show ${nameOf(problem.people[0])} on the canvas`}
+            >
+              {problem.message}
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <details className="tree-check-rules">
+        <summary>Rules</summary>
+        {CHECK_RULES.map(rule => (
+          <div key={rule.id} className="tree-check-rule">
+            <label>
+              <input
+                type="checkbox"
+                checked={!settings.disabled.includes(rule.id)}
+                onChange={(e) => setRule(rule.id, e.target.checked)}
+              />
+              <span className={`tree-check-severity ${rule.severity}`}>{rule.severity}</span>
+              {rule.label}
+            </label>
+            {rule.limits?.map(limit => (
+              <label key={limit.key} className="tree-check-limit">
+                {limit.label}
+                <input
+                  type="number"
+                  min={0}
+                  value={settings[limit.key]}
+                  onChange={(e) => setLimit(limit.key, e.target.value)}
+                  disabled={settings.disabled.includes(rule.id)}
+                />
+                years
+              </label>
+            ))}
+          </div>
+        ))}
+      </details>
+    </div>
+  );
+};
@@ -0,0 +1,72 @@
+import React from 'react';
+import type { TreeIndex } from './shared/storage';
+
+interface TreeManagerDialogProps {
+  index: TreeIndex;
+  onOpen: (id: string) => void;
+  onCreate: () => void;
+  onRename: (id: string) => void;
+  onDuplicate: (id: string) => void;
+  onDelete: (id: string) => void;
+  onClose: () => void;
+}
+
+const formatModified = (iso: string) => {
+  const date = new Date(iso);
+  return isNaN(date.getTime()) ? '' : date.toLocaleString();
+};
+
+export const TreeManagerDialog: React.FC<TreeManagerDialogProps> = ({
+  index,
+  onOpen,
+  onCreate,
+  onRename,
+  onDuplicate,
+  onDelete,
+  onClose
+}) => (
+  <div className="person-form-overlay">
+    <div className="person-form tree-manager">
+      <h3>Your Trees</h3>
+
+      <ul className="tree-list">
+        {index.trees.map(tree => {
+          const isActive = tree.id === index.activeId;
+          return (
+            <li key={tree.id} className={isActive ? 'active' : ''}>
+              <div className="tree-info">
+                <strong>{tree.name}</strong>
+                <small>{isActive ? 'Open now · ' : ''}Modified {formatModified(tree.modified)}</small>
+              </div>
+              <div className="tree-actions">
+                {!isActive && (
+                  <button type="button" onClick={() => onOpen(tree.id)}>Open</button>
+                )}
+                <button type="button" onClick={() => onRename(tree.id)}>Rename</button>
+                <button type="button" onClick={() => onDuplicate(tree.id)}>Duplicate</button>
+                <button
+                  type="button"
+                  onClick={() => onDelete(tree.id)}
+                  disabled={index.trees.length === 1}
+                  title={index.trees.length === 1 ? 'The last tree can only be cleared' : undefined}
+                  className="danger"
+                >
+                  Delete
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      <div className="form-actions">
+        <button type="button" onClick={onClose} className="cancel-btn">
+          Close
+        </button>
+        <button type="button" onClick={onCreate} className="submit-btn">
+          New Tree
+        </button>
+      </div>
+    </div>
+  </div>
+);
@@ -0,0 +1,103 @@
+import { assignGenerations, autoArrange } from './autoLayout';
+import { buildTreeGraph } from './treeGraph';
+import { FamilyTree, Person, Relationship } from './types';
+
+// Grandparents, their son and his wife (who has no parents in the tree), and
+// the couple's two children. Everyone starts out scattered off the grid.
+const person = (id: string, x: number, y: number): Person => ({ id, name: id, x, y });
+const parent = (from: string, to: string): Relationship => ({ id: `${from}-${to}`, type: 'parent', from, to });
+const spouse = (from: string, to: string): Relationship => ({ id: `${from}+${to}`, type: 'spouse', from, to });
+
+const tree: FamilyTree = {
+  people: [
+    person('grandpa', 13, 7), person('grandma', 410, 33),
+    person('son', 95, 251), person('wife', 700, 601),
+    person('elder', 37, 488), person('younger', 555, 470),
+    person('stranger', 1003, 999)
+  ],
+  relationships: [
+    spouse('grandpa', 'grandma'),
+    parent('grandpa', 'son'), parent('grandma', 'son'),
+    spouse('son', 'wife'),
+    parent('son', 'elder'), parent('wife', 'elder'),
+    parent('son', 'younger'), parent('wife', 'younger')
+  ]
+};
+
+const at = (result: FamilyTree, id: string) => result.people.find(p => p.id === id)!;
+
+test('puts children a row below their parents and partners on the same row', () => {
+  const graph = buildTreeGraph(tree);
+  const generation = assignGenerations(new Set(tree.people.map(p => p.id)), graph);
+
+  expect(Object.fromEntries(Array.from(generation))).toEqual({
+    grandpa: 0, grandma: 0, son: 1, wife: 1, elder: 2, younger: 2, stranger: 0
+  });
+});
+
+test('pulls parents with no parents of their own down to just above their children', () => {
+  // The mother's line is one generation shorter than the father's
+  const graph = buildTreeGraph({
+    people: tree.people,
+    relationships: [parent('grandpa', 'son'), parent('son', 'elder'), parent('wife', 'elder')]
+  });
+  const generation = assignGenerations(new Set(['grandpa', 'son', 'wife', 'elder']), graph);
+
+  expect(generation.get('wife')).toBe(generation.get('son'));
+  expect(generation.get('elder')).toBe(2);
+});
+
+test('keeps partners side by side and centres children under their parents', () => {
+  const result = autoArrange(tree);
+
+  expect(at(result, 'grandma').y).toBe(at(result, 'grandpa').y);
+  expect(at(result, 'wife').y).toBe(at(result, 'son').y);
+  expect(Math.abs(at(result, 'wife').x - at(result, 'son').x)).toBe(200);
+  expect(at(result, 'son').y).toBeGreaterThan(at(result, 'grandpa').y);
+  expect(at(result, 'elder').y).toBeGreaterThan(at(result, 'son').y);
+
+  const parents = (at(result, 'son').x + at(result, 'wife').x) / 2;
+  const children = (at(result, 'elder').x + at(result, 'younger').x) / 2;
+  expect(Math.abs(children - parents)).toBeLessThanOrEqual(20);
+  // Siblings keep their left-to-right order
+  expect(at(result, 'elder').x).toBeLessThan(at(result, 'younger').x);
+});
+
+test('snaps every position to the grid', () => {
+  autoArrange(tree).people.forEach(p => {
+    expect(p.x % 20).toBe(0);
+    expect(p.y % 20).toBe(0);
+  });
+});
+
+test('arranges only the descendants of a person, leaving them where they are', () => {
+  const result = autoArrange(tree, 'descendants', 'son');
+
+  ['grandpa', 'grandma', 'stranger'].forEach(id => expect(at(result, id)).toBe(at(tree, id)));
+  expect(at(result, 'son')).toMatchObject({ x: 100, y: 260 });
+  expect(at(result, 'wife').y).toBe(at(result, 'son').y);
+  expect(at(result, 'elder').y).toBeGreaterThan(at(result, 'son').y);
+});
+
+test('arranges only the ancestors of a person', () => {
+  const result = autoArrange(tree, 'ancestors', 'son');
+
+  ['wife', 'elder', 'younger', 'stranger'].forEach(id => expect(at(result, id)).toBe(at(tree, id)));
+  expect(at(result, 'grandpa').y).toBe(at(result, 'grandma').y);
+  expect(at(result, 'grandpa').y).toBeLessThan(at(result, 'son').y);
+});
+
+test('finishes on a tree where someone is their own ancestor', () => {
+  const looped: FamilyTree = {
+    people: [person('a', 0, 0), person('b', 0, 0), person('c', 0, 0)],
+    relationships: [parent('a', 'b'), parent('b', 'c'), parent('c', 'a')]
+  };
+
+  const result = autoArrange(looped);
+
+  expect(result.people).toHaveLength(3);
+  result.people.forEach(p => {
+    expect(Number.isFinite(p.x)).toBe(true);
+    expect(Number.isFinite(p.y)).toBe(true);
+  });
+});
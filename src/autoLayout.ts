@@ -0,0 +1,247 @@
+import { FamilyTree } from './types';
+import { buildTreeGraph, collectAncestors, collectDescendants, neighbours, TreeGraph } from './treeGraph';
+
+export type LayoutScope = 'all' | 'descendants' | 'ancestors';
+
+const GRID_SIZE = 20;
+const SLOT_WIDTH = 200; // cards are 120-200px wide, plus a gap
+const ROW_HEIGHT = 180;
+const ORDER_SWEEPS = 4;
+const POSITION_PASSES = 4;
+
+const snap = (value: number) => Math.round(value / GRID_SIZE) * GRID_SIZE;
+const average = (values: number[]) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// A couple (or chain of partners) placed side by side in one generation row
+interface Unit {
+  members: string[];
+  left: number;
+}
+
+const inScope = (ids: Set<string>, list: string[]) => list.filter(id => ids.has(id));
+
+const scopeIds = (tree: FamilyTree, graph: TreeGraph, scope: LayoutScope, rootId?: string) => {
+  if (scope === 'all' || !rootId) return new Set(tree.people.map(p => p.id));
+
+  if (scope === 'ancestors') {
+    return new Set([rootId, ...Array.from(collectAncestors(graph, rootId))]);
+  }
+
+  // Descendants come with their partners so couples stay together
+  const ids = new Set([rootId, ...Array.from(collectDescendants(graph, rootId))]);
+  Array.from(ids).forEach(id => neighbours(graph.spouses, id).forEach(s => ids.add(s)));
+  return ids;
+};
+
+/**
+ * Puts every child at least one row below its parents and partners on the
+ * same row. Parents with no parents of their own are then pulled down to sit
+ * directly above their children.
+ */
+export const assignGenerations = (ids: Set<string>, graph: TreeGraph) => {
+  const generation = new Map(Array.from(ids).map(id => [id, 0]));
+
+  const relax = () => {
+    // Bounded so an ancestry cycle can't loop forever
+    for (let pass = 0; pass <= ids.size; pass++) {
+      let changed = false;
+      ids.forEach(id => {
+        const gen = generation.get(id)!;
+        inScope(ids, neighbours(graph.children, id)).forEach(child => {
+          if (generation.get(child)! < gen + 1) {
+            generation.set(child, gen + 1);
+            changed = true;
+          }
+        });
+        inScope(ids, neighbours(graph.spouses, id)).forEach(spouse => {
+          if (generation.get(spouse)! < gen) {
+            generation.set(spouse, gen);
+            changed = true;
+          }
+        });
+      });
+      if (!changed) break;
+    }
+  };
+
+  relax();
+  ids.forEach(id => {
+    const children = inScope(ids, neighbours(graph.children, id));
+    if (children.length && !inScope(ids, neighbours(graph.parents, id)).length) {
+      const target = Math.min(...children.map(c => generation.get(c)!)) - 1;
+      if (target > generation.get(id)!) generation.set(id, target);
+    }
+  });
+  relax();
+
+  const lowest = Math.min(...Array.from(generation.values()));
+  generation.forEach((gen, id) => generation.set(id, gen - lowest));
+  return generation;
+};
+
+// Groups each row into units of partners, walking partner chains end to end
+const buildRows = (ids: Set<string>, graph: TreeGraph, generation: Map<string, number>) => {
+  const rows: Unit[][] = [];
+  const placed = new Set<string>();
+  const rowPartners = (id: string) =>
+    inScope(ids, neighbours(graph.spouses, id)).filter(s => generation.get(s) === generation.get(id));
+
+  ids.forEach(id => {
+    if (placed.has(id)) return;
+
+    // Find the whole partner group, then start from an end of the chain
+    const group = new Set([id]);
+    const queue = [id];
+    while (queue.length) {
+      rowPartners(queue.shift()!).forEach(s => {
+        if (!group.has(s)) {
+          group.add(s);
+          queue.push(s);
+        }
+      });
+    }
+    const start = Array.from(group).sort((a, b) => rowPartners(a).length - rowPartners(b).length)[0];
+
+    const members: string[] = [];
+    const walk = (current: string) => {
+      members.push(current);
+      placed.add(current);
+      rowPartners(current).filter(s => !placed.has(s)).forEach(walk);
+    };
+    walk(start);
+
+    const gen = generation.get(id)!;
+    (rows[gen] = rows[gen] || []).push({ members, left: 0 });
+  });
+
+  // Generations can skip a number, leaving holes in the array
+  return Array.from(rows, row => row || []);
+};
+
+const memberCentre = (unit: Unit, index: number) => unit.left + index * SLOT_WIDTH + SLOT_WIDTH / 2;
+
+const centres = (rows: Unit[][]) => {
+  const result = new Map<string, number>();
+  rows.forEach(row => row.forEach(unit => {
+    unit.members.forEach((id, index) => result.set(id, memberCentre(unit, index)));
+  }));
+  return result;
+};
+
+const packRow = (row: Unit[]) => {
+  let left = 0;
+  row.forEach(unit => {
+    unit.left = left;
+    left += unit.members.length * SLOT_WIDTH;
+  });
+};
+
+// Where a unit would like to sit, given the centres of its relatives
+const desiredCentre = (unit: Unit, relativesOf: (id: string) => string[], positions: Map<string, number>) => {
+  const relatives = unit.members.flatMap(relativesOf).filter(id => positions.has(id));
+  return relatives.length ? average(relatives.map(id => positions.get(id)!)) : null;
+};
+
+/**
+ * Moves each unit as close as possible to its desired centre while keeping the
+ * row order and leaving no overlaps. Averaging a left-to-right and a
+ * right-to-left pass stops the row from drifting one way.
+ */
+const placeRow = (row: Unit[], desired: (number | null)[]) => {
+  const widths = row.map(unit => unit.members.length * SLOT_WIDTH);
+  const wanted = row.map((unit, i) => {
+    const centre = desired[i];
+    return centre === null ? unit.left : centre - widths[i] / 2;
+  });
+
+  const forward = wanted.slice();
+  for (let i = 1; i < row.length; i++) {
+    forward[i] = Math.max(forward[i], forward[i - 1] + widths[i - 1]);
+  }
+  const backward = wanted.slice();
+  for (let i = row.length - 2; i >= 0; i--) {
+    backward[i] = Math.min(backward[i], backward[i + 1] - widths[i]);
+  }
+
+  row.forEach((unit, i) => {
+    const left = (forward[i] + backward[i]) / 2;
+    unit.left = i === 0 ? left : Math.max(left, row[i - 1].left + widths[i - 1]);
+  });
+};
+
+/**
+ * Lays the tree (or one branch of it) out in generation rows: partners side by
+ * side, children centred under their parents, and rows ordered by the
+ * barycentre of their relatives to keep line crossings down. Positions are
+ * written back to the people on the 20px grid.
+ */
+export const autoArrange = (tree: FamilyTree, scope: LayoutScope = 'all', rootId?: string): FamilyTree => {
+  const graph = buildTreeGraph(tree);
+  const ids = scopeIds(tree, graph, scope, rootId);
+  if (ids.size === 0) return tree;
+
+  const people = new Map(tree.people.map(p => [p.id, p]));
+  const generation = assignGenerations(ids, graph);
+  const rows = buildRows(ids, graph, generation);
+  const parentsOf = (id: string) => inScope(ids, neighbours(graph.parents, id));
+  const childrenOf = (id: string) => inScope(ids, neighbours(graph.children, id));
+
+  // Start from the current left-to-right order, then sweep down and up
+  rows.forEach(row => {
+    row.sort((a, b) => average(a.members.map(id => people.get(id)!.x)) - average(b.members.map(id => people.get(id)!.x)));
+    packRow(row);
+  });
+  for (let sweep = 0; sweep < ORDER_SWEEPS; sweep++) {
+    const downward = sweep % 2 === 0;
+    const order = downward ? rows : rows.slice().reverse();
+    order.forEach(row => {
+      const positions = centres(rows);
+      const keys = new Map(row.map(unit => [
+        unit,
+        desiredCentre(unit, downward ? parentsOf : childrenOf, positions) ??
+          unit.left + unit.members.length * SLOT_WIDTH / 2
+      ]));
+      row.sort((a, b) => keys.get(a)! - keys.get(b)!);
+      packRow(row);
+    });
+  }
+
+  // Then nudge units towards their parents (going down) and children (going up)
+  for (let pass = 0; pass < POSITION_PASSES; pass++) {
+    const downward = pass % 2 === 0;
+    const order = downward ? rows : rows.slice().reverse();
+    order.forEach(row => {
+      const positions = centres(rows);
+      placeRow(row, row.map(unit => desiredCentre(unit, downward ? parentsOf : childrenOf, positions)));
+    });
+  }
+
+  const layout = new Map<string, { x: number; y: number }>();
+  rows.forEach((row, gen) => row.forEach(unit => unit.members.forEach((id, index) => {
+    layout.set(id, { x: unit.left + index * SLOT_WIDTH, y: gen * ROW_HEIGHT });
+  })));
+
+  // Anchor the result: a branch keeps its root where it was, the whole tree
+  // keeps its top-left corner
+  let offset: { x: number; y: number };
+  if (scope !== 'all' && rootId && layout.has(rootId)) {
+    const root = people.get(rootId)!;
+    offset = { x: root.x - layout.get(rootId)!.x, y: root.y - layout.get(rootId)!.y };
+  } else {
+    const placed = Array.from(ids).map(id => people.get(id)!);
+    const laidOut = Array.from(layout.values());
+    offset = {
+      x: Math.min(...placed.map(p => p.x)) - Math.min(...laidOut.map(p => p.x)),
+      y: Math.min(...placed.map(p => p.y)) - Math.min(...laidOut.map(p => p.y))
+    };
+  }
+
+  return {
+    ...tree,
+    people: tree.people.map(person => {
+      const position = layout.get(person.id);
+      if (!position) return person;
+      return { ...person, x: snap(position.x + offset.x), y: snap(position.y + offset.y) };
+    })
+  };
+};
@@ -0,0 +1,23 @@
+import { GRID_SIZE, nodeKeyCommand } from './canvasKeys';
+
+const press = (key: string, modifiers: { shiftKey?: boolean; ctrlKey?: boolean } = {}) =>
+  nodeKeyCommand({ key, shiftKey: false, ctrlKey: false, metaKey: false, altKey: false, ...modifiers });
+
+test('maps keys on a person to commands', () => {
+  expect(press('ArrowUp')).toEqual({ type: 'go', direction: 'up' });
+  expect(press('ArrowLeft', { shiftKey: true })).toEqual({ type: 'move', dx: -GRID_SIZE, dy: 0 });
+  expect(press('Enter')).toEqual({ type: 'edit' });
+  expect(press('F2')).toEqual({ type: 'edit' });
+  expect(press(' ')).toEqual({ type: 'select' });
+  expect(press(' ', { shiftKey: true })).toEqual({ type: 'toggle' });
+  expect(press('Delete')).toEqual({ type: 'delete' });
+  expect(press('C')).toEqual({ type: 'connect' });
+  expect(press('n')).toEqual({ type: 'add' });
+  expect(press('Escape')).toEqual({ type: 'cancel' });
+});
+
+test('leaves other keys and shortcuts with modifiers alone', () => {
+  expect(press('x')).toBeNull();
+  expect(press('c', { ctrlKey: true })).toBeNull();
+  expect(press('ArrowUp', { ctrlKey: true })).toBeNull();
+});
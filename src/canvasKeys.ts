@@ -0,0 +1,75 @@
+import { Direction } from './treeGraph';
+
+// What a key does on a focused person. Moves are in canvas pixels, one grid step.
+export type NodeKeyCommand =
+  | { type: 'go'; direction: Direction }
+  | { type: 'move'; dx: number; dy: number }
+  | { type: 'edit' | 'select' | 'toggle' | 'delete' | 'connect' | 'add' | 'cancel' };
+
+export const GRID_SIZE = 20;
+
+const ARROWS: Record<string, Direction> = {
+  ArrowUp: 'up',
+  ArrowDown: 'down',
+  ArrowLeft: 'left',
+  ArrowRight: 'right'
+};
+
+const STEPS: Record<Direction, { dx: number; dy: number }> = {
+  up: { dx: 0, dy: -GRID_SIZE },
+  down: { dx: 0, dy: GRID_SIZE },
+  left: { dx: -GRID_SIZE, dy: 0 },
+  right: { dx: GRID_SIZE, dy: 0 }
+};
+
+type KeyPress = Pick<KeyboardEvent, 'key' | 'shiftKey' | 'ctrlKey' | 'metaKey' | 'altKey'>;
+
+export const nodeKeyCommand = (e: KeyPress): NodeKeyCommand | null => {
+  if (e.ctrlKey || e.metaKey || e.altKey) return null;
+  const direction = ARROWS[e.key];
+  if (direction) {
+    return e.shiftKey ? { type: 'move', ...STEPS[direction] } : { type: 'go', direction };
+  }
+  switch (e.key) {
+    case 'Enter':
+    case 'F2':
+      return { type: 'edit' };
+    case ' ':
+      return e.shiftKey ? { type: 'toggle' } : { type: 'select' };
+    case 'Delete':
+    case 'Backspace':
+      return { type: 'delete' };
+    case 'Escape':
+      return { type: 'cancel' };
+    case 'c':
+    case 'C':
+      return { type: 'connect' };
+    case 'n':
+    case 'N':
+      return { type: 'add' };
+    default:
+      return null;
+  }
+};
+
+// Shown by the keyboard help (?) and read out as the canvas description
+export const KEYBOARD_SHORTCUTS: { keys: string; action: string }[] = [
+  { keys: 'Tab', action: 'Go to the tree (the selected person)' },
+  { keys: '↑ / ↓', action: 'Go to a parent / a child' },
+  { keys: '← / →', action: 'Go to the next spouse, sibling or co-parent on that side' },
+  { keys: 'Shift + arrows', action: 'Move the person, or everyone selected' },
+  { keys: 'Enter or F2', action: 'Edit the person (Escape to finish)' },
+  { keys: 'Space', action: 'Select, as a click does (second pick for "How related?")' },
+  { keys: 'Shift + Space', action: 'Add the person to the selection, or take them out' },
+  { keys: 'Ctrl + A', action: 'Select everyone' },
+  { keys: 'Ctrl + C / X / V', action: 'Copy, cut or paste the selected people (pastes at the mouse)' },
+  { keys: 'Escape', action: 'Select only this person again (or cancel connecting)' },
+  { keys: 'C', action: 'Connect from this person; go to the other person and press Enter, or Escape to cancel' },
+  { keys: 'N', action: 'Add a new person beside this one' },
+  { keys: 'Delete', action: 'Delete the person, or everyone selected' },
+  { keys: 'Shift + Tab', action: 'From a person, reach the buttons of their links (Enter edits, Delete removes)' },
+  { keys: '+ / − / 0', action: 'Zoom in / out / reset the view' },
+  { keys: 'Ctrl + F', action: 'Find a person' },
+  { keys: 'Ctrl + Z / Ctrl + Shift + Z', action: 'Undo / redo' },
+  { keys: '?', action: 'Show or hide these shortcuts' }
+];
@@ -0,0 +1,73 @@
+import { buildChart } from './charts';
+import { FamilyTree, Person, Relationship } from './types';
+
+// Three generations: grandparents, their son and his wife, and the couple's
+// two children. Everyone is stored at the same spot; the charts ignore it.
+const person = (id: string, gender?: Person['gender'], born?: string): Person => ({
+  id,
+  name: id,
+  x: 500,
+  y: 500,
+  ...(gender && { gender }),
+  ...(born && { events: [{ type: 'birth', date: born }] })
+});
+const parent = (from: string, to: string): Relationship => ({ id: `${from}-${to}`, type: 'parent', from, to });
+
+const tree: FamilyTree = {
+  people: [
+    person('grandma', 'female'), person('grandpa', 'male'),
+    person('dad', 'male'), person('mum', 'female'),
+    person('younger', undefined, '1990'), person('elder', undefined, '1985')
+  ],
+  relationships: [
+    parent('grandma', 'dad'), parent('grandpa', 'dad'),
+    parent('dad', 'younger'), parent('mum', 'younger'),
+    parent('dad', 'elder'), parent('mum', 'elder'),
+    { id: 's1', type: 'spouse', from: 'grandpa', to: 'grandma' },
+    { id: 's2', type: 'spouse', from: 'dad', to: 'mum' }
+  ]
+};
+
+const positions = (people: Person[]) => new Map(people.map(p => [p.id, { x: p.x, y: p.y }]));
+
+test('draws ancestors in rows above the root, fathers on the left', () => {
+  const chart = buildChart(tree, 'pedigree', 'elder', 4);
+  const at = positions(chart.people);
+
+  expect(Array.from(at.keys()).sort()).toEqual(['dad', 'elder', 'grandma', 'grandpa', 'mum']);
+  expect(at.get('dad')!.y).toBeLessThan(at.get('elder')!.y);
+  expect(at.get('grandpa')!.y).toBeLessThan(at.get('dad')!.y);
+  expect(at.get('dad')!.x).toBeLessThan(at.get('mum')!.x);
+  expect(at.get('grandpa')!.x).toBeLessThan(at.get('grandma')!.x);
+  // Centred under the parents
+  expect(at.get('elder')!.x).toBe((at.get('dad')!.x + at.get('mum')!.x) / 2);
+  expect(chart.relationships.map(r => r.id)).not.toContain('dad-younger');
+});
+
+test('stops after the chosen number of generations and marks who has more', () => {
+  const chart = buildChart(tree, 'pedigree', 'elder', 1);
+
+  expect(chart.people.map(p => p.id).sort()).toEqual(['dad', 'elder', 'mum']);
+  expect(Array.from(chart.truncated)).toEqual(['dad']);
+});
+
+test('draws descendants below the root with partners beside them, eldest first', () => {
+  const chart = buildChart(tree, 'descendants', 'grandpa', 4);
+  const at = positions(chart.people);
+
+  expect(at.get('grandma')!.y).toBe(at.get('grandpa')!.y);
+  expect(at.get('mum')!.y).toBe(at.get('dad')!.y);
+  expect(at.get('dad')!.y).toBeGreaterThan(at.get('grandpa')!.y);
+  expect(at.get('elder')!.y).toBeGreaterThan(at.get('dad')!.y);
+  expect(at.get('elder')!.x).toBeLessThan(at.get('younger')!.x);
+});
+
+test('puts ancestors above and descendants below the root in an hourglass', () => {
+  const chart = buildChart(tree, 'hourglass', 'dad', 1);
+  const at = positions(chart.people);
+
+  expect(chart.people).toHaveLength(tree.people.length);
+  ['grandma', 'grandpa'].forEach(id => expect(at.get(id)!.y).toBeLessThan(at.get('dad')!.y));
+  ['elder', 'younger'].forEach(id => expect(at.get(id)!.y).toBeGreaterThan(at.get('dad')!.y));
+  expect(chart.relationships).toHaveLength(tree.relationships.length);
+});
@@ -0,0 +1,137 @@
+import { FamilyTree, Person, Relationship } from './types';
+import { buildTreeGraph, neighbours } from './treeGraph';
+import { dateBounds } from './shared/dates';
+import { eventDate } from './shared/person';
+
+export type ChartKind = 'pedigree' | 'descendants' | 'hourglass';
+
+export const CHART_KINDS: { value: ChartKind; label: string }[] = [
+  { value: 'pedigree', label: 'Pedigree (ancestors)' },
+  { value: 'descendants', label: 'Descendants' },
+  { value: 'hourglass', label: 'Hourglass (both)' }
+];
+
+// Cards of a chart are all the same size; lines are routed for it
+export const CHART_CARD = { width: 160, height: 64 };
+const SLOT_WIDTH = 180;
+const ROW_HEIGHT = 140;
+
+export interface Chart {
+  // Copies of the people shown, at their place in the chart
+  people: Person[];
+  // The links between them
+  relationships: Relationship[];
+  // People on the outer generation with more relatives beyond it
+  truncated: Set<string>;
+}
+
+type Positions = Map<string, { x: number; y: number }>;
+
+interface TidyOptions {
+  generations: number;
+  branchesOf: (id: string) => string[]; // parents going up, children going down
+  partnersOf: (id: string) => string[]; // drawn beside the person
+  rowY: (depth: number) => number;
+}
+
+/**
+ * Lays a branch out as a tidy tree: each person's branches side by side, then
+ * the person (and partners) centred over the first and last of them. Anyone
+ * reached a second way, as when cousins marry, is drawn only the first time.
+ */
+const tidyLayout = (rootId: string, { generations, branchesOf, partnersOf, rowY }: TidyOptions) => {
+  const positions: Positions = new Map();
+  const truncated = new Set<string>();
+  const placed = new Set([rootId]);
+  const shift = (ids: string[], dx: number) => ids.forEach(id => {
+    const p = positions.get(id)!;
+    positions.set(id, { x: p.x + dx, y: p.y });
+  });
+
+  const place = (id: string, depth: number, left: number): { ids: string[]; centre: number; right: number } => {
+    const unit = [id, ...partnersOf(id).filter(p => !placed.has(p))];
+    unit.forEach(p => placed.add(p));
+    const beyond = branchesOf(id).filter(b => !placed.has(b));
+    if (depth === generations && beyond.length) truncated.add(id);
+    const branches = depth < generations ? beyond : [];
+    branches.forEach(b => placed.add(b));
+
+    const ids = [...unit];
+    const centres: number[] = [];
+    let right = left;
+    branches.forEach(b => {
+      const branch = place(b, depth + 1, right);
+      ids.push(...branch.ids);
+      centres.push(branch.centre);
+      right = branch.right;
+    });
+
+    const width = unit.length * SLOT_WIDTH;
+    let unitLeft = centres.length ? (centres[0] + centres[centres.length - 1]) / 2 - width / 2 : left;
+    if (unitLeft < left) {
+      // The branches are narrower than the unit: move them under it
+      shift(ids.slice(unit.length), left - unitLeft);
+      right += left - unitLeft;
+      unitLeft = left;
+    }
+    unit.forEach((p, i) => positions.set(p, { x: unitLeft + i * SLOT_WIDTH, y: rowY(depth) }));
+    return { ids, centre: unitLeft + width / 2, right: Math.max(right, unitLeft + width) };
+  };
+
+  place(rootId, 0, 0);
+  return { positions, truncated };
+};
+
+/**
+ * A pedigree, descendant or hourglass chart of `generations` generations
+ * around the root, worked out from the links alone: stored positions only
+ * decide the order of people the links don't (children by birth, then
+ * left to right).
+ */
+export const buildChart = (tree: FamilyTree, kind: ChartKind, rootId: string, generations: number): Chart => {
+  const people = new Map(tree.people.map(p => [p.id, p]));
+  if (!people.has(rootId)) return { people: [], relationships: [], truncated: new Set() };
+  const graph = buildTreeGraph(tree);
+
+  const born = (id: string) => dateBounds(eventDate(people.get(id)!, 'birth'))?.earliest ?? Infinity;
+  const byPlace = (a: string, b: string) => people.get(a)!.x - people.get(b)!.x;
+  // Fathers on the left and mothers on the right, as pedigrees are drawn
+  const side = (id: string) => {
+    const { gender } = people.get(id)!;
+    return gender === 'male' ? 0 : gender === 'female' ? 2 : 1;
+  };
+  const parentsOf = (id: string) => [...neighbours(graph.parents, id)].sort((a, b) => side(a) - side(b) || byPlace(a, b));
+  const childrenOf = (id: string) => [...neighbours(graph.children, id)].sort((a, b) => born(a) - born(b) || byPlace(a, b));
+
+  const ancestors = kind === 'descendants' ? null : tidyLayout(rootId, {
+    generations,
+    branchesOf: parentsOf,
+    partnersOf: () => [],
+    rowY: depth => -depth * ROW_HEIGHT
+  });
+  const descendants = kind === 'pedigree' ? null : tidyLayout(rootId, {
+    generations,
+    branchesOf: childrenOf,
+    partnersOf: id => neighbours(graph.spouses, id),
+    rowY: depth => depth * ROW_HEIGHT
+  });
+
+  // The two halves of an hourglass meet at the root
+  const positions: Positions = new Map();
+  if (descendants) {
+    const dx = ancestors ? ancestors.positions.get(rootId)!.x - descendants.positions.get(rootId)!.x : 0;
+    descendants.positions.forEach((p, id) => positions.set(id, { x: p.x + dx, y: p.y }));
+  }
+  ancestors?.positions.forEach((p, id) => {
+    if (!positions.has(id)) positions.set(id, p);
+  });
+
+  return {
+    people: tree.people.filter(p => positions.has(p.id)).map(p => ({ ...p, ...positions.get(p.id)! })),
+    relationships: tree.relationships.filter(r => positions.has(r.from) && positions.has(r.to)),
+    truncated: new Set([
+      ...Array.from(ancestors?.truncated || []),
+      ...Array.from(descendants?.truncated || [])
+    ])
+  };
+};
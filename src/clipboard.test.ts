@@ -0,0 +1,58 @@
+import { copyText, pastePeople, readPasted } from './clipboard';
+import { FamilyTree } from './types';
+
+// A mother and daughter, both citing the same register, and the mother's husband
+const tree: FamilyTree = {
+  people: [
+    { id: 'mum', name: 'Mum', x: 100, y: 100, citations: [{ id: 'c1', sourceId: 'reg', confidence: 'primary' }] },
+    { id: 'kid', name: 'Kid', x: 140, y: 300, events: [{ type: 'birth', date: '1901', citations: [{ id: 'c2', sourceId: 'reg', confidence: 'primary' }] }] },
+    { id: 'dad', name: 'Dad', x: 300, y: 100 }
+  ],
+  relationships: [
+    { id: 'r1', type: 'parent', from: 'mum', to: 'kid' },
+    { id: 'r2', type: 'parent', from: 'dad', to: 'kid' },
+    { id: 'r3', type: 'spouse', from: 'mum', to: 'dad' }
+  ],
+  sources: [{ id: 'reg', title: 'Parish register' }, { id: 'census', title: 'Census 1911' }]
+};
+
+test('copies the people as a tree file that reads back', () => {
+  const copied = readPasted(copyText(tree, ['mum', 'kid']));
+  expect(copied.version).toBeDefined();
+  expect(copied.people.map(p => p.id)).toEqual(['mum', 'kid']);
+  expect(copied.relationships.map(r => r.id)).toEqual(['r1']);
+  expect(copied.sources?.map(s => s.id)).toEqual(['reg']);
+});
+
+test('refuses text that is not a tree', () => {
+  expect(() => readPasted('just some words')).toThrow("The clipboard doesn't hold people copied from a family tree.");
+  expect(() => readPasted('{"name": "not a tree"}')).toThrow(/can't be imported/);
+});
+
+test('pastes under new ids at the given point, keeping the layout and links', () => {
+  const copied = readPasted(copyText(tree, ['mum', 'kid']));
+  const { tree: result, ids } = pastePeople(tree, copied, { x: 500, y: 405 });
+
+  expect(result.people).toHaveLength(5);
+  expect(ids).toHaveLength(2);
+  const pasted = result.people.filter(p => ids.includes(p.id));
+  expect(pasted.map(p => [p.name, p.x, p.y])).toEqual([['Mum', 500, 400], ['Kid', 540, 600]]);
+  expect(ids.some(id => tree.people.some(p => p.id === id))).toBe(false);
+
+  const link = result.relationships[result.relationships.length - 1];
+  expect(result.relationships).toHaveLength(4);
+  expect([link.type, link.from, link.to]).toEqual(['parent', ids[0], ids[1]]);
+  expect(tree.relationships.some(r => r.id === link.id)).toBe(false);
+});
+
+test('cites matching sources already in the tree and adds the others', () => {
+  const copied = readPasted(copyText(tree, ['mum', 'kid']));
+  const same = pastePeople(tree, copied, { x: 0, y: 0 }).tree;
+  expect(same.sources).toHaveLength(2);
+  expect(same.people[3].citations?.[0].sourceId).toBe('reg');
+  expect(same.people[3].citations?.[0].id).not.toBe('c1');
+
+  const other = pastePeople({ people: [], relationships: [] }, copied, { x: 0, y: 0 }).tree;
+  expect(other.sources?.map(s => s.title)).toEqual(['Parish register']);
+  expect(other.people[1].events?.[0].citations?.[0].sourceId).toBe(other.sources?.[0].id);
+});
@@ -0,0 +1,89 @@
+import { Citation, FamilyTree, Person, Relationship, Source } from './types';
+import { GRID_SIZE } from './canvasKeys';
+import { extractPeople } from './selection';
+import { withSchemaVersion } from './shared/schema';
+import { parseImportedFile } from './shared/storage';
+
+// Copy and paste of people within a tree, between trees and across tabs. The
+// clipboard holds an ordinary tree file with just the copied people, so it can
+// also be saved and imported, and a tree file or GEDCOM can be pasted in.
+
+export const copyText = (tree: FamilyTree, ids: string[]): string =>
+  JSON.stringify(withSchemaVersion(extractPeople(tree, ids)), null, 2);
+
+// Throws a readable error when the text isn't a tree
+export const readPasted = (text: string): FamilyTree => {
+  try {
+    return parseImportedFile(text).tree;
+  } catch (error) {
+    throw new Error(error instanceof SyntaxError
+      ? "The clipboard doesn't hold people copied from a family tree."
+      : error instanceof Error ? error.message : String(error));
+  }
+};
+
+const snap = (value: number) => Math.round(value / GRID_SIZE) * GRID_SIZE;
+
+const sourceKey = (source: Source) => `${source.title.trim().toLowerCase()}|${(source.author || '').trim().toLowerCase()}`;
+
+// Adds pasted people to a tree with their links, under new ids so nothing
+// clashes, keeping their layout with the top left person at `at`. Sources the
+// tree already has (same title and author) are cited instead of added again.
+export const pastePeople = (
+  tree: FamilyTree,
+  pasted: FamilyTree,
+  at: { x: number; y: number }
+): { tree: FamilyTree; ids: string[] } => {
+  if (pasted.people.length === 0) return { tree, ids: [] };
+
+  const base = Date.now().toString(36);
+  const taken = new Set([...tree.people, ...tree.relationships, ...(tree.sources || [])].map(record => record.id));
+  let next = 0;
+  const newId = () => {
+    let id = `${base}-${next++}`;
+    while (taken.has(id)) id = `${base}-${next++}`;
+    return id;
+  };
+
+  const known = new Map((tree.sources || []).map(source => [sourceKey(source), source.id]));
+  const sourceIds = new Map<string, string>();
+  const sources: Source[] = [];
+  (pasted.sources || []).forEach(source => {
+    const match = known.get(sourceKey(source));
+    if (match) {
+      sourceIds.set(source.id, match);
+    } else {
+      const copy = { ...source, id: newId() };
+      sourceIds.set(source.id, copy.id);
+      known.set(sourceKey(source), copy.id);
+      sources.push(copy);
+    }
+  });
+  const recite = <T extends { citations?: Citation[] }>(record: T): T => (record.citations
+    ? { ...record, citations: record.citations.map(c => ({ ...c, id: newId(), sourceId: sourceIds.get(c.sourceId) ?? c.sourceId })) }
+    : record);
+
+  const dx = snap(at.x - Math.min(...pasted.people.map(p => p.x)));
+  const dy = snap(at.y - Math.min(...pasted.people.map(p => p.y)));
+  const personIds = new Map(pasted.people.map(p => [p.id, newId()]));
+  const people: Person[] = pasted.people.map(p => recite({
+    ...p,
+    id: personIds.get(p.id)!,
+    x: p.x + dx,
+    y: p.y + dy,
+    ...(p.events && { events: p.events.map(recite) })
+  }));
+  const relationships: Relationship[] = pasted.relationships
+    .filter(r => personIds.has(r.from) && personIds.has(r.to))
+    .map(r => recite({ ...r, id: newId(), from: personIds.get(r.from)!, to: personIds.get(r.to)! }));
+
+  return {
+    tree: {
+      ...tree,
+      ...(sources.length > 0 && { sources: [...(tree.sources || []), ...sources] }),
+      people: [...tree.people, ...people],
+      relationships: [...tree.relationships, ...relationships]
+    },
+    ids: people.map(p => p.id)
+  };
+};
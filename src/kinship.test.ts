@@ -0,0 +1,81 @@
+import { findKinship } from './kinship';
+import { FamilyTree, Person, Relationship } from './types';
+
+// Two grandparents with two children; each child has a line of descendants
+const person = (id: string, gender?: Person['gender']): Person => ({ id, name: id, gender, x: 0, y: 0 });
+const parent = (from: string, to: string): Relationship => ({ id: `${from}-${to}`, type: 'parent', from, to });
+
+const tree: FamilyTree = {
+  people: ['gpa', 'gma', 'dad', 'aunt', 'me', 'cousin', 'cousinKid', 'half', 'mum', 'uncleByMarriage', 'mumsDad']
+    .map(id => person(id, ['gma', 'aunt', 'mum', 'half'].includes(id) ? 'female' : 'male')),
+  relationships: [
+    parent('gpa', 'dad'), parent('gma', 'dad'),
+    parent('gpa', 'aunt'), parent('gma', 'aunt'),
+    parent('dad', 'me'), parent('mum', 'me'),
+    parent('dad', 'half'),
+    parent('aunt', 'cousin'),
+    parent('cousin', 'cousinKid'),
+    parent('mumsDad', 'mum'),
+    { id: 's1', type: 'spouse', from: 'aunt', to: 'uncleByMarriage' }
+  ]
+};
+
+test('names blood relations and their common ancestors', () => {
+  expect(findKinship(tree, 'gpa', 'me')?.term).toBe('grandfather');
+  expect(findKinship(tree, 'me', 'gma')?.term).toBe('grandson');
+  expect(findKinship(tree, 'aunt', 'me')?.term).toBe('aunt');
+  expect(findKinship(tree, 'half', 'me')?.term).toBe('half-sister');
+  expect(findKinship(tree, 'cousinKid', 'me')?.term).toBe('first cousin once removed');
+
+  const cousins = findKinship(tree, 'me', 'cousin')!;
+  expect(cousins.term).toBe('first cousin');
+  expect(cousins.commonAncestors.sort()).toEqual(['gma', 'gpa']);
+  expect(cousins.path).toEqual(['me', 'dad', 'gpa', 'aunt', 'cousin']);
+});
+
+test('follows one marriage for in-laws and relatives by marriage', () => {
+  expect(findKinship(tree, 'uncleByMarriage', 'me')?.term).toBe('uncle by marriage');
+  expect(findKinship(tree, 'dad', 'uncleByMarriage')?.term).toBe('brother-in-law');
+  expect(findKinship(tree, 'mumsDad', 'dad')).toBeNull();
+  expect(findKinship(tree, 'mum', 'half')).toBeNull();
+});
+
+test('names step and foster relatives from the kind of parent link, not as blood relatives', () => {
+  // A mother with a son of her own, a stepdaughter through her partner and a foster son
+  const family: FamilyTree = {
+    people: [person('mother', 'female'), person('son', 'male'), person('stepdaughter', 'female'), person('foster', 'male'), person('ward')],
+    relationships: [
+      parent('mother', 'son'),
+      { ...parent('mother', 'stepdaughter'), subtype: 'step' },
+      { ...parent('mother', 'foster'), subtype: 'foster' },
+      { ...parent('mother', 'ward'), subtype: 'guardian' }
+    ]
+  };
+
+  expect(findKinship(family, 'mother', 'stepdaughter')?.term).toBe('stepmother');
+  expect(findKinship(family, 'stepdaughter', 'mother')?.term).toBe('stepdaughter');
+  expect(findKinship(family, 'son', 'stepdaughter')?.term).toBe('stepbrother');
+  expect(findKinship(family, 'mother', 'foster')?.term).toBe('foster mother');
+  expect(findKinship(family, 'stepdaughter', 'foster')?.term).toBe('stepsister');
+  expect(findKinship(family, 'foster', 'son')?.term).toBe('foster brother');
+  expect(findKinship(family, 'mother', 'ward')?.term).toBe('guardian');
+  expect(findKinship(family, 'ward', 'mother')?.term).toBe('ward');
+  expect(findKinship(family, 'ward', 'son')).toBeNull();
+});
+
+test('counts adopted children as family, by adoption', () => {
+  const family: FamilyTree = {
+    people: [person('grandpa', 'male'), person('dad', 'male'), person('adopted', 'female'), person('born', 'male')],
+    relationships: [
+      parent('grandpa', 'dad'),
+      { ...parent('dad', 'adopted'), subtype: 'adoptive' },
+      parent('dad', 'born')
+    ]
+  };
+
+  expect(findKinship(family, 'dad', 'adopted')?.term).toBe('adoptive father');
+  expect(findKinship(family, 'adopted', 'dad')?.term).toBe('adoptive daughter');
+  expect(findKinship(family, 'adopted', 'born')?.term).toBe('sister by adoption');
+  expect(findKinship(family, 'grandpa', 'adopted')?.term).toBe('grandfather by adoption');
+  expect(findKinship(family, 'grandpa', 'born')?.term).toBe('grandfather');
+});
@@ -0,0 +1,228 @@
+import { FamilyTree, Person, Relationship } from './types';
+import { buildTreeGraph, neighbours, TreeGraph } from './treeGraph';
+import { isBiological } from './shared/relationships';
+
+export interface Kinship {
+  term: string; // what the first person is to the second, e.g. "second cousin once removed"
+  commonAncestors: string[];
+  path: string[]; // person ids from the first person to the second
+}
+
+type Gender = Person['gender'];
+
+interface Ancestry {
+  distance: Map<string, number>;
+  via: Map<string, string>; // ancestor -> the child we reached them through
+}
+
+interface BloodLink {
+  up: number; // generations from the first person up to the common ancestor
+  down: number; // generations from the common ancestor down to the second person
+  half: boolean;
+  commonAncestors: string[];
+  path: string[];
+}
+
+const ORDINALS = ['', 'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+
+const gendered = (gender: Gender, male: string, female: string, neutral: string) =>
+  gender === 'male' ? male : gender === 'female' ? female : neutral;
+
+const greats = (n: number) => (n <= 0 ? '' : n <= 2 ? 'great-'.repeat(n) : `${n}× great-`);
+
+const ordinal = (n: number) => ORDINALS[n] || `${n}th`;
+
+const removed = (n: number) => (n === 1 ? ' once removed' : n === 2 ? ' twice removed' : n > 2 ? ` ${n} times removed` : '');
+
+const ancestry = (graph: TreeGraph, id: string): Ancestry => {
+  const distance = new Map([[id, 0]]);
+  const via = new Map<string, string>();
+  const queue = [id];
+  while (queue.length) {
+    const current = queue.shift()!;
+    neighbours(graph.parents, current).forEach(parent => {
+      if (distance.has(parent)) return;
+      distance.set(parent, distance.get(current)! + 1);
+      via.set(parent, current);
+      queue.push(parent);
+    });
+  }
+  return { distance, via };
+};
+
+// Walks from an ancestor back down to the person the ancestry was built from
+const lineTo = ({ via }: Ancestry, ancestorId: string): string[] => {
+  const line = [ancestorId];
+  let current = ancestorId;
+  while (via.has(current)) {
+    current = via.get(current)!;
+    line.push(current);
+  }
+  return line;
+};
+
+const bloodLink = (graph: TreeGraph, fromId: string, toId: string): BloodLink | null => {
+  const from = ancestry(graph, fromId);
+  const to = ancestry(graph, toId);
+
+  let up = Infinity;
+  let down = Infinity;
+  let common: string[] = [];
+  from.distance.forEach((upTo, id) => {
+    const downFrom = to.distance.get(id);
+    if (downFrom === undefined) return;
+    if (upTo + downFrom < up + down) {
+      [up, down, common] = [upTo, downFrom, [id]];
+    } else if (upTo === up && downFrom === down) {
+      common.push(id);
+    }
+  });
+  if (common.length === 0) return null;
+
+  // Siblings who share one parent while another parent is known are half-siblings
+  const half = up === 1 && down === 1 && common.length === 1 && (
+    neighbours(graph.parents, fromId).length > 1 || neighbours(graph.parents, toId).length > 1
+  );
+
+  return {
+    up,
+    down,
+    half,
+    commonAncestors: common,
+    path: [...lineTo(from, common[0]).reverse(), ...lineTo(to, common[0]).slice(1)]
+  };
+};
+
+// An adopted child is family like any other, so adoptive links are followed
+// too; the term then says the relation is by adoption
+const isKin = (rel: Relationship) => rel.type === 'spouse' || isBiological(rel) || rel.subtype === 'adoptive';
+
+const bloodTerm = ({ up, down, half }: BloodLink, gender: Gender): string => {
+  if (up === 0) {
+    const base = gendered(gender, 'father', 'mother', 'parent');
+    if (down === 1) return base;
+    return `${greats(down - 2)}grand${base}`;
+  }
+  if (down === 0) {
+    const base = gendered(gender, 'son', 'daughter', 'child');
+    if (up === 1) return base;
+    return `${greats(up - 2)}grand${base}`;
+  }
+  if (up === 1 && down === 1) {
+    return `${half ? 'half-' : ''}${gendered(gender, 'brother', 'sister', 'sibling')}`;
+  }
+  if (up === 1) {
+    return `${greats(down - 2)}${gendered(gender, 'uncle', 'aunt', 'aunt/uncle')}`;
+  }
+  if (down === 1) {
+    return `${greats(up - 2)}${gendered(gender, 'nephew', 'niece', 'niece/nephew')}`;
+  }
+  return `${ordinal(Math.min(up, down) - 1)} cousin${removed(Math.abs(up - down))}`;
+};
+
+const adoptedTerm = (link: BloodLink, gender: Gender) => {
+  const term = bloodTerm(link, gender);
+  return link.up + link.down === 1 ? `adoptive ${term}` : `${term} by adoption`;
+};
+
+// Step, foster and guardian links make no blood relatives, only the person
+// at each end of the link and the other children of the same parent
+const careTerm = (kind: Relationship['subtype'], role: 'parent' | 'child' | 'sibling', gender: Gender) => {
+  if (kind === 'guardian') return role === 'parent' ? 'guardian' : role === 'child' ? 'ward' : null;
+  const prefix = kind === 'step' ? 'step' : 'foster ';
+  const base = role === 'parent' ? gendered(gender, 'father', 'mother', 'parent')
+    : role === 'child' ? gendered(gender, 'son', 'daughter', 'child')
+    : gendered(gender, 'brother', 'sister', 'sibling');
+  return `${prefix}${base}`;
+};
+
+const careLink = (tree: FamilyTree, fromId: string, toId: string, gender: Gender): Kinship | null => {
+  const links = tree.relationships.filter(r => r.type === 'parent' && r.from !== r.to);
+  const direct = links.find(r => (r.from === fromId && r.to === toId) || (r.from === toId && r.to === fromId));
+  if (direct) {
+    const term = careTerm(direct.subtype, direct.from === fromId ? 'parent' : 'child', gender);
+    return term ? { term, commonAncestors: [], path: [fromId, toId] } : null;
+  }
+
+  // Children of the same parent, at least one of them not by blood or adoption
+  for (const fromLink of links.filter(r => r.to === fromId)) {
+    const toLink = links.find(r => r.to === toId && r.from === fromLink.from);
+    if (!toLink) continue;
+    const kind = [fromLink, toLink].some(r => r.subtype === 'step') ? 'step'
+      : [fromLink, toLink].some(r => r.subtype === 'foster') ? 'foster'
+      : 'guardian';
+    const term = careTerm(kind, 'sibling', gender);
+    if (term) return { term, commonAncestors: [fromLink.from], path: [fromId, fromLink.from, toId] };
+  }
+  return null;
+};
+
+/**
+ * Describes how `fromId` is related to `toId` ("Ann is Bob's ..."), following
+ * biological and adoptive parent links and at most one marriage, or a single
+ * step, foster or guardian link. Returns null if they aren't related.
+ */
+export const findKinship = (tree: FamilyTree, fromId: string, toId: string): Kinship | null => {
+  if (fromId === toId) return null;
+  const graph = buildTreeGraph({ ...tree, relationships: tree.relationships.filter(isKin) });
+  const adopted = new Set(tree.relationships
+    .filter(r => r.type === 'parent' && r.subtype === 'adoptive')
+    .map(r => `${r.from}>${r.to}`));
+  const byAdoption = (path: string[]) => path.some((id, i) =>
+    i > 0 && (adopted.has(`${path[i - 1]}>${id}`) || adopted.has(`${id}>${path[i - 1]}`)));
+  const gender = tree.people.find(p => p.id === fromId)?.gender;
+
+  const blood = bloodLink(graph, fromId, toId);
+  if (blood) {
+    const term = byAdoption(blood.path) ? adoptedTerm(blood, gender) : bloodTerm(blood, gender);
+    return { term, commonAncestors: blood.commonAncestors, path: blood.path };
+  }
+
+  const care = careLink(tree, fromId, toId, gender);
+  if (care) return care;
+
+  if (neighbours(graph.spouses, toId).includes(fromId)) {
+    return { term: gendered(gender, 'husband', 'wife', 'spouse'), commonAncestors: [], path: [fromId, toId] };
+  }
+
+  // A blood relative of their spouse: parent-in-law, sibling-in-law, stepchild...
+  for (const spouseId of neighbours(graph.spouses, toId)) {
+    const link = bloodLink(graph, fromId, spouseId);
+    if (!link) continue;
+    const term = bloodTerm(link, gender);
+    return {
+      term: link.up === 1 && link.down === 0 ? `step${term}`
+        : (link.up === 0 && link.down === 1) || (link.up === 1 && link.down === 1) ? `${term}-in-law`
+        : `${term} by marriage`,
+      commonAncestors: link.commonAncestors,
+      path: [...link.path, toId]
+    };
+  }
+
+  // Married to one of their blood relatives: step-parent, sibling-in-law, child-in-law...
+  for (const spouseId of neighbours(graph.spouses, fromId)) {
+    const link = bloodLink(graph, spouseId, toId);
+    if (!link) continue;
+    const term = bloodTerm(link, gender);
+    return {
+      term: link.up === 0 && link.down === 1 ? `step${term}`
+        : (link.up === 1 && link.down === 0) || (link.up === 1 && link.down === 1) ? `${term}-in-law`
+        : `${term} by marriage`,
+      commonAncestors: link.commonAncestors,
+      path: [fromId, ...link.path]
+    };
+  }
+
+  return null;
+};
+
+// Ids of the relationships joining consecutive people on a kinship path
+export const pathRelationshipIds = (tree: FamilyTree, path: string[]): Set<string> => {
+  const ids = new Set<string>();
+  for (let i = 1; i < path.length; i++) {
+    const [a, b] = [path[i - 1], path[i]];
+    const rel = tree.relationships.find(r => (r.from === a && r.to === b) || (r.from === b && r.to === a));
+    if (rel) ids.add(rel.id);
+  }
+  return ids;
+};
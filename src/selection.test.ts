@@ -0,0 +1,71 @@
+import { alignPeople, extractPeople, lineageOf, movePeople, peopleInRect, removePeople } from './selection';
+import { FamilyTree, Person, Relationship } from './types';
+
+// Grandparent, parent and child in a line, with the parent's spouse off to the side
+const person = (id: string, x: number, y: number): Person => ({ id, name: id, x, y });
+const parent = (from: string, to: string): Relationship => ({ id: `${from}-${to}`, type: 'parent', from, to });
+
+const tree: FamilyTree = {
+  people: [person('gran', 0, 0), person('mum', 20, 200), person('kid', 60, 400), person('dad', 300, 220)],
+  relationships: [
+    parent('gran', 'mum'), parent('mum', 'kid'), parent('dad', 'kid'),
+    { id: 's1', type: 'spouse', from: 'mum', to: 'dad' }
+  ]
+};
+const positions = (result: FamilyTree) => Object.fromEntries(result.people.map(p => [p.id, [p.x, p.y]]));
+
+test('picks the people whose cards a rectangle touches', () => {
+  expect(peopleInRect(tree.people, { x: -50, y: -50, width: 120, height: 300 })).toEqual(['gran', 'mum']);
+  expect(peopleInRect(tree.people, { x: 160, y: 250, width: 150, height: 50 })).toEqual(['mum', 'dad']);
+  expect(peopleInRect(tree.people, { x: 500, y: 500, width: 10, height: 10 })).toEqual([]);
+});
+
+test('selects a line of descent either way, starting with the person', () => {
+  expect(lineageOf(tree, 'gran', 'descendants').sort()).toEqual(['gran', 'kid', 'mum']);
+  expect(lineageOf(tree, 'kid', 'ancestors').sort()).toEqual(['dad', 'gran', 'kid', 'mum']);
+  expect(lineageOf(tree, 'dad', 'ancestors')).toEqual(['dad']);
+});
+
+test('moves only the chosen people', () => {
+  expect(positions(movePeople(tree, ['mum', 'kid'], 40, -20))).toEqual({
+    gran: [0, 0], mum: [60, 180], kid: [100, 380], dad: [300, 220]
+  });
+});
+
+test('lines people up on an edge or the middle', () => {
+  expect(positions(alignPeople(tree, ['gran', 'mum', 'kid'], 'left'))).toMatchObject({ gran: [0, 0], mum: [0, 200], kid: [0, 400] });
+  expect(positions(alignPeople(tree, ['mum', 'dad'], 'top'))).toMatchObject({ mum: [20, 200], dad: [300, 200] });
+  expect(positions(alignPeople(tree, ['mum', 'dad'], 'middle'))).toMatchObject({ mum: [20, 220], dad: [300, 220] });
+  expect(positions(alignPeople(tree, ['gran', 'kid'], 'right'))).toMatchObject({ gran: [60, 0], kid: [60, 400] });
+  // One person has nothing to line up with
+  expect(alignPeople(tree, ['mum'], 'left')).toBe(tree);
+});
+
+test('spreads people evenly between the outermost two, on the grid', () => {
+  const spread = positions(alignPeople(tree, ['gran', 'mum', 'kid', 'dad'], 'spread-across'));
+  expect(spread).toEqual({ gran: [0, 0], mum: [100, 200], kid: [200, 400], dad: [300, 220] });
+});
+
+test('removes people along with their links', () => {
+  const result = removePeople(tree, ['mum']);
+  expect(result.people.map(p => p.id)).toEqual(['gran', 'kid', 'dad']);
+  expect(result.relationships.map(r => r.id)).toEqual(['dad-kid']);
+});
+
+test('extracts people with the links between them and the sources they cite', () => {
+  const cited: FamilyTree = {
+    ...tree,
+    people: tree.people.map(p => (p.id === 'kid'
+      ? { ...p, events: [{ type: 'birth', citations: [{ id: 'c1', sourceId: 'register', confidence: 'primary' }] }] }
+      : p)),
+    relationships: tree.relationships.map(r => (r.id === 's1'
+      ? { ...r, citations: [{ id: 'c2', sourceId: 'licence', confidence: 'primary' }] }
+      : r)),
+    sources: [{ id: 'register', title: 'Birth register' }, { id: 'licence', title: 'Marriage licence' }]
+  };
+  const part = extractPeople(cited, ['mum', 'kid']);
+  expect(part.people.map(p => p.id)).toEqual(['mum', 'kid']);
+  expect(part.relationships.map(r => r.id)).toEqual(['mum-kid']);
+  expect(part.sources?.map(s => s.id)).toEqual(['register']);
+  expect(extractPeople(tree, ['gran']).sources).toBeUndefined();
+});
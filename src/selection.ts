@@ -0,0 +1,125 @@
+import { Citation, FamilyTree, Person } from './types';
+import { GRID_SIZE } from './canvasKeys';
+import { buildTreeGraph, collectAncestors, collectDescendants } from './treeGraph';
+
+// Card size assumed when hit-testing a selection rectangle and routing lines; cards are 120-200px wide
+export const NODE_WIDTH = 150;
+export const NODE_HEIGHT = 100;
+
+const snap = (value: number) => Math.round(value / GRID_SIZE) * GRID_SIZE;
+
+export interface CanvasRect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+// People whose card overlaps a rectangle in canvas coordinates
+export const peopleInRect = (people: Person[], rect: CanvasRect): string[] => people
+  .filter(p => p.x < rect.x + rect.width && p.x + NODE_WIDTH > rect.x && p.y < rect.y + rect.height && p.y + NODE_HEIGHT > rect.y)
+  .map(p => p.id);
+
+export type Lineage = 'descendants' | 'ancestors';
+
+// A person and everyone descended from them (or that they descend from)
+export const lineageOf = (tree: FamilyTree, id: string, lineage: Lineage): string[] => {
+  const graph = buildTreeGraph(tree);
+  const found = lineage === 'descendants' ? collectDescendants(graph, id) : collectAncestors(graph, id);
+  return [id, ...Array.from(found)];
+};
+
+export const movePeople = (tree: FamilyTree, ids: string[], dx: number, dy: number): FamilyTree => {
+  const moving = new Set(ids);
+  return {
+    ...tree,
+    people: tree.people.map(p => (moving.has(p.id) ? { ...p, x: p.x + dx, y: p.y + dy } : p))
+  };
+};
+
+export type Alignment = 'left' | 'centre' | 'right' | 'top' | 'middle' | 'bottom' | 'spread-across' | 'spread-down';
+
+export const ALIGNMENTS: { value: Alignment; label: string }[] = [
+  { value: 'left', label: 'Align left' },
+  { value: 'centre', label: 'Align centres' },
+  { value: 'right', label: 'Align right' },
+  { value: 'top', label: 'Align top' },
+  { value: 'middle', label: 'Align middles' },
+  { value: 'bottom', label: 'Align bottom' },
+  { value: 'spread-across', label: 'Space evenly across' },
+  { value: 'spread-down', label: 'Space evenly down' }
+];
+
+// Lines the people up on one edge, or spreads them out evenly between the outermost
+// two, keeping their order. Positions stay on the grid.
+export const alignPeople = (tree: FamilyTree, ids: string[], alignment: Alignment): FamilyTree => {
+  const chosen = tree.people.filter(p => ids.includes(p.id));
+  if (chosen.length < 2) return tree;
+  const xs = chosen.map(p => p.x);
+  const ys = chosen.map(p => p.y);
+  const mean = (values: number[]) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+  const positions = new Map<string, { x: number; y: number }>();
+  const spread = (axis: 'x' | 'y') => {
+    const ordered = [...chosen].sort((a, b) => a[axis] - b[axis]);
+    const first = ordered[0][axis];
+    const step = (ordered[ordered.length - 1][axis] - first) / (ordered.length - 1);
+    ordered.forEach((p, i) => {
+      const value = snap(first + step * i);
+      positions.set(p.id, axis === 'x' ? { x: value, y: p.y } : { x: p.x, y: value });
+    });
+  };
+
+  if (alignment === 'spread-across') {
+    spread('x');
+  } else if (alignment === 'spread-down') {
+    spread('y');
+  } else {
+    const edges: Record<typeof alignment, { x?: number; y?: number }> = {
+      left: { x: Math.min(...xs) },
+      centre: { x: snap(mean(xs)) },
+      right: { x: Math.max(...xs) },
+      top: { y: Math.min(...ys) },
+      middle: { y: snap(mean(ys)) },
+      bottom: { y: Math.max(...ys) }
+    };
+    const edge = edges[alignment];
+    chosen.forEach(p => positions.set(p.id, { x: edge.x ?? p.x, y: edge.y ?? p.y }));
+  }
+
+  return {
+    ...tree,
+    people: tree.people.map(p => {
+      const position = positions.get(p.id);
+      return position ? { ...p, x: position.x, y: position.y } : p;
+    })
+  };
+};
+
+export const removePeople = (tree: FamilyTree, ids: string[]): FamilyTree => {
+  const removing = new Set(ids);
+  return {
+    ...tree,
+    people: tree.people.filter(p => !removing.has(p.id)),
+    relationships: tree.relationships.filter(r => !removing.has(r.from) && !removing.has(r.to))
+  };
+};
+
+// The chosen people as a tree of their own: the links between them and the
+// sources they cite. Links to anyone left out are dropped.
+export const extractPeople = (tree: FamilyTree, ids: string[]): FamilyTree => {
+  const keeping = new Set(ids);
+  const people = tree.people.filter(p => keeping.has(p.id));
+  const relationships = tree.relationships.filter(r => keeping.has(r.from) && keeping.has(r.to));
+
+  const cited = new Set<string>();
+  const cite = (citations?: Citation[]) => citations?.forEach(c => cited.add(c.sourceId));
+  people.forEach(p => {
+    cite(p.citations);
+    p.events?.forEach(event => cite(event.citations));
+  });
+  relationships.forEach(r => cite(r.citations));
+  const sources = tree.sources?.filter(s => cited.has(s.id));
+
+  return { people, relationships, ...(sources?.length ? { sources } : {}) };
+};
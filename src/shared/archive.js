@@ -0,0 +1,157 @@
+// Minimal ZIP reader/writer for tree archives (the tree's JSON plus its
+// attachments). Files are written uncompressed, since photos and PDFs are
+// compressed already; archives re-zipped by other tools with deflate can
+// still be read where the browser has DecompressionStream.
+
+/**
+ * @typedef {Object} ArchiveEntry
+ * @property {string} name - path inside the archive, '/'-separated
+ * @property {Uint8Array} data
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_NAMES = 0x0800;
+
+/** @type {Uint32Array | null} */
+let crcTable = null;
+
+/** @param {Uint8Array} data */
+const crc32 = (data) => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// DOS date and time fields for `date`
+const dosTime = (date) => (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+const dosDate = (date) => ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+/**
+ * Packs `entries` into a ZIP file.
+ * @param {ArchiveEntry[]} entries
+ * @param {Date} [modified]
+ * @returns {Uint8Array}
+ */
+export const createZip = (entries, modified = new Date()) => {
+  const encoder = new TextEncoder();
+  const files = entries.map(entry => ({ ...entry, path: encoder.encode(entry.name), crc: crc32(entry.data) }));
+  const localSize = files.reduce((sum, file) => sum + 30 + file.path.length + file.data.length, 0);
+  const centralSize = files.reduce((sum, file) => sum + 46 + file.path.length, 0);
+  const out = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(out.buffer);
+  const time = dosTime(modified);
+  const date = dosDate(modified);
+
+  let offset = 0;
+  const offsets = files.map(file => {
+    const start = offset;
+    view.setUint32(offset, LOCAL_HEADER, true);
+    view.setUint16(offset + 4, 20, true); // version needed
+    view.setUint16(offset + 6, UTF8_NAMES, true);
+    view.setUint16(offset + 8, 0, true); // stored
+    view.setUint16(offset + 10, time, true);
+    view.setUint16(offset + 12, date, true);
+    view.setUint32(offset + 14, file.crc, true);
+    view.setUint32(offset + 18, file.data.length, true);
+    view.setUint32(offset + 22, file.data.length, true);
+    view.setUint16(offset + 26, file.path.length, true);
+    view.setUint16(offset + 28, 0, true);
+    out.set(file.path, offset + 30);
+    out.set(file.data, offset + 30 + file.path.length);
+    offset += 30 + file.path.length + file.data.length;
+    return start;
+  });
+
+  const centralStart = offset;
+  files.forEach((file, i) => {
+    view.setUint32(offset, CENTRAL_HEADER, true);
+    view.setUint16(offset + 4, 20, true); // made by
+    view.setUint16(offset + 6, 20, true); // version needed
+    view.setUint16(offset + 8, UTF8_NAMES, true);
+    view.setUint16(offset + 10, 0, true);
+    view.setUint16(offset + 12, time, true);
+    view.setUint16(offset + 14, date, true);
+    view.setUint32(offset + 16, file.crc, true);
+    view.setUint32(offset + 20, file.data.length, true);
+    view.setUint32(offset + 24, file.data.length, true);
+    view.setUint16(offset + 28, file.path.length, true);
+    // extra, comment, disk, internal and external attributes stay 0
+    view.setUint32(offset + 42, offsets[i], true);
+    out.set(file.path, offset + 46);
+    offset += 46 + file.path.length;
+  });
+
+  view.setUint32(offset, END_OF_CENTRAL_DIRECTORY, true);
+  view.setUint16(offset + 8, files.length, true);
+  view.setUint16(offset + 10, files.length, true);
+  view.setUint32(offset + 12, offset - centralStart, true);
+  view.setUint32(offset + 16, centralStart, true);
+  return out;
+};
+
+/** @param {Uint8Array} data */
+export const isZip = (data) => data.length >= 4 && new DataView(data.buffer, data.byteOffset).getUint32(0, true) === LOCAL_HEADER;
+
+/** @param {Uint8Array} data */
+const inflate = async (data) => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot read compressed archives; re-export it from the app instead');
+  }
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Unpacks a ZIP file. Directories are skipped. Throws if the data isn't a
+ * ZIP file or uses features we can't read (encryption, ZIP64).
+ * @param {Uint8Array} data
+ * @returns {Promise<ArchiveEntry[]>}
+ */
+export const readZip = async (data) => {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  let end = data.length - 22;
+  while (end >= 0 && view.getUint32(end, true) !== END_OF_CENTRAL_DIRECTORY) end--;
+  if (end < 0) throw new Error('is not a ZIP archive');
+
+  const decoder = new TextDecoder();
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  /** @type {ArchiveEntry[]} */
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_HEADER) throw new Error('has a damaged file list');
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const size = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const skip = view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    const local = view.getUint32(offset + 42, true);
+    const name = decoder.decode(data.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + skip;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 1) throw new Error(`contains an encrypted file (${name})`);
+    if (size === 0xffffffff || local === 0xffffffff) throw new Error('is too large to read');
+    if (view.getUint32(local, true) !== LOCAL_HEADER) throw new Error(`has a damaged entry (${name})`);
+    const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    const raw = data.subarray(start, start + size);
+    if (method === 0) {
+      entries.push({ name, data: raw });
+    } else if (method === 8) {
+      entries.push({ name, data: await inflate(raw) });
+    } else {
+      throw new Error(`uses an unsupported compression method (${name})`);
+    }
+  }
+  return entries;
+};
@@ -0,0 +1,42 @@
+import { createZip, isZip, readZip } from './archive';
+import { parseImportedArchive } from './storage';
+
+const ann = { id: 'a', name: 'Ann', x: 0, y: 0 };
+
+test('reads back what it packs, including non-ASCII names and binary data', async () => {
+  const photo = new Uint8Array([0xff, 0xd8, 0x00, 0x01, 0xff, 0xd9]);
+  const zip = createZip([
+    { name: 'family-tree.json', data: new TextEncoder().encode('{"people":[]}') },
+    { name: 'attachments/x1/Größmutter.jpg', data: photo }
+  ]);
+
+  expect(isZip(zip)).toBe(true);
+  const entries = await readZip(zip);
+  expect(entries.map(entry => entry.name)).toEqual(['family-tree.json', 'attachments/x1/Größmutter.jpg']);
+  expect(new TextDecoder().decode(entries[0].data)).toBe('{"people":[]}');
+  expect(Array.from(entries[1].data)).toEqual(Array.from(photo));
+});
+
+test('refuses data that is not a ZIP archive', async () => {
+  const text = new TextEncoder().encode('0 HEAD\n1 GEDC\n');
+  expect(isZip(text)).toBe(false);
+  await expect(readZip(text)).rejects.toThrow('is not a ZIP archive');
+});
+
+test('reads attachments from an archive and reports missing files', async () => {
+  const photo = { id: 'p1', name: 'ann.jpg', type: 'image/jpeg', size: 3, added: '' };
+  const will = { id: 'd1', name: 'will.pdf', type: 'application/pdf', size: 10, added: '' };
+  const tree = { version: 4, people: [{ ...ann, attachments: [photo, will], avatar: 'p1' }], relationships: [] };
+  const archive = createZip([
+    { name: 'family-tree.json', data: new TextEncoder().encode(JSON.stringify(tree)) },
+    { name: 'attachments/p1/ann.jpg', data: new Uint8Array([1, 2, 3]) }
+  ]);
+
+  const result = await parseImportedArchive(archive);
+  expect(result.tree.people[0].avatar).toBe('p1');
+  expect(Array.from(result.files!.keys())).toEqual(['p1']);
+  expect(result.files!.get('p1')!.type).toBe('image/jpeg');
+  expect(result.warnings).toEqual([
+    { record: 'Person "Ann"', message: 'has an attachment "will.pdf" that is not in the archive' }
+  ]);
+});
@@ -0,0 +1,275 @@
+// Family-chart routing for relationship lines. Spouses are joined by a
+// marriage bar; children hang from a sibling bar below their parents,
+// reached by one drop line from the middle of the couple. Every segment is
+// horizontal or vertical, and lines start under the cards so they meet them
+// whatever the card's real size. Bars and drops move to a free lane when a
+// card is in the way.
+
+/** @typedef {import('../types').Person} Person */
+/** @typedef {import('../types').Relationship} Relationship */
+
+/** @typedef {{ x: number, y: number }} Point */
+
+/**
+ * Nominal card size: lines join at its middle and bars keep clear of it.
+ * @typedef {Object} CardSize
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * How one relationship is drawn.
+ * @typedef {Object} Connector
+ * @property {string} relationshipId
+ * @property {Point[]} points - corners of the line
+ * @property {Point} handle - a point on the line clear of the cards, for the delete button and type label
+ */
+
+// Gap kept between a bar and the cards it goes round
+const LANE = 16;
+// Distance between the buttons of a child's parents, which share the child's drop line
+const HANDLE_GAP = 20;
+// Cell size of the index used to find cards in the way; bigger than a card
+const CELL = 200;
+
+/**
+ * Drops repeated points and the middle of three in a straight line.
+ * @param {Point[]} points
+ */
+const simplify = (points) => points.filter((p, i) => {
+  const prev = points[i - 1];
+  const next = points[i + 1];
+  if (prev && prev.x === p.x && prev.y === p.y) return false;
+  return !prev || !next || !((prev.x === p.x && p.x === next.x) || (prev.y === p.y && p.y === next.y));
+});
+
+/**
+ * Finds the cards overlapping a rectangle, or crossed by a horizontal or
+ * vertical line (a rectangle with no height or width), looking only at the
+ * cards filed in the cells it covers.
+ * @param {Person[]} people
+ * @param {CardSize} card
+ */
+const cardIndex = (people, card) => {
+  /** @type {Map<string, Person[]>} */
+  const cells = new Map();
+  people.forEach(p => {
+    const key = `${Math.floor(p.x / CELL)},${Math.floor(p.y / CELL)}`;
+    cells.set(key, [...(cells.get(key) || []), p]);
+  });
+
+  /**
+   * @param {Point} a - one corner
+   * @param {Point} b - the opposite corner
+   * @param {string[]} ignore - the cards the line joins
+   * @returns {Person[]}
+   */
+  return (a, b, ignore) => {
+    const [left, right] = [Math.min(a.x, b.x), Math.max(a.x, b.x)];
+    const [top, bottom] = [Math.min(a.y, b.y), Math.max(a.y, b.y)];
+    /** @type {Person[]} */
+    const found = [];
+    for (let cx = Math.floor((left - card.width) / CELL); cx <= Math.floor(right / CELL); cx++) {
+      for (let cy = Math.floor((top - card.height) / CELL); cy <= Math.floor(bottom / CELL); cy++) {
+        (cells.get(`${cx},${cy}`) || []).forEach(p => {
+          if (!ignore.includes(p.id) && p.x < right && p.x + card.width > left && p.y < bottom && p.y + card.height > top) {
+            found.push(p);
+          }
+        });
+      }
+    }
+    return found;
+  };
+};
+
+/**
+ * @param {Connector} a
+ * @param {Connector} b
+ */
+const sameRoute = (a, b) => a.handle.x === b.handle.x && a.handle.y === b.handle.y &&
+  a.points.length === b.points.length && a.points.every((p, i) => p.x === b.points[i].x && p.y === b.points[i].y);
+
+/**
+ * Routes every relationship whose people are both in the tree. Connectors
+ * that come out the same as in `previous` are those same objects, so
+ * memoised drawings of them can be skipped.
+ * @param {Person[]} people
+ * @param {Relationship[]} relationships
+ * @param {CardSize} card
+ * @param {Map<string, Connector>} [previous]
+ * @returns {Map<string, Connector>}
+ */
+export const routeConnectors = (people, relationships, card, previous) => {
+  const byId = new Map(people.map(p => [p.id, p]));
+  /** @param {Person} p */
+  const centre = (p) => ({ x: p.x + card.width / 2, y: p.y + card.height / 2 });
+  const cardsIn = cardIndex(people, card);
+  /** @param {Point} a @param {Point} b @param {string[]} ignore */
+  const blocked = (a, b, ignore) => cardsIn(a, b, ignore).length > 0;
+
+  // Children with the same parents share a sibling bar
+  /** @type {Map<string, string[]>} */
+  const parentIds = new Map();
+  relationships.forEach(r => {
+    if (r.type !== 'parent' || r.from === r.to || !byId.has(r.from) || !byId.has(r.to)) return;
+    const ids = parentIds.get(r.to) || [];
+    if (!ids.includes(r.from)) parentIds.set(r.to, [...ids, r.from]);
+  });
+  /**
+   * Parents and the children they share. `under` is the lane below the
+   * parents' row that the drop starts from when a card sits between them.
+   * @typedef {{ parents: Person[], children: Person[], childrenTop: number, barY: number, under: number | null }} Family
+   */
+  /** @type {Map<string, Family>} */
+  const families = new Map();
+  /** @type {Map<string, string>} */
+  const familyOf = new Map();
+  parentIds.forEach((ids, childId) => {
+    const key = [...ids].sort().join('|');
+    const child = /** @type {Person} */ (byId.get(childId));
+    familyOf.set(childId, key);
+    const family = families.get(key);
+    if (family) {
+      family.children.push(child);
+      family.childrenTop = Math.min(family.childrenTop, child.y);
+      return;
+    }
+    const parents = ids.map(id => /** @type {Person} */ (byId.get(id))).sort((a, b) => a.x - b.x);
+    families.set(key, { parents, children: [child], childrenTop: child.y, barY: 0, under: null });
+  });
+  /** @param {Family} family */
+  const dropsOf = (family) => (family.parents.length === 2
+    ? [(centre(family.parents[0]).x + centre(family.parents[1]).x) / 2]
+    : family.parents.map(p => centre(p).x));
+  // The bar goes halfway between the parents and the highest child, or just above
+  // the children when they aren't below their parents. If a card is in the way of
+  // the bar or of a drop, the bar moves just above or below it, nearest first.
+  families.forEach(family => {
+    const parentsBottom = Math.max(...family.parents.map(p => p.y)) + card.height;
+    const ids = [...family.parents, ...family.children].map(p => p.id);
+    const drops = dropsOf(family);
+    const xs = [...drops, ...family.children.map(c => centre(c).x)];
+    const [left, right] = [Math.min(...xs), Math.max(...xs)];
+
+    // A card between the two parents: start the drop under their row, as the marriage bar does
+    const parentsMiddle = Math.min(...family.parents.map(p => centre(p).y));
+    if (family.parents.length === 2 && blocked({ x: drops[0], y: parentsMiddle }, { x: drops[0], y: parentsBottom }, ids)) {
+      family.under = parentsBottom + LANE;
+    }
+    const from = family.under === null ? parentsBottom : family.under;
+
+    /** @param {number} y */
+    const clear = (y) => !blocked({ x: left, y }, { x: right, y }, ids) &&
+      drops.every(x => !blocked({ x, y: from }, { x, y }, ids)) &&
+      family.children.every(c => !blocked({ x: centre(c).x, y }, { x: centre(c).x, y: c.y }, [c.id]));
+
+    if (family.childrenTop <= parentsBottom) {
+      family.barY = family.childrenTop - LANE;
+      return;
+    }
+    const middle = (parentsBottom + family.childrenTop) / 2;
+    const lanes = cardsIn({ x: left, y: from }, { x: right, y: family.childrenTop }, ids)
+      .flatMap(p => [p.y - LANE, p.y + card.height + LANE])
+      .filter(y => y > from && y < family.childrenTop)
+      .sort((a, b) => Math.abs(a - middle) - Math.abs(b - middle));
+    const lane = [middle, ...lanes].find(clear);
+    family.barY = lane === undefined ? middle : lane;
+  });
+
+  /**
+   * @param {Relationship} r
+   * @param {Person} from
+   * @param {Person} to
+   * @returns {Omit<Connector, 'relationshipId'>}
+   */
+  const route = (r, from, to) => {
+    if (from.id === to.id) {
+      // A loop over the top of the card
+      const top = from.y - LANE;
+      return {
+        points: [
+          { x: from.x + card.width * 0.75, y: from.y },
+          { x: from.x + card.width * 0.75, y: top },
+          { x: from.x + card.width * 0.25, y: top },
+          { x: from.x + card.width * 0.25, y: from.y }
+        ],
+        handle: { x: from.x + card.width / 2, y: top }
+      };
+    }
+
+    if (r.type === 'spouse') {
+      const [left, right] = from.x <= to.x ? [from, to] : [to, from];
+      const a = centre(left);
+      const b = centre(right);
+      const midX = (a.x + b.x) / 2;
+      const sameRow = Math.abs(a.y - b.y) < card.height;
+      if (sameRow && blocked({ x: a.x, y: (a.y + b.y) / 2 }, { x: b.x, y: (a.y + b.y) / 2 }, [left.id, right.id])) {
+        // Someone sits between them: go underneath the row
+        const lane = Math.max(left.y, right.y) + card.height + LANE;
+        return {
+          points: [a, { x: a.x, y: lane }, { x: b.x, y: lane }, b],
+          handle: { x: midX, y: lane }
+        };
+      }
+      const y = sameRow ? (a.y + b.y) / 2 : a.y;
+      return {
+        points: simplify(sameRow
+          ? [{ x: a.x, y }, { x: b.x, y }]
+          : [a, { x: midX, y: a.y }, { x: midX, y: b.y }, b]),
+        handle: { x: midX, y: sameRow ? y : (a.y + b.y) / 2 }
+      };
+    }
+
+    const family = /** @type {Family} */ (families.get(/** @type {string} */ (familyOf.get(to.id))));
+    const start = centre(from);
+    const child = centre(to);
+    // A couple's children drop from the middle of the pair
+    const dropX = family.parents.length === 2 ? dropsOf(family)[0] : start.x;
+    // Each parent's button sits on the child's own drop line, one above the other
+    const offset = (family.parents.indexOf(from) - (family.parents.length - 1) / 2) * HANDLE_GAP;
+    return {
+      points: simplify([
+        start,
+        ...(family.under === null
+          ? [{ x: dropX, y: start.y }]
+          : [{ x: start.x, y: family.under }, { x: dropX, y: family.under }]),
+        { x: dropX, y: family.barY },
+        { x: child.x, y: family.barY },
+        { x: child.x, y: to.y }
+      ]),
+      handle: { x: child.x, y: (family.barY + to.y) / 2 + offset }
+    };
+  };
+
+  /** @type {Map<string, Connector>} */
+  const connectors = new Map();
+  relationships.forEach(r => {
+    const from = byId.get(r.from);
+    const to = byId.get(r.to);
+    if (!from || !to) return;
+    const connector = { relationshipId: r.id, ...route(r, from, to) };
+    const before = previous?.get(r.id);
+    connectors.set(r.id, before && sameRoute(before, connector) ? before : connector);
+  });
+  return connectors;
+};
+
+/**
+ * SVG path data for a connector.
+ * @param {Connector} connector
+ */
+export const connectorPath = (connector) => connector.points
+  .map((p, i) => `${i ? 'L' : 'M'}${p.x} ${p.y}`)
+  .join(' ');
+
+/**
+ * Whether any of a connector's line may show in a rectangle: the box around it overlaps it.
+ * @param {Connector} connector
+ * @param {{ x: number, y: number, width: number, height: number }} rect
+ */
+export const connectorNearRect = (connector, rect) => {
+  const xs = connector.points.map(p => p.x);
+  const ys = connector.points.map(p => p.y);
+  return Math.min(...xs) <= rect.x + rect.width && Math.max(...xs) >= rect.x &&
+    Math.min(...ys) <= rect.y + rect.height && Math.max(...ys) >= rect.y;
+};
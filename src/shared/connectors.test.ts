@@ -0,0 +1,97 @@
+import { connectorPath, routeConnectors } from './connectors';
+import { Person, Relationship } from '../types';
+
+const card = { width: 100, height: 50 };
+const person = (id: string, x: number, y: number): Person => ({ id, name: id, x, y });
+
+// Mum and Dad side by side, two children a row below, Cousin between Dad and his second wife
+const people = [
+  person('dad', 0, 0),
+  person('mum', 200, 0),
+  person('ann', 0, 200),
+  person('bob', 200, 200),
+  person('cousin', 400, 0),
+  person('wife2', 600, 0)
+];
+const relationships: Relationship[] = [
+  { id: 'm', type: 'spouse', from: 'mum', to: 'dad' },
+  { id: 'da', type: 'parent', from: 'dad', to: 'ann' },
+  { id: 'ma', type: 'parent', from: 'mum', to: 'ann' },
+  { id: 'db', type: 'parent', from: 'dad', to: 'bob' },
+  { id: 'w2', type: 'spouse', from: 'dad', to: 'wife2' }
+];
+
+test('joins spouses side by side with a straight marriage bar', () => {
+  const { points, handle } = routeConnectors(people, relationships, card).get('m')!;
+  expect(points).toEqual([{ x: 50, y: 25 }, { x: 250, y: 25 }]);
+  expect(handle).toEqual({ x: 150, y: 25 });
+});
+
+test('drops the children of a couple from the middle of the pair to a sibling bar', () => {
+  const connectors = routeConnectors(people, relationships, card);
+  // Bar halfway between the bottom of the parents (50) and the top of the children (200)
+  expect(connectors.get('da')!.points).toEqual([
+    { x: 50, y: 25 }, { x: 150, y: 25 }, { x: 150, y: 125 }, { x: 50, y: 125 }, { x: 50, y: 200 }
+  ]);
+  expect(connectors.get('ma')!.points).toEqual([
+    { x: 250, y: 25 }, { x: 150, y: 25 }, { x: 150, y: 125 }, { x: 50, y: 125 }, { x: 50, y: 200 }
+  ]);
+  // Both parents' buttons are on Ann's own drop, one above the other
+  expect(connectors.get('da')!.handle).toEqual({ x: 50, y: 152.5 });
+  expect(connectors.get('ma')!.handle).toEqual({ x: 50, y: 172.5 });
+});
+
+test('drops a single parent\'s child straight from the parent', () => {
+  expect(connectorPath(routeConnectors(people, relationships, card).get('db')!))
+    .toBe('M50 25 L50 125 L250 125 L250 200');
+});
+
+test('takes a marriage bar under the row when someone sits between the spouses', () => {
+  const { points, handle } = routeConnectors(people, relationships, card).get('w2')!;
+  expect(points).toEqual([{ x: 50, y: 25 }, { x: 50, y: 66 }, { x: 650, y: 66 }, { x: 650, y: 25 }]);
+  expect(handle).toEqual({ x: 350, y: 66 });
+});
+
+test('keeps unchanged connectors when someone moves', () => {
+  const before = routeConnectors(people, relationships, card);
+  const moved = people.map(p => (p.id === 'bob' ? { ...p, x: 300 } : p));
+  const after = routeConnectors(moved, relationships, card, before);
+
+  expect(after.get('m')).toBe(before.get('m'));
+  expect(after.get('da')).toBe(before.get('da'));
+  expect(after.get('db')).not.toBe(before.get('db'));
+});
+
+test('moves a sibling bar off a card that sits across it', () => {
+  const family = [
+    person('dad', 0, 0), person('mum', 200, 0),
+    person('ann', 0, 400), person('bob', 400, 400),
+    person('stranger', 220, 190)
+  ];
+  const links: Relationship[] = [
+    { id: 'da', type: 'parent', from: 'dad', to: 'ann' }, { id: 'ma', type: 'parent', from: 'mum', to: 'ann' },
+    { id: 'db', type: 'parent', from: 'dad', to: 'bob' }, { id: 'mb', type: 'parent', from: 'mum', to: 'bob' }
+  ];
+
+  // The middle (225) would cross the stranger; just below them is nearer than just above
+  expect(connectorPath(routeConnectors(family, links, card).get('da')!)).toBe('M50 25 L150 25 L150 256 L50 256 L50 400');
+});
+
+test('moves a sibling bar below a card standing in the way of a child\'s drop', () => {
+  const family = [person('dad', 0, 0), person('kid', 300, 400), person('stranger', 260, 300)];
+  const links: Relationship[] = [{ id: 'dk', type: 'parent', from: 'dad', to: 'kid' }];
+
+  expect(connectorPath(routeConnectors(family, links, card).get('dk')!)).toBe('M50 25 L50 366 L350 366 L350 400');
+});
+
+test('starts the drop under the row when someone sits between the parents', () => {
+  const family = [person('dad', 0, 0), person('cousin', 200, 0), person('mum', 400, 0), person('kid', 200, 400)];
+  const links: Relationship[] = [
+    { id: 'dk', type: 'parent', from: 'dad', to: 'kid' },
+    { id: 'mk', type: 'parent', from: 'mum', to: 'kid' }
+  ];
+  const connectors = routeConnectors(family, links, card);
+
+  expect(connectorPath(connectors.get('dk')!)).toBe('M50 25 L50 66 L250 66 L250 400');
+  expect(connectorPath(connectors.get('mk')!)).toBe('M450 25 L450 66 L250 66 L250 400');
+});
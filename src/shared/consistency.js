@@ -0,0 +1,278 @@
+// Tree checker: rules that look for impossible or suspicious facts, such as
+// a death before the birth or a mother aged 70 at a child's birth. Each rule
+// can be turned off, and the age limits are settings.
+
+import { dateBounds, formatDate } from './dates.js';
+import { eventDate, eventKind } from './person.js';
+import { isBiological } from './relationships.js';
+
+/** @typedef {import('../types').FamilyTree} FamilyTree */
+/** @typedef {import('../types').Person} Person */
+
+/** @typedef {'error' | 'warning'} ProblemSeverity */
+
+/**
+ * Something the checker found. `people` are the people involved, the one to
+ * show first.
+ * @typedef {Object} TreeProblem
+ * @property {string} rule
+ * @property {ProblemSeverity} severity
+ * @property {string} message
+ * @property {string[]} people
+ * @property {string} [relationshipId]
+ */
+
+/**
+ * @typedef {Object} CheckSettings
+ * @property {string[]} disabled - ids of the rules turned off
+ * @property {number} minParentAge
+ * @property {number} maxMotherAge
+ * @property {number} maxFatherAge - also used for parents of unknown gender
+ * @property {number} maxLifespan
+ */
+
+/** @typedef {'minParentAge' | 'maxMotherAge' | 'maxFatherAge' | 'maxLifespan'} CheckLimit */
+
+/**
+ * Errors are impossible; warnings are unlikely but do happen.
+ * @type {{ id: string, label: string, severity: ProblemSeverity, limits?: { key: CheckLimit, label: string }[] }[]}
+ */
+export const CHECK_RULES = [
+  { id: 'self-link', label: 'Linked to themselves', severity: 'error' },
+  { id: 'too-many-parents', label: 'More than two biological parents', severity: 'error' },
+  { id: 'death-before-birth', label: 'Died before being born', severity: 'error' },
+  { id: 'parent-born-after-child', label: 'Parent born after the child', severity: 'error' },
+  { id: 'born-after-parent-death', label: 'Born after a parent died', severity: 'error' },
+  { id: 'event-outside-life', label: 'Events before birth or after death', severity: 'warning' },
+  {
+    id: 'parent-age',
+    label: 'Unlikely age at a child\'s birth',
+    severity: 'warning',
+    limits: [
+      { key: 'minParentAge', label: 'Youngest parent' },
+      { key: 'maxMotherAge', label: 'Oldest mother' },
+      { key: 'maxFatherAge', label: 'Oldest father' }
+    ]
+  },
+  {
+    id: 'lifespan',
+    label: 'Very long life',
+    severity: 'warning',
+    limits: [{ key: 'maxLifespan', label: 'Longest life' }]
+  },
+  { id: 'spouse-is-parent', label: 'Spouse who is also a parent or child', severity: 'warning' }
+];
+
+/** @type {CheckSettings} */
+export const DEFAULT_CHECK_SETTINGS = {
+  disabled: [],
+  minParentAge: 13,
+  maxMotherAge: 55,
+  maxFatherAge: 80,
+  maxLifespan: 110
+};
+
+// Events that come after the death; anything else is checked against it
+const AFTER_DEATH = ['burial', 'cremation'];
+
+/**
+ * Whole years between two yyyymmdd numbers.
+ * @param {number} from
+ * @param {number} to
+ */
+const yearsBetween = (from, to) => Math.floor((to - from) / 10000);
+
+/**
+ * "was 70", or "was at least 70" when the dates only narrow it down.
+ * @param {number} low
+ * @param {number} high
+ * @param {'low' | 'high'} side - the bound that broke the rule
+ */
+const ageText = (low, high, side) => {
+  if (low === high) return `${low}`;
+  return side === 'low' ? `at least ${low}` : `at most ${high}`;
+};
+
+/**
+ * Runs the enabled rules over a tree. Problems come in rule order, so errors
+ * are listed before warnings.
+ * @param {FamilyTree} tree
+ * @param {Partial<CheckSettings>} [settings]
+ * @returns {TreeProblem[]}
+ */
+export const checkTree = (tree, settings = {}) => {
+  const options = { ...DEFAULT_CHECK_SETTINGS, ...settings };
+  const people = new Map(tree.people.map(p => [p.id, p]));
+  /** @type {TreeProblem[]} */
+  const problems = [];
+  /**
+   * @param {string} rule
+   * @param {string} message
+   * @param {string[]} ids
+   * @param {string} [relationshipId]
+   */
+  const report = (rule, message, ids, relationshipId) => {
+    const { severity } = CHECK_RULES.find(r => r.id === rule) || CHECK_RULES[0];
+    problems.push({ rule, severity, message, people: ids, ...(relationshipId && { relationshipId }) });
+  };
+  /** @param {string} rule */
+  const enabled = (rule) => !options.disabled.includes(rule);
+  /** @param {Person} person */
+  const lifeOf = (person) => ({
+    birth: dateBounds(eventDate(person, 'birth')),
+    death: dateBounds(eventDate(person, 'death'))
+  });
+
+  tree.people.forEach(person => {
+    const { birth, death } = lifeOf(person);
+    const born = formatDate(eventDate(person, 'birth'));
+    const died = formatDate(eventDate(person, 'death'));
+
+    if (birth && death && death.latest < birth.earliest && enabled('death-before-birth')) {
+      report('death-before-birth', `${person.name} died (${died}) before being born (${born})`, [person.id]);
+      return;
+    }
+
+    if (birth && death && enabled('lifespan')) {
+      const shortest = yearsBetween(birth.latest, death.earliest);
+      if (shortest > options.maxLifespan) {
+        report('lifespan', `${person.name} lived ${ageText(shortest, yearsBetween(birth.earliest, death.latest), 'low')} years`, [person.id]);
+      }
+    }
+
+    if (enabled('event-outside-life')) {
+      (person.events || []).forEach(event => {
+        if (event.type === 'birth' || event.type === 'death') return;
+        const when = dateBounds(event.date);
+        if (!when) return;
+        const what = `${eventKind(event.type).label} (${formatDate(event.date)})`;
+        if (birth && when.latest < birth.earliest) {
+          report('event-outside-life', `${what} is before ${person.name} was born (${born})`, [person.id]);
+        } else if (death && AFTER_DEATH.includes(event.type) && when.latest < death.earliest) {
+          report('event-outside-life', `${what} is before ${person.name} died (${died})`, [person.id]);
+        } else if (death && !AFTER_DEATH.includes(event.type) && when.earliest > death.latest) {
+          report('event-outside-life', `${what} is after ${person.name} died (${died})`, [person.id]);
+        }
+      });
+    }
+  });
+
+  /** @type {Map<string, string[]>} */
+  const parentsOf = new Map();
+  /** @type {Set<string>} */
+  const parentLinks = new Set();
+
+  tree.relationships.forEach(rel => {
+    const from = people.get(rel.from);
+    const to = people.get(rel.to);
+    if (!from || !to) return;
+
+    if (rel.from === rel.to) {
+      if (enabled('self-link')) {
+        report('self-link', `${from.name} is linked to themselves as ${rel.type === 'spouse' ? 'a spouse' : 'a parent'}`, [from.id], rel.id);
+      }
+      return;
+    }
+    if (rel.type !== 'parent') return;
+    parentLinks.add(`${from.id}|${to.id}`).add(`${to.id}|${from.id}`);
+    // Adoptive, step and foster parents can be any age, and there can be any number of them
+    if (!isBiological(rel)) return;
+    parentsOf.set(to.id, [...(parentsOf.get(to.id) || []), from.id]);
+
+    const parent = lifeOf(from);
+    const child = lifeOf(to);
+    if (!child.birth) return;
+    const childBorn = formatDate(eventDate(to, 'birth'));
+
+    if (parent.birth) {
+      if (parent.birth.earliest > child.birth.latest) {
+        if (enabled('parent-born-after-child')) {
+          report(
+            'parent-born-after-child',
+            `${from.name} (born ${formatDate(eventDate(from, 'birth'))}) was born after their child ${to.name} (born ${childBorn})`,
+            [to.id, from.id],
+            rel.id
+          );
+        }
+      } else if (enabled('parent-age')) {
+        const youngest = yearsBetween(parent.birth.latest, child.birth.earliest);
+        const oldest = yearsBetween(parent.birth.earliest, child.birth.latest);
+        const maxAge = from.gender === 'female' ? options.maxMotherAge : options.maxFatherAge;
+        if (youngest > maxAge) {
+          report('parent-age', `${from.name} was ${ageText(youngest, oldest, 'low')} when ${to.name} was born`, [to.id, from.id], rel.id);
+        } else if (oldest < options.minParentAge) {
+          report('parent-age', `${from.name} was ${ageText(youngest, oldest, 'high')} when ${to.name} was born`, [to.id, from.id], rel.id);
+        }
+      }
+    }
+
+    // A father can die before the birth, so long as it's within the year
+    const lastPossible = parent.death && (from.gender === 'female' ? parent.death.latest : parent.death.latest + 10000);
+    if (lastPossible && child.birth.earliest > lastPossible && enabled('born-after-parent-death')) {
+      report(
+        'born-after-parent-death',
+        `${to.name} (born ${childBorn}) was born after ${from.name} died (${formatDate(eventDate(from, 'death'))})`,
+        [to.id, from.id],
+        rel.id
+      );
+    }
+  });
+
+  if (enabled('too-many-parents')) {
+    parentsOf.forEach((parents, childId) => {
+      const unique = Array.from(new Set(parents));
+      if (unique.length <= 2) return;
+      const names = unique.map(id => people.get(id)?.name).join(', ');
+      report('too-many-parents', `${people.get(childId)?.name} has ${unique.length} biological parents: ${names}`, [childId, ...unique]);
+    });
+  }
+
+  if (enabled('spouse-is-parent')) {
+    tree.relationships.forEach(rel => {
+      if (rel.type !== 'spouse' || !parentLinks.has(`${rel.from}|${rel.to}`)) return;
+      const from = people.get(rel.from);
+      const to = people.get(rel.to);
+      if (from && to) {
+        report('spouse-is-parent', `${from.name} and ${to.name} are linked as spouses and as parent and child`, [from.id, to.id], rel.id);
+      }
+    });
+  }
+
+  // CHECK_RULES lists the errors first
+  const order = (/** @type {TreeProblem} */ problem) => CHECK_RULES.findIndex(r => r.id === problem.rule);
+  return problems.sort((a, b) => order(a) - order(b));
+};
+
+/**
+ * The problems each person is involved in, for badges on the cards.
+ * @param {TreeProblem[]} problems
+ * @returns {Map<string, TreeProblem[]>}
+ */
+export const problemsByPerson = (problems) => {
+  /** @type {Map<string, TreeProblem[]>} */
+  const byPerson = new Map();
+  problems.forEach(problem => problem.people.forEach(id => {
+    byPerson.set(id, [...(byPerson.get(id) || []), problem]);
+  }));
+  return byPerson;
+};
+
+/**
+ * Settings as saved, with anything missing or unusable taken from the defaults.
+ * @param {unknown} saved
+ * @returns {CheckSettings}
+ */
+export const readCheckSettings = (saved) => {
+  /** @type {CheckSettings} */
+  const settings = { ...DEFAULT_CHECK_SETTINGS };
+  if (!saved || typeof saved !== 'object') return settings;
+  const record = /** @type {Record<string, unknown>} */ (saved);
+  if (Array.isArray(record.disabled)) {
+    settings.disabled = record.disabled.filter(id => CHECK_RULES.some(r => r.id === id));
+  }
+  /** @type {CheckLimit[]} */ (['minParentAge', 'maxMotherAge', 'maxFatherAge', 'maxLifespan']).forEach(key => {
+    const value = record[key];
+    if (typeof value === 'number' && Number.isFinite(value) && value >= 0) settings[key] = value;
+  });
+  return settings;
+};
@@ -0,0 +1,101 @@
+import { checkTree, problemsByPerson, readCheckSettings, DEFAULT_CHECK_SETTINGS } from './consistency';
+import { FamilyTree, LifeEvent, Person } from '../types';
+
+const person = (id: string, name: string, gender: Person['gender'], events: LifeEvent[] = []): Person =>
+  ({ id, name, gender, events, x: 0, y: 0 });
+
+const tree: FamilyTree = {
+  people: [
+    person('a', 'Ann', 'female', [{ type: 'birth', date: '1900' }, { type: 'death', date: '1850' }]),
+    person('m', 'Mary', 'female', [
+      { type: 'birth', date: '1880-01-01' },
+      { type: 'death', date: '1950' },
+      { type: 'burial', date: '1949' },
+      { type: 'occupation', date: '1960' }
+    ]),
+    person('c', 'Carl', 'male', [{ type: 'birth', date: '1951' }, { type: 'death', date: 'abt 2090' }]),
+    person('f', 'Fred', 'male', [{ type: 'birth', date: '1960' }]),
+    person('x', 'Xena', 'female', [{ type: 'birth', date: '1830' }]),
+    person('y', 'Yan', 'male')
+  ],
+  relationships: [
+    { id: 'r1', type: 'parent', from: 'm', to: 'c' },
+    { id: 'r2', type: 'parent', from: 'f', to: 'c' },
+    { id: 'r3', type: 'parent', from: 'x', to: 'c' },
+    { id: 'r4', type: 'spouse', from: 'y', to: 'y' },
+    { id: 'r5', type: 'spouse', from: 'm', to: 'c' }
+  ]
+};
+
+test('finds impossible and suspicious facts, errors first', () => {
+  expect(checkTree(tree).map(p => [p.severity, p.message])).toEqual([
+    ['error', 'Yan is linked to themselves as a spouse'],
+    ['error', 'Carl has 3 biological parents: Mary, Fred, Xena'],
+    ['error', 'Ann died (1850) before being born (1900)'],
+    ['error', 'Fred (born 1960) was born after their child Carl (born 1951)'],
+    ['error', 'Carl (born 1951) was born after Mary died (1950)'],
+    ['warning', 'Burial (1949) is before Mary died (1950)'],
+    ['warning', 'Occupation (1960) is after Mary died (1950)'],
+    ['warning', 'Mary was 71 when Carl was born'],
+    ['warning', 'Xena was at least 120 when Carl was born'],
+    ['warning', 'Carl lived at least 138 years'],
+    ['warning', 'Mary and Carl are linked as spouses and as parent and child']
+  ]);
+});
+
+test('only holds biological parents to the parent rules', () => {
+  const adopted: FamilyTree = {
+    ...tree,
+    relationships: tree.relationships.map(rel => (rel.id === 'r3' ? { ...rel, subtype: 'adoptive' as const } : rel))
+  };
+  const messages = checkTree(adopted).map(p => p.message);
+  expect(messages.some(m => m.includes('parents:'))).toBe(false);
+  expect(messages.some(m => m.includes('Xena'))).toBe(false);
+});
+
+test('leaves out rules that are off and follows the age limits', () => {
+  const rules = checkTree(tree, { disabled: ['too-many-parents', 'lifespan', 'event-outside-life'], maxMotherAge: 75 })
+    .map(p => p.rule);
+  expect(rules).toEqual([
+    'self-link',
+    'death-before-birth',
+    'parent-born-after-child',
+    'born-after-parent-death',
+    'parent-age',
+    'spouse-is-parent'
+  ]);
+
+  const young: FamilyTree = {
+    people: [person('p', 'Pat', undefined, [{ type: 'birth', date: 'bet 1900 and 1902' }]), person('k', 'Kim', 'male', [{ type: 'birth', date: '1910' }])],
+    relationships: [{ id: 'r', type: 'parent', from: 'p', to: 'k' }]
+  };
+  expect(checkTree(young).map(p => p.message)).toEqual(['Pat was at most 10 when Kim was born']);
+  expect(checkTree(young, { minParentAge: 8 })).toEqual([]);
+});
+
+test('does not flag dates that could be right', () => {
+  const fine: FamilyTree = {
+    people: [
+      person('d', 'Dad', 'male', [{ type: 'birth', date: 'abt 1850' }, { type: 'death', date: '1899-03' }]),
+      person('k', 'Kid', 'female', [{ type: 'birth', date: 'bef 1900' }, { type: 'burial', date: '(unknown)' }])
+    ],
+    relationships: [{ id: 'r', type: 'parent', from: 'd', to: 'k' }]
+  };
+  expect(checkTree(fine)).toEqual([]);
+});
+
+test('groups problems by person for the card badges', () => {
+  const byPerson = problemsByPerson(checkTree(tree));
+  expect(byPerson.get('y')?.map(p => p.rule)).toEqual(['self-link']);
+  expect(byPerson.get('f')?.map(p => p.rule)).toEqual(['too-many-parents', 'parent-born-after-child']);
+  expect(byPerson.has('nobody')).toBe(false);
+});
+
+test('reads saved settings, falling back to the defaults', () => {
+  expect(readCheckSettings(null)).toEqual(DEFAULT_CHECK_SETTINGS);
+  expect(readCheckSettings({ disabled: ['lifespan', 'no-such-rule'], maxMotherAge: 60, maxLifespan: 'long' })).toEqual({
+    ...DEFAULT_CHECK_SETTINGS,
+    disabled: ['lifespan'],
+    maxMotherAge: 60
+  });
+});
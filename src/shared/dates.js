@@ -0,0 +1,393 @@
+// Genealogical dates: qualified ("about 1850", "before 1790"), ranged
+// ("between 1820 and 1825"), partial ("March 1901") and dual-dated
+// ("11 February 1731/32") as well as exact days.
+//
+// Events keep their date as a string. Exact days stay in the ISO form older
+// trees already use ("1901-03-12"), partial dates drop the missing parts
+// ("1901-03", "1901"), a qualifier goes in front ("abt 1850",
+// "bet 1820 and 1825", "from 1914 to 1918"), and anything we can't read is
+// kept as written in parentheses ("(the winter after the flood)"). No Date
+// objects are involved, so nothing shifts with the time zone.
+
+/**
+ * @typedef {Object} DatePoint
+ * @property {number} year - as written; for dual dates the Old Style year
+ * @property {number} [month] - 1–12
+ * @property {number} [day]
+ * @property {number} [dualYear] - the New Style year of a dual date (1731/32 → 1732)
+ */
+
+/**
+ * @typedef {'about' | 'calculated' | 'estimated' | 'before' | 'after' | 'between' | 'from' | 'to'} DateQualifier
+ */
+
+/**
+ * @typedef {Object} GenealogicalDate
+ * @property {DateQualifier} [qualifier]
+ * @property {DatePoint} [start] - the date, or the first one of a range
+ * @property {DatePoint} [end] - second date of "between … and …" or "from … to …"
+ * @property {string} [phrase] - text we couldn't read as a date
+ */
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+/** @type {{ qualifier: DateQualifier, value: string, label: string, short: string, words: string[] }[]} */
+const QUALIFIERS = [
+  { qualifier: 'about', value: 'abt', label: 'about', short: 'c.', words: ['abt', 'about', 'approx', 'approximately', 'circa', 'ca', 'c', 'around', '~'] },
+  { qualifier: 'calculated', value: 'cal', label: 'calculated', short: 'c.', words: ['cal', 'calc', 'calculated'] },
+  { qualifier: 'estimated', value: 'est', label: 'estimated', short: 'c.', words: ['est', 'estimated'] },
+  { qualifier: 'before', value: 'bef', label: 'before', short: 'bef.', words: ['bef', 'before'] },
+  { qualifier: 'after', value: 'aft', label: 'after', short: 'aft.', words: ['aft', 'after'] }
+];
+
+const pad = (n, size) => String(n).padStart(size, '0');
+
+/**
+ * @param {number} year
+ * @param {boolean} [julian] - every fourth year, as before the calendar change
+ */
+const isLeapYear = (year, julian = false) => (julian ? year % 4 === 0 : (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0);
+
+/**
+ * @param {number} year
+ * @param {number} month
+ * @param {boolean} [julian]
+ */
+const daysInMonth = (year, month, julian = false) => (month === 2 ? (isLeapYear(year, julian) ? 29 : 28) : [4, 6, 9, 11].includes(month) ? 30 : 31);
+
+/**
+ * Length of a point's month. Dual dates come from the Julian calendar, where
+ * the leap day goes by the year as written: 29 Feb 1700/01 is a real day.
+ * @param {{ year: number, dualYear?: number }} year
+ * @param {number} month
+ */
+const monthLength = (year, month) => (year.dualYear ? daysInMonth(year.year, month, true) : daysInMonth(year.year, month));
+
+/** @param {string} token */
+const monthOf = (token) => {
+  const word = token.replace(/\.$/, '');
+  if (word.length < 3) return 0;
+  return MONTH_NAMES.findIndex(name => name.toLowerCase().startsWith(word)) + 1;
+};
+
+/**
+ * "1731", "1731/32" or "1731/2".
+ * @param {string} token
+ * @returns {{ year: number, dualYear?: number } | null}
+ */
+const yearOf = (token) => {
+  const match = token.match(/^(\d{3,4})(?:\/(\d{1,4}))?$/);
+  if (!match) return null;
+  const year = Number(match[1]);
+  if (!match[2]) return { year };
+  // The second year only gives its last digits: 1799/00 is 1799 and 1800
+  const digits = match[2].length;
+  const base = Math.floor(year / 10 ** digits) * 10 ** digits;
+  let dualYear = base + Number(match[2]);
+  if (dualYear <= year) dualYear += 10 ** digits;
+  return dualYear === year + 1 ? { year, dualYear } : null;
+};
+
+/**
+ * @param {{ year: number, dualYear?: number }} year
+ * @param {number} [month]
+ * @param {number} [day]
+ * @returns {DatePoint | null}
+ */
+const makePoint = (year, month, day) => {
+  if (month !== undefined && (month < 1 || month > 12)) return null;
+  if (day !== undefined && (month === undefined || day < 1 || day > monthLength(year, month))) return null;
+  /** @type {DatePoint} */
+  const point = { year: year.year };
+  if (month !== undefined) point.month = month;
+  if (day !== undefined) point.day = day;
+  if (year.dualYear) point.dualYear = year.dualYear;
+  return point;
+};
+
+/**
+ * One date without qualifiers: "1901-03-12", "12 Mar 1901", "March 12 1901",
+ * "Mar 1901", "1901" or "11 Feb 1731/32".
+ * @param {string} text - lower case, single spaces
+ * @returns {DatePoint | null}
+ */
+const parsePoint = (text) => {
+  const iso = text.match(/^(\d{3,4}(?:\/\d{1,4})?)-(\d{1,2})(?:-(\d{1,2}))?$/);
+  if (iso) {
+    const year = yearOf(iso[1]);
+    return year && makePoint(year, Number(iso[2]), iso[3] === undefined ? undefined : Number(iso[3]));
+  }
+
+  const tokens = text.replace(/(\d)(st|nd|rd|th)\b/g, '$1').split(' ');
+  const year = yearOf(tokens[tokens.length - 1]);
+  if (!year) return null;
+  const rest = tokens.slice(0, -1);
+  if (rest.length === 0) return makePoint(year);
+  if (rest.length === 1) {
+    const month = monthOf(rest[0]);
+    return month ? makePoint(year, month) : null;
+  }
+  if (rest.length === 2) {
+    // "12 mar 1901" or "mar 12 1901"
+    const [first, second] = rest;
+    if (/^\d{1,2}$/.test(first) && monthOf(second)) return makePoint(year, monthOf(second), Number(first));
+    if (monthOf(first) && /^\d{1,2}$/.test(second)) return makePoint(year, monthOf(first), Number(second));
+  }
+  return null;
+};
+
+/** @param {DatePoint} point */
+const effectiveYear = (point) => point.dualYear || point.year;
+
+/**
+ * Earliest and latest day a point can mean, as yyyymmdd numbers.
+ * @param {DatePoint} point
+ */
+const pointRange = (point) => {
+  const year = effectiveYear(point);
+  const month = point.month;
+  return {
+    low: year * 10000 + (month || 1) * 100 + (point.day || 1),
+    high: year * 10000 + (month || 12) * 100 + (point.day || (month ? monthLength(point, month) : 31))
+  };
+};
+
+/**
+ * Reads a date as people type it, or as it is stored, or in GEDCOM form
+ * ("ABT 1850", "BET 1820 AND 1825"). Returns null for text that isn't a date.
+ * @param {string} text
+ * @returns {GenealogicalDate | null}
+ */
+export const parseDate = (text) => {
+  const trimmed = text.trim();
+  const phrase = trimmed.match(/^\((.*)\)$/);
+  if (phrase) return phrase[1].trim() ? { phrase: phrase[1].trim() } : null;
+
+  const lower = trimmed.toLowerCase().replace(/,/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!lower) return null;
+
+  /**
+   * @param {DateQualifier} qualifier
+   * @param {string} first
+   * @param {string} [second]
+   * @returns {GenealogicalDate | null}
+   */
+  const range = (qualifier, first, second) => {
+    const start = parsePoint(first.trim());
+    const end = second === undefined ? undefined : parsePoint(second.trim());
+    if (!start || end === null) return null;
+    if (end && pointRange(start).low > pointRange(end).low) return null;
+    return end ? { qualifier, start, end } : { qualifier, start };
+  };
+
+  const between = lower.match(/^(?:bet|betw|between)\.? (.+?) (?:and|&|-|–) (.+)$/);
+  if (between) return range('between', between[1], between[2]);
+  const fromTo = lower.match(/^from (.+?) (?:to|until|till|-|–) (.+)$/);
+  if (fromTo) return range('from', fromTo[1], fromTo[2]);
+  const from = lower.match(/^from (.+)$/);
+  if (from) return range('from', from[1]);
+  const to = lower.match(/^(?:to|until|till) (.+)$/);
+  if (to) return range('to', to[1]);
+  // "1820–1825", "1820 - 1825" or "1820-25"; "1901-03" is March 1901
+  const years = lower.match(/^(\d{3,4}) ?(?:–|-) ?(\d{4})$|^(\d{3,4}) ?(?:–|-) ?(\d{2})$/);
+  if (years && !parsePoint(lower)) {
+    const first = years[1] || years[3];
+    const second = years[2] || first.slice(0, first.length - 2) + years[4];
+    return range('between', first, second);
+  }
+
+  for (const kind of QUALIFIERS) {
+    const word = kind.words.find(w => lower.startsWith(w) && /^[.\s\d]/.test(lower.slice(w.length)));
+    if (word) {
+      const start = parsePoint(lower.slice(word.length).replace(/^\.?\s*/, ''));
+      return start ? { qualifier: kind.qualifier, start } : null;
+    }
+  }
+
+  const start = parsePoint(lower);
+  return start ? { start } : null;
+};
+
+/** @param {DatePoint} point */
+const pointValue = (point) => [
+  `${pad(point.year, 4)}${point.dualYear ? `/${pad(point.dualYear % 100, 2)}` : ''}`,
+  point.month && pad(point.month, 2),
+  point.day && pad(point.day, 2)
+].filter(Boolean).join('-');
+
+/**
+ * The stored form of a date.
+ * @param {GenealogicalDate} date
+ * @returns {string}
+ */
+export const dateValue = (date) => {
+  if (date.phrase !== undefined || !date.start) return `(${date.phrase || ''})`;
+  const start = pointValue(date.start);
+  switch (date.qualifier) {
+    case 'between': return `bet ${start} and ${date.end ? pointValue(date.end) : start}`;
+    case 'from': return date.end ? `from ${start} to ${pointValue(date.end)}` : `from ${start}`;
+    case 'to': return `to ${start}`;
+    case undefined: return start;
+    default: return `${QUALIFIERS.find(q => q.qualifier === date.qualifier)?.value} ${start}`;
+  }
+};
+
+/**
+ * What to store for a date typed into a form: its stored form if we can read
+ * it, the text in parentheses if not, and undefined when it is blank.
+ * @param {string} text
+ * @returns {string | undefined}
+ */
+export const normalizeDate = (text) => {
+  if (!text.trim()) return undefined;
+  const date = parseDate(text);
+  return date ? dateValue(date) : `(${text.trim()})`;
+};
+
+/**
+ * A stored date; values written by hand that we can't read come back as a phrase.
+ * @param {string} value
+ * @returns {GenealogicalDate}
+ */
+export const readDate = (value) => parseDate(value) || { phrase: value };
+
+/** @param {DatePoint} point */
+const pointYear = (point) => (point.dualYear ? `${point.year}/${pad(point.dualYear % 100, 2)}` : String(point.year));
+
+/** @param {DatePoint} point */
+const formatPoint = (point) => [
+  point.day,
+  point.month && MONTH_NAMES[point.month - 1],
+  pointYear(point)
+].filter(Boolean).join(' ');
+
+/**
+ * A stored date for reading: "12 March 1901", "about 1850",
+ * "between 1820 and 1825".
+ * @param {string | undefined} value
+ * @returns {string}
+ */
+export const formatDate = (value) => {
+  if (!value) return '';
+  const date = readDate(value);
+  if (!date.start) return date.phrase || '';
+  const start = formatPoint(date.start);
+  switch (date.qualifier) {
+    case 'between': return `between ${start} and ${date.end ? formatPoint(date.end) : start}`;
+    case 'from': return date.end ? `from ${start} to ${formatPoint(date.end)}` : `from ${start}`;
+    case 'to': return `to ${start}`;
+    case undefined: return start;
+    default: return `${QUALIFIERS.find(q => q.qualifier === date.qualifier)?.label} ${start}`;
+  }
+};
+
+/**
+ * The year alone, for cards: "1901", "c. 1850", "bef. 1790", "1820–1825".
+ * Empty for dates we can't read.
+ * @param {string | undefined} value
+ * @returns {string}
+ */
+export const formatYear = (value) => {
+  if (!value) return '';
+  const date = readDate(value);
+  if (!date.start) return '';
+  const year = pointYear(date.start);
+  if (date.qualifier === 'between' || (date.qualifier === 'from' && date.end)) {
+    const end = date.end ? pointYear(date.end) : year;
+    return end === year ? year : `${year}–${end}`;
+  }
+  const qualifier = QUALIFIERS.find(q => q.qualifier === date.qualifier);
+  return qualifier ? `${qualifier.short} ${year}` : year;
+};
+
+/**
+ * Earliest and latest day a stored date allows, as yyyymmdd numbers, or null
+ * for dates we can't read. "before" and "after" are open on one side.
+ * @param {string | undefined} value
+ * @returns {{ earliest: number, latest: number } | null}
+ */
+export const dateBounds = (value) => {
+  if (!value) return null;
+  const date = readDate(value);
+  if (!date.start) return null;
+  const start = pointRange(date.start);
+  const end = date.end ? pointRange(date.end) : start;
+  switch (date.qualifier) {
+    case 'before':
+    case 'to':
+      return { earliest: -Infinity, latest: start.high };
+    case 'after':
+      return { earliest: start.low, latest: Infinity };
+    case 'from':
+      return date.end ? { earliest: start.low, latest: end.high } : { earliest: start.low, latest: Infinity };
+    default:
+      return { earliest: start.low, latest: end.high };
+  }
+};
+
+/**
+ * Where a stored date sorts, or null for dates we can't read. "before 1850"
+ * sorts ahead of anything in 1850 and "after 1850" behind it.
+ * @param {string | undefined} value
+ * @returns {number | null}
+ */
+export const dateSortKey = (value) => {
+  if (!value) return null;
+  const date = readDate(value);
+  if (!date.start) return null;
+  const { low, high } = pointRange(date.start);
+  if (date.qualifier === 'before' || date.qualifier === 'to') return low - 0.5;
+  if (date.qualifier === 'after') return high + 0.5;
+  return low;
+};
+
+/**
+ * For sorting: earlier dates first, dates we can't read (and missing ones) last.
+ * @param {string | undefined} a
+ * @param {string | undefined} b
+ */
+export const compareDates = (a, b) => {
+  const keyA = dateSortKey(a);
+  const keyB = dateSortKey(b);
+  if (keyA === null || keyB === null) return keyA === null ? (keyB === null ? 0 : 1) : -1;
+  return keyA - keyB;
+};
+
+const GEDCOM_MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+/**
+ * @param {DatePoint} point
+ * @param {boolean} dual - write "1731/32"; GEDCOM 7.0 has no dual years
+ */
+const gedcomPoint = (point, dual) => [
+  point.day,
+  point.month && GEDCOM_MONTHS[point.month - 1],
+  dual ? pointYear(point) : effectiveYear(point)
+].filter(Boolean).join(' ');
+
+/**
+ * A stored date in GEDCOM form ("ABT 1850", "BET 1820 AND 1825"), or null
+ * for a phrase.
+ * @param {string} value
+ * @param {{ dual?: boolean }} [options] - dual: keep dual years (5.5.1)
+ * @returns {string | null}
+ */
+export const toGedcomDate = (value, { dual = true } = {}) => {
+  const date = readDate(value);
+  if (!date.start) return null;
+  const start = gedcomPoint(date.start, dual);
+  const end = date.end ? gedcomPoint(date.end, dual) : start;
+  switch (date.qualifier) {
+    case 'between': return `BET ${start} AND ${end}`;
+    case 'from': return date.end ? `FROM ${start} TO ${end}` : `FROM ${start}`;
+    case 'to': return `TO ${start}`;
+    case undefined: return start;
+    default: return `${QUALIFIERS.find(q => q.qualifier === date.qualifier)?.value.toUpperCase()} ${start}`;
+  }
+};
+
+/** @param {string} value */
+export const hasDualYear = (value) => {
+  const date = readDate(value);
+  return Boolean(date.start?.dualYear || date.end?.dualYear);
+};
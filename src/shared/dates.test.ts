@@ -0,0 +1,86 @@
+import {
+  compareDates,
+  dateBounds,
+  formatDate,
+  formatYear,
+  hasDualYear,
+  normalizeDate,
+  parseDate,
+  toGedcomDate
+} from './dates';
+
+test('reads the ways people write dates', () => {
+  expect(normalizeDate('1901-03-12')).toBe('1901-03-12');
+  expect(normalizeDate('12 Mar 1901')).toBe('1901-03-12');
+  expect(normalizeDate('March 12, 1901')).toBe('1901-03-12');
+  expect(normalizeDate('12th March 1901')).toBe('1901-03-12');
+  expect(normalizeDate('Mar 1901')).toBe('1901-03');
+  expect(normalizeDate('1901')).toBe('1901');
+  expect(normalizeDate('c. 1850')).toBe('abt 1850');
+  expect(normalizeDate('~1850')).toBe('abt 1850');
+  expect(normalizeDate('before 1790')).toBe('bef 1790');
+  expect(normalizeDate('after 1800')).toBe('aft 1800');
+  expect(normalizeDate('1820-1825')).toBe('bet 1820 and 1825');
+  expect(normalizeDate('1820–25')).toBe('bet 1820 and 1825');
+  expect(normalizeDate('1820-25')).toBe('bet 1820 and 1825');
+  expect(normalizeDate('BET 1820 AND 1825')).toBe('bet 1820 and 1825');
+  expect(normalizeDate('FROM 1900 TO 1910')).toBe('from 1900 to 1910');
+  expect(normalizeDate('11 Feb 1731/32')).toBe('1731/32-02-11');
+});
+
+test('tells a short year range from a month', () => {
+  expect(parseDate('1820-25')).toEqual({ qualifier: 'between', start: { year: 1820 }, end: { year: 1825 } });
+  expect(normalizeDate('1901-03')).toBe('1901-03');
+  expect(normalizeDate('1901-12')).toBe('1901-12');
+  expect(normalizeDate('1825-20')).toBe('(1825-20)');
+});
+
+test('counts leap days of dual dates by the Julian year as written', () => {
+  expect(normalizeDate('29 Feb 1700/01')).toBe('1700/01-02-29');
+  expect(dateBounds('1700/01-02')).toEqual({ earliest: 17010201, latest: 17010229 });
+  expect(normalizeDate('29 Feb 1701/02')).toBe('(29 Feb 1701/02)');
+  expect(normalizeDate('29 Feb 1700')).toBe('(29 Feb 1700)');
+});
+
+test('keeps what it cannot read as written', () => {
+  expect(normalizeDate('sometime in spring')).toBe('(sometime in spring)');
+  expect(normalizeDate('1825-1820')).toBe('(1825-1820)');
+  expect(parseDate('1825-1820')).toBeNull();
+  expect(normalizeDate('  ')).toBeUndefined();
+  expect(formatDate('(sometime in spring)')).toBe('sometime in spring');
+  expect(formatYear('(sometime in spring)')).toBe('');
+});
+
+test('shows dates in full and as short years', () => {
+  expect(formatDate('1901-03-12')).toBe('12 March 1901');
+  expect(formatDate('1901-03')).toBe('March 1901');
+  expect(formatDate('abt 1850')).toBe('about 1850');
+  expect(formatDate('bet 1820 and 1825')).toBe('between 1820 and 1825');
+  expect(formatDate('1731/32-02-11')).toBe('11 February 1731/32');
+  expect(formatYear('1901-03-12')).toBe('1901');
+  expect(formatYear('abt 1850')).toBe('c. 1850');
+  expect(formatYear('bef 1790')).toBe('bef. 1790');
+  expect(formatYear('aft 1800')).toBe('aft. 1800');
+  expect(formatYear('bet 1820 and 1825')).toBe('1820–1825');
+  expect(formatYear('1731/32-02-11')).toBe('1731/32');
+});
+
+test('compares dates by the span they cover', () => {
+  expect(dateBounds('1901-03')).toEqual({ earliest: 19010301, latest: 19010331 });
+  expect(dateBounds('bef 1790')).toEqual({ earliest: -Infinity, latest: 17901231 });
+  expect(dateBounds('aft 1800')).toEqual({ earliest: 18000101, latest: Infinity });
+  expect(dateBounds('1731/32-02-11')).toEqual({ earliest: 17320211, latest: 17320211 });
+  expect(dateBounds('(unknown)')).toBeNull();
+
+  const sorted = ['aft 1800', '(unknown)', '1800-06', 'bef 1800', '1800', 'abt 1790'].sort(compareDates);
+  expect(sorted).toEqual(['abt 1790', 'bef 1800', '1800', '1800-06', 'aft 1800', '(unknown)']);
+});
+
+test('writes GEDCOM dates, with or without the dual year', () => {
+  expect(toGedcomDate('1901-03-12')).toBe('12 MAR 1901');
+  expect(toGedcomDate('bet 1820 and 1825')).toBe('BET 1820 AND 1825');
+  expect(hasDualYear('1731/32-02-11')).toBe(true);
+  expect(hasDualYear('1732-02-11')).toBe(false);
+  expect(toGedcomDate('1731/32-02-11')).toBe('11 FEB 1731/32');
+  expect(toGedcomDate('1731/32-02-11', { dual: false })).toBe('11 FEB 1732');
+});
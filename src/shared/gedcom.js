@@ -0,0 +1,1001 @@
+// GEDCOM 5.5.1 / 7.0 reader and writer.
+
+import { EVENT_TYPES, eventKind } from './person.js';
+import { dateValue, formatDate, hasDualYear, parseDate, toGedcomDate } from './dates.js';
+import { CONFIDENCE_LEVELS } from './sources.js';
+import { PARENT_KINDS } from './relationships.js';
+
+/** @typedef {import('../types').FamilyTree} FamilyTree */
+/** @typedef {import('../types').Person} Person */
+/** @typedef {import('../types').Relationship} Relationship */
+/** @typedef {import('../types').GedcomExtras} GedcomExtras */
+/** @typedef {import('../types').LifeEvent} LifeEvent */
+/** @typedef {import('../types').PersonName} PersonName */
+/** @typedef {import('../types').Citation} Citation */
+/** @typedef {import('../types').Source} Source */
+/** @typedef {import('./person').EventKind} EventKind */
+
+/** @typedef {'5.5.1' | '7.0'} GedcomVersion */
+
+/**
+ * A top-level record (or part of one) that could not be turned into people
+ * and relationships.
+ * @typedef {Object} GedcomSkippedRecord
+ * @property {string} tag
+ * @property {string} [xref]
+ * @property {string} reason
+ */
+
+/**
+ * @typedef {Object} GedcomImport
+ * @property {FamilyTree} tree
+ * @property {GedcomSkippedRecord[]} skipped
+ */
+
+/**
+ * What reading one record needs from the rest of the file.
+ * @typedef {Object} ReadContext
+ * @property {Map<string, Source>} sources - by xref
+ * @property {() => string} newId
+ */
+
+/**
+ * @typedef {Object} GedcomNode
+ * @property {number} level
+ * @property {string} [xref]
+ * @property {string} tag
+ * @property {string} value
+ * @property {GedcomNode[]} children
+ */
+
+const POSITION_TAG = '_POS';
+const POSITION_TAG_URI = 'https://hellkorius.github.io/gedcom/_POS';
+// Sources have no URL field in either version
+const URL_TAG = '_URL';
+const URL_TAG_URI = 'https://hellkorius.github.io/gedcom/_URL';
+const MAX_LINE_VALUE = 200; // 5.5.1 caps lines at 255 characters
+const GRID_SIZE = 20;
+const EVENT_KINDS = new Map(EVENT_TYPES.map(kind => [kind.tag, kind]));
+// NAME TYPE values, lower-case as in 5.5.1; 7.0 writes them in capitals
+const NAME_TYPE_TAGS = { birth: 'birth', maiden: 'birth', married: 'married', aka: 'alias' };
+const NAME_TYPE_VALUES = { birth: 'birth', married: 'married', alias: 'aka' };
+
+export const isGedcom = (text) => /^\uFEFF?\s*0\s+HEAD\b/.test(text);
+
+// --- Reading ---------------------------------------------------------------
+
+/**
+ * Parses GEDCOM text into a tree of nodes, folding CONC/CONT continuation
+ * lines back into the value they belong to.
+ * @param {string} text
+ * @returns {GedcomNode[]}
+ */
+const parseNodes = (text) => {
+  /** @type {GedcomNode[]} */
+  const records = [];
+  /** @type {GedcomNode[]} */
+  const stack = [];
+
+  text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+
+    const match = line.match(/^\s*(\d+)\s+(?:(@[^@]+@)\s+)?(\S+)(?: (.*))?$/);
+    if (!match) {
+      throw new Error(`Line ${index + 1} is not valid GEDCOM: "${line}"`);
+    }
+
+    const level = Number(match[1]);
+    const tag = match[3].toUpperCase();
+    const value = match[4] || '';
+
+    while (stack.length > level) stack.pop();
+    const parent = stack[stack.length - 1];
+
+    if (level > 0 && !parent) {
+      throw new Error(`Line ${index + 1} has level ${level} but no parent record`);
+    }
+
+    if (parent && (tag === 'CONT' || tag === 'CONC')) {
+      parent.value += (tag === 'CONT' ? '\n' : '') + value;
+      return;
+    }
+
+    /** @type {GedcomNode} */
+    const node = { level, xref: match[2], tag, value, children: [] };
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      records.push(node);
+    }
+    stack.push(node);
+  });
+
+  return records;
+};
+
+/**
+ * Where the CONC piece starting at `start` ends: at most MAX_LINE_VALUE
+ * characters on, moved back so that neither side of the split is a space
+ * (5.5.1 readers trim them) and no surrogate pair is cut in two.
+ * @param {string} text
+ * @param {number} start
+ * @returns {number}
+ */
+const concEnd = (text, start) => {
+  const limit = start + MAX_LINE_VALUE;
+  if (limit >= text.length) return text.length;
+  const fits = (end) => text[end - 1] !== ' ' && text[end] !== ' ' && !/[\uDC00-\uDFFF]/.test(text[end]);
+  for (let end = limit; end > start; end--) {
+    if (fits(end)) return end;
+  }
+  // Every split in reach touches a space; at least keep surrogate pairs whole
+  return /[\uDC00-\uDFFF]/.test(text[limit]) ? limit - 1 : limit;
+};
+
+/**
+ * Formats one line, splitting embedded newlines into CONT lines and, for
+ * 5.5.1, over-long values into CONC lines.
+ * @param {number} level
+ * @param {string} tag
+ * @param {string} [value]
+ * @param {GedcomVersion} [version]
+ * @param {string} [xref]
+ * @returns {string[]}
+ */
+const formatLine = (level, tag, value = '', version = '7.0', xref) => {
+  const head = xref ? `${level} ${xref} ${tag}` : `${level} ${tag}`;
+  const [first, ...rest] = value.split('\n');
+  const lines = [];
+
+  const pushChunked = (prefix, text) => {
+    if (version !== '5.5.1' || text.length <= MAX_LINE_VALUE) {
+      lines.push(text ? `${prefix} ${text}` : prefix);
+      return;
+    }
+    let end = concEnd(text, 0);
+    lines.push(`${prefix} ${text.slice(0, end)}`);
+    for (let start = end; start < text.length; start = end) {
+      end = concEnd(text, start);
+      lines.push(`${level + 1} CONC ${text.slice(start, end)}`);
+    }
+  };
+
+  pushChunked(head, first);
+  rest.forEach(part => pushChunked(`${level + 1} CONT`, part));
+  return lines;
+};
+
+/**
+ * Lines that aren't mapped onto the tree are kept as text, in the 7.0 form
+ * (no CONC), and written out again for the export version.
+ * @param {GedcomNode} node
+ * @param {GedcomVersion} [version]
+ * @returns {string[]}
+ */
+const nodeToLines = (node, version = '7.0') => [
+  ...formatLine(node.level, node.tag, node.value, version, node.xref),
+  ...node.children.flatMap(child => nodeToLines(child, version))
+];
+
+/**
+ * Kept lines as the export version writes them: 5.5.1 splits long values
+ * with CONC again.
+ * @param {string[]} kept
+ * @param {GedcomVersion} version
+ * @returns {string[]}
+ */
+const keptLines = (kept, version) => {
+  if (version === '7.0') return kept;
+  /** @type {string[]} */
+  const lines = [];
+  /** @type {GedcomNode | null} */
+  let node = null;
+  const flush = () => {
+    if (node) lines.push(...nodeToLines(node, version));
+    node = null;
+  };
+  kept.forEach(text => {
+    const match = text.match(/^(\d+) (?:(@[^@]+@) )?(\S+)(?: (.*))?$/);
+    // Continuation lines go back onto their value, to be split the same way
+    if (match && match[3] === 'CONT' && node && Number(match[1]) === node.level + 1) {
+      node.value += `\n${match[4] || ''}`;
+      return;
+    }
+    flush();
+    if (match) {
+      node = { level: Number(match[1]), xref: match[2], tag: match[3], value: match[4] || '', children: [] };
+    } else {
+      lines.push(text);
+    }
+  });
+  flush();
+  return lines;
+};
+
+/**
+ * Converts a GEDCOM date ("12 MAR 1901", "ABT 1850", "BET 1820 AND 1825",
+ * "11 FEB 1731/32", "(phrase)") into the form events store. Dates in other
+ * calendars and interpreted dates ("INT …") return null.
+ * @param {string} value
+ * @returns {string | null}
+ */
+export const gedcomDateToValue = (value) => {
+  const date = parseDate(value);
+  return date ? dateValue(date) : null;
+};
+
+/**
+ * A DATE line, with the PHRASE 7.0 may put under it. Null when it has to be
+ * kept as it is.
+ * @param {GedcomNode} node
+ * @returns {string | null}
+ */
+const mapDate = (node) => {
+  if (node.children.some(child => child.tag !== 'PHRASE') || node.children.length > 1) return null;
+  const phrase = node.children[0]?.value.trim();
+  if (!node.value.trim()) return phrase ? `(${phrase})` : null;
+  const date = gedcomDateToValue(node.value);
+  if (!date || !phrase) return date;
+  // A dual date written by 7.0 as the New Style date plus the date as written
+  const written = gedcomDateToValue(phrase);
+  return written && hasDualYear(written) && toGedcomDate(written, { dual: false }) === toGedcomDate(date) ? written : null;
+};
+
+// Family events read onto the spouse link when they hold nothing but a date
+const PARTNERSHIP_EVENTS = {
+  MARR: { field: 'startDate', status: 'married' },
+  DIV: { field: 'endDate', status: 'divorced' }
+};
+
+/**
+ * Reads a family's marriage, divorce and note onto its spouse link, and
+ * returns the lines it couldn't.
+ * @param {Relationship} spouse
+ * @param {GedcomNode[]} nodes
+ * @returns {GedcomNode[]}
+ */
+const mapPartnership = (spouse, nodes) => nodes.filter(node => {
+  if (node.tag === 'NOTE') {
+    if (spouse.notes || !node.value.trim() || node.value.startsWith('@') || node.children.length) return true;
+    spouse.notes = node.value;
+    return false;
+  }
+  const kind = PARTNERSHIP_EVENTS[/** @type {'MARR' | 'DIV'} */ (node.tag)];
+  if (!kind || nodes.filter(other => other.tag === node.tag).length > 1) return true;
+  if (node.children.length > 1 || node.children.some(child => child.tag !== 'DATE')) return true;
+  if (node.value.trim() && node.value.trim().toUpperCase() !== 'Y') return true;
+  if (node.children.length) {
+    const date = mapDate(node.children[0]);
+    if (!date) return true;
+    spouse[/** @type {'startDate' | 'endDate'} */ (kind.field)] = date;
+  }
+  // A divorce wins over the marriage, whichever comes first in the file
+  if (kind.status === 'divorced' || !spouse.status) spouse.status = /** @type {'married' | 'divorced'} */ (kind.status);
+  return false;
+});
+
+const cleanName = (value) => value.replace(/\//g, ' ').replace(/\s+/g, ' ').trim();
+
+const isPointer = (value) => /^@[^@]+@$/.test(value.trim());
+
+/**
+ * A source citation ("2 SOUR @S1@") that has nothing on it but a page,
+ * certainty and note. Anything richer is left for the caller to keep.
+ * @param {GedcomNode} node
+ * @param {ReadContext} context
+ * @param {Citation['field']} [field]
+ * @returns {Citation | null}
+ */
+const mapCitation = (node, context, field) => {
+  const source = context.sources.get(node.value.trim());
+  if (!source) return null;
+  const tags = node.children.map(child => child.tag);
+  if (node.children.some(child => child.children.length || !['PAGE', 'QUAY', 'NOTE'].includes(child.tag)) ||
+      new Set(tags).size !== tags.length) {
+    return null;
+  }
+
+  const value = (tag) => node.children.find(child => child.tag === tag)?.value.trim();
+  const quay = value('QUAY');
+  /** @type {Citation} */
+  const citation = {
+    id: context.newId(),
+    sourceId: source.id,
+    confidence: CONFIDENCE_LEVELS.find(c => c.quay !== undefined && c.quay === quay)?.level || 'unknown'
+  };
+  if (value('PAGE')) citation.page = value('PAGE');
+  if (value('NOTE') && !isPointer(value('NOTE'))) citation.note = node.children.find(child => child.tag === 'NOTE').value;
+  if (field) citation.field = field;
+  return citation;
+};
+
+/**
+ * Splits a node's children into citations we could map and everything else.
+ * @param {GedcomNode[]} children
+ * @param {ReadContext} context
+ * @param {Citation['field']} [field]
+ */
+const takeCitations = (children, context, field) => {
+  /** @type {Citation[]} */
+  const citations = [];
+  const rest = children.filter(child => {
+    const citation = child.tag === 'SOUR' ? mapCitation(child, context, field) : null;
+    if (citation) citations.push(citation);
+    return !citation;
+  });
+  return { citations, rest };
+};
+
+/**
+ * @param {GedcomNode} record
+ * @param {ReadContext} context
+ * @param {Map<string, string>} repositories - simple REPO records: xref to name
+ * @returns {Source}
+ */
+const recordToSource = (record, context, repositories) => {
+  /** @type {Source} */
+  const source = { id: context.newId(), title: '' };
+  /** @type {string[]} */
+  const unmapped = [];
+  record.children.forEach(child => {
+    const plain = !child.children.length;
+    if (plain && child.tag === 'TITL' && !source.title) {
+      source.title = child.value.trim();
+    } else if (plain && child.tag === 'AUTH' && !source.author) {
+      source.author = child.value.trim();
+    } else if (plain && (child.tag === URL_TAG || child.tag === 'WWW') && !source.url) {
+      source.url = child.value.trim();
+    } else if (plain && child.tag === 'NOTE' && !source.notes && !isPointer(child.value)) {
+      source.notes = child.value;
+    } else if (plain && child.tag === 'REPO' && !source.archive && repositories.has(child.value.trim())) {
+      source.archive = repositories.get(child.value.trim());
+    } else {
+      unmapped.push(...nodeToLines(child));
+    }
+  });
+  if (!source.title) source.title = 'Untitled source';
+  source.gedcom = { xref: record.xref };
+  if (unmapped.length) source.gedcom.unmapped = unmapped;
+  return source;
+};
+
+const parseSex = (value) => {
+  switch (value.trim().toUpperCase()) {
+    case 'M': return 'male';
+    case 'F': return 'female';
+    case 'X': return 'other';
+    default: return undefined;
+  }
+};
+
+/**
+ * Maps an individual event (BIRT, OCCU, EVEN...) onto a life event. Events
+ * with a date that isn't exact, or more than one date or place, are left
+ * for the caller to keep verbatim; other sub-lines ride along on the event.
+ * @param {GedcomNode} node
+ * @param {EventKind} kind
+ * @param {ReadContext} context
+ * @returns {LifeEvent | null}
+ */
+const mapEvent = (node, kind, context) => {
+  const dates = node.children.filter(child => child.tag === 'DATE');
+  const places = node.children.filter(child => child.tag === 'PLAC' && !child.children.length);
+  const types = kind.type === 'other' ? node.children.filter(child => child.tag === 'TYPE') : [];
+  if (dates.length > 1 || places.length > 1 || types.length > 1) return null;
+  if (!kind.described || kind.type === 'other') {
+    if (node.value && node.value.trim().toUpperCase() !== 'Y') return null;
+  }
+
+  /** @type {LifeEvent} */
+  const event = { type: kind.type };
+  if (dates.length) {
+    const date = mapDate(dates[0]);
+    if (!date) return null;
+    event.date = date;
+  }
+  if (places.length && places[0].value.trim()) event.place = places[0].value.trim();
+  const description = kind.type === 'other' ? types[0]?.value : kind.described ? node.value : '';
+  if (description && description.trim()) event.description = description.trim();
+
+  const mapped = [...dates, ...places, ...types];
+  const { citations, rest } = takeCitations(node.children.filter(child => !mapped.includes(child)), context);
+  if (citations.length) event.citations = citations;
+  if (rest.length) event.gedcom = { unmapped: rest.flatMap(child => nodeToLines(child)) };
+  return event;
+};
+
+/**
+ * A second NAME becomes an other name when there is nothing on it but a
+ * TYPE we know.
+ * @param {GedcomNode} node
+ * @returns {PersonName | null}
+ */
+const mapName = (node) => {
+  const value = cleanName(node.value);
+  const types = node.children.filter(child => child.tag === 'TYPE' && !child.children.length);
+  if (!value || types.length !== node.children.length || types.length > 1) return null;
+  if (!types.length) return { type: 'other', value };
+
+  const type = NAME_TYPE_TAGS[types[0].value.trim().toLowerCase()];
+  return type ? { type, value } : null;
+};
+
+/**
+ * Lays imported people out in a rough square so they don't all stack at the
+ * origin.
+ * @param {number} index
+ * @param {number} count
+ */
+const gridPosition = (index, count) => {
+  const columns = Math.max(1, Math.ceil(Math.sqrt(count)));
+  return {
+    x: (index % columns) * 10 * GRID_SIZE,
+    y: Math.floor(index / columns) * 7 * GRID_SIZE
+  };
+};
+
+/**
+ * @param {GedcomNode} record
+ * @param {string} id
+ * @param {{ x: number, y: number }} fallbackPosition
+ * @param {ReadContext} context
+ * @returns {Person}
+ */
+const individualToPerson = (record, id, fallbackPosition, context) => {
+  /** @type {Person} */
+  const person = { id, name: '', ...fallbackPosition };
+  /** @type {Record<string, string[]>} */
+  const details = {};
+  /** @type {string[]} */
+  const unmapped = [];
+  /** @type {PersonName[]} */
+  const names = [];
+  /** @type {LifeEvent[]} */
+  const events = [];
+  /** @type {Citation[]} */
+  const citations = [];
+  let originalName;
+
+  record.children.forEach(child => {
+    switch (child.tag) {
+      case 'NAME': {
+        if (!person.name && cleanName(child.value)) {
+          person.name = cleanName(child.value);
+          originalName = child.value;
+          const nicknames = child.children.filter(sub => sub.tag === 'NICK' && sub.value.trim() && !sub.children.length);
+          nicknames.forEach(sub => names.push({ type: 'nickname', value: sub.value.trim() }));
+          const cited = takeCitations(child.children.filter(sub => !nicknames.includes(sub)), context, 'name');
+          citations.push(...cited.citations);
+          if (cited.rest.length) details.NAME = cited.rest.flatMap(child => nodeToLines(child));
+          return;
+        }
+        const name = mapName(child);
+        if (name) {
+          names.push(name);
+          return;
+        }
+        break;
+      }
+      case 'SEX':
+        if (!person.gender && parseSex(child.value)) {
+          person.gender = parseSex(child.value);
+          citations.push(...takeCitations(child.children, context, 'gender').citations);
+          return;
+        }
+        break;
+      case 'SOUR': {
+        const citation = mapCitation(child, context);
+        if (citation) {
+          citations.push(citation);
+          return;
+        }
+        break;
+      }
+      case 'NOTE':
+        // Shared NOTE records (pointers) stay as they are
+        if (!person.notes && child.value.trim() && !child.value.startsWith('@') && !child.children.length) {
+          person.notes = child.value;
+          return;
+        }
+        break;
+      case POSITION_TAG: {
+        const [x, y] = child.value.split(/\s+/).map(Number);
+        if (Number.isFinite(x) && Number.isFinite(y)) {
+          person.x = x;
+          person.y = y;
+          return;
+        }
+        break;
+      }
+      case 'FAMS':
+      case 'FAMC':
+        // Rebuilt from the FAM records on export
+        return;
+      default: {
+        const kind = EVENT_KINDS.get(child.tag);
+        const event = kind && mapEvent(child, kind, context);
+        if (event) {
+          events.push(event);
+          return;
+        }
+        break;
+      }
+    }
+    unmapped.push(...nodeToLines(child));
+  });
+
+  if (!person.name) person.name = 'Unknown';
+  if (names.length) person.names = names;
+  if (events.length) person.events = events;
+  if (citations.length) person.citations = citations;
+
+  person.gedcom = { xref: record.xref };
+  if (originalName) person.gedcom.name = originalName;
+  if (Object.keys(details).length) person.gedcom.details = details;
+  if (unmapped.length) person.gedcom.unmapped = unmapped;
+
+  return person;
+};
+
+/**
+ * Reads a GEDCOM 5.5.1 or 7.0 file. INDI records become people, FAM records
+ * become spouse and parent relationships, SOUR records become sources with
+ * the citations pointing at them, and everything else is reported in
+ * `skipped` while being kept on the tree so it can be written back out.
+ * @param {string} text
+ * @returns {GedcomImport}
+ */
+export const parseGedcom = (text) => {
+  const records = parseNodes(text);
+  if (!records.length || records[0].tag !== 'HEAD') {
+    throw new Error('Not a GEDCOM file: missing HEAD record');
+  }
+
+  /** @type {GedcomSkippedRecord[]} */
+  const skipped = [];
+  /** @type {string[]} */
+  const preserved = [];
+  const individuals = records.filter(record => record.tag === 'INDI');
+  const individualByXref = new Map(individuals.filter(record => record.xref).map(record => [record.xref, record]));
+  const baseId = Date.now().toString();
+  let nextId = 0;
+  const newId = () => `${baseId}-${nextId++}`;
+
+  // Repositories with nothing but a name become the archive of the sources
+  // that point at them, and are written again from there on export
+  /** @type {Map<string, string>} */
+  const repositories = new Map();
+  records.forEach(record => {
+    if (record.tag === 'REPO' && record.xref && record.children.length === 1 &&
+        record.children[0].tag === 'NAME' && !record.children[0].children.length) {
+      repositories.set(record.xref, record.children[0].value.trim());
+    }
+  });
+  /** @type {ReadContext} */
+  const context = { sources: new Map(), newId };
+  /** @type {Source[]} */
+  const sources = records
+    .filter(record => record.tag === 'SOUR' && record.xref)
+    .map(record => {
+      const source = recordToSource(record, context, repositories);
+      context.sources.set(/** @type {string} */ (record.xref), source);
+      return source;
+    });
+  const archived = new Set(records
+    .filter(record => record.tag === 'SOUR' && record.xref)
+    .flatMap(record => record.children.filter(child => child.tag === 'REPO').map(child => child.value.trim())));
+
+  /** @type {Map<string, Person>} */
+  const peopleByXref = new Map();
+  /** @type {Person[]} */
+  const people = individuals.map((record, index) => {
+    const person = individualToPerson(record, newId(), gridPosition(index, individuals.length), context);
+    if (record.xref) peopleByXref.set(record.xref, person);
+    return person;
+  });
+
+  /** @type {Relationship[]} */
+  const relationships = [];
+
+  records.forEach(record => {
+    // Already read as sources, or their archive
+    if (record.tag === 'SOUR' && record.xref) return;
+    if (record.tag === 'REPO' && record.xref && repositories.has(record.xref) && archived.has(record.xref)) return;
+
+    switch (record.tag) {
+      case 'HEAD':
+      case 'TRLR':
+      case 'INDI':
+        return;
+      case 'FAM':
+        break;
+      case 'SUBM':
+        skipped.push({ tag: record.tag, xref: record.xref, reason: 'Submitter is regenerated on export' });
+        return;
+      default:
+        preserved.push(...nodeToLines(record));
+        skipped.push({ tag: record.tag, xref: record.xref, reason: 'Not supported yet; kept for export' });
+        return;
+    }
+
+    /** @type {Person[]} */
+    const partners = [];
+    /** @type {Person[]} */
+    const children = [];
+    /** @type {GedcomNode[]} */
+    const familyNodes = [];
+
+    record.children.forEach(child => {
+      if (child.tag === 'HUSB' || child.tag === 'WIFE' || child.tag === 'CHIL') {
+        const person = peopleByXref.get(child.value.trim());
+        if (person) {
+          (child.tag === 'CHIL' ? children : partners).push(person);
+        } else if (child.value.trim() !== '@VOID@') {
+          skipped.push({
+            tag: 'FAM',
+            xref: record.xref,
+            reason: `${child.tag} points to missing individual ${child.value.trim()}`
+          });
+        }
+        return;
+      }
+      familyNodes.push(child);
+    });
+
+    if (partners.length === 2) {
+      const { citations, rest } = takeCitations(familyNodes, context);
+      /** @type {Relationship} */
+      const spouse = { id: newId(), type: 'spouse', from: partners[0].id, to: partners[1].id };
+      const unmapped = mapPartnership(spouse, rest);
+      if (citations.length) spouse.citations = citations;
+      spouse.gedcom = { xref: record.xref };
+      if (unmapped.length) spouse.gedcom.unmapped = unmapped.flatMap(child => nodeToLines(child));
+      relationships.push(spouse);
+    } else if (familyNodes.length) {
+      skipped.push({
+        tag: 'FAM',
+        xref: record.xref,
+        reason: 'Family details without a couple could not be kept'
+      });
+    }
+
+    children.forEach(child => {
+      // The child's FAMC line says whether they were adopted or fostered into the family
+      const famc = individualByXref.get(child.gedcom?.xref)?.children
+        .find(node => node.tag === 'FAMC' && node.value.trim() === record.xref);
+      const pedigree = famc?.children.find(node => node.tag === 'PEDI')?.value.trim().toLowerCase();
+      const kind = pedigree && PARENT_KINDS.find(k => k.pedigree === pedigree && k.value !== 'biological');
+      partners.forEach(parent => {
+        relationships.push({ id: newId(), type: 'parent', from: parent.id, to: child.id, ...(kind && { subtype: kind.value }) });
+      });
+    });
+  });
+
+  /** @type {FamilyTree} */
+  const tree = { people, relationships };
+  if (sources.length) tree.sources = sources;
+  if (preserved.length) tree.gedcom = { records: preserved };
+
+  return { tree, skipped };
+};
+
+// --- Writing ---------------------------------------------------------------
+
+/**
+ * Puts the surname in slashes so other programs can pick it out. Names that
+ * came from a GEDCOM file keep their original form if unchanged.
+ * @param {Pick<Person, 'name' | 'gedcom'>} person
+ */
+const gedcomName = (person) => {
+  const original = person.gedcom?.name;
+  if (original && cleanName(original) === person.name) return original;
+
+  const parts = person.name.trim().split(/\s+/);
+  if (parts.length < 2) return person.name.trim();
+  const surname = parts.pop();
+  return `${parts.join(' ')} /${surname}/`;
+};
+
+/**
+ * 7.0 has no dual years or dates that are only a phrase, so those are
+ * written with a PHRASE.
+ * @param {string} value
+ * @param {GedcomVersion} version
+ * @param {(level: number, tag: string, value?: string) => string[]} line
+ */
+const dateLines = (value, version, line) => {
+  const date = toGedcomDate(value, { dual: version === '5.5.1' });
+  if (!date) {
+    const phrase = formatDate(value);
+    return version === '7.0' ? [...line(2, 'DATE'), ...line(3, 'PHRASE', phrase)] : line(2, 'DATE', `(${phrase})`);
+  }
+  if (version === '7.0' && hasDualYear(value)) return [...line(2, 'DATE', date), ...line(3, 'PHRASE', formatDate(value))];
+  return line(2, 'DATE', date);
+};
+
+/**
+ * @param {LifeEvent} event
+ * @param {GedcomVersion} version
+ * @param {(level: number, tag: string, value?: string) => string[]} line
+ * @param {(citations: Citation[] | undefined, level: number) => string[]} cite
+ */
+const eventLines = (event, version, line, cite) => {
+  const kind = eventKind(event.type);
+  const details = [
+    ...(kind.type === 'other' && event.description ? line(2, 'TYPE', event.description) : []),
+    ...(event.date ? dateLines(event.date, version, line) : []),
+    ...(event.place ? line(2, 'PLAC', event.place) : []),
+    ...cite(event.citations, 2),
+    ...keptLines(event.gedcom?.unmapped || [], version)
+  ];
+  const value = kind.described && kind.type !== 'other' ? event.description || '' : '';
+  // "1 DEAT Y" says it happened when nothing else is known
+  return [...line(1, kind.tag, value || (details.length ? '' : 'Y')), ...details];
+};
+
+/**
+ * MARR, DIV and NOTE of a couple's family, unless they were kept as imported.
+ * @param {Relationship | undefined} spouse
+ * @param {GedcomVersion} version
+ * @param {(level: number, tag: string, value?: string) => string[]} line
+ */
+const partnershipLines = (spouse, version, line) => {
+  if (!spouse) return [];
+  const kept = spouse.gedcom?.unmapped || [];
+  /**
+   * @param {string} tag
+   * @param {string} [date]
+   */
+  const event = (tag, date) => (kept.some(text => text.startsWith(`1 ${tag}`))
+    ? []
+    : date ? [...line(1, tag), ...dateLines(date, version, line)] : line(1, tag, 'Y'));
+  // GEDCOM families are marriages unless said otherwise; there is no tag for partners
+  const married = spouse.status ? spouse.status !== 'partnered' : Boolean(spouse.startDate);
+  return [
+    ...(married ? event('MARR', spouse.startDate) : []),
+    ...(spouse.status === 'divorced' ? event('DIV', spouse.endDate) : []),
+    ...(spouse.notes ? line(1, 'NOTE', spouse.notes) : [])
+  ];
+};
+
+/**
+ * @param {PersonName} name
+ * @param {GedcomVersion} version
+ * @param {(level: number, tag: string, value?: string) => string[]} line
+ */
+const otherNameLines = (name, version, line) => {
+  const type = NAME_TYPE_VALUES[name.type];
+  return [
+    ...line(1, 'NAME', gedcomName({ name: name.value })),
+    ...(type ? line(2, 'TYPE', version === '7.0' ? type.toUpperCase() : type) : [])
+  ];
+};
+
+const gedcomSex = (gender, version) => {
+  switch (gender) {
+    case 'male': return 'M';
+    case 'female': return 'F';
+    case 'other': return version === '7.0' ? 'X' : 'U';
+    default: return null;
+  }
+};
+
+/**
+ * Groups parent/child and spouse edges into GEDCOM families: one per couple
+ * (or single parent) with the children they share.
+ * @param {FamilyTree} tree
+ */
+const buildFamilies = (tree) => {
+  const peopleIds = new Set(tree.people.map(p => p.id));
+  /** @type {Map<string, Set<string>>} */
+  const parentsOf = new Map();
+  /** @type {Relationship[]} */
+  const spouseEdges = [];
+
+  tree.relationships.forEach(rel => {
+    if (!peopleIds.has(rel.from) || !peopleIds.has(rel.to) || rel.from === rel.to) return;
+
+    if (rel.type === 'spouse') {
+      spouseEdges.push(rel);
+      return;
+    }
+    if (!parentsOf.has(rel.to)) parentsOf.set(rel.to, new Set());
+    parentsOf.get(rel.to).add(rel.from);
+  });
+
+  /** @type {Map<string, { partners: string[], children: string[], spouse?: Relationship }>} */
+  const families = new Map();
+  const familyFor = (partners) => {
+    const sorted = [...partners].sort();
+    const key = sorted.join('+');
+    if (!families.has(key)) families.set(key, { partners: sorted, children: [] });
+    return families.get(key);
+  };
+
+  const isCouple = (a, b) => spouseEdges.some(rel =>
+    (rel.from === a && rel.to === b) || (rel.from === b && rel.to === a)
+  );
+
+  spouseEdges.forEach(rel => {
+    const family = familyFor([rel.from, rel.to]);
+    if (!family.spouse) family.spouse = rel;
+  });
+
+  parentsOf.forEach((parentSet, child) => {
+    const parents = [...parentSet];
+    if (parents.length <= 2) {
+      familyFor(parents).children.push(child);
+      return;
+    }
+    // More than two parents: pair up couples, the rest get their own family
+    const remaining = [...parents];
+    while (remaining.length) {
+      const parent = remaining.shift();
+      const partnerIndex = remaining.findIndex(other => isCouple(parent, other));
+      const partners = partnerIndex >= 0 ? [parent, ...remaining.splice(partnerIndex, 1)] : [parent];
+      familyFor(partners).children.push(child);
+    }
+  });
+
+  return [...families.values()];
+};
+
+/**
+ * Writes the tree as GEDCOM. Fields kept aside on import are written back so
+ * a file survives a round trip through the app.
+ * @param {FamilyTree} tree
+ * @param {{ version?: GedcomVersion }} [options]
+ * @returns {string}
+ */
+export const serializeGedcom = (tree, { version = '5.5.1' } = {}) => {
+  const preserved = tree.gedcom?.records || [];
+  const usedXrefs = new Set(
+    preserved.map(line => line.match(/^0 (@[^@]+@)/)?.[1]).filter(Boolean)
+  );
+  let counter = 1;
+  const uniqueXref = (prefix, wanted) => {
+    if (wanted && !usedXrefs.has(wanted)) {
+      usedXrefs.add(wanted);
+      return wanted;
+    }
+    let xref;
+    do { xref = `@${prefix}${counter++}@`; } while (usedXrefs.has(xref));
+    usedXrefs.add(xref);
+    return xref;
+  };
+
+  const people = new Map(tree.people.map(person => [person.id, person]));
+  /** @type {Map<string, string>} parent|child to the kind of parent */
+  const parentKinds = new Map(tree.relationships
+    .filter(rel => rel.type === 'parent')
+    .map(rel => [`${rel.from}|${rel.to}`, rel.subtype || 'biological']));
+  // PEDI of a child in a family, when all its parents there are the same kind with a GEDCOM value
+  const pedigreeOf = (family, childId) => {
+    const kinds = new Set(family.partners.map(id => parentKinds.get(`${id}|${childId}`)));
+    const kind = kinds.size === 1 ? PARENT_KINDS.find(k => kinds.has(k.value)) : undefined;
+    return kind && kind.value !== 'biological' ? kind.pedigree : undefined;
+  };
+  const personXref = new Map(tree.people.map(person => [person.id, uniqueXref('I', person.gedcom?.xref)]));
+  const families = buildFamilies(tree).map(family => ({
+    ...family,
+    xref: uniqueXref('F', family.spouse?.gedcom?.xref)
+  }));
+  const submitterXref = version === '5.5.1' ? uniqueXref('U') : null;
+  const sources = tree.sources || [];
+  const sourceXref = new Map(sources.map(source => [source.id, uniqueXref('S', source.gedcom?.xref)]));
+  /** @type {Map<string, string>} archive name to REPO xref */
+  const repositoryXref = new Map();
+  sources.forEach(source => {
+    if (source.archive && !repositoryXref.has(source.archive)) {
+      repositoryXref.set(source.archive, uniqueXref('R'));
+    }
+  });
+
+  const line = (level, tag, value, xref) => formatLine(level, tag, value, version, xref);
+  const lines = [
+    ...line(0, 'HEAD'),
+    ...line(1, 'GEDC'),
+    ...line(2, 'VERS', version)
+  ];
+  if (version === '5.5.1') {
+    lines.push(...line(2, 'FORM', 'LINEAGE-LINKED'), ...line(1, 'CHAR', 'UTF-8'));
+  }
+  lines.push(...line(1, 'SOUR', 'FAMILY-TREE-BUILDER'));
+  if (submitterXref) lines.push(...line(1, 'SUBM', submitterXref));
+  if (version === '7.0') {
+    lines.push(...line(1, 'SCHMA'), ...line(2, 'TAG', `${POSITION_TAG} ${POSITION_TAG_URI}`));
+    if (sources.some(source => source.url)) lines.push(...line(2, 'TAG', `${URL_TAG} ${URL_TAG_URI}`));
+  }
+
+  /**
+   * @param {Citation[] | undefined} citations
+   * @param {number} level
+   */
+  const cite = (citations, level) => (citations || []).flatMap(citation => {
+    const xref = sourceXref.get(citation.sourceId);
+    if (!xref) return [];
+    const quay = CONFIDENCE_LEVELS.find(c => c.level === citation.confidence)?.quay;
+    return [
+      ...line(level, 'SOUR', xref),
+      ...(citation.page ? line(level + 1, 'PAGE', citation.page) : []),
+      ...(quay ? line(level + 1, 'QUAY', quay) : []),
+      ...(citation.note ? line(level + 1, 'NOTE', citation.note) : [])
+    ];
+  });
+
+  tree.people.forEach(person => {
+    const details = person.gedcom?.details || {};
+    const citations = person.citations || [];
+    lines.push(...line(0, 'INDI', '', personXref.get(person.id)));
+    const otherNames = person.names || [];
+    lines.push(...line(1, 'NAME', gedcomName(person)));
+    otherNames.filter(name => name.type === 'nickname').forEach(name => lines.push(...line(2, 'NICK', name.value)));
+    lines.push(...cite(citations.filter(c => c.field === 'name'), 2));
+    lines.push(...keptLines(details.NAME || [], version));
+    otherNames.filter(name => name.type !== 'nickname').forEach(name => lines.push(...otherNameLines(name, version, line)));
+
+    const sex = gedcomSex(person.gender, version);
+    if (sex) lines.push(...line(1, 'SEX', sex), ...cite(citations.filter(c => c.field === 'gender'), 2));
+
+    (person.events || []).forEach(event => lines.push(...eventLines(event, version, line, cite)));
+    if (person.notes) lines.push(...line(1, 'NOTE', person.notes));
+    // Citations of the whole person, and of a gender that wasn't written
+    lines.push(...cite(citations.filter(c => !c.field || (c.field === 'gender' && !sex)), 1));
+
+    lines.push(...line(1, POSITION_TAG, `${Math.round(person.x)} ${Math.round(person.y)}`));
+    lines.push(...keptLines(person.gedcom?.unmapped || [], version));
+
+    families.forEach(family => {
+      if (family.partners.includes(person.id)) lines.push(...line(1, 'FAMS', family.xref));
+      if (!family.children.includes(person.id)) return;
+      lines.push(...line(1, 'FAMC', family.xref));
+      const pedigree = pedigreeOf(family, person.id);
+      if (pedigree) lines.push(...line(2, 'PEDI', version === '7.0' ? pedigree.toUpperCase() : pedigree));
+    });
+  });
+
+  families.forEach(family => {
+    lines.push(...line(0, 'FAM', '', family.xref));
+
+    // HUSB/WIFE are positional roles; fall back to file order when gender
+    // doesn't settle it.
+    const partners = family.partners.map(id => people.get(id));
+    if (partners.length === 2 && (partners[0].gender === 'female' || partners[1].gender === 'male')) {
+      partners.reverse();
+    }
+    if (partners.length === 1 && partners[0].gender === 'female') {
+      lines.push(...line(1, 'WIFE', personXref.get(partners[0].id)));
+    } else {
+      partners.forEach((partner, index) => {
+        lines.push(...line(1, index === 0 ? 'HUSB' : 'WIFE', personXref.get(partner.id)));
+      });
+    }
+
+    family.children.forEach(child => lines.push(...line(1, 'CHIL', personXref.get(child))));
+    lines.push(...partnershipLines(family.spouse, version, line));
+    lines.push(...cite(family.spouse?.citations, 1));
+    lines.push(...keptLines(family.spouse?.gedcom?.unmapped || [], version));
+  });
+
+  sources.forEach(source => {
+    lines.push(...line(0, 'SOUR', '', sourceXref.get(source.id)));
+    if (source.author) lines.push(...line(1, 'AUTH', source.author));
+    lines.push(...line(1, 'TITL', source.title));
+    if (source.archive) lines.push(...line(1, 'REPO', repositoryXref.get(source.archive)));
+    if (source.url) lines.push(...line(1, URL_TAG, source.url));
+    if (source.notes) lines.push(...line(1, 'NOTE', source.notes));
+    lines.push(...keptLines(source.gedcom?.unmapped || [], version));
+  });
+  repositoryXref.forEach((xref, name) => {
+    lines.push(...line(0, 'REPO', '', xref), ...line(1, 'NAME', name));
+  });
+
+  lines.push(...keptLines(preserved, version));
+
+  if (submitterXref) {
+    lines.push(...line(0, 'SUBM', '', submitterXref), ...line(1, 'NAME', 'Family Tree Builder'));
+  }
+
+  lines.push(...line(0, 'TRLR'));
+  return lines.join('\n') + '\n';
+};
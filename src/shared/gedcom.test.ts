@@ -0,0 +1,330 @@
+import { parseGedcom, serializeGedcom, gedcomDateToValue } from './gedcom';
+
+const SAMPLE = [
+  '0 HEAD',
+  '1 GEDC',
+  '2 VERS 5.5.1',
+  '0 @I1@ INDI',
+  '1 NAME John /Smith/',
+  '1 SEX M',
+  '1 BIRT',
+  '2 DATE 12 MAR 1901',
+  '2 PLAC London',
+  '1 OCCU Farmer',
+  '0 @I2@ INDI',
+  '1 NAME Mary /Jones/',
+  '1 SEX F',
+  '1 DEAT',
+  '2 DATE ABT 1950',
+  '0 @I3@ INDI',
+  '1 NAME Ann /Smith/',
+  '0 @F1@ FAM',
+  '1 HUSB @I1@',
+  '1 WIFE @I2@',
+  '1 CHIL @I3@',
+  '1 CHIL @I9@',
+  '1 MARR',
+  '2 DATE 1 JUN 1925',
+  '0 @S1@ SOUR',
+  '1 TITL Parish register',
+  '0 TRLR'
+].join('\n');
+
+test('maps individuals and families to people and relationships', () => {
+  const { tree, skipped } = parseGedcom(SAMPLE);
+
+  expect(tree.people.map(p => p.name)).toEqual(['John Smith', 'Mary Jones', 'Ann Smith']);
+  const [john, mary, ann] = tree.people;
+  expect(john).toMatchObject({
+    gender: 'male',
+    events: [
+      { type: 'birth', date: '1901-03-12', place: 'London' },
+      { type: 'occupation', description: 'Farmer' }
+    ]
+  });
+  expect(mary.events).toEqual([{ type: 'death', date: 'abt 1950' }]);
+
+  expect(tree.relationships).toEqual(expect.arrayContaining([
+    expect.objectContaining({ type: 'spouse', from: john.id, to: mary.id }),
+    expect.objectContaining({ type: 'parent', from: john.id, to: ann.id }),
+    expect.objectContaining({ type: 'parent', from: mary.id, to: ann.id })
+  ]));
+
+  expect(skipped).toEqual([
+    expect.objectContaining({ tag: 'FAM', xref: '@F1@' })
+  ]);
+  expect(tree.sources).toEqual([expect.objectContaining({ title: 'Parish register' })]);
+});
+
+test('keeps unmapped fields through a round trip', () => {
+  const exported = serializeGedcom(parseGedcom(SAMPLE).tree, { version: '7.0' });
+
+  expect(exported).toContain('2 VERS 7.0');
+  expect(exported).toContain('1 NAME John /Smith/');
+  expect(exported).toContain('2 PLAC London');
+  expect(exported).toContain('1 OCCU Farmer');
+  expect(exported).toContain('2 DATE ABT 1950');
+  expect(exported).toContain('1 MARR');
+  expect(exported).toContain('0 @S1@ SOUR');
+
+  const { tree } = parseGedcom(exported);
+  expect(tree.people).toHaveLength(3);
+  expect(tree.relationships).toHaveLength(3);
+});
+
+test('splits long kept lines with CONC when writing 5.5.1', () => {
+  const long = 'word '.repeat(80).trim();
+  const { tree } = parseGedcom([
+    '0 HEAD',
+    '1 GEDC',
+    '2 VERS 7.0',
+    '0 @I1@ INDI',
+    '1 NAME John /Smith/',
+    `1 _STORY ${long}`,
+    '2 CONT and a second line',
+    `0 @N1@ SNOTE ${long}`,
+    '0 TRLR'
+  ].join('\n'));
+
+  const exported = serializeGedcom(tree, { version: '5.5.1' }).split(/\r?\n/);
+  exported.forEach(line => expect(line.length).toBeLessThanOrEqual(255));
+  expect(exported).toContain('2 CONT and a second line');
+  // 399 characters with no split next to a space: three pieces each
+  expect(exported.filter(line => /^[12] CONC /.test(line))).toHaveLength(4);
+
+  // Read back, the values are whole again
+  const again = serializeGedcom(parseGedcom(exported.join('\n')).tree, { version: '7.0' });
+  expect(again).toContain(`1 _STORY ${long}`);
+  expect(again).toContain(`0 @N1@ SNOTE ${long}`);
+});
+
+test('splits long values where neither a space nor a character is cut', () => {
+  const values = [
+    // A space as the 200th character
+    `${'a'.repeat(199)} ${'b'.repeat(100)}`,
+    // An emoji (two UTF-16 units) across the 200th character
+    `${'a'.repeat(199)}\u{1F333}${'b'.repeat(100)}`
+  ];
+  values.forEach(text => {
+    const { tree } = parseGedcom(['0 HEAD', '0 @I1@ INDI', '1 NAME John /Smith/', `1 _STORY ${text}`, '0 TRLR'].join('\n'));
+    const exported = serializeGedcom(tree, { version: '5.5.1' }).split(/\r?\n/);
+
+    const start = exported.findIndex(line => line.startsWith('1 _STORY '));
+    const pieces = [exported[start].slice('1 _STORY '.length)];
+    for (let i = start + 1; exported[i].startsWith('2 CONC '); i++) pieces.push(exported[i].slice('2 CONC '.length));
+    expect(pieces.length).toBeGreaterThan(1);
+    pieces.forEach(piece => {
+      expect(piece).toBe(piece.trim());
+      expect(piece).not.toMatch(/^[\uDC00-\uDFFF]|[\uD800-\uDBFF]$/);
+    });
+    expect(pieces.join('')).toBe(text);
+
+    const again = serializeGedcom(parseGedcom(exported.join('\n')).tree, { version: '7.0' });
+    expect(again).toContain(`1 _STORY ${text}`);
+  });
+});
+
+test('reads and writes marriages, divorces and adoptions', () => {
+  const { tree } = parseGedcom([
+    '0 HEAD',
+    '1 GEDC',
+    '2 VERS 5.5.1',
+    '0 @I1@ INDI',
+    '1 NAME John /Smith/',
+    '0 @I2@ INDI',
+    '1 NAME Mary /Jones/',
+    '0 @I3@ INDI',
+    '1 NAME Ann /Smith/',
+    '1 FAMC @F1@',
+    '2 PEDI adopted',
+    '0 @F1@ FAM',
+    '1 HUSB @I1@',
+    '1 WIFE @I2@',
+    '1 CHIL @I3@',
+    '1 DIV',
+    '2 DATE 1940',
+    '1 MARR',
+    '2 DATE 1 JUN 1925',
+    '1 NOTE Met at the dance hall',
+    '0 TRLR'
+  ].join('\n'));
+
+  expect(tree.relationships.map(({ id, from, to, gedcom, ...rest }) => rest)).toEqual([
+    { type: 'spouse', status: 'divorced', startDate: '1925-06-01', endDate: '1940', notes: 'Met at the dance hall' },
+    { type: 'parent', subtype: 'adoptive' },
+    { type: 'parent', subtype: 'adoptive' }
+  ]);
+  expect(tree.relationships[0].gedcom?.unmapped).toBeUndefined();
+
+  const exported = serializeGedcom(tree, { version: '7.0' });
+  expect(exported).toContain('1 FAMC @F1@\n2 PEDI ADOPTED');
+  expect(exported).toContain('1 MARR\n2 DATE 1 JUN 1925\n1 DIV\n2 DATE 1940\n1 NOTE Met at the dance hall');
+});
+
+test('gives a child a parent kind only from their PEDI line', () => {
+  const { tree } = parseGedcom([
+    '0 HEAD',
+    '1 GEDC',
+    '2 VERS 5.5.1',
+    '0 @I1@ INDI',
+    '1 NAME John /Smith/',
+    '0 @I2@ INDI',
+    '1 NAME Ann /Smith/',
+    '0 @I3@ INDI',
+    '1 NAME Tom /Smith/',
+    '1 FAMC @F1@',
+    '0 @I4@ INDI',
+    '1 NAME Kate /Smith/',
+    '1 FAMC @F1@',
+    '2 PEDI adopted',
+    '0 @F1@ FAM',
+    '1 HUSB @I1@',
+    '1 CHIL @I2@',
+    '1 CHIL @I3@',
+    '1 CHIL @I4@',
+    '0 TRLR'
+  ].join('\n'));
+
+  const [, ann, tom, kate] = tree.people;
+  const linkTo = (child: { id: string }) => tree.relationships.find(link => link.to === child.id);
+  expect(linkTo(ann)).not.toHaveProperty('subtype');
+  expect(linkTo(tom)).not.toHaveProperty('subtype');
+  expect(linkTo(kate)).toHaveProperty('subtype', 'adoptive');
+});
+
+test('reads and writes other names, notes and life events', () => {
+  const tree = {
+    people: [{
+      id: 'a',
+      name: 'Mary Smith',
+      names: [
+        { type: 'nickname' as const, value: 'Molly' },
+        { type: 'birth' as const, value: 'Mary Jones' }
+      ],
+      events: [
+        { type: 'baptism' as const, date: '1901-04-02', place: 'St Mary, Leeds' },
+        { type: 'other' as const, description: 'Emigrated with her sister' },
+        { type: 'burial' as const }
+      ],
+      notes: 'Kept the family bible.\nLived to 99.',
+      x: 0,
+      y: 0
+    }],
+    relationships: []
+  };
+
+  const exported = serializeGedcom(tree, { version: '5.5.1' });
+  expect(exported).toContain('1 NAME Mary /Smith/\n2 NICK Molly\n1 NAME Mary /Jones/\n2 TYPE birth');
+  expect(exported).toContain('1 BAPM\n2 DATE 2 APR 1901\n2 PLAC St Mary, Leeds');
+  expect(exported).toContain('1 EVEN\n2 TYPE Emigrated with her sister');
+  expect(exported).toContain('1 BURI Y');
+  expect(exported).toContain('1 NOTE Kept the family bible.\n2 CONT Lived to 99.');
+
+  const [mary] = parseGedcom(exported).tree.people;
+  expect(mary).toMatchObject({ names: tree.people[0].names, events: tree.people[0].events, notes: tree.people[0].notes });
+});
+
+test('reads and writes sources and the citations of them', () => {
+  const tree = {
+    people: [
+      {
+        id: 'a',
+        name: 'Ann Smith',
+        gender: 'female' as const,
+        citations: [
+          { id: 'c1', sourceId: 's1', confidence: 'primary' as const, page: 'folio 12', field: 'name' as const },
+          { id: 'c2', sourceId: 's1', confidence: 'unknown' as const, note: 'Mentioned in passing' }
+        ],
+        events: [{
+          type: 'birth' as const,
+          date: '1901-03-12',
+          citations: [{ id: 'c3', sourceId: 's1', confidence: 'questionable' as const }]
+        }],
+        x: 0,
+        y: 0
+      },
+      { id: 'b', name: 'Bob Smith', x: 0, y: 0 }
+    ],
+    relationships: [{
+      id: 'r1',
+      from: 'a',
+      to: 'b',
+      type: 'spouse' as const,
+      citations: [{ id: 'c4', sourceId: 's1', confidence: 'secondary' as const }]
+    }],
+    sources: [{
+      id: 's1',
+      title: '1901 census',
+      author: 'General Register Office',
+      archive: 'The National Archives',
+      url: 'https://example.org/census'
+    }]
+  };
+
+  const exported = serializeGedcom(tree, { version: '7.0' });
+  const [, source] = exported.match(/0 (@S\d+@) SOUR/)!;
+  const [, repository] = exported.match(/0 (@R\d+@) REPO/)!;
+  expect(exported).toContain(`1 NAME Ann /Smith/\n2 SOUR ${source}\n3 PAGE folio 12\n3 QUAY 3`);
+  expect(exported).toContain(`1 BIRT\n2 DATE 12 MAR 1901\n2 SOUR ${source}\n3 QUAY 1`);
+  expect(exported).toContain(`1 SOUR ${source}\n2 NOTE Mentioned in passing`);
+  expect(exported).toContain(`0 ${source} SOUR\n1 AUTH General Register Office\n1 TITL 1901 census\n1 REPO ${repository}\n1 _URL https://example.org/census`);
+  expect(exported).toContain(`0 ${repository} REPO\n1 NAME The National Archives`);
+
+  const { tree: read, skipped } = parseGedcom(exported);
+  expect(skipped).toEqual([]);
+  expect(read.sources).toEqual([expect.objectContaining({
+    title: '1901 census',
+    author: 'General Register Office',
+    archive: 'The National Archives',
+    url: 'https://example.org/census'
+  })]);
+  const sourceId = read.sources![0].id;
+  const [ann] = read.people;
+  expect(ann.citations).toEqual([
+    expect.objectContaining({ sourceId, confidence: 'primary', page: 'folio 12', field: 'name' }),
+    expect.objectContaining({ sourceId, confidence: 'unknown', note: 'Mentioned in passing' })
+  ]);
+  expect(ann.events![0].citations).toEqual([expect.objectContaining({ sourceId, confidence: 'questionable' })]);
+  expect(read.relationships.find(r => r.type === 'spouse')!.citations)
+    .toEqual([expect.objectContaining({ sourceId, confidence: 'secondary' })]);
+});
+
+test('reads approximate, ranged, partial and dual dates', () => {
+  expect(gedcomDateToValue('5 JAN 1850')).toBe('1850-01-05');
+  expect(gedcomDateToValue('JAN 1850')).toBe('1850-01');
+  expect(gedcomDateToValue('BEF 1850')).toBe('bef 1850');
+  expect(gedcomDateToValue('BET 1820 AND 1825')).toBe('bet 1820 and 1825');
+  expect(gedcomDateToValue('11 FEB 1731/32')).toBe('1731/32-02-11');
+  expect(gedcomDateToValue('(the winter after the flood)')).toBe('(the winter after the flood)');
+  // Other calendars and interpreted dates are kept as they are
+  expect(gedcomDateToValue('@#DJULIAN@ 1 JAN 1700')).toBeNull();
+  expect(gedcomDateToValue('INT 1850 (from her age at death)')).toBeNull();
+});
+
+test('writes dual dates and phrases in the form each version allows', () => {
+  const tree = {
+    people: [{
+      id: 'a',
+      name: 'Ann',
+      events: [
+        { type: 'birth' as const, date: '1731/32-02-11' },
+        { type: 'death' as const, date: '(the winter after the flood)' }
+      ],
+      x: 0,
+      y: 0
+    }],
+    relationships: []
+  };
+
+  const older = serializeGedcom(tree, { version: '5.5.1' });
+  expect(older).toContain('1 BIRT\n2 DATE 11 FEB 1731/32');
+  expect(older).toContain('1 DEAT\n2 DATE (the winter after the flood)');
+
+  const newer = serializeGedcom(tree, { version: '7.0' });
+  expect(newer).toContain('1 BIRT\n2 DATE 11 FEB 1732\n3 PHRASE 11 February 1731/32');
+  expect(newer).toContain('1 DEAT\n2 DATE\n3 PHRASE the winter after the flood');
+
+  [older, newer].forEach(text => {
+    expect(parseGedcom(text).tree.people[0].events).toEqual(tree.people[0].events);
+  });
+});
@@ -0,0 +1,163 @@
+// Names and life events of a person: the kinds we know about and helpers for
+// reading and editing them, shared by the desktop and mobile forms and cards.
+
+import { formatDate } from './dates.js';
+
+/** @typedef {import('../types').Attachment} Attachment */
+/** @typedef {import('../types').Person} Person */
+/** @typedef {import('../types').LifeEvent} LifeEvent */
+/** @typedef {import('../types').LifeEventType} LifeEventType */
+/** @typedef {import('../types').NameType} NameType */
+
+/**
+ * @typedef {Object} EventKind
+ * @property {LifeEventType} type
+ * @property {string} label
+ * @property {string} tag - GEDCOM tag
+ * @property {boolean} [described] - has a description (the occupation, what happened)
+ */
+
+/** @type {EventKind[]} */
+export const EVENT_TYPES = [
+  { type: 'birth', label: 'Birth', tag: 'BIRT' },
+  { type: 'baptism', label: 'Baptism', tag: 'BAPM' },
+  { type: 'death', label: 'Death', tag: 'DEAT' },
+  { type: 'burial', label: 'Burial', tag: 'BURI' },
+  { type: 'cremation', label: 'Cremation', tag: 'CREM' },
+  { type: 'occupation', label: 'Occupation', tag: 'OCCU', described: true },
+  { type: 'education', label: 'Education', tag: 'EDUC', described: true },
+  { type: 'residence', label: 'Residence', tag: 'RESI' },
+  { type: 'immigration', label: 'Immigration', tag: 'IMMI' },
+  { type: 'emigration', label: 'Emigration', tag: 'EMIG' },
+  { type: 'naturalization', label: 'Naturalization', tag: 'NATU' },
+  { type: 'other', label: 'Other event', tag: 'EVEN', described: true }
+];
+
+/** @type {{ type: NameType, label: string }[]} */
+export const NAME_TYPES = [
+  { type: 'birth', label: 'Birth name' },
+  { type: 'married', label: 'Married name' },
+  { type: 'nickname', label: 'Nickname' },
+  { type: 'alias', label: 'Also known as' },
+  { type: 'other', label: 'Other name' }
+];
+
+// Birth and death have their own fields in the forms; other events are listed
+export const VITAL_EVENTS = ['birth', 'death'];
+
+/** @param {string} type */
+export const eventKind = (type) => EVENT_TYPES.find(kind => kind.type === type) || EVENT_TYPES[EVENT_TYPES.length - 1];
+
+/**
+ * The first event of a type, e.g. the birth.
+ * @param {Pick<Person, 'events'>} person
+ * @param {LifeEventType} type
+ * @returns {LifeEvent | undefined}
+ */
+export const findEvent = (person, type) => (person.events || []).find(event => event.type === type);
+
+/**
+ * @param {Pick<Person, 'events'>} person
+ * @param {LifeEventType} type
+ */
+export const eventDate = (person, type) => findEvent(person, type)?.date;
+
+/** @param {LifeEvent} event */
+const isEmptyEvent = (event) => !event.date && !event.place && !event.description && !event.citations && !event.gedcom;
+
+/**
+ * Sets fields on the first event of a type, adding it if there is none and
+ * removing it once every field is empty.
+ * @param {LifeEvent[] | undefined} events
+ * @param {LifeEventType} type
+ * @param {Partial<LifeEvent>} changes
+ * @returns {LifeEvent[]}
+ */
+export const updateVitalEvent = (events = [], type, changes) => {
+  const index = events.findIndex(event => event.type === type);
+  const updated = { ...(index >= 0 ? events[index] : { type }), ...changes };
+  Object.keys(changes).forEach(key => {
+    if (!updated[key]) delete updated[key];
+  });
+
+  if (index < 0) {
+    return isEmptyEvent(updated) ? events : [...events, updated];
+  }
+  return isEmptyEvent(updated)
+    ? events.filter((_, i) => i !== index)
+    : events.map((event, i) => (i === index ? updated : event));
+};
+
+/**
+ * Drops name rows left blank and empty notes before a person is saved; the
+ * lists themselves are removed once empty.
+ * @param {Pick<Person, 'names' | 'events' | 'notes' | 'attachments' | 'avatar' | 'citations'>} details
+ * @returns {Pick<Person, 'names' | 'events' | 'notes' | 'attachments' | 'avatar' | 'citations'>}
+ */
+export const tidyDetails = (details) => {
+  const names = (details.names || []).filter(name => name.value.trim());
+  const attachments = details.attachments || [];
+  return {
+    names: names.length ? names : undefined,
+    events: details.events?.length ? details.events : undefined,
+    notes: details.notes?.trim() ? details.notes : undefined,
+    attachments: attachments.length ? attachments : undefined,
+    avatar: attachments.some(a => a.id === details.avatar) ? details.avatar : undefined,
+    citations: details.citations?.length ? details.citations : undefined
+  };
+};
+
+/** @param {Attachment} attachment */
+export const isImage = (attachment) => attachment.type.startsWith('image/');
+
+/**
+ * The attachment shown on the person's card, if one was picked.
+ * @param {Pick<Person, 'attachments' | 'avatar'>} person
+ * @returns {Attachment | undefined}
+ */
+export const avatarOf = (person) => (person.attachments || []).find(a => a.id === person.avatar && isImage(a));
+
+/**
+ * Positions in `events` of the first birth and first death, which the forms
+ * show in their own fields rather than in the list.
+ * @param {LifeEvent[] | undefined} events
+ * @returns {Set<number>}
+ */
+export const vitalEventIndexes = (events = []) => new Set(
+  VITAL_EVENTS.map(type => events.findIndex(event => event.type === type)).filter(index => index >= 0)
+);
+
+/**
+ * One line about an event: "Occupation: Farmer, about 1920, Leeds".
+ * @param {LifeEvent} event
+ */
+export const describeEvent = (event) => {
+  const kind = eventKind(event.type);
+  const what = kind.described && event.description ? event.description : '';
+  const label = event.type === 'other' && what ? what : kind.label;
+  const details = [event.type === 'other' ? '' : what, formatDate(event.date), event.place].filter(Boolean);
+  return details.length ? `${label}: ${details.join(', ')}` : label;
+};
+
+/**
+ * Short facts for the person's card beyond the name and years, most useful
+ * first: their birth name if they changed it, occupation, birthplace.
+ * @param {Person} person
+ * @param {number} [limit]
+ * @returns {string[]}
+ */
+export const keyFacts = (person, limit = 2) => {
+  const facts = [];
+  const birthName = (person.names || []).find(name => name.type === 'birth');
+  if (birthName && birthName.value !== person.name) {
+    const surname = birthName.value.trim().split(/\s+/).pop();
+    facts.push(`${person.gender === 'female' ? 'née' : person.gender === 'male' ? 'né' : 'born'} ${surname}`);
+  }
+  const nickname = (person.names || []).find(name => name.type === 'nickname');
+  if (nickname) facts.push(`“${nickname.value}”`);
+  const occupation = findEvent(person, 'occupation');
+  if (occupation?.description) facts.push(occupation.description);
+  const birthPlace = findEvent(person, 'birth')?.place;
+  if (birthPlace) facts.push(`b. ${birthPlace}`);
+  return facts.slice(0, limit);
+};
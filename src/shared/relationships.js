@@ -0,0 +1,191 @@
+// Rules for linking people, shared by both apps and by schema validation.
+//
+// A parent/child link is stored once, as `{ type: 'parent', from: parent,
+// to: child }`; "child" is only a way of drawing it from the other end.
+// Spouse links are stored once per couple, in either direction. Parent links
+// can say what kind of parent (adoptive, step...) and spouse links how the
+// partnership stands; both can have start and end dates and notes.
+
+/** @typedef {import('../types').FamilyTree} FamilyTree */
+/** @typedef {import('../types').Person} Person */
+/** @typedef {import('../types').Relationship} Relationship */
+/** @typedef {import('../types').ConnectionType} ConnectionType */
+/** @typedef {import('../types').ParentKind} ParentKind */
+/** @typedef {import('../types').PartnerStatus} PartnerStatus */
+
+/**
+ * Labels for a kind of parent or a partnership, what its dates are called,
+ * and the dash pattern of its line (solid when missing).
+ * @template T
+ * @typedef {Object} LinkKind
+ * @property {T} value
+ * @property {string} label
+ * @property {string} [noun] - what a parent of this kind is called
+ * @property {string} [start] - label of the start date; no dates when missing
+ * @property {string} [end]
+ * @property {string} [dash]
+ * @property {string} [pedigree] - GEDCOM PEDI value
+ */
+
+/** @type {LinkKind<ParentKind>[]} */
+export const PARENT_KINDS = [
+  { value: 'biological', label: 'Biological', noun: 'parent', pedigree: 'birth' },
+  { value: 'adoptive', label: 'Adoptive', noun: 'adoptive parent', start: 'Adopted', end: 'Until', dash: '8,4', pedigree: 'adopted' },
+  { value: 'step', label: 'Step', noun: 'step-parent', start: 'From', end: 'Until', dash: '2,4' },
+  { value: 'foster', label: 'Foster', noun: 'foster parent', start: 'Fostered from', end: 'Until', dash: '8,3,2,3', pedigree: 'foster' },
+  { value: 'guardian', label: 'Guardian', noun: 'guardian', start: 'From', end: 'Until', dash: '14,4' }
+];
+
+/** @type {LinkKind<PartnerStatus>[]} */
+export const PARTNER_STATUSES = [
+  { value: 'married', label: 'Married', start: 'Married', end: 'Ended' },
+  { value: 'partnered', label: 'Partners', start: 'Together from', end: 'Until', dash: '8,4' },
+  { value: 'divorced', label: 'Divorced', start: 'Married', end: 'Divorced', dash: '2,4' },
+  { value: 'widowed', label: 'Widowed', start: 'Married', end: 'Widowed' }
+];
+
+/**
+ * What kind of link it is. A parent link with no subtype is biological; a
+ * spouse link with no status is just that.
+ * @param {Pick<Relationship, 'type' | 'subtype' | 'status'>} rel
+ * @returns {LinkKind<string> | undefined}
+ */
+export const linkKind = (rel) => (rel.type === 'parent'
+  ? PARENT_KINDS.find(kind => kind.value === (rel.subtype || 'biological'))
+  : PARTNER_STATUSES.find(kind => kind.value === rel.status));
+
+/** @param {Pick<Relationship, 'type' | 'subtype'>} rel */
+export const isBiological = (rel) => rel.type === 'parent' && (!rel.subtype || rel.subtype === 'biological');
+
+/**
+ * What a link says, for labels and screen readers: "Ann, adoptive parent of
+ * Bob", "Ann and Bob, divorced", "Ann and Bob, spouses".
+ * @param {Pick<Relationship, 'type' | 'subtype' | 'status'>} rel
+ * @param {string} from - name of the person the link is from
+ * @param {string} to
+ */
+export const linkLabel = (rel, from, to) => {
+  const kind = linkKind(rel);
+  return rel.type === 'parent'
+    ? `${from}, ${kind?.noun || 'parent'} of ${to}`
+    : `${from} and ${to}, ${kind ? kind.label.toLowerCase() : 'spouses'}`;
+};
+
+/**
+ * Drops what doesn't belong on the link's type, empty fields and the
+ * default 'biological'.
+ * @param {Relationship} rel
+ * @returns {Relationship}
+ */
+export const tidyRelationship = (rel) => {
+  const tidy = { ...rel };
+  if (tidy.type !== 'parent' || tidy.subtype === 'biological') delete tidy.subtype;
+  if (tidy.type !== 'spouse') delete tidy.status;
+  // Biological parents have no dates of their own; the birth says it all
+  if (!linkKind(tidy)?.start && tidy.type === 'parent') {
+    delete tidy.startDate;
+    delete tidy.endDate;
+  }
+  /** @type {('startDate' | 'endDate' | 'notes')[]} */ (['startDate', 'endDate', 'notes']).forEach(field => {
+    if (!tidy[field]?.trim()) delete tidy[field];
+  });
+  if (!tidy.citations?.length) delete tidy.citations;
+  return tidy;
+};
+
+/**
+ * Turns a link drawn in connect mode into the stored form.
+ * @param {ConnectionType} type
+ * @param {string} from
+ * @param {string} to
+ * @returns {Pick<Relationship, 'type' | 'from' | 'to'>}
+ */
+export const normalizeRelationship = (type, from, to) =>
+  type === 'child' ? { type: 'parent', from: to, to: from } : { type, from, to };
+
+/**
+ * Identifies a link regardless of which way round it was stored.
+ * @param {Pick<Relationship, 'type' | 'from' | 'to'>} rel
+ */
+export const relationshipKey = (rel) =>
+  rel.type === 'spouse' ? `spouse:${[rel.from, rel.to].sort().join(':')}` : `${rel.type}:${rel.from}:${rel.to}`;
+
+/**
+ * Whether `ancestorId` can be reached by following parent links up from `personId`.
+ * @param {Pick<Relationship, 'type' | 'from' | 'to'>[]} relationships
+ * @param {string} ancestorId
+ * @param {string} personId
+ */
+export const isAncestor = (relationships, ancestorId, personId) => {
+  /** @type {Map<string, string[]>} */
+  const parentsOf = new Map();
+  relationships.forEach(rel => {
+    if (rel.type !== 'parent') return;
+    if (!parentsOf.has(rel.to)) parentsOf.set(rel.to, []);
+    parentsOf.get(rel.to).push(rel.from);
+  });
+
+  const seen = new Set();
+  const queue = [personId];
+  while (queue.length) {
+    const id = queue.shift();
+    if (id === undefined || seen.has(id)) continue;
+    seen.add(id);
+    const parents = parentsOf.get(id) || [];
+    if (parents.includes(ancestorId)) return true;
+    queue.push(...parents);
+  }
+  return false;
+};
+
+/**
+ * Explains why a stored-form link can't be added, or returns null if it can.
+ * @param {Pick<Relationship, 'type' | 'from' | 'to'>[]} relationships
+ * @param {Pick<Relationship, 'type' | 'from' | 'to'>} rel
+ * @param {(id: string) => string} nameOf
+ * @returns {string | null}
+ */
+export const relationshipProblem = (relationships, rel, nameOf) => {
+  const from = nameOf(rel.from);
+  const to = nameOf(rel.to);
+
+  if (rel.from === rel.to) {
+    return `${from} can't be linked to themselves.`;
+  }
+
+  const key = relationshipKey(rel);
+  if (relationships.some(existing => relationshipKey(existing) === key)) {
+    return rel.type === 'spouse'
+      ? `${from} and ${to} are already linked as spouses.`
+      : `${from} is already a parent of ${to}.`;
+  }
+
+  if (rel.type === 'parent' && isAncestor(relationships, rel.to, rel.from)) {
+    return `${from} can't be a parent of ${to}: ${to} is already ${from}'s ancestor, so this would make a loop.`;
+  }
+
+  return null;
+};
+
+/**
+ * Adds a link drawn in connect mode, or explains why it was refused.
+ * @param {FamilyTree} tree
+ * @param {ConnectionType} type
+ * @param {string} fromId
+ * @param {string} toId
+ * @returns {{ tree: FamilyTree, error: null } | { tree: null, error: string }}
+ */
+export const connectPeople = (tree, type, fromId, toId) => {
+  const rel = normalizeRelationship(type, fromId, toId);
+  const nameOf = (id) => tree.people.find(p => p.id === id)?.name || 'This person';
+  const error = relationshipProblem(tree.relationships, rel, nameOf);
+  if (error) return { tree: null, error };
+
+  return {
+    tree: {
+      ...tree,
+      relationships: [...tree.relationships, { id: Date.now().toString(), ...rel }]
+    },
+    error: null
+  };
+};
@@ -0,0 +1,33 @@
+import { connectPeople } from './relationships';
+import { FamilyTree } from '../types';
+
+const tree: FamilyTree = {
+  people: [
+    { id: 'a', name: 'Ann', x: 0, y: 0 },
+    { id: 'b', name: 'Bob', x: 0, y: 200 },
+    { id: 'c', name: 'Cat', x: 0, y: 400 }
+  ],
+  relationships: [
+    { id: 'r1', type: 'parent', from: 'a', to: 'b' },
+    { id: 'r2', type: 'parent', from: 'b', to: 'c' }
+  ]
+};
+
+test('stores a child link as the parent link from the other end', () => {
+  const result = connectPeople({ ...tree, relationships: [] }, 'child', 'b', 'a');
+
+  expect(result.error).toBeNull();
+  expect(result.tree!.relationships).toEqual([
+    expect.objectContaining({ type: 'parent', from: 'a', to: 'b' })
+  ]);
+});
+
+test('refuses self-links, duplicates and ancestry loops', () => {
+  expect(connectPeople(tree, 'spouse', 'a', 'a').error).toMatch(/themselves/);
+  expect(connectPeople(tree, 'child', 'b', 'a').error).toBe('Ann is already a parent of Bob.');
+  expect(connectPeople(tree, 'parent', 'c', 'a').error).toMatch(/would make a loop/);
+  expect(connectPeople(tree, 'child', 'a', 'b').error).toMatch(/would make a loop/);
+
+  const married = connectPeople(tree, 'spouse', 'a', 'c').tree!;
+  expect(connectPeople(married, 'spouse', 'c', 'a').error).toMatch(/already linked as spouses/);
+});
@@ -0,0 +1,569 @@
+// Versioned schema for saved and imported family trees: migrates older data
+// forward, then validates it and reports problems record by record.
+
+import { EVENT_TYPES, NAME_TYPES, avatarOf } from './person.js';
+import { PARENT_KINDS, PARTNER_STATUSES, relationshipKey } from './relationships.js';
+import { CITED_FIELDS, CONFIDENCE_LEVELS } from './sources.js';
+import { normalizeDate } from './dates.js';
+
+/** @typedef {import('../types').FamilyTree} FamilyTree */
+/** @typedef {import('../types').Person} Person */
+/** @typedef {import('../types').Relationship} Relationship */
+/** @typedef {import('../types').Source} Source */
+
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {string} record - which record the problem is in, readable by people
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} ValidationResult
+ * @property {FamilyTree} tree - cleaned tree; empty when there are errors
+ * @property {ValidationIssue[]} errors - the data can't be used at all
+ * @property {ValidationIssue[]} warnings - records that were repaired or dropped
+ * @property {ValidationIssue[]} orphans - relationships dropped because a person is missing
+ * @property {number} [migratedFrom] - schema version the data was upgraded from
+ */
+
+// 1: unversioned `{ people, relationships }` written before versioning existed
+// 2: adds `version`, string ids and numeric positions
+// 3: 'child' links are stored as 'parent' links from the other end
+// 4: birthDate/deathDate move into `events`; adds `names` and `notes`
+export const SCHEMA_VERSION = 4;
+
+const GENDERS = ['male', 'female', 'other'];
+const EVENT_TYPE_NAMES = EVENT_TYPES.map(kind => kind.type);
+const NAME_TYPE_NAMES = NAME_TYPES.map(kind => kind.type);
+const RELATIONSHIP_TYPES = ['parent', 'spouse'];
+const CONFIDENCES = CONFIDENCE_LEVELS.map(c => c.level);
+const CITED_FIELD_NAMES = CITED_FIELDS.map(f => f.field);
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Hand-edited or very old files sometimes hold numbers as strings and ids as numbers
+const numericString = (value) =>
+  typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value;
+const numericId = (value) => (typeof value === 'number' ? String(value) : value);
+
+// Birth and death dates become events, taking the GEDCOM lines kept for them along
+const datesToEvents = (person) => {
+  const { birthDate, deathDate, ...rest } = person;
+  const details = isObject(person.gedcom) && isObject(person.gedcom.details) ? { ...person.gedcom.details } : {};
+  const events = [];
+  [['birth', 'BIRT', birthDate], ['death', 'DEAT', deathDate]].forEach(([type, tag, date]) => {
+    if (date === undefined || date === '') return;
+    const event = { type, date };
+    if (Array.isArray(details[tag])) {
+      event.gedcom = { unmapped: details[tag] };
+      delete details[tag];
+    }
+    events.push(event);
+  });
+  if (!events.length) return rest;
+
+  const migrated = { ...rest, events: [...events, ...(Array.isArray(rest.events) ? rest.events : [])] };
+  if (isObject(person.gedcom)) {
+    migrated.gedcom = { ...person.gedcom, details };
+    if (!Object.keys(details).length) delete migrated.gedcom.details;
+  }
+  return migrated;
+};
+
+/**
+ * Each entry upgrades data from version `n` to `n + 1`.
+ * @type {Record<number, (data: any) => any>}
+ */
+const MIGRATIONS = {
+  1: (data) => ({
+    ...data,
+    version: 2,
+    people: Array.isArray(data.people)
+      ? data.people.map(person => (isObject(person)
+        ? { ...person, id: numericId(person.id), x: numericString(person.x), y: numericString(person.y) }
+        : person))
+      : data.people,
+    relationships: Array.isArray(data.relationships)
+      ? data.relationships.map(rel => (isObject(rel)
+        ? { ...rel, id: numericId(rel.id), from: numericId(rel.from), to: numericId(rel.to) }
+        : rel))
+      : data.relationships
+  }),
+  2: (data) => ({
+    ...data,
+    version: 3,
+    relationships: Array.isArray(data.relationships)
+      ? data.relationships.map(rel => (isObject(rel) && rel.type === 'child'
+        ? { ...rel, type: 'parent', from: rel.to, to: rel.from }
+        : rel))
+      : data.relationships
+  }),
+  3: (data) => ({
+    ...data,
+    version: 4,
+    people: Array.isArray(data.people)
+      ? data.people.map(person => (isObject(person) ? datesToEvents(person) : person))
+      : data.people
+  })
+};
+
+/** @param {FamilyTree} tree */
+export const withSchemaVersion = (tree) => ({ ...tree, version: SCHEMA_VERSION });
+
+/** @param {any} person @param {number} index */
+const describePerson = (person, index) => {
+  const name = isObject(person) && typeof person.name === 'string' && person.name ? ` "${person.name}"` : '';
+  const id = isObject(person) && person.id !== undefined ? ` (id ${person.id})` : '';
+  return `Person #${index + 1}${name}${id}`;
+};
+
+/** @param {any} rel @param {number} index @param {Map<string, Person>} people */
+const describeRelationship = (rel, index, people) => {
+  if (!isObject(rel)) return `Relationship #${index + 1}`;
+  const nameOf = (id) => people.get(id)?.name || (id === undefined ? '?' : `missing ${id}`);
+  const type = typeof rel.type === 'string' ? `${rel.type}: ` : '';
+  return `Relationship #${index + 1} (${type}${nameOf(rel.from)} → ${nameOf(rel.to)})`;
+};
+
+/**
+ * @param {any} data
+ * @param {ValidationIssue[]} warnings
+ * @returns {Source[]}
+ */
+const validateSources = (data, warnings) => {
+  /** @type {Source[]} */
+  const sources = [];
+  const seen = new Set();
+  data.forEach((raw, index) => {
+    const record = `Source #${index + 1}${isObject(raw) && typeof raw.title === 'string' ? ` "${raw.title}"` : ''}`;
+    if (!isObject(raw) || typeof raw.id !== 'string' || !raw.id) {
+      warnings.push({ record, message: 'has no id and was dropped' });
+      return;
+    }
+    if (seen.has(raw.id)) {
+      warnings.push({ record, message: 'repeats an id used earlier and was dropped' });
+      return;
+    }
+    seen.add(raw.id);
+    const source = { ...raw };
+    if (typeof source.title !== 'string' || !source.title.trim()) {
+      warnings.push({ record, message: 'has no title; set to "Untitled source"' });
+      source.title = 'Untitled source';
+    }
+    ['author', 'archive', 'url', 'notes'].forEach(field => {
+      if (source[field] !== undefined && typeof source[field] !== 'string') {
+        warnings.push({ record, message: `has an invalid ${field}; removed` });
+        delete source[field];
+      }
+    });
+    sources.push(source);
+  });
+  return sources;
+};
+
+/**
+ * Citations of sources that aren't in the tree are dropped.
+ * @param {any} citations
+ * @param {string} record
+ * @param {ValidationIssue[]} warnings
+ * @param {Set<string>} sourceIds
+ */
+const validateCitations = (citations, record, warnings, sourceIds) => {
+  if (!Array.isArray(citations)) {
+    warnings.push({ record, message: 'has citations that are not a list; removed' });
+    return undefined;
+  }
+  const valid = citations.filter((citation, index) => {
+    if (!isObject(citation) || typeof citation.id !== 'string' || typeof citation.sourceId !== 'string') {
+      warnings.push({ record, message: `has an invalid citation #${index + 1}; removed` });
+      return false;
+    }
+    if (!sourceIds.has(citation.sourceId)) {
+      warnings.push({ record, message: `cites a source that does not exist (${citation.sourceId}); removed` });
+      return false;
+    }
+    return true;
+  }).map(raw => {
+    const citation = { ...raw };
+    if (!CONFIDENCES.includes(citation.confidence)) {
+      if (citation.confidence !== undefined) {
+        warnings.push({ record, message: `has an unknown confidence "${citation.confidence}"; set to "unknown"` });
+      }
+      citation.confidence = 'unknown';
+    }
+    if (citation.field !== undefined && !CITED_FIELD_NAMES.includes(citation.field)) {
+      warnings.push({ record, message: `cites an unknown field "${citation.field}"; now cites the whole record` });
+      delete citation.field;
+    }
+    ['page', 'note'].forEach(field => {
+      if (citation[field] !== undefined && typeof citation[field] !== 'string') {
+        warnings.push({ record, message: `has a citation with an invalid ${field}; removed` });
+        delete citation[field];
+      }
+    });
+    return citation;
+  });
+  return valid.length ? valid : undefined;
+};
+
+/**
+ * Validates `citations` on `holder` in place, removing the list if nothing
+ * is left of it.
+ * @param {any} holder
+ * @param {string} record
+ * @param {ValidationIssue[]} warnings
+ * @param {Set<string>} sourceIds
+ */
+const checkCitations = (holder, record, warnings, sourceIds) => {
+  if (holder.citations === undefined) return;
+  const citations = validateCitations(holder.citations, record, warnings, sourceIds);
+  if (citations) {
+    holder.citations = citations;
+  } else {
+    delete holder.citations;
+  }
+};
+
+/**
+ * @param {any} names
+ * @param {string} record
+ * @param {ValidationIssue[]} warnings
+ */
+const validateNames = (names, record, warnings) => {
+  if (!Array.isArray(names)) {
+    warnings.push({ record, message: 'has other names that are not a list; removed' });
+    return undefined;
+  }
+  return names.filter((name, index) => {
+    if (isObject(name) && typeof name.value === 'string') return name.value.trim() !== '';
+    warnings.push({ record, message: `has an invalid other name #${index + 1}; removed` });
+    return false;
+  }).map(name => {
+    if (NAME_TYPE_NAMES.includes(name.type)) return name;
+    warnings.push({ record, message: `has an unknown name type "${name.type}"; set to "other"` });
+    return { ...name, type: 'other' };
+  });
+};
+
+/**
+ * @param {any} events
+ * @param {string} record
+ * @param {ValidationIssue[]} warnings
+ */
+const validateEvents = (events, record, warnings) => {
+  if (!Array.isArray(events)) {
+    warnings.push({ record, message: 'has events that are not a list; removed' });
+    return undefined;
+  }
+  return events.filter((event, index) => {
+    if (isObject(event)) return true;
+    warnings.push({ record, message: `has an invalid event #${index + 1}; removed` });
+    return false;
+  }).map(raw => {
+    const event = { ...raw };
+    if (!EVENT_TYPE_NAMES.includes(event.type)) {
+      warnings.push({ record, message: `has an unknown event type "${event.type}"; set to "other"` });
+      event.type = 'other';
+    }
+    ['date', 'place', 'description'].forEach(field => {
+      if (event[field] !== undefined && typeof event[field] !== 'string') {
+        warnings.push({ record, message: `has an invalid ${event.type} ${field}; removed` });
+        delete event[field];
+      }
+    });
+    // Hand-written dates ("c. 1850") take the stored form; ones we can't read become phrases
+    if (event.date !== undefined) {
+      const date = normalizeDate(event.date);
+      if (date) event.date = date;
+      else delete event.date;
+    }
+    return event;
+  });
+};
+
+/**
+ * @param {any} attachments
+ * @param {string} record
+ * @param {ValidationIssue[]} warnings
+ */
+const validateAttachments = (attachments, record, warnings) => {
+  if (!Array.isArray(attachments)) {
+    warnings.push({ record, message: 'has attachments that are not a list; removed' });
+    return undefined;
+  }
+  const seen = new Set();
+  return attachments.filter((attachment, index) => {
+    if (!isObject(attachment) || typeof attachment.id !== 'string' || !attachment.id || typeof attachment.name !== 'string') {
+      warnings.push({ record, message: `has an invalid attachment #${index + 1}; removed` });
+      return false;
+    }
+    if (seen.has(attachment.id)) {
+      warnings.push({ record, message: `lists attachment "${attachment.name}" twice; the repeat was removed` });
+      return false;
+    }
+    seen.add(attachment.id);
+    return true;
+  }).map(attachment => ({
+    ...attachment,
+    type: typeof attachment.type === 'string' && attachment.type ? attachment.type : 'application/octet-stream',
+    size: typeof attachment.size === 'number' && attachment.size >= 0 ? attachment.size : 0,
+    added: typeof attachment.added === 'string' ? attachment.added : ''
+  }));
+};
+
+/**
+ * Checks the kind, dates and notes of a link in place.
+ * @param {any} relationship
+ * @param {string} record
+ * @param {ValidationIssue[]} warnings
+ */
+const validateLinkDetails = (relationship, record, warnings) => {
+  [['subtype', 'parent', PARENT_KINDS, 'parent kind'], ['status', 'spouse', PARTNER_STATUSES, 'partnership status']].forEach(([field, type, kinds, name]) => {
+    const value = relationship[field];
+    if (value === undefined) return;
+    if (relationship.type !== type) {
+      warnings.push({ record, message: `has a ${name} but is not a ${type} link; removed` });
+      delete relationship[field];
+    } else if (!kinds.some(kind => kind.value === value)) {
+      warnings.push({ record, message: `has unknown ${name} "${value}"; removed` });
+      delete relationship[field];
+    }
+  });
+  ['startDate', 'endDate', 'notes'].forEach(field => {
+    if (relationship[field] !== undefined && typeof relationship[field] !== 'string') {
+      warnings.push({ record, message: `has an invalid ${field === 'notes' ? 'note' : field.replace('Date', ' date')}; removed` });
+      delete relationship[field];
+    }
+  });
+  ['startDate', 'endDate'].forEach(field => {
+    if (relationship[field] === undefined) return;
+    const date = normalizeDate(relationship[field]);
+    if (date) relationship[field] = date;
+    else delete relationship[field];
+  });
+};
+
+/**
+ * @param {any} data
+ * @param {ValidationIssue[]} warnings
+ * @param {Set<string>} sourceIds
+ * @returns {Person[]}
+ */
+const validatePeople = (data, warnings, sourceIds) => {
+  /** @type {Person[]} */
+  const people = [];
+  const seen = new Set();
+
+  data.forEach((raw, index) => {
+    const record = describePerson(raw, index);
+    if (!isObject(raw)) {
+      warnings.push({ record, message: 'is not an object and was dropped' });
+      return;
+    }
+    if (typeof raw.id !== 'string' || !raw.id) {
+      warnings.push({ record, message: 'has no id and was dropped' });
+      return;
+    }
+    if (seen.has(raw.id)) {
+      warnings.push({ record, message: 'repeats an id used earlier and was dropped' });
+      return;
+    }
+    seen.add(raw.id);
+
+    const person = { ...raw };
+    if (typeof person.name !== 'string' || !person.name.trim()) {
+      warnings.push({ record, message: 'has no name; set to "Unnamed"' });
+      person.name = 'Unnamed';
+    }
+    ['x', 'y'].forEach(axis => {
+      if (typeof person[axis] !== 'number' || !Number.isFinite(person[axis])) {
+        warnings.push({ record, message: `has an invalid ${axis} position; moved to 0` });
+        person[axis] = 0;
+      }
+    });
+    [['names', validateNames], ['events', validateEvents], ['attachments', validateAttachments]].forEach(([field, validate]) => {
+      if (person[field] === undefined) return;
+      const list = validate(person[field], record, warnings);
+      if (list) {
+        person[field] = list;
+      } else {
+        delete person[field];
+      }
+    });
+    checkCitations(person, record, warnings, sourceIds);
+    person.events?.forEach(event => checkCitations(event, `${record} ${event.type}`, warnings, sourceIds));
+    if (person.avatar !== undefined && !avatarOf(person)) {
+      warnings.push({ record, message: 'has a card photo that is not one of their image attachments; removed' });
+      delete person.avatar;
+    }
+    if (person.notes !== undefined && typeof person.notes !== 'string') {
+      warnings.push({ record, message: 'has notes that are not text; removed' });
+      delete person.notes;
+    }
+    if (person.gender !== undefined && !GENDERS.includes(person.gender)) {
+      warnings.push({ record, message: `has unknown gender "${person.gender}"; removed` });
+      delete person.gender;
+    }
+    people.push(person);
+  });
+
+  return people;
+};
+
+/**
+ * Parent links that close a loop of ancestry, found in one depth-first walk
+ * down from each parent in the order the links are stored, so the link that
+ * closes a loop is usually the later one. Without them the rest has no loops.
+ * @param {Relationship[]} relationships
+ * @returns {Set<Relationship>}
+ */
+const ancestryLoops = (relationships) => {
+  /** @type {Map<string, Relationship[]>} */
+  const childLinks = new Map();
+  relationships.forEach(rel => {
+    if (rel.type !== 'parent') return;
+    if (!childLinks.has(rel.from)) childLinks.set(rel.from, []);
+    /** @type {Relationship[]} */ (childLinks.get(rel.from)).push(rel);
+  });
+
+  const loops = new Set();
+  /** @type {Map<string, 'open' | 'done'>} */
+  const state = new Map();
+  childLinks.forEach((_, start) => {
+    if (state.has(start)) return;
+    state.set(start, 'open');
+    // Iterative, so a long line of descent can't overflow the stack
+    const stack = [{ id: start, next: 0 }];
+    while (stack.length) {
+      const top = stack[stack.length - 1];
+      const out = childLinks.get(top.id) || [];
+      if (top.next === out.length) {
+        state.set(top.id, 'done');
+        stack.pop();
+        continue;
+      }
+      const link = out[top.next++];
+      const seen = state.get(link.to);
+      if (seen === 'open') {
+        loops.add(link);
+      } else if (!seen) {
+        state.set(link.to, 'open');
+        stack.push({ id: link.to, next: 0 });
+      }
+    }
+  });
+  return loops;
+};
+
+/**
+ * Migrates `data` to the current schema version and validates it. Bad records
+ * are repaired or dropped with a warning; only data that can't be read as a
+ * tree at all produces errors.
+ * @param {unknown} data
+ * @returns {ValidationResult}
+ */
+export const readFamilyTree = (data) => {
+  /** @type {ValidationResult} */
+  const result = {
+    tree: { people: [], relationships: [] },
+    errors: [],
+    warnings: [],
+    orphans: []
+  };
+
+  if (!isObject(data)) {
+    result.errors.push({ record: 'File', message: 'is not a family tree object' });
+    return result;
+  }
+
+  let migrated = /** @type {any} */ (data);
+  const version = migrated.version === undefined ? 1 : migrated.version;
+  if (!Number.isInteger(version) || version < 1) {
+    result.errors.push({ record: 'File', message: `has an invalid schema version "${version}"` });
+    return result;
+  }
+  if (version > SCHEMA_VERSION) {
+    result.errors.push({
+      record: 'File',
+      message: `was saved by a newer version of the app (schema ${version}, this app reads up to ${SCHEMA_VERSION})`
+    });
+    return result;
+  }
+  for (let v = version; v < SCHEMA_VERSION; v++) {
+    migrated = MIGRATIONS[v](migrated);
+  }
+  if (version < SCHEMA_VERSION) result.migratedFrom = version;
+
+  if (!Array.isArray(migrated.people)) {
+    result.errors.push({ record: 'File', message: 'has no "people" list' });
+    return result;
+  }
+  if (migrated.relationships !== undefined && !Array.isArray(migrated.relationships)) {
+    result.errors.push({ record: 'File', message: '"relationships" is not a list' });
+    return result;
+  }
+  if (migrated.sources !== undefined && !Array.isArray(migrated.sources)) {
+    result.errors.push({ record: 'File', message: '"sources" is not a list' });
+    return result;
+  }
+
+  const sources = validateSources(migrated.sources || [], result.warnings);
+  const sourceIds = new Set(sources.map(source => source.id));
+  const people = validatePeople(migrated.people, result.warnings, sourceIds);
+  const peopleById = new Map(people.map(person => [person.id, person]));
+  /** @type {Relationship[]} */
+  const relationships = [];
+  const seen = new Set();
+  const links = new Set();
+
+  // Each link is checked on its own first; the ones that pass are then
+  // checked together for ancestry loops
+  const checked = (migrated.relationships || []).map((raw, index) => {
+    const record = describeRelationship(raw, index, peopleById);
+    /** @param {string} message @param {boolean} [orphan] */
+    const drop = (message, orphan = false) => ({ record, drop: { message, orphan } });
+    if (!isObject(raw) || typeof raw.id !== 'string' || !raw.id) return drop('has no id and was dropped');
+    if (seen.has(raw.id)) return drop('repeats an id used earlier and was dropped');
+    if (!RELATIONSHIP_TYPES.includes(raw.type)) return drop(`has unknown type "${raw.type}" and was dropped`);
+    seen.add(raw.id);
+    if (!peopleById.has(raw.from) || !peopleById.has(raw.to)) {
+      return drop('points at a person who does not exist and was dropped', true);
+    }
+    if (raw.from === raw.to) return drop('links a person to themselves and was dropped');
+    if (links.has(relationshipKey(raw))) return drop('repeats an earlier link and was dropped');
+    links.add(relationshipKey(raw));
+    return { record, raw: /** @type {Relationship} */ (raw) };
+  });
+  const loops = ancestryLoops(checked.flatMap(link => (link.raw ? [link.raw] : [])));
+
+  checked.forEach(({ record, raw, drop }) => {
+    if (drop) {
+      (drop.orphan ? result.orphans : result.warnings).push({ record, message: drop.message });
+      return;
+    }
+    if (!raw) return;
+    if (loops.has(raw)) {
+      result.warnings.push({ record, message: 'would make someone their own ancestor and was dropped' });
+      return;
+    }
+    const relationship = { ...raw };
+    validateLinkDetails(relationship, record, result.warnings);
+    checkCitations(relationship, record, result.warnings, sourceIds);
+    relationships.push(relationship);
+  });
+
+  result.tree = { ...migrated, version: SCHEMA_VERSION, people, relationships };
+  if (migrated.sources !== undefined) result.tree.sources = sources;
+  return result;
+};
+
+/**
+ * Formats issues as a bulleted list, cut off after `limit` entries.
+ * @param {ValidationIssue[]} issues
+ * @param {number} [limit]
+ */
+export const formatIssues = (issues, limit = 10) => {
+  const lines = issues.slice(0, limit).map(issue => `• ${issue.record} ${issue.message}`);
+  if (issues.length > limit) lines.push(`…and ${issues.length - limit} more`);
+  return lines.join('\n');
+};
@@ -0,0 +1,218 @@
+import { readFamilyTree, SCHEMA_VERSION } from './schema';
+
+test('migrates unversioned trees to the current schema', () => {
+  const result = readFamilyTree({
+    people: [{ id: 1, name: 'Ann', x: '40', y: 20 }],
+    relationships: []
+  });
+
+  expect(result.errors).toEqual([]);
+  expect(result.migratedFrom).toBe(1);
+  expect(result.tree.version).toBe(SCHEMA_VERSION);
+  expect(result.tree.people[0]).toMatchObject({ id: '1', x: 40, y: 20 });
+});
+
+test('names bad records and drops orphaned relationships', () => {
+  const result = readFamilyTree({
+    version: SCHEMA_VERSION,
+    people: [
+      { id: 'a', name: 'Ann', x: 0, y: 0 },
+      { id: 'a', name: 'Copy of Ann', x: 0, y: 0 },
+      { id: 'b', name: '', x: 0, y: 0, gender: 'unknown' }
+    ],
+    relationships: [
+      { id: 'r1', type: 'parent', from: 'a', to: 'b' },
+      { id: 'r2', type: 'spouse', from: 'a', to: 'ghost' },
+      { id: 'r3', type: 'cousin', from: 'a', to: 'b' }
+    ]
+  });
+
+  expect(result.tree.people.map(p => p.id)).toEqual(['a', 'b']);
+  expect(result.tree.relationships.map(r => r.id)).toEqual(['r1']);
+  expect(result.orphans).toEqual([
+    expect.objectContaining({ record: 'Relationship #2 (spouse: Ann → missing ghost)' })
+  ]);
+  expect(result.warnings.map(w => w.record)).toEqual([
+    'Person #2 "Copy of Ann" (id a)',
+    'Person #3 (id b)',
+    'Person #3 (id b)',
+    'Relationship #3 (cousin: Ann → Unnamed)'
+  ]);
+});
+
+test('refuses data it cannot read', () => {
+  expect(readFamilyTree('nope').errors).toHaveLength(1);
+  expect(readFamilyTree({ people: {} }).errors).toHaveLength(1);
+  expect(readFamilyTree({ version: SCHEMA_VERSION + 1, people: [] }).errors[0].message)
+    .toMatch(/newer version/);
+});
+
+test('turns child links into parent links and drops ones that break the rules', () => {
+  const result = readFamilyTree({
+    version: 2,
+    people: [
+      { id: 'a', name: 'Ann', x: 0, y: 0 },
+      { id: 'b', name: 'Bob', x: 0, y: 0 }
+    ],
+    relationships: [
+      { id: 'r1', type: 'child', from: 'b', to: 'a' },
+      { id: 'r2', type: 'parent', from: 'a', to: 'b' },
+      { id: 'r3', type: 'parent', from: 'b', to: 'a' },
+      { id: 'r4', type: 'spouse', from: 'a', to: 'a' }
+    ]
+  });
+
+  expect(result.tree.relationships).toEqual([{ id: 'r1', type: 'parent', from: 'a', to: 'b' }]);
+  expect(result.warnings.map(w => w.message)).toEqual([
+    'repeats an earlier link and was dropped',
+    'would make someone their own ancestor and was dropped',
+    'links a person to themselves and was dropped'
+  ]);
+});
+
+test('finds an ancestry loop through a long line of descent in one pass', () => {
+  // Five thousand generations, the last of them made the first one's parent
+  const people = Array.from({ length: 5000 }, (_, i) => ({ id: `p${i}`, name: `P${i}`, x: 0, y: 0 }));
+  const relationships = people.slice(1).map((p, i) => ({ id: `r${i}`, type: 'parent', from: people[i].id, to: p.id }));
+  relationships.push({ id: 'loop', type: 'parent', from: 'p4999', to: 'p0' });
+
+  const result = readFamilyTree({ people, relationships });
+
+  expect(result.tree.relationships).toHaveLength(4999);
+  expect(result.warnings).toEqual([expect.objectContaining({ message: 'would make someone their own ancestor and was dropped' })]);
+  expect(result.warnings[0].record).toMatch(/P4999/);
+});
+
+test('moves birth and death dates into life events', () => {
+  const result = readFamilyTree({
+    version: 3,
+    people: [{
+      id: 'a',
+      name: 'Ann',
+      x: 0,
+      y: 0,
+      birthDate: '1901-02-03',
+      deathDate: '1980-05-06',
+      gedcom: { xref: '@I1@', details: { BIRT: ['2 PLAC Leeds'] } }
+    }],
+    relationships: []
+  });
+
+  expect(result.warnings).toEqual([]);
+  expect(result.tree.people[0]).toEqual({
+    id: 'a',
+    name: 'Ann',
+    x: 0,
+    y: 0,
+    events: [
+      { type: 'birth', date: '1901-02-03', gedcom: { unmapped: ['2 PLAC Leeds'] } },
+      { type: 'death', date: '1980-05-06' }
+    ],
+    gedcom: { xref: '@I1@' }
+  });
+});
+
+test('repairs bad names, events and notes', () => {
+  const result = readFamilyTree({
+    version: SCHEMA_VERSION,
+    people: [{
+      id: 'a',
+      name: 'Ann',
+      x: 0,
+      y: 0,
+      names: [{ type: 'stage', value: 'Annie' }, { type: 'birth', value: '' }],
+      events: [{ type: 'coronation', date: '1953-06-02' }, { type: 'birth', place: 7 }, { type: 'death', date: 'c. 1990' }],
+      notes: 42
+    }],
+    relationships: []
+  });
+
+  expect(result.tree.people[0]).toEqual({
+    id: 'a',
+    name: 'Ann',
+    x: 0,
+    y: 0,
+    names: [{ type: 'other', value: 'Annie' }],
+    events: [{ type: 'other', date: '1953-06-02' }, { type: 'birth' }, { type: 'death', date: 'abt 1990' }]
+  });
+  // The empty name is dropped quietly: forms leave those behind
+  expect(result.warnings).toHaveLength(4);
+});
+
+test('keeps the kind, dates and notes of links that fit them', () => {
+  const result = readFamilyTree({
+    version: SCHEMA_VERSION,
+    people: [{ id: 'a', name: 'Ann', x: 0, y: 0 }, { id: 'b', name: 'Bob', x: 0, y: 0 }, { id: 'c', name: 'Cat', x: 0, y: 0 }],
+    relationships: [
+      { id: 'r1', type: 'parent', from: 'a', to: 'c', subtype: 'adoptive', startDate: 'c. 1920', notes: 'Took her in' },
+      { id: 'r2', type: 'spouse', from: 'a', to: 'b', status: 'eloped', subtype: 'step', endDate: 1930 },
+      { id: 'r3', type: 'parent', from: 'b', to: 'c', status: 'divorced' }
+    ]
+  });
+
+  expect(result.tree.relationships).toEqual([
+    { id: 'r1', type: 'parent', from: 'a', to: 'c', subtype: 'adoptive', startDate: 'abt 1920', notes: 'Took her in' },
+    { id: 'r2', type: 'spouse', from: 'a', to: 'b' },
+    { id: 'r3', type: 'parent', from: 'b', to: 'c' }
+  ]);
+  expect(result.warnings.map(w => w.message)).toEqual([
+    'has a parent kind but is not a parent link; removed',
+    'has unknown partnership status "eloped"; removed',
+    'has an invalid end date; removed',
+    'has a partnership status but is not a spouse link; removed'
+  ]);
+});
+
+test('keeps valid attachments and drops a card photo that is not one of them', () => {
+  const photo = { id: 'p1', name: 'wedding.jpg', type: 'image/jpeg', size: 2048, added: '2024-05-01T10:00:00.000Z' };
+  const result = readFamilyTree({
+    version: SCHEMA_VERSION,
+    people: [
+      { id: 'a', name: 'Ann', x: 0, y: 0, attachments: [photo, { id: 'd1', name: 'will.pdf' }, { name: 'no id' }], avatar: 'p1' },
+      { id: 'b', name: 'Bob', x: 0, y: 0, attachments: [{ ...photo, id: 'd2', type: 'application/pdf' }], avatar: 'd2' }
+    ],
+    relationships: []
+  });
+
+  expect(result.tree.people[0].attachments).toEqual([
+    photo,
+    { id: 'd1', name: 'will.pdf', type: 'application/octet-stream', size: 0, added: '' }
+  ]);
+  expect(result.tree.people[0].avatar).toBe('p1');
+  expect(result.tree.people[1].avatar).toBeUndefined();
+  expect(result.warnings.map(w => w.message)).toEqual([
+    'has an invalid attachment #3; removed',
+    'has a card photo that is not one of their image attachments; removed'
+  ]);
+});
+
+test('checks sources and drops citations of sources that do not exist', () => {
+  const result = readFamilyTree({
+    version: SCHEMA_VERSION,
+    people: [
+      {
+        id: 'a',
+        name: 'Ann',
+        x: 0,
+        y: 0,
+        citations: [
+          { id: 'c1', sourceId: 's1', confidence: 'primary', field: 'name' },
+          { id: 'c2', sourceId: 'gone', confidence: 'primary' }
+        ],
+        events: [{ type: 'birth', citations: [{ id: 'c3', sourceId: 's1', confidence: 'certain', field: 'place' }] }]
+      },
+      { id: 'b', name: 'Bob', x: 0, y: 0 }
+    ],
+    relationships: [
+      { id: 'r1', from: 'a', to: 'b', type: 'spouse', citations: [{ id: 'c4', sourceId: 's1' }] }
+    ],
+    sources: [{ id: 's1', title: 'Census', url: 'https://example.org' }, { id: 's1', title: 'Again' }, { title: 'No id' }]
+  });
+
+  expect(result.tree.sources).toEqual([{ id: 's1', title: 'Census', url: 'https://example.org' }]);
+  expect(result.tree.people[0].citations).toEqual([{ id: 'c1', sourceId: 's1', confidence: 'primary', field: 'name' }]);
+  expect(result.tree.people[0].events![0].citations).toEqual([{ id: 'c3', sourceId: 's1', confidence: 'unknown' }]);
+  expect(result.tree.relationships[0].citations).toEqual([{ id: 'c4', sourceId: 's1', confidence: 'unknown' }]);
+  expect(result.errors).toEqual([]);
+  expect(result.warnings).toHaveLength(5);
+});
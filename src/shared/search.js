@@ -0,0 +1,114 @@
+// Forgiving person search for the search boxes on desktop and mobile.
+
+import { eventDate } from './person.js';
+import { formatYear } from './dates.js';
+
+/** @typedef {import('../types').Person} Person */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {Person} person
+ * @property {number} score - higher is a better match
+ */
+
+// Lower-case and strip accents so "zoe" finds "Zoë"
+const normalize = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Every year in a date, so "bet 1820 and 1825" is found by either
+/** @param {string | undefined} date */
+const yearsOf = (date) => (date ? date.match(/\d{3,4}/g) || [] : []);
+
+/**
+ * "1901–1980", "c. 1850 – bef. 1920", "b. 1901", "d. 1980" or "" for
+ * showing next to a name.
+ * @param {Person} person
+ */
+export const personYears = (person) => {
+  const born = formatYear(eventDate(person, 'birth'));
+  const died = formatYear(eventDate(person, 'death'));
+  // Spaced dash when either side has one of its own or a qualifier
+  if (born && died) return /[\s–]/.test(born + died) ? `${born} – ${died}` : `${born}–${died}`;
+  if (born) return `b. ${born}`;
+  if (died) return `d. ${died}`;
+  return '';
+};
+
+// Edit distance, giving up once it is larger than `max`
+const withinEdits = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return false;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    if (Math.min(...current) > max) return false;
+    previous = current;
+  }
+  return previous[b.length] <= max;
+};
+
+const isSubsequence = (needle, haystack) => {
+  let i = 0;
+  for (let j = 0; j < haystack.length && i < needle.length; j++) {
+    if (haystack[j] === needle[i]) i++;
+  }
+  return i === needle.length;
+};
+
+/**
+ * How well one search word matches a person; 0 means it doesn't.
+ * @param {string} token
+ * @param {string} name - normalized
+ * @param {string[]} years
+ */
+const scoreToken = (token, name, years) => {
+  if (/^\d+$/.test(token)) {
+    return years.some(year => year.startsWith(token)) ? 3 : 0;
+  }
+
+  const words = name.split(/[\s\-']+/).filter(Boolean);
+  if (words.includes(token)) return 4;
+  if (words.some(word => word.startsWith(token))) return 3;
+  if (name.includes(token)) return 2;
+  // Typos: one wrong letter in short words, two in long ones
+  const maxEdits = token.length >= 7 ? 2 : 1;
+  if (token.length >= 4 && words.some(word => withinEdits(token, word, maxEdits))) return 1.5;
+  if (isSubsequence(token, name.replace(/\s+/g, ''))) return 1;
+  return 0;
+};
+
+/**
+ * People matching every word of `query` in any of their names or their
+ * birth/death year, best match first.
+ * @param {Person[]} people
+ * @param {string} query
+ * @param {number} [limit]
+ * @returns {SearchResult[]}
+ */
+export const searchPeople = (people, query, limit = 20) => {
+  const tokens = normalize(query).split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) return [];
+
+  /** @type {SearchResult[]} */
+  const results = [];
+  people.forEach(person => {
+    const name = normalize([person.name, ...(person.names || []).map(other => other.value)].join(' '));
+    const years = [...yearsOf(eventDate(person, 'birth')), ...yearsOf(eventDate(person, 'death'))];
+    let score = 0;
+    for (const token of tokens) {
+      const tokenScore = scoreToken(token, name, years);
+      if (tokenScore === 0) return;
+      score += tokenScore;
+    }
+    results.push({ person, score });
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score || a.person.name.localeCompare(b.person.name))
+    .slice(0, limit);
+};
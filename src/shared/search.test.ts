@@ -0,0 +1,41 @@
+import { personYears, searchPeople } from './search';
+import { Person } from '../types';
+
+const people: Person[] = [
+  {
+    id: '1',
+    name: 'Zoë Hartmann',
+    events: [{ type: 'birth', date: '1901-03-04' }, { type: 'death', date: '1980-01-01' }],
+    x: 0,
+    y: 0
+  },
+  {
+    id: '2',
+    name: 'Margaret Hart',
+    names: [{ type: 'birth', value: 'Margaret Lyle' }],
+    events: [{ type: 'birth', date: '1932-05-06' }],
+    x: 0,
+    y: 0
+  },
+  { id: '3', name: 'John Smith', x: 0, y: 0 }
+];
+
+const names = (query: string) => searchPeople(people, query).map(result => result.person.name);
+
+test('matches names loosely and ranks whole words first', () => {
+  expect(names('hart')).toEqual(['Margaret Hart', 'Zoë Hartmann']);
+  expect(names('zoe')).toEqual(['Zoë Hartmann']);
+  expect(names('margret')).toEqual(['Margaret Hart']);
+  expect(names('jsmth')).toEqual(['John Smith']);
+  expect(names('nobody')).toEqual([]);
+  expect(names('lyle')).toEqual(['Margaret Hart']);
+});
+
+test('matches birth and death years alongside the name', () => {
+  expect(names('19')).toEqual(['Margaret Hart', 'Zoë Hartmann']);
+  expect(names('hart 1980')).toEqual(['Zoë Hartmann']);
+  expect(personYears(people[0])).toBe('1901–1980');
+  expect(personYears(people[2])).toBe('');
+  expect(personYears({ ...people[2], events: [{ type: 'birth', date: 'abt 1850' }, { type: 'death', date: 'aft 1900' }] }))
+    .toBe('c. 1850 – aft. 1900');
+});
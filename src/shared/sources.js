@@ -0,0 +1,160 @@
+// Sources and the citations that point at them: confidence levels, finding
+// what cites a source, and which facts on a person have no source yet.
+
+import { eventKind } from './person.js';
+import { linkKind } from './relationships.js';
+
+/** @typedef {import('../types').Citation} Citation */
+/** @typedef {import('../types').Confidence} Confidence */
+/** @typedef {import('../types').FamilyTree} FamilyTree */
+/** @typedef {import('../types').Person} Person */
+/** @typedef {import('../types').Relationship} Relationship */
+/** @typedef {import('../types').Source} Source */
+
+/**
+ * Strongest first. `quay` is the GEDCOM certainty assessment.
+ * @type {{ level: Confidence, label: string, quay?: string }[]}
+ */
+export const CONFIDENCE_LEVELS = [
+  { level: 'primary', label: 'Primary evidence', quay: '3' },
+  { level: 'secondary', label: 'Secondary evidence', quay: '2' },
+  { level: 'questionable', label: 'Questionable', quay: '1' },
+  { level: 'unreliable', label: 'Unreliable', quay: '0' },
+  { level: 'unknown', label: 'Not assessed' }
+];
+
+/** @type {{ field: NonNullable<Citation['field']>, label: string }[]} */
+export const CITED_FIELDS = [
+  { field: 'name', label: 'Name' },
+  { field: 'gender', label: 'Gender' }
+];
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * @param {string} title
+ * @returns {Source}
+ */
+export const createSource = (title) => ({ id: newId(), title });
+
+/**
+ * @param {string} sourceId
+ * @returns {Citation}
+ */
+export const createCitation = (sourceId) => ({ id: newId(), sourceId, confidence: 'unknown' });
+
+/** @param {Confidence} level */
+export const confidenceLabel = (level) =>
+  (CONFIDENCE_LEVELS.find(c => c.level === level) || CONFIDENCE_LEVELS[CONFIDENCE_LEVELS.length - 1]).label;
+
+/**
+ * The facts shown for a person that no citation backs: the name (a citation
+ * of the whole person counts), gender, and each life event, by label.
+ * @param {Person} person
+ * @returns {string[]}
+ */
+export const unsourcedFacts = (person) => {
+  const citations = person.citations || [];
+  const facts = [];
+  if (!citations.some(c => !c.field || c.field === 'name')) facts.push('Name');
+  if (person.gender && !citations.some(c => !c.field || c.field === 'gender')) facts.push('Gender');
+  (person.events || []).forEach(event => {
+    if (!event.citations?.length) facts.push(eventKind(event.type).label);
+  });
+  return facts;
+};
+
+/**
+ * "Ann Smith & Bob Jones (spouses)", "Ann Smith → Tom Smith (parent of)".
+ * @param {Relationship} rel
+ * @param {Map<string, string>} names - person id to name
+ */
+export const relationshipLabel = (rel, names) => {
+  const from = names.get(rel.from) || '?';
+  const to = names.get(rel.to) || '?';
+  const kind = linkKind(rel);
+  return rel.type === 'spouse'
+    ? `${from} & ${to} (${kind ? kind.label.toLowerCase() : 'spouses'})`
+    : `${from} → ${to} (${kind?.noun || 'parent'} of)`;
+};
+
+/**
+ * Every citation of a source, with a line saying what it is for:
+ * "Ann Smith: Birth", "Ann Smith & Bob Jones (spouses)".
+ * @param {FamilyTree} tree
+ * @param {string} sourceId
+ * @returns {{ citation: Citation, label: string, personId?: string, relationshipId?: string }[]}
+ */
+export const citationsOfSource = (tree, sourceId) => {
+  const names = new Map(tree.people.map(p => [p.id, p.name]));
+  const found = [];
+  tree.people.forEach(person => {
+    (person.citations || []).forEach(citation => {
+      if (citation.sourceId !== sourceId) return;
+      const field = CITED_FIELDS.find(f => f.field === citation.field);
+      found.push({ citation, label: field ? `${person.name}: ${field.label}` : person.name, personId: person.id });
+    });
+    (person.events || []).forEach(event => (event.citations || []).forEach(citation => {
+      if (citation.sourceId !== sourceId) return;
+      found.push({ citation, label: `${person.name}: ${eventKind(event.type).label}`, personId: person.id });
+    }));
+  });
+  tree.relationships.forEach(rel => (rel.citations || []).forEach(citation => {
+    if (citation.sourceId !== sourceId) return;
+    found.push({ citation, label: relationshipLabel(rel, names), relationshipId: rel.id, personId: rel.from });
+  }));
+  return found;
+};
+
+/**
+ * Removes a source and every citation of it.
+ * @param {FamilyTree} tree
+ * @param {string} sourceId
+ * @returns {FamilyTree}
+ */
+export const removeSource = (tree, sourceId) => {
+  /** @param {Citation[] | undefined} citations */
+  const keep = (citations) => {
+    if (!citations) return citations;
+    const kept = citations.filter(c => c.sourceId !== sourceId);
+    return kept.length ? kept : undefined;
+  };
+  return {
+    ...tree,
+    sources: (tree.sources || []).filter(s => s.id !== sourceId),
+    people: tree.people.map(person => ({
+      ...person,
+      citations: keep(person.citations),
+      events: person.events?.map(event => ({ ...event, citations: keep(event.citations) }))
+    })),
+    relationships: tree.relationships.map(rel => ({ ...rel, citations: keep(rel.citations) }))
+  };
+};
+
+/**
+ * Changes a citation wherever it is in the tree, or removes it when
+ * `changes` is null.
+ * @param {FamilyTree} tree
+ * @param {string} citationId
+ * @param {Partial<Citation> | null} changes
+ * @returns {FamilyTree}
+ */
+export const updateCitation = (tree, citationId, changes) => {
+  /** @param {Citation[] | undefined} citations */
+  const update = (citations) => {
+    if (!citations?.some(c => c.id === citationId)) return citations;
+    const updated = changes
+      ? citations.map(c => (c.id === citationId ? { ...c, ...changes } : c))
+      : citations.filter(c => c.id !== citationId);
+    return updated.length ? updated : undefined;
+  };
+  return {
+    ...tree,
+    people: tree.people.map(person => ({
+      ...person,
+      citations: update(person.citations),
+      events: person.events?.map(event => ({ ...event, citations: update(event.citations) }))
+    })),
+    relationships: tree.relationships.map(rel => ({ ...rel, citations: update(rel.citations) }))
+  };
+};
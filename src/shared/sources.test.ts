@@ -0,0 +1,53 @@
+import { citationsOfSource, removeSource, unsourcedFacts, updateCitation } from './sources';
+import { FamilyTree } from '../types';
+
+const tree: FamilyTree = {
+  people: [
+    {
+      id: 'a',
+      name: 'Ann',
+      gender: 'female',
+      citations: [{ id: 'c1', sourceId: 's1', confidence: 'primary', field: 'name' }],
+      events: [
+        { type: 'birth', date: '1901-03-12', citations: [{ id: 'c2', sourceId: 's2', confidence: 'secondary' }] },
+        { type: 'death', date: '1980-01-01' }
+      ],
+      x: 0,
+      y: 0
+    },
+    { id: 'b', name: 'Bob', x: 0, y: 0 }
+  ],
+  relationships: [
+    { id: 'r1', from: 'a', to: 'b', type: 'spouse', citations: [{ id: 'c3', sourceId: 's1', confidence: 'unknown' }] }
+  ],
+  sources: [{ id: 's1', title: 'Census' }, { id: 's2', title: 'Parish register' }]
+};
+
+test('lists the facts no citation backs', () => {
+  expect(unsourcedFacts(tree.people[0])).toEqual(['Gender', 'Death']);
+  expect(unsourcedFacts(tree.people[1])).toEqual(['Name']);
+});
+
+test('finds everything that cites a source', () => {
+  expect(citationsOfSource(tree, 's1').map(found => found.label)).toEqual(['Ann: Name', 'Ann & Bob (spouses)']);
+  expect(citationsOfSource(tree, 's2')).toEqual([
+    expect.objectContaining({ label: 'Ann: Birth', personId: 'a' })
+  ]);
+});
+
+test('removing a source removes its citations', () => {
+  const updated = removeSource(tree, 's1');
+
+  expect(updated.sources).toEqual([{ id: 's2', title: 'Parish register' }]);
+  expect(updated.people[0].citations).toBeUndefined();
+  expect(updated.people[0].events![0].citations).toHaveLength(1);
+  expect(updated.relationships[0].citations).toBeUndefined();
+});
+
+test('updates or removes a citation wherever it is', () => {
+  const updated = updateCitation(tree, 'c2', { page: 'entry 41' });
+  expect(updated.people[0].events![0].citations).toEqual([
+    { id: 'c2', sourceId: 's2', confidence: 'secondary', page: 'entry 41' }
+  ]);
+  expect(updateCitation(tree, 'c3', null).relationships[0].citations).toBeUndefined();
+});
@@ -0,0 +1,903 @@
+// Storage layer shared by the desktop and mobile apps: one format, and the
+// same save/load/export/import functions on both.
+//
+// Tree contents live in IndexedDB (see treeDatabase.js) and are saved
+// incrementally; the list of trees stays in localStorage. Browsers without a
+// usable IndexedDB keep whole trees in localStorage as before, and can't
+// store attachments. A tree with attachments is exported as a ZIP archive
+// holding its JSON and the files.
+
+import { createZip, isZip, readZip } from './archive.js';
+import { readCheckSettings } from './consistency.js';
+import { isGedcom, parseGedcom, serializeGedcom } from './gedcom.js';
+import { relationshipKey } from './relationships.js';
+import { formatIssues, readFamilyTree, withSchemaVersion } from './schema.js';
+import { createIndexedDbBackend } from './treeDatabase.js';
+
+/** @typedef {import('../types').Attachment} Attachment */
+/** @typedef {import('../types').FamilyTree} FamilyTree */
+/** @typedef {import('./gedcom').GedcomSkippedRecord} GedcomSkippedRecord */
+/** @typedef {import('./gedcom').GedcomVersion} GedcomVersion */
+/** @typedef {import('./schema').ValidationResult} ValidationResult */
+
+/**
+ * What an import found. `files` holds the attachment files of an archive,
+ * by attachment id; they are stored by `storeImportedFiles`.
+ * @typedef {ValidationResult & { skipped: GedcomSkippedRecord[], files?: Map<string, Blob> }} ImportResult
+ */
+
+/**
+ * Both saved trees found on first run after the storage keys were unified.
+ * @typedef {Object} StorageConflict
+ * @property {ValidationResult} desktop
+ * @property {ValidationResult} mobile
+ */
+
+/** @typedef {'desktop' | 'mobile' | 'merge'} StorageChoice */
+
+/**
+ * @typedef {Object} Viewport
+ * @property {number} zoom
+ * @property {{ x: number, y: number }} pan
+ */
+
+/**
+ * One of the named trees kept in this browser.
+ * @typedef {Object} TreeSummary
+ * @property {string} id
+ * @property {string} name
+ * @property {string} modified - ISO timestamp of the last change
+ * @property {Viewport} [viewport] - where the canvas was left
+ */
+
+/**
+ * @typedef {Object} TreeIndex
+ * @property {string} activeId
+ * @property {TreeSummary[]} trees
+ */
+
+/**
+ * Where tree contents are kept. `write` resolves to false when nothing had
+ * changed; `read` resolves to null when there is no saved tree. Only
+ * backends with the attachment methods can keep attachment files.
+ * @typedef {Object} StorageBackend
+ * @property {'indexeddb' | 'localStorage'} name
+ * @property {(id: string) => Promise<unknown>} read
+ * @property {(id: string, tree: FamilyTree) => Promise<boolean>} write
+ * @property {(id: string) => Promise<void>} remove
+ * @property {(treeId: string, id: string) => Promise<Blob | null>} [readAttachment]
+ * @property {(treeId: string, id: string, blob: Blob) => Promise<void>} [writeAttachment]
+ * @property {(treeId: string) => Promise<string[]>} [attachmentIds]
+ * @property {(treeId: string, ids: string[]) => Promise<void>} [removeAttachments]
+ */
+
+/**
+ * What the header shows. `reason` and `message` are set when saving failed:
+ * 'quota' when storage is full, 'unavailable' when the browser won't let us
+ * store anything.
+ * @typedef {Object} SaveStatus
+ * @property {'saved' | 'saving' | 'failed'} state
+ * @property {'quota' | 'unavailable' | 'error'} [reason]
+ * @property {string} [message]
+ */
+
+export const STORAGE_KEY = 'family-tree-data';
+export const BACKUP_KEY = 'family-tree-data-backup';
+const INDEX_KEY = 'family-tree-index';
+const CHECK_SETTINGS_KEY = 'family-tree-check-settings';
+const MINIMAP_KEY = 'family-tree-minimap';
+// The tree saved before there were several lives on under the original key
+const DEFAULT_TREE_ID = 'default';
+// The mobile app used to save under its own key, so the two never saw each other
+const LEGACY_MOBILE_KEY = 'familyTree';
+
+export const MAX_ATTACHMENT_SIZE = 25 * 1024 * 1024;
+// Names inside an exported archive
+const ARCHIVE_TREE = 'family-tree.json';
+const ARCHIVE_FILES = 'attachments/';
+
+/** @param {string} id */
+const treeKey = (id) => (id === DEFAULT_TREE_ID ? STORAGE_KEY : `${STORAGE_KEY}:${id}`);
+
+/** @param {TreeIndex} index */
+const writeIndex = (index) => {
+  try {
+    localStorage.setItem(INDEX_KEY, JSON.stringify(index));
+  } catch (error) {
+    console.error('Failed to save tree list:', error);
+  }
+};
+
+/**
+ * The list of saved trees, created on first use with the existing tree in it.
+ * @returns {TreeIndex}
+ */
+export const loadTreeIndex = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(INDEX_KEY) || 'null');
+    if (saved && Array.isArray(saved.trees) && saved.trees.length > 0) {
+      const activeId = saved.trees.some(t => t.id === saved.activeId) ? saved.activeId : saved.trees[0].id;
+      return { activeId, trees: saved.trees };
+    }
+  } catch (error) {
+    console.error('Failed to load tree list:', error);
+  }
+
+  const index = {
+    activeId: DEFAULT_TREE_ID,
+    trees: [{ id: DEFAULT_TREE_ID, name: 'My Family Tree', modified: new Date().toISOString() }]
+  };
+  writeIndex(index);
+  return index;
+};
+
+/** @returns {TreeSummary} */
+export const getActiveTree = () => {
+  const index = loadTreeIndex();
+  return index.trees.find(t => t.id === index.activeId) || index.trees[0];
+};
+
+/**
+ * @param {string} id
+ * @param {(tree: TreeSummary) => TreeSummary} update
+ */
+const updateSummary = (id, update) => {
+  const index = loadTreeIndex();
+  writeIndex({ ...index, trees: index.trees.map(t => (t.id === id ? update(t) : t)) });
+};
+
+/** @param {string} id */
+export const setActiveTree = (id) => {
+  const index = loadTreeIndex();
+  if (index.trees.some(t => t.id === id)) {
+    writeIndex({ ...index, activeId: id });
+  }
+};
+
+/** @param {unknown} data */
+const backUp = (data) => {
+  try {
+    localStorage.setItem(BACKUP_KEY, typeof data === 'string' ? data : JSON.stringify(data));
+  } catch (error) {
+    console.error('Failed to back up unreadable family tree:', error);
+  }
+};
+
+/**
+ * Parsed contents of a localStorage key, or null if it is empty. Data that
+ * isn't JSON is copied to BACKUP_KEY before throwing.
+ * @param {string} key
+ */
+const readLocalKey = (key) => {
+  const saved = localStorage.getItem(key);
+  if (!saved) return null;
+  try {
+    return JSON.parse(saved);
+  } catch (error) {
+    backUp(saved);
+    throw new Error('is not valid JSON');
+  }
+};
+
+/** @type {StorageBackend} */
+const localBackend = {
+  name: 'localStorage',
+  read: async (id) => readLocalKey(treeKey(id)),
+  write: async (id, tree) => {
+    const json = JSON.stringify(tree);
+    if (localStorage.getItem(treeKey(id)) === json) return false;
+    localStorage.setItem(treeKey(id), json);
+    return true;
+  },
+  remove: async (id) => localStorage.removeItem(treeKey(id))
+};
+
+/**
+ * Copies trees saved by earlier versions from localStorage into IndexedDB.
+ * Trees with problems are left where they are, so loading them reports the
+ * problems as usual.
+ * @param {StorageBackend} backend
+ */
+const moveLocalTrees = async (backend) => {
+  for (const { id } of loadTreeIndex().trees) {
+    try {
+      const saved = readLocalKey(treeKey(id));
+      if (!saved) continue;
+      const result = readFamilyTree(saved);
+      if (result.errors.length > 0 || result.warnings.length > 0) continue;
+      if (await backend.read(id) === null) {
+        await backend.write(id, withSchemaVersion(result.tree));
+      }
+      localStorage.removeItem(treeKey(id));
+    } catch (error) {
+      console.error('Failed to move family tree to IndexedDB:', error);
+    }
+  }
+};
+
+const openBackend = async () => {
+  try {
+    const backend = await createIndexedDbBackend();
+    await moveLocalTrees(backend);
+    return backend;
+  } catch (error) {
+    console.warn('IndexedDB unavailable, saving to localStorage instead:', error);
+    return localBackend;
+  }
+};
+
+/** @type {Promise<StorageBackend> | null} */
+let backendPromise = null;
+const getBackend = () => backendPromise || (backendPromise = openBackend());
+
+/**
+ * Which store trees are being saved to: 'indexeddb', or 'localStorage' when
+ * the browser doesn't allow IndexedDB.
+ * @returns {Promise<StorageBackend['name']>}
+ */
+export const getStorageBackend = async () => (await getBackend()).name;
+
+/** @type {SaveStatus} */
+let saveStatus = { state: 'saved' };
+/** @type {Set<(status: SaveStatus) => void>} */
+const statusListeners = new Set();
+
+/** @param {SaveStatus} status */
+const setSaveStatus = (status) => {
+  saveStatus = status;
+  statusListeners.forEach(listener => listener(status));
+};
+
+/**
+ * Calls `listener` with the current save status and on every change.
+ * @param {(status: SaveStatus) => void} listener
+ * @returns {() => void} unsubscribes
+ */
+export const subscribeSaveStatus = (listener) => {
+  statusListeners.add(listener);
+  listener(saveStatus);
+  return () => {
+    statusListeners.delete(listener);
+  };
+};
+
+/**
+ * @param {any} error
+ * @returns {SaveStatus}
+ */
+const saveFailure = (error) => {
+  const name = error && error.name;
+  if (name === 'QuotaExceededError' || name === 'NS_ERROR_DOM_QUOTA_REACHED') {
+    return {
+      state: 'failed',
+      reason: 'quota',
+      message: "This browser's storage is full, so your latest changes aren't saved."
+    };
+  }
+  if (name === 'SecurityError' || name === 'InvalidStateError') {
+    return {
+      state: 'failed',
+      reason: 'unavailable',
+      message: "This browser isn't allowing the app to store anything (private browsing or blocked site data), so your changes aren't saved."
+    };
+  }
+  return {
+    state: 'failed',
+    reason: 'error',
+    message: `Your latest changes couldn't be saved: ${error && error.message ? error.message : 'unknown error'}.`
+  };
+};
+
+// Trees waiting to be written, latest version only, with everyone awaiting them
+/** @type {Map<string, { tree: FamilyTree, done: Array<(saved: boolean) => void> }>} */
+const pendingSaves = new Map();
+/** @type {Promise<void> | null} */
+let flushing = null;
+
+const flushSaves = async () => {
+  const backend = await getBackend();
+  /** @type {SaveStatus | null} */
+  let failure = null;
+  while (pendingSaves.size > 0) {
+    const id = pendingSaves.keys().next().value;
+    const { tree, done } = pendingSaves.get(id);
+    pendingSaves.delete(id);
+
+    let saved = true;
+    try {
+      if (await backend.write(id, withSchemaVersion(tree))) {
+        updateSummary(id, t => ({ ...t, modified: new Date().toISOString() }));
+        // Drop any copy an earlier version left behind
+        if (backend !== localBackend) localStorage.removeItem(treeKey(id));
+      }
+    } catch (error) {
+      console.error('Failed to save family tree:', error);
+      failure = saveFailure(error);
+      saved = false;
+    }
+    done.forEach(resolve => resolve(saved));
+  }
+  setSaveStatus(failure || { state: 'saved' });
+};
+
+const startFlush = () => {
+  if (flushing) return;
+  flushing = flushSaves().finally(() => {
+    flushing = null;
+    if (pendingSaves.size > 0) startFlush();
+  });
+};
+
+// Scheduled saves are written first, so reads never see an older tree
+const whenSaved = async () => {
+  saveNow();
+  while (flushing) await flushing;
+};
+
+/**
+ * Saves a tree under `id` (the active tree by default). Saves are queued and
+ * only changed people and relationships are written, so calling this on
+ * every edit is cheap; unchanged trees don't get a new modified date.
+ * Resolves to false if the save failed, which is also reported through
+ * `subscribeSaveStatus`.
+ * @param {FamilyTree} tree
+ * @param {string} [id]
+ * @returns {Promise<boolean>}
+ */
+export const saveFamilyTree = (tree, id = getActiveTree().id) => new Promise(resolve => {
+  const queued = pendingSaves.get(id);
+  pendingSaves.set(id, { tree, done: queued ? [...queued.done, resolve] : [resolve] });
+  setSaveStatus({ state: 'saving' });
+  startFlush();
+});
+
+// How long `scheduleSave` waits for edits to pause
+const SAVE_DELAY = 500;
+/** @type {ReturnType<typeof setTimeout> | null} */
+let saveTimer = null;
+
+/**
+ * Like `saveFamilyTree` for edits that come in quick succession, such as every
+ * step of a drag: the tree is written once they pause. The status shows
+ * 'saving' straight away, and any other save writes it too.
+ * @param {FamilyTree} tree
+ * @param {string} [id]
+ */
+export const scheduleSave = (tree, id = getActiveTree().id) => {
+  const queued = pendingSaves.get(id);
+  pendingSaves.set(id, { tree, done: queued ? queued.done : [] });
+  setSaveStatus({ state: 'saving' });
+  if (saveTimer) clearTimeout(saveTimer);
+  saveTimer = setTimeout(saveNow, SAVE_DELAY);
+};
+
+/** Writes scheduled saves without waiting, e.g. when the page is hidden. */
+export const saveNow = () => {
+  if (saveTimer) clearTimeout(saveTimer);
+  saveTimer = null;
+  if (pendingSaves.size > 0) startFlush();
+};
+
+/**
+ * Adds an empty tree, or a copy of `tree`, to the list.
+ * @param {string} name
+ * @param {FamilyTree} [tree]
+ * @returns {Promise<TreeSummary>}
+ */
+export const createTree = async (name, tree = { people: [], relationships: [] }) => {
+  const index = loadTreeIndex();
+  const taken = new Set(index.trees.map(t => t.id));
+  let id = Date.now().toString();
+  for (let n = 1; taken.has(id); n++) id = `${Date.now()}-${n}`;
+  const summary = { id, name, modified: new Date().toISOString() };
+  writeIndex({ ...index, trees: [...index.trees, summary] });
+  await saveFamilyTree(tree, summary.id);
+  return summary;
+};
+
+/**
+ * @param {string} id
+ * @param {string} name
+ */
+export const renameTree = (id, name) => {
+  updateSummary(id, t => ({ ...t, name }));
+};
+
+/**
+ * @param {string} id
+ * @returns {Promise<TreeSummary>}
+ */
+export const duplicateTree = async (id) => {
+  const original = loadTreeIndex().trees.find(t => t.id === id);
+  const { tree } = await loadFamilyTree(id);
+  const copy = await createTree(`${original ? original.name : 'Tree'} (copy)`, tree);
+  if (original?.viewport) updateSummary(copy.id, t => ({ ...t, viewport: original.viewport }));
+  const attachments = attachmentsOf(tree);
+  if (attachments.length > 0) {
+    try {
+      const backend = await attachmentBackend();
+      for (const attachment of attachments) {
+        const blob = await backend.readAttachment(id, attachment.id);
+        if (blob) await backend.writeAttachment(copy.id, attachment.id, blob);
+      }
+    } catch (error) {
+      console.error('Failed to copy attachments:', error);
+    }
+  }
+  return copy;
+};
+
+/**
+ * Removes a tree and its data. The last remaining tree can't be deleted.
+ * @param {string} id
+ */
+export const deleteTree = async (id) => {
+  const index = loadTreeIndex();
+  const trees = index.trees.filter(t => t.id !== id);
+  if (trees.length === 0) return;
+
+  writeIndex({ activeId: index.activeId === id ? trees[0].id : index.activeId, trees });
+  pendingSaves.get(id)?.done.forEach(resolve => resolve(false));
+  pendingSaves.delete(id);
+  await whenSaved();
+  try {
+    const backend = await getBackend();
+    await backend.remove(id);
+    if (backend !== localBackend) await localBackend.remove(id);
+  } catch (error) {
+    console.error('Failed to delete family tree:', error);
+  }
+};
+
+/** @param {FamilyTree} tree */
+const attachmentsOf = (tree) => {
+  /** @type {Map<string, Attachment>} */
+  const byId = new Map();
+  tree.people.forEach(person => (person.attachments || []).forEach(a => byId.set(a.id, a)));
+  return Array.from(byId.values());
+};
+
+/** The backend, if it can keep attachment files; throws otherwise. */
+const attachmentBackend = async () => {
+  const backend = await getBackend();
+  if (!backend.writeAttachment) {
+    throw new Error("This browser isn't allowing the app to use IndexedDB, so photos and documents can't be stored.");
+  }
+  return /** @type {Required<StorageBackend>} */ (backend);
+};
+
+/**
+ * Whether photos and documents can be stored here; they need IndexedDB.
+ * @returns {Promise<boolean>}
+ */
+export const canStoreAttachments = async () => !!(await getBackend()).writeAttachment;
+
+/**
+ * Stores a file for a person in a tree (the active one by default) and
+ * returns its description, to be added to the person's `attachments`.
+ * @param {File} file
+ * @param {string} [treeId]
+ * @returns {Promise<Attachment>}
+ */
+export const addAttachment = async (file, treeId = getActiveTree().id) => {
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    throw new Error(`"${file.name}" is larger than ${MAX_ATTACHMENT_SIZE / 1024 / 1024} MB.`);
+  }
+  const backend = await attachmentBackend();
+  const attachment = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: file.name || 'attachment',
+    type: file.type || 'application/octet-stream',
+    size: file.size,
+    added: new Date().toISOString()
+  };
+  try {
+    await backend.writeAttachment(treeId, attachment.id, file);
+  } catch (error) {
+    const failure = saveFailure(error);
+    throw new Error(failure.reason === 'quota'
+      ? `There isn't enough storage left for "${attachment.name}".`
+      : `"${attachment.name}" couldn't be stored: ${error instanceof Error ? error.message : 'unknown error'}.`);
+  }
+  return attachment;
+};
+
+/**
+ * An attachment's file, or null if it isn't stored here.
+ * @param {string} id
+ * @param {string} [treeId]
+ * @returns {Promise<Blob | null>}
+ */
+export const loadAttachment = async (id, treeId = getActiveTree().id) => {
+  const backend = await getBackend();
+  return backend.readAttachment ? backend.readAttachment(treeId, id) : null;
+};
+
+/**
+ * Makes sure a tree (the active one by default) has the files of the
+ * attachments in `pasted`, copying each from whichever other tree in this
+ * browser holds it. Returns the attachments whose file wasn't found.
+ * @param {FamilyTree} pasted
+ * @param {string} [treeId]
+ * @returns {Promise<Attachment[]>}
+ */
+export const gatherAttachments = async (pasted, treeId = getActiveTree().id) => {
+  const attachments = attachmentsOf(pasted);
+  const found = await getBackend();
+  if (attachments.length === 0 || !found.writeAttachment) return attachments;
+  const backend = /** @type {Required<StorageBackend>} */ (found);
+  const otherTrees = loadTreeIndex().trees.map(t => t.id).filter(id => id !== treeId);
+  /** @type {Attachment[]} */
+  const missing = [];
+  for (const attachment of attachments) {
+    if (await backend.readAttachment(treeId, attachment.id)) continue;
+    let blob = null;
+    for (const id of otherTrees) {
+      blob = await backend.readAttachment(id, attachment.id);
+      if (blob) break;
+    }
+    if (blob) {
+      await backend.writeAttachment(treeId, attachment.id, blob);
+    } else {
+      missing.push(attachment);
+    }
+  }
+  return missing;
+};
+
+/**
+ * Deletes stored files that none of `trees` refers to any more. Removing an
+ * attachment only changes the person, so undo can bring it back; pass every
+ * tree the undo history holds.
+ * @param {string} treeId
+ * @param {FamilyTree[]} trees
+ */
+export const pruneAttachments = async (treeId, trees) => {
+  try {
+    const backend = await getBackend();
+    if (!backend.attachmentIds) return;
+    const used = new Set(trees.flatMap(tree => attachmentsOf(tree).map(a => a.id)));
+    const unused = (await backend.attachmentIds(treeId)).filter(id => !used.has(id));
+    if (unused.length > 0) await backend.removeAttachments(treeId, unused);
+  } catch (error) {
+    console.error('Failed to clean up attachments:', error);
+  }
+};
+
+/**
+ * @param {string} id
+ * @param {Viewport} viewport
+ */
+export const saveTreeViewport = (id, viewport) => {
+  updateSummary(id, t => ({ ...t, viewport }));
+};
+
+/**
+ * Which tree checks are on and their age limits; the same for every tree in
+ * this browser.
+ * @returns {import('./consistency').CheckSettings}
+ */
+export const loadCheckSettings = () => {
+  try {
+    return readCheckSettings(JSON.parse(localStorage.getItem(CHECK_SETTINGS_KEY) || 'null'));
+  } catch (error) {
+    console.error('Failed to load tree check settings:', error);
+    return readCheckSettings(null);
+  }
+};
+
+/** @param {import('./consistency').CheckSettings} settings */
+export const saveCheckSettings = (settings) => {
+  try {
+    localStorage.setItem(CHECK_SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('Failed to save tree check settings:', error);
+  }
+};
+
+/**
+ * Whether the minimap was last left open, or undefined if it has never been
+ * opened or closed in this browser.
+ * @returns {boolean | undefined}
+ */
+export const loadMinimapOpen = () => {
+  try {
+    const saved = localStorage.getItem(MINIMAP_KEY);
+    return saved === null ? undefined : saved === 'open';
+  } catch (error) {
+    return undefined;
+  }
+};
+
+/** @param {boolean} open */
+export const saveMinimapOpen = (open) => {
+  try {
+    localStorage.setItem(MINIMAP_KEY, open ? 'open' : 'closed');
+  } catch (error) {
+    console.error('Failed to save the minimap setting:', error);
+  }
+};
+
+/**
+ * Migrates and validates what `read` returns; null if there was nothing.
+ * Data with errors is copied to BACKUP_KEY so the next save doesn't destroy it.
+ * @param {() => Promise<unknown>} read
+ * @returns {Promise<ValidationResult | null>}
+ */
+const readSaved = async (read) => {
+  let data;
+  try {
+    data = await read();
+  } catch (error) {
+    console.error('Failed to load family tree:', error);
+    return {
+      ...readFamilyTree(null),
+      errors: [{ record: 'Saved data', message: error instanceof Error ? error.message : 'could not be read' }]
+    };
+  }
+  if (data === null) return null;
+
+  const result = readFamilyTree(data);
+  if (result.errors.length > 0) backUp(data);
+  return result;
+};
+
+/**
+ * @param {string} id
+ * @returns {Promise<ValidationResult | null>}
+ */
+const readTree = async (id) => {
+  await whenSaved();
+  const backend = await getBackend();
+  const result = await readSaved(() => backend.read(id));
+  // Trees that couldn't be moved out of localStorage are still read from there
+  if (result === null && backend !== localBackend) {
+    return readSaved(() => localBackend.read(id));
+  }
+  return result;
+};
+
+/**
+ * Migrates and validates a saved tree (the active one by default).
+ * @param {string} [id]
+ * @returns {Promise<ValidationResult>}
+ */
+export const loadFamilyTree = async (id = getActiveTree().id) => {
+  return (await readTree(id)) || readFamilyTree({ people: [], relationships: [] });
+};
+
+/** @param {ValidationResult | null} result */
+const hasTree = (result) => !!result && result.errors.length === 0 && result.tree.people.length > 0;
+
+/**
+ * One-time move of the old mobile key onto the shared one. When only one of
+ * the two holds a usable tree, or both hold the same tree, it is settled here
+ * and null is returned; otherwise the caller has to ask which one to keep and
+ * pass the answer to `resolveStorageConflict`. Unreadable data has already
+ * been copied to BACKUP_KEY by then.
+ * @returns {Promise<StorageConflict | null>}
+ */
+export const migrateLegacyStorage = async () => {
+  try {
+    const mobile = await readSaved(async () => readLocalKey(LEGACY_MOBILE_KEY));
+    if (!mobile) return null;
+
+    const desktop = await readTree(DEFAULT_TREE_ID);
+    if (desktop && hasTree(mobile) && hasTree(desktop) &&
+        JSON.stringify(desktop.tree) !== JSON.stringify(mobile.tree)) {
+      return { desktop, mobile };
+    }
+
+    if (hasTree(mobile) && !hasTree(desktop)) {
+      // Keep the old key if the tree couldn't be saved under the new one
+      if (!(await saveFamilyTree(mobile.tree, DEFAULT_TREE_ID))) return null;
+    }
+    localStorage.removeItem(LEGACY_MOBILE_KEY);
+    return null;
+  } catch (error) {
+    console.error('Failed to migrate mobile storage:', error);
+    return null;
+  }
+};
+
+/**
+ * Combines two trees. People, relationships and sources are matched by id,
+ * with the first tree winning; relationships repeating an existing link are
+ * dropped.
+ * @param {FamilyTree} first
+ * @param {FamilyTree} second
+ * @returns {FamilyTree}
+ */
+export const mergeFamilyTrees = (first, second) => {
+  const peopleIds = new Set(first.people.map(p => p.id));
+  const relationshipIds = new Set(first.relationships.map(r => r.id));
+  const links = new Set(first.relationships.map(relationshipKey));
+  const sourceIds = new Set((first.sources || []).map(s => s.id));
+  const sources = [...(first.sources || []), ...(second.sources || []).filter(s => !sourceIds.has(s.id))];
+
+  return {
+    ...first,
+    ...(sources.length > 0 && { sources }),
+    people: [...first.people, ...second.people.filter(p => !peopleIds.has(p.id))],
+    relationships: [
+      ...first.relationships,
+      ...second.relationships.filter(r =>
+        !relationshipIds.has(r.id) && !links.has(relationshipKey(r))
+      )
+    ]
+  };
+};
+
+/**
+ * Saves the chosen tree as the default tree and retires the old mobile key.
+ * @param {StorageConflict} conflict
+ * @param {StorageChoice} choice
+ * @returns {Promise<FamilyTree>}
+ */
+export const resolveStorageConflict = async (conflict, choice) => {
+  const tree = choice === 'merge'
+    ? mergeFamilyTrees(conflict.desktop.tree, conflict.mobile.tree)
+    : conflict[choice].tree;
+
+  if (await saveFamilyTree(tree, DEFAULT_TREE_ID)) {
+    try {
+      localStorage.removeItem(LEGACY_MOBILE_KEY);
+    } catch (error) {
+      console.error('Failed to remove old mobile storage:', error);
+    }
+  }
+  return tree;
+};
+
+
+/**
+ * Downloads `content` as family-tree-<date>.<extension>.
+ * @param {string | Blob} content
+ * @param {string} extension
+ * @param {string} type
+ */
+export const downloadFile = (content, extension, type) => {
+  const dataBlob = new Blob([content], { type });
+  const url = URL.createObjectURL(dataBlob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `family-tree-${new Date().toISOString().split('T')[0]}.${extension}`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Downloads the tree as JSON or, when people have attachments, as a ZIP
+ * archive with the files. Files that aren't stored here are left out.
+ * @param {FamilyTree} tree
+ * @param {string} [treeId]
+ */
+export const exportFamilyTree = async (tree, treeId = getActiveTree().id) => {
+  const json = JSON.stringify(withSchemaVersion(tree), null, 2);
+  const attachments = attachmentsOf(tree);
+  if (attachments.length === 0) {
+    downloadFile(json, 'json', 'application/json');
+    return;
+  }
+
+  const entries = [{ name: ARCHIVE_TREE, data: new TextEncoder().encode(json) }];
+  for (const attachment of attachments) {
+    try {
+      const blob = await loadAttachment(attachment.id, treeId);
+      if (blob) {
+        entries.push({
+          name: `${ARCHIVE_FILES}${attachment.id}/${attachment.name.replace(/[\\/]/g, '_')}`,
+          data: new Uint8Array(await blob.arrayBuffer())
+        });
+      }
+    } catch (error) {
+      console.error(`Failed to read attachment ${attachment.name}:`, error);
+    }
+  }
+  downloadFile(new Blob([createZip(entries)]), 'zip', 'application/zip');
+};
+
+/**
+ * @param {FamilyTree} tree
+ * @param {GedcomVersion} version
+ */
+export const exportGedcom = (tree, version) => {
+  downloadFile(serializeGedcom(tree, { version }), 'ged', 'text/plain;charset=utf-8');
+};
+
+/**
+ * Accepts either our own JSON or a GEDCOM file, chosen by content. Throws
+ * with a readable report if the data can't be used at all.
+ * @param {string} text
+ * @returns {ImportResult}
+ */
+export const parseImportedFile = (text) => {
+  const { tree, skipped } = isGedcom(text)
+    ? parseGedcom(text)
+    : { tree: JSON.parse(text), skipped: [] };
+
+  const result = readFamilyTree(tree);
+  if (result.errors.length > 0) {
+    throw new Error(`This file can't be imported:\n${formatIssues(result.errors)}`);
+  }
+  return { ...result, skipped };
+};
+
+/**
+ * Reads an archive written by `exportFamilyTree`. Attachments whose file is
+ * missing are kept, with a warning, since the file may already be stored.
+ * @param {Uint8Array} data
+ * @returns {Promise<ImportResult>}
+ */
+export const parseImportedArchive = async (data) => {
+  let entries;
+  try {
+    entries = await readZip(data);
+  } catch (error) {
+    throw new Error(`This archive ${error instanceof Error ? error.message : "can't be read"}`);
+  }
+  const treeEntry = entries.find(entry => entry.name === ARCHIVE_TREE);
+  if (!treeEntry) throw new Error(`This archive has no ${ARCHIVE_TREE} in it`);
+
+  const result = parseImportedFile(new TextDecoder().decode(treeEntry.data));
+  /** @type {Map<string, Blob>} */
+  const files = new Map();
+  result.tree.people.forEach(person => (person.attachments || []).forEach(attachment => {
+    const entry = entries.find(e => e.name.startsWith(`${ARCHIVE_FILES}${attachment.id}/`));
+    if (entry) {
+      files.set(attachment.id, new Blob([entry.data], { type: attachment.type }));
+    } else if (!files.has(attachment.id)) {
+      result.warnings.push({ record: `Person "${person.name}"`, message: `has an attachment "${attachment.name}" that is not in the archive` });
+    }
+  }));
+  return { ...result, files };
+};
+
+/**
+ * Stores the files that came with an imported archive under a tree (the
+ * active one by default).
+ * @param {ImportResult} result
+ * @param {string} [treeId]
+ */
+export const storeImportedFiles = async (result, treeId = getActiveTree().id) => {
+  if (!result.files || result.files.size === 0) return;
+  const backend = await attachmentBackend();
+  for (const [id, blob] of Array.from(result.files)) {
+    await backend.writeAttachment(treeId, id, blob);
+  }
+};
+
+/** @returns {Promise<ImportResult>} */
+export const importFamilyTree = () => {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,.ged,.zip';
+
+    input.onchange = (e) => {
+      const file = /** @type {HTMLInputElement} */ (e.target).files?.[0];
+      if (!file) {
+        reject(new Error('No file selected'));
+        return;
+      }
+
+      const reader = new FileReader();
+      reader.onload = async (event) => {
+        try {
+          const data = new Uint8Array(/** @type {ArrayBuffer} */ (event.target?.result));
+          resolve(isZip(data)
+            ? await parseImportedArchive(data)
+            : parseImportedFile(new TextDecoder().decode(data)));
+        } catch (error) {
+          reject(error instanceof SyntaxError ? new Error('Invalid file format') : error);
+        }
+      };
+      reader.readAsArrayBuffer(file);
+    };
+
+    input.click();
+  });
+};
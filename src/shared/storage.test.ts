@@ -0,0 +1,112 @@
+import {
+  canStoreAttachments,
+  createTree,
+  deleteTree,
+  duplicateTree,
+  gatherAttachments,
+  getActiveTree,
+  loadFamilyTree,
+  loadTreeIndex,
+  migrateLegacyStorage,
+  resolveStorageConflict,
+  saveFamilyTree,
+  scheduleSave,
+  setActiveTree,
+  STORAGE_KEY,
+  subscribeSaveStatus
+} from './storage';
+
+const ann = { id: 'a', name: 'Ann', x: 0, y: 0 };
+const bob = { id: 'b', name: 'Bob', x: 200, y: 0 };
+const cat = { id: 'c', name: 'Cat', x: 0, y: 200 };
+
+beforeEach(() => localStorage.clear());
+
+test('moves the old mobile tree to the shared key', async () => {
+  localStorage.setItem('familyTree', JSON.stringify({ people: [ann], relationships: [] }));
+
+  expect(await migrateLegacyStorage()).toBeNull();
+  expect(localStorage.getItem('familyTree')).toBeNull();
+  expect((await loadFamilyTree()).tree.people).toEqual([ann]);
+});
+
+test('merges two different saved trees when asked', async () => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({
+    people: [ann, bob],
+    relationships: [{ id: 'r1', type: 'spouse', from: 'a', to: 'b' }]
+  }));
+  localStorage.setItem('familyTree', JSON.stringify({
+    people: [{ ...ann, name: 'Ann (mobile)' }, cat],
+    relationships: [
+      { id: 'r2', type: 'spouse', from: 'a', to: 'b' },
+      { id: 'r3', type: 'parent', from: 'a', to: 'c' }
+    ]
+  }));
+
+  const conflict = await migrateLegacyStorage();
+  expect(conflict).not.toBeNull();
+  await resolveStorageConflict(conflict!, 'merge');
+
+  const { tree } = await loadFamilyTree();
+  expect(tree.people.map(p => p.name)).toEqual(['Ann', 'Bob', 'Cat']);
+  expect(tree.relationships.map(r => r.id)).toEqual(['r1', 'r3']);
+  expect(localStorage.getItem('familyTree')).toBeNull();
+});
+
+test('keeps named trees apart and saves to the active one', async () => {
+  await saveFamilyTree({ people: [ann], relationships: [] });
+  const first = getActiveTree();
+
+  const second = await createTree('Paternal');
+  setActiveTree(second.id);
+  await saveFamilyTree({ people: [bob], relationships: [] });
+
+  expect((await loadFamilyTree(first.id)).tree.people).toEqual([ann]);
+  expect((await loadFamilyTree()).tree.people).toEqual([bob]);
+
+  const copy = await duplicateTree(second.id);
+  expect(copy.name).toBe('Paternal (copy)');
+  expect((await loadFamilyTree(copy.id)).tree.people).toEqual([bob]);
+
+  await deleteTree(second.id);
+  expect(loadTreeIndex().trees.map(t => t.name)).toEqual(['My Family Tree', 'Paternal (copy)']);
+  expect(getActiveTree().id).toBe(first.id);
+});
+
+test('reports a full store as a failed save', async () => {
+  const statuses: string[] = [];
+  const unsubscribe = subscribeSaveStatus(status => statuses.push(status.reason || status.state));
+  const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+    throw new DOMException('Quota exceeded', 'QuotaExceededError');
+  });
+  const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  expect(await saveFamilyTree({ people: [ann], relationships: [] })).toBe(false);
+  expect(statuses.slice(-2)).toEqual(['saving', 'quota']);
+
+  setItem.mockRestore();
+  consoleError.mockRestore();
+  expect(await saveFamilyTree({ people: [ann], relationships: [] })).toBe(true);
+  expect(statuses[statuses.length - 1]).toBe('saved');
+  unsubscribe();
+});
+
+test('holds scheduled saves until edits pause, but never behind a read', async () => {
+  const statuses: string[] = [];
+  const unsubscribe = subscribeSaveStatus(status => statuses.push(status.state));
+  scheduleSave({ people: [ann], relationships: [] });
+  scheduleSave({ people: [ann, bob], relationships: [] });
+  expect(statuses[statuses.length - 1]).toBe('saving');
+  expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+
+  expect((await loadFamilyTree()).tree.people).toEqual([ann, bob]);
+  expect(statuses[statuses.length - 1]).toBe('saved');
+  unsubscribe();
+});
+
+test('says attachments are unavailable without IndexedDB', async () => {
+  expect(await canStoreAttachments()).toBe(false);
+  const photo = { id: 'p1', name: 'ann.jpg', type: 'image/jpeg', size: 10, added: '' };
+  const pasted = { people: [{ ...ann, attachments: [photo] }], relationships: [] };
+  expect(await gatherAttachments(pasted)).toEqual([photo]);
+});
@@ -0,0 +1,210 @@
+// IndexedDB store for tree contents. Every person and relationship is its own
+// record, so a save only writes what changed since the last load or save.
+// Attachment files are kept here too, one record per file.
+
+/** @typedef {import('../types').FamilyTree} FamilyTree */
+
+const DB_NAME = 'family-tree';
+// 1: trees, people, relationships; 2: adds attachments
+const DB_VERSION = 2;
+// 'trees' holds everything except people and relationships, plus their order
+const STORES = ['trees', 'people', 'relationships'];
+const RECORD_STORES = ['people', 'relationships'];
+const ATTACHMENTS = 'attachments';
+
+/**
+ * What was last read or written for a tree, as JSON per record.
+ * @typedef {Object} Snapshot
+ * @property {string} meta
+ * @property {Map<string, string>} people
+ * @property {Map<string, string>} relationships
+ */
+
+/** @param {IDBRequest} req */
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+/** @param {IDBTransaction} tx */
+const completion = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve(undefined);
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error('Saving was interrupted'));
+});
+
+/** @returns {Promise<IDBDatabase>} */
+const openDatabase = () => new Promise((resolve, reject) => {
+  if (typeof indexedDB === 'undefined') {
+    reject(new Error('IndexedDB is not available in this browser'));
+    return;
+  }
+  const req = indexedDB.open(DB_NAME, DB_VERSION);
+  req.onupgradeneeded = (event) => {
+    const db = req.result;
+    if (event.oldVersion < 1) {
+      db.createObjectStore('trees', { keyPath: 'treeId' });
+      RECORD_STORES.forEach(name => {
+        db.createObjectStore(name, { keyPath: ['treeId', 'id'] }).createIndex('treeId', 'treeId');
+      });
+    }
+    if (event.oldVersion < 2) {
+      db.createObjectStore(ATTACHMENTS, { keyPath: ['treeId', 'id'] }).createIndex('treeId', 'treeId');
+    }
+  };
+  req.onsuccess = () => {
+    // Let a newer version of the app in another tab upgrade the database
+    req.result.onversionchange = () => req.result.close();
+    resolve(req.result);
+  };
+  req.onerror = () => reject(req.error);
+  req.onblocked = () => reject(new Error('The tree database is open in an older version of this app'));
+});
+
+/** @param {FamilyTree} tree */
+const snapshotOf = (tree) => {
+  const { people, relationships, ...meta } = tree;
+  return {
+    meta: JSON.stringify({
+      meta,
+      order: { people: people.map(p => p.id), relationships: relationships.map(r => r.id) }
+    }),
+    people: new Map(people.map(p => [p.id, JSON.stringify(p)])),
+    relationships: new Map(relationships.map(r => [r.id, JSON.stringify(r)]))
+  };
+};
+
+/** @param {any[]} records @param {string[]} order */
+const inOrder = (records, order) => {
+  const position = new Map(order.map((id, index) => [id, index]));
+  return records
+    .map(record => record.data)
+    .sort((a, b) => (position.has(a.id) ? position.get(a.id) : Infinity) - (position.has(b.id) ? position.get(b.id) : Infinity));
+};
+
+// Everything from [treeId] up to, but not including, the next tree id
+const treeRange = (treeId) => IDBKeyRange.bound([treeId], [treeId, []]);
+
+/**
+ * Opens the database and returns a storage backend over it. Rejects if
+ * IndexedDB can't be used here (private windows in some browsers, old
+ * browsers, blocked storage).
+ */
+export const createIndexedDbBackend = async () => {
+  const db = await openDatabase();
+  /** @type {Map<string, Snapshot>} */
+  const snapshots = new Map();
+
+  /**
+   * The saved tree, as stored, or null if there isn't one.
+   * @param {string} treeId
+   * @returns {Promise<FamilyTree | null>}
+   */
+  const read = async (treeId) => {
+    const tx = db.transaction(STORES, 'readonly');
+    const [treeRecord, people, relationships] = await Promise.all([
+      request(tx.objectStore('trees').get(treeId)),
+      request(tx.objectStore('people').index('treeId').getAll(treeId)),
+      request(tx.objectStore('relationships').index('treeId').getAll(treeId))
+    ]);
+    if (!treeRecord) return null;
+
+    const order = treeRecord.order || { people: [], relationships: [] };
+    const tree = {
+      ...treeRecord.meta,
+      people: inOrder(people, order.people),
+      relationships: inOrder(relationships, order.relationships)
+    };
+    snapshots.set(treeId, snapshotOf(tree));
+    return tree;
+  };
+
+  /**
+   * Writes the records that changed. Resolves to false if nothing had.
+   * @param {string} treeId
+   * @param {FamilyTree} tree
+   */
+  const write = async (treeId, tree) => {
+    if (!snapshots.has(treeId)) await read(treeId);
+    const previous = snapshots.get(treeId) || { meta: '', people: new Map(), relationships: new Map() };
+    const next = snapshotOf(tree);
+
+    const puts = RECORD_STORES.map(store =>
+      tree[store].filter(record => previous[store].get(record.id) !== next[store].get(record.id))
+    );
+    const deletes = RECORD_STORES.map(store =>
+      Array.from(previous[store].keys()).filter(id => !next[store].has(id))
+    );
+    const metaChanged = previous.meta !== next.meta;
+    if (!metaChanged && puts.every(list => list.length === 0) && deletes.every(list => list.length === 0)) {
+      return false;
+    }
+
+    const tx = db.transaction(STORES, 'readwrite');
+    RECORD_STORES.forEach((store, i) => {
+      const objectStore = tx.objectStore(store);
+      puts[i].forEach(record => objectStore.put({ treeId, id: record.id, data: record }));
+      deletes[i].forEach(id => objectStore.delete([treeId, id]));
+    });
+    if (metaChanged) {
+      const { meta, order } = JSON.parse(next.meta);
+      tx.objectStore('trees').put({ treeId, meta, order });
+    }
+    await completion(tx);
+    snapshots.set(treeId, next);
+    return true;
+  };
+
+  /** @param {string} treeId */
+  const remove = async (treeId) => {
+    const tx = db.transaction([...STORES, ATTACHMENTS], 'readwrite');
+    tx.objectStore('trees').delete(treeId);
+    [...RECORD_STORES, ATTACHMENTS].forEach(store => tx.objectStore(store).delete(treeRange(treeId)));
+    await completion(tx);
+    snapshots.delete(treeId);
+  };
+
+  /**
+   * An attachment's file, or null if it isn't stored.
+   * @param {string} treeId
+   * @param {string} id
+   * @returns {Promise<Blob | null>}
+   */
+  const readAttachment = async (treeId, id) => {
+    const record = await request(db.transaction(ATTACHMENTS).objectStore(ATTACHMENTS).get([treeId, id]));
+    return record ? record.blob : null;
+  };
+
+  /**
+   * @param {string} treeId
+   * @param {string} id
+   * @param {Blob} blob
+   */
+  const writeAttachment = async (treeId, id, blob) => {
+    const tx = db.transaction(ATTACHMENTS, 'readwrite');
+    tx.objectStore(ATTACHMENTS).put({ treeId, id, blob });
+    await completion(tx);
+  };
+
+  /**
+   * Ids of every attachment stored for a tree.
+   * @param {string} treeId
+   * @returns {Promise<string[]>}
+   */
+  const attachmentIds = async (treeId) => {
+    const keys = await request(db.transaction(ATTACHMENTS).objectStore(ATTACHMENTS).index('treeId').getAllKeys(treeId));
+    return keys.map(key => key[1]);
+  };
+
+  /**
+   * @param {string} treeId
+   * @param {string[]} ids
+   */
+  const removeAttachments = async (treeId, ids) => {
+    const tx = db.transaction(ATTACHMENTS, 'readwrite');
+    ids.forEach(id => tx.objectStore(ATTACHMENTS).delete([treeId, id]));
+    await completion(tx);
+  };
+
+  return { name: 'indexeddb', read, write, remove, readAttachment, writeAttachment, attachmentIds, removeAttachments };
+};
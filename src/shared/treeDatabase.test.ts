@@ -0,0 +1,77 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { createIndexedDbBackend } from './treeDatabase';
+
+const ann = { id: 'a', name: 'Ann', x: 0, y: 0 };
+const bob = { id: 'b', name: 'Bob', x: 200, y: 0 };
+const cat = { id: 'c', name: 'Cat', x: 0, y: 200 };
+const link = { id: 'r1', type: 'spouse' as const, from: 'a', to: 'b' };
+
+// A fresh, empty database for every test
+beforeEach(() => {
+  global.indexedDB = new IDBFactory();
+  localStorage.clear();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+test('writes only the records that changed', async () => {
+  const backend = await createIndexedDbBackend();
+  await backend.write('t1', { people: [ann, bob], relationships: [link] });
+  const put = jest.spyOn(IDBObjectStore.prototype, 'put');
+  const remove = jest.spyOn(IDBObjectStore.prototype, 'delete');
+
+  expect(await backend.write('t1', { people: [{ ...ann, x: 40 }, cat], relationships: [link] })).toBe(true);
+
+  expect(put.mock.calls.map(([record]) => record.id ?? record.treeId)).toEqual(['a', 'c', 't1']);
+  expect(remove.mock.calls.map(([key]) => key)).toEqual([['t1', 'b']]);
+});
+
+test('writes nothing when nothing changed', async () => {
+  const backend = await createIndexedDbBackend();
+  await backend.write('t1', { people: [ann], relationships: [] });
+  const put = jest.spyOn(IDBObjectStore.prototype, 'put');
+
+  expect(await backend.write('t1', { people: [{ ...ann }], relationships: [] })).toBe(false);
+  expect(put).not.toHaveBeenCalled();
+});
+
+test('reads the tree back in the order it was saved', async () => {
+  const tree = { version: 4, people: [cat, ann, bob], relationships: [link] };
+  await (await createIndexedDbBackend()).write('t1', tree);
+
+  // As after a reload: a new connection with nothing remembered
+  const reloaded = await createIndexedDbBackend();
+  expect(await reloaded.read('t1')).toEqual(tree);
+  expect(await reloaded.read('t2')).toBeNull();
+});
+
+test('removes one tree with its attachments and leaves the others', async () => {
+  const backend = await createIndexedDbBackend();
+  await backend.write('t1', { people: [ann], relationships: [] });
+  await backend.write('t2', { people: [ann, bob], relationships: [link] });
+  // The fake database can't clone jsdom's Blobs; the store never looks inside them
+  await backend.writeAttachment('t1', 'photo', 'one' as unknown as Blob);
+  await backend.writeAttachment('t2', 'photo', 'two' as unknown as Blob);
+
+  await backend.remove('t1');
+
+  const reloaded = await createIndexedDbBackend();
+  expect(await reloaded.read('t1')).toBeNull();
+  expect(await reloaded.attachmentIds('t1')).toEqual([]);
+  expect((await reloaded.read('t2'))?.people).toEqual([ann, bob]);
+  expect(await reloaded.attachmentIds('t2')).toEqual(['photo']);
+});
+
+test('moves trees saved in localStorage by earlier versions into IndexedDB', async () => {
+  localStorage.setItem('family-tree-index', JSON.stringify({ active: 'default', trees: [{ id: 'default', name: 'My tree' }] }));
+  localStorage.setItem('family-tree-data', JSON.stringify({ version: 4, people: [ann, bob], relationships: [link] }));
+
+  let storage: typeof import('./storage') | undefined;
+  jest.isolateModules(() => { storage = require('./storage'); });
+  expect(await storage!.getStorageBackend()).toBe('indexeddb');
+
+  expect(localStorage.getItem('family-tree-data')).toBeNull();
+  expect((await (await createIndexedDbBackend()).read('default'))?.people).toEqual([ann, bob]);
+  expect((await storage!.loadFamilyTree()).tree.people).toEqual([ann, bob]);
+});
@@ -0,0 +1,323 @@
+// Pictures of a whole tree for printing and sharing: SVG, PNG and tiled
+// print pages (which the browser can save as PDF). Everything is drawn at
+// full size from the saved positions, whatever the canvas zoom and pan.
+
+import { connectorPath, routeConnectors } from './connectors.js';
+import { linkKind } from './relationships.js';
+import { personYears } from './search.js';
+import { downloadFile } from './storage.js';
+
+/** @typedef {import('../types').FamilyTree} FamilyTree */
+/** @typedef {import('../types').Person} Person */
+
+/**
+ * @typedef {Object} ImageOptions
+ * @property {string} [title] - drawn above the tree when set
+ * @property {boolean} [legend] - explain the line colours below the tree
+ */
+
+/**
+ * The tree as SVG markup with its size, positioned so it starts at 0,0.
+ * @typedef {Object} TreeDrawing
+ * @property {number} width
+ * @property {number} height
+ * @property {string} content - everything inside the <svg> element
+ */
+
+/** @typedef {'a4' | 'letter'} PaperSize */
+
+/**
+ * @typedef {ImageOptions & {
+ *   paper?: PaperSize,
+ *   orientation?: 'portrait' | 'landscape',
+ *   scale?: number | 'fit'
+ * }} PrintOptions
+ */
+
+// Cards are the width of the canvas nodes; lines are routed as on the canvas
+const CARD_WIDTH = 150;
+const CARD_HEIGHT = 64;
+const MARGIN = 40;
+const TITLE_HEIGHT = 48;
+const LEGEND_HEIGHT = 36;
+const LINE_COLORS = { parent: '#2196F3', spouse: '#E91E63' };
+const FONT = 'Inter, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif';
+
+// Paper in CSS pixels (96 per inch), less a 0.4in margin all round
+const PAPER = {
+  a4: { width: 794, height: 1123 },
+  letter: { width: 816, height: 1056 }
+};
+const PAGE_MARGIN = 38;
+const PAGE_FOOTER = 20;
+
+// Most browsers refuse canvases above roughly this many pixels (iOS Safari)
+const MAX_CANVAS_PIXELS = 16777216;
+
+/** @param {string} text */
+const escapeXml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Up to two lines that fit on a card, the second shortened if need be.
+ * @param {string} name
+ */
+const wrapName = (name, perLine = 20) => {
+  const lines = [''];
+  name.split(/\s+/).filter(Boolean).forEach(word => {
+    const last = lines[lines.length - 1];
+    if (!last || `${last} ${word}`.length <= perLine) {
+      lines[lines.length - 1] = last ? `${last} ${word}` : word;
+    } else {
+      lines.push(word);
+    }
+  });
+  if (lines.length <= 2) return lines;
+  const second = lines.slice(1).join(' ');
+  return [lines[0], `${second.slice(0, perLine - 1)}…`];
+};
+
+/** @param {Person} person */
+const genderIcon = (person) => (person.gender === 'male' ? '♂ ' : person.gender === 'female' ? '♀ ' : '');
+
+/**
+ * @param {Person} person
+ * @param {number} x
+ * @param {number} y
+ */
+const drawCard = (person, x, y) => {
+  const lines = wrapName(`${genderIcon(person)}${person.name}`);
+  const years = personYears(person);
+  const textHeight = lines.length * 16 + (years ? 14 : 0);
+  let baseline = y + (CARD_HEIGHT - textHeight) / 2 + 12;
+
+  const parts = [
+    `<rect x="${x}" y="${y}" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" rx="12" fill="white" stroke="#ced4da" stroke-width="2"/>`
+  ];
+  lines.forEach(line => {
+    parts.push(`<text x="${x + CARD_WIDTH / 2}" y="${baseline}" text-anchor="middle" font-size="13" font-weight="600" fill="#333">${escapeXml(line)}</text>`);
+    baseline += 16;
+  });
+  if (years) {
+    parts.push(`<text x="${x + CARD_WIDTH / 2}" y="${baseline - 2}" text-anchor="middle" font-size="11" font-style="italic" fill="#666">${escapeXml(years)}</text>`);
+  }
+  return parts.join('');
+};
+
+/**
+ * @param {number} x
+ * @param {number} y
+ */
+const drawLegend = (x, y) => Object.entries(LINE_COLORS).map(([type, color], i) => {
+  const left = x + i * 150;
+  // A drop to a child below, or a marriage bar
+  const path = type === 'parent'
+    ? `M${left} ${y - 8} V${y} H${left + 40} V${y + 8}`
+    : `M${left} ${y} H${left + 40}`;
+  return `<path d="${path}" fill="none" stroke="${color}" stroke-width="2"/>` +
+    `<text x="${left + 50}" y="${y + 4}" font-size="12" fill="#333">${type === 'parent' ? 'Parent → child' : 'Spouses'}</text>`;
+}).join('');
+
+/**
+ * Lays out the whole tree for drawing.
+ * @param {FamilyTree} tree
+ * @param {ImageOptions} [options]
+ * @returns {TreeDrawing}
+ */
+export const drawTree = (tree, { title = '', legend = false } = {}) => {
+  const { people, relationships } = tree;
+  const xs = people.map(p => p.x);
+  const ys = people.map(p => p.y);
+  const minX = people.length ? Math.min(...xs) : 0;
+  const minY = people.length ? Math.min(...ys) : 0;
+  const treeWidth = people.length ? Math.max(...xs) - minX + CARD_WIDTH : CARD_WIDTH;
+  const treeHeight = people.length ? Math.max(...ys) - minY + CARD_HEIGHT : CARD_HEIGHT;
+
+  const top = MARGIN + (title ? TITLE_HEIGHT : 0);
+  const width = Math.max(treeWidth, legend ? 300 : 0) + MARGIN * 2;
+  const height = top + treeHeight + (legend ? LEGEND_HEIGHT : 0) + MARGIN;
+  // Canvas position of a person -> drawing position
+  const dx = MARGIN - minX;
+  const dy = top - minY;
+
+  const connectors = routeConnectors(people, relationships, { width: CARD_WIDTH, height: CARD_HEIGHT });
+  const lines = relationships.map(rel => {
+    const connector = connectors.get(rel.id);
+    if (!connector) return '';
+    const dash = linkKind(rel)?.dash;
+    return `<path d="${connectorPath(connector)}" fill="none" stroke="${LINE_COLORS[rel.type] || '#666'}" stroke-width="2"${dash ? ` stroke-dasharray="${dash}"` : ''}/>`;
+  });
+
+  const content = [
+    `<rect width="${width}" height="${height}" fill="white"/>`,
+    `<g font-family='${FONT}'>`,
+    title ? `<text x="${MARGIN}" y="${MARGIN + 24}" font-size="24" font-weight="700" fill="#222">${escapeXml(title)}</text>` : '',
+    `<g transform="translate(${dx} ${dy})">${lines.join('')}</g>`,
+    ...people.map(p => drawCard(p, p.x + dx, p.y + dy)),
+    legend ? drawLegend(MARGIN, height - MARGIN - LEGEND_HEIGHT / 2 + 6) : '',
+    '</g>'
+  ].join('');
+
+  return { width, height, content };
+};
+
+/**
+ * A standalone SVG document, optionally showing only part of the drawing.
+ * @param {TreeDrawing} drawing
+ * @param {{ x: number, y: number, width: number, height: number }} [view]
+ * @param {{ width: number, height: number }} [size] - rendered size, defaults to the view's
+ */
+export const svgDocument = (drawing, view = { x: 0, y: 0, width: drawing.width, height: drawing.height }, size = view) =>
+  `<svg xmlns="http://www.w3.org/2000/svg" width="${size.width}" height="${size.height}" ` +
+  `viewBox="${view.x} ${view.y} ${view.width} ${view.height}">${drawing.content}</svg>`;
+
+/**
+ * @param {FamilyTree} tree
+ * @param {ImageOptions} [options]
+ */
+export const exportTreeSvg = (tree, options) => {
+  downloadFile(svgDocument(drawTree(tree, options)), 'svg', 'image/svg+xml');
+};
+
+/**
+ * Pixel size of a PNG export at `scale` times full size.
+ * @param {FamilyTree} tree
+ * @param {number} scale
+ * @param {ImageOptions} [options]
+ */
+export const pngSize = (tree, scale, options) => {
+  const { width, height } = drawTree(tree, options);
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+};
+
+/**
+ * Renders the tree to a PNG at `scale` times full size and downloads it.
+ * Rejects with a readable message if the browser can't make a picture that big.
+ * @param {FamilyTree} tree
+ * @param {number} scale
+ * @param {ImageOptions} [options]
+ * @returns {Promise<void>}
+ */
+export const exportTreePng = (tree, scale, options) => {
+  const drawing = drawTree(tree, options);
+  const width = Math.round(drawing.width * scale);
+  const height = Math.round(drawing.height * scale);
+  if (width * height > MAX_CANVAS_PIXELS) {
+    return Promise.reject(new Error(
+      `At ${scale}× the picture would be ${width} × ${height} pixels, which is more than this browser can draw. ` +
+      'Choose a lower resolution, or export as SVG or PDF instead.'
+    ));
+  }
+
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const context = canvas.getContext('2d');
+      if (!context) {
+        reject(new Error('This browser cannot draw images'));
+        return;
+      }
+      context.drawImage(image, 0, 0, width, height);
+      canvas.toBlob(blob => {
+        if (!blob) {
+          reject(new Error('The picture could not be created'));
+          return;
+        }
+        downloadFile(blob, 'png', 'image/png');
+        resolve();
+      }, 'image/png');
+    };
+    image.onerror = () => reject(new Error('The picture could not be created'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgDocument(drawing, undefined, { width, height }))}`;
+  });
+};
+
+/**
+ * Splits the drawing into pages: each page shows a `pageWidth` × `pageHeight`
+ * tile at `scale`, left to right then top to bottom.
+ * @param {TreeDrawing} drawing
+ * @param {PrintOptions} options
+ */
+export const printLayout = (drawing, { paper = 'a4', orientation = 'portrait', scale = 1 } = {}) => {
+  const sheet = PAPER[paper] || PAPER.a4;
+  const [sheetWidth, sheetHeight] = orientation === 'landscape'
+    ? [sheet.height, sheet.width]
+    : [sheet.width, sheet.height];
+  const pageWidth = sheetWidth - PAGE_MARGIN * 2;
+  const pageHeight = sheetHeight - PAGE_MARGIN * 2 - PAGE_FOOTER;
+
+  const zoom = scale === 'fit'
+    ? Math.min(1, pageWidth / drawing.width, pageHeight / drawing.height)
+    : scale;
+  const columns = Math.max(1, Math.ceil((drawing.width * zoom) / pageWidth - 0.001));
+  const rows = Math.max(1, Math.ceil((drawing.height * zoom) / pageHeight - 0.001));
+
+  const pages = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      pages.push({
+        row,
+        column,
+        view: {
+          x: (column * pageWidth) / zoom,
+          y: (row * pageHeight) / zoom,
+          width: pageWidth / zoom,
+          height: pageHeight / zoom
+        }
+      });
+    }
+  }
+  return { pageWidth, pageHeight, columns, rows, pages, paper, orientation };
+};
+
+/**
+ * Opens the browser's print dialog with the tree tiled over as many pages as
+ * it needs; choosing "Save as PDF" there gives a multi-page PDF.
+ * @param {FamilyTree} tree
+ * @param {PrintOptions} [options]
+ */
+export const printTree = (tree, options = {}) => {
+  const drawing = drawTree(tree, options);
+  const layout = printLayout(drawing, options);
+  const size = { width: layout.pageWidth, height: layout.pageHeight };
+  const multiPage = layout.pages.length > 1;
+
+  const pages = layout.pages.map(({ row, column, view }) =>
+    '<section class="page">' +
+      svgDocument(drawing, view, size) +
+      `<footer>${multiPage ? `Row ${row + 1} of ${layout.rows}, column ${column + 1} of ${layout.columns}` : ''}</footer>` +
+    '</section>'
+  ).join('');
+
+  const html = '<!DOCTYPE html><html><head><meta charset="utf-8">' +
+    `<title>${escapeXml(options.title || 'Family Tree')}</title><style>` +
+    `@page { size: ${layout.paper === 'letter' ? 'letter' : 'A4'} ${layout.orientation}; margin: ${PAGE_MARGIN}px; }` +
+    'body { margin: 0; }' +
+    `.page { width: ${size.width}px; break-after: page; page-break-after: always; }` +
+    '.page:last-child { break-after: auto; page-break-after: auto; }' +
+    '.page svg { display: block; }' +
+    `.page footer { height: ${PAGE_FOOTER}px; font: 10px sans-serif; color: #666; text-align: right; line-height: ${PAGE_FOOTER}px; }` +
+    `</style></head><body>${pages}</body></html>`;
+
+  // Print from a hidden frame so the app itself isn't printed
+  const frame = document.createElement('iframe');
+  frame.style.position = 'fixed';
+  frame.style.width = '0';
+  frame.style.height = '0';
+  frame.style.border = '0';
+  frame.onload = () => {
+    const view = frame.contentWindow;
+    if (!view) return;
+    view.onafterprint = () => setTimeout(() => frame.remove(), 0);
+    view.focus();
+    view.print();
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+};
@@ -0,0 +1,33 @@
+import { drawTree, printLayout } from './treeImage';
+
+const tree = {
+  people: [
+    { id: 'a', name: 'Ann <Smith>', x: -500, y: 300, events: [{ type: 'birth' as const, date: '1901-02-03' }] },
+    { id: 'b', name: 'Bob', x: 1000, y: 900, gender: 'male' as const }
+  ],
+  relationships: [{ id: 'r1', type: 'spouse' as const, from: 'a', to: 'b' }]
+};
+
+test('draws everyone at full size from their saved positions', () => {
+  const drawing = drawTree(tree, { title: 'Smiths & Co', legend: true });
+
+  // 1500 apart plus a card and margins, wherever the canvas was panned
+  expect(drawing.width).toBe(1500 + 150 + 80);
+  expect(drawing.content).toContain('Ann &lt;Smith&gt;');
+  expect(drawing.content).toContain('Smiths &amp; Co');
+  expect(drawing.content).toContain('b. 1901');
+  expect(drawing.content).toContain('♂ Bob');
+  expect(drawing.content).toContain('Spouses');
+});
+
+test('tiles a full-size drawing over pages, or fits it on one', () => {
+  const drawing = drawTree(tree);
+
+  const tiled = printLayout(drawing, { paper: 'a4', orientation: 'portrait' });
+  expect([tiled.columns, tiled.rows]).toEqual([3, 1]);
+  expect(tiled.pages[1].view.x).toBe(tiled.pageWidth);
+
+  const fitted = printLayout(drawing, { paper: 'letter', orientation: 'landscape', scale: 'fit' });
+  expect(fitted.pages).toHaveLength(1);
+  expect(fitted.pages[0].view.width).toBeCloseTo(drawing.width);
+});
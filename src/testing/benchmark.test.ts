@@ -0,0 +1,21 @@
+import { generateTree } from './benchmark';
+import { checkTree } from '../shared/consistency';
+import { readFamilyTree } from '../shared/schema';
+
+test('makes a plausible tree of the size asked for', () => {
+  const tree = generateTree(2000);
+  expect(tree.people).toHaveLength(2000);
+
+  const { errors, warnings, orphans } = readFamilyTree(tree);
+  expect([...errors, ...warnings, ...orphans]).toEqual([]);
+  expect(checkTree(tree)).toEqual([]);
+  // Everyone but the founders has parents in the tree or married into it
+  expect(tree.relationships.length).toBeGreaterThan(tree.people.length);
+});
+
+test('gives the same tree for the same seed', () => {
+  expect(generateTree(300, 7)).toEqual(generateTree(300, 7));
+  expect(generateTree(300, 7)).not.toEqual(generateTree(300, 8));
+  expect(generateTree(1).people).toHaveLength(1);
+  expect(generateTree(0).people).toHaveLength(0);
+});
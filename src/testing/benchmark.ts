@@ -0,0 +1,101 @@
+import { FamilyTree, Person, Relationship } from '../types';
+
+// Made-up family trees of any size, for tests that check the canvas stays
+// smooth with thousands of people. The same size and seed always give the
+// same tree.
+
+const GIVEN_NAMES = {
+  male: ['John', 'William', 'Thomas', 'George', 'James', 'Henry', 'Charles', 'Edward', 'Robert', 'Arthur'],
+  female: ['Mary', 'Elizabeth', 'Sarah', 'Ann', 'Jane', 'Margaret', 'Alice', 'Emily', 'Martha', 'Ellen']
+};
+const SURNAMES = ['Smith', 'Taylor', 'Brown', 'Wilson', 'Johnson', 'Davies', 'Evans', 'Walker', 'Wright', 'Hughes', 'Green', 'Hall'];
+
+const CARD_SPACING_X = 200;
+const GENERATION_SPACING_Y = 220;
+const FIRST_YEAR = 1600;
+
+// Small seeded generator (mulberry32), so fixtures are repeatable
+const randomFrom = (seed: number) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const yearOf = (person: Person) => Number(person.events?.[0]?.date);
+
+interface Couple {
+  father: Person;
+  mother: Person;
+  generation: number;
+  surname: string;
+}
+
+// Descendants of one couple, generation by generation, each child marrying
+// someone from outside the tree. Parents are 20-40 at their children's births
+// and live to 60-95, so the tree check finds nothing to report.
+export const generateTree = (size: number, seed = 1): FamilyTree => {
+  const random = randomFrom(seed);
+  const pick = <T,>(list: T[]) => list[Math.floor(random() * list.length)];
+  const between = (low: number, high: number) => low + Math.floor(random() * (high - low + 1));
+
+  const people: Person[] = [];
+  const relationships: Relationship[] = [];
+  const rowLength: number[] = [];
+
+  const addPerson = (gender: 'male' | 'female', surname: string, born: number, generation: number): Person => {
+    rowLength[generation] = (rowLength[generation] || 0) + 1;
+    const died = born + between(60, 95);
+    const person: Person = {
+      id: `p${people.length + 1}`,
+      name: `${pick(GIVEN_NAMES[gender])} ${surname}`,
+      gender,
+      events: [
+        { type: 'birth', date: String(born) },
+        ...(died < 2000 ? [{ type: 'death' as const, date: String(died) }] : [])
+      ],
+      x: (rowLength[generation] - 1) * CARD_SPACING_X,
+      y: generation * GENERATION_SPACING_Y
+    };
+    people.push(person);
+    return person;
+  };
+  const link = (type: Relationship['type'], from: Person, to: Person) => {
+    relationships.push({ id: `r${relationships.length + 1}`, type, from: from.id, to: to.id });
+  };
+  const marry = (person: Person, generation: number, surname: string): Couple => {
+    const born = yearOf(person) + between(-5, 5);
+    const spouse = addPerson(person.gender === 'male' ? 'female' : 'male', pick(SURNAMES), born, generation);
+    link('spouse', person, spouse);
+    return person.gender === 'male'
+      ? { father: person, mother: spouse, generation, surname }
+      : { father: spouse, mother: person, generation, surname: spouse.name.split(' ')[1] };
+  };
+
+  const couples: Couple[] = [];
+  for (let next = 0; people.length < size; next++) {
+    // Another founding couple if every line so far has died out
+    if (next === couples.length) {
+      const surname = pick(SURNAMES);
+      const founder = addPerson('male', surname, FIRST_YEAR + between(0, 40), 0);
+      if (people.length === size) break;
+      couples.push(marry(founder, 0, surname));
+    }
+    const { father, mother, generation, surname } = couples[next];
+    const eldest = Math.max(yearOf(father), yearOf(mother));
+    const children = between(1, 4);
+    for (let n = 0; n < children && people.length < size; n++) {
+      const child = addPerson(random() < 0.5 ? 'male' : 'female', surname, eldest + between(20, 40), generation + 1);
+      link('parent', father, child);
+      link('parent', mother, child);
+      if (people.length < size && random() < 0.8) {
+        couples.push(marry(child, generation + 1, surname));
+      }
+    }
+  }
+  return { people, relationships };
+};
@@ -0,0 +1,96 @@
+import { buildTimeline } from './timeline';
+import { FamilyTree, Person, Relationship } from './types';
+
+// A couple who married in 1950, their two children, and a grandchild whose
+// mother (a daughter-in-law) has no dates at all
+const person = (id: string, born?: string, died?: string): Person => ({
+  id,
+  name: id,
+  x: 0,
+  y: 0,
+  events: [
+    ...(born ? [{ type: 'birth' as const, date: born }] : []),
+    ...(died ? [{ type: 'death' as const, date: died }] : [])
+  ]
+});
+const parent = (from: string, to: string): Relationship => ({ id: `${from}-${to}`, type: 'parent', from, to });
+
+const tree: FamilyTree = {
+  people: [
+    person('grandpa', '1920', '1990'), person('grandma', '1925'),
+    person('son', '1952'), person('daughter', '1955', '2001'),
+    person('wife'), person('grandchild', '1980')
+  ],
+  relationships: [
+    parent('grandpa', 'son'), parent('grandma', 'son'),
+    parent('grandpa', 'daughter'), parent('grandma', 'daughter'),
+    parent('son', 'grandchild'), parent('wife', 'grandchild'),
+    { id: 'm1', type: 'spouse', from: 'grandpa', to: 'grandma', status: 'married', startDate: '1950' },
+    { id: 'm2', type: 'spouse', from: 'son', to: 'wife' }
+  ]
+};
+
+const NOW = 2020;
+const barOf = (timeline: ReturnType<typeof buildTimeline>, id: string) =>
+  timeline.groups.flatMap(group => group.bars).find(bar => bar.person.id === id)!;
+
+test('draws each life from birth to death, or to today while someone may be alive', () => {
+  const timeline = buildTimeline(tree, 'family', undefined, NOW);
+
+  const grandpa = barOf(timeline, 'grandpa');
+  expect(Math.round(grandpa.start)).toBe(1920);
+  expect(Math.round(grandpa.end)).toBe(1990);
+  expect(grandpa.to).toBe('death');
+  expect(barOf(timeline, 'son')).toMatchObject({ end: NOW, to: 'living' });
+  expect(timeline.undated.map(p => p.id)).toEqual(['wife']);
+  expect(timeline.start).toBe(1920);
+  expect(timeline.end).toBe(2020);
+});
+
+test('fades out lives that began too long ago to still be going', () => {
+  const timeline = buildTimeline({ people: [person('old', '1800')], relationships: [] }, 'family', undefined, NOW);
+
+  expect(barOf(timeline, 'old')).toMatchObject({ from: 'birth', to: 'unknown' });
+  expect(barOf(timeline, 'old').end).toBeLessThan(NOW);
+});
+
+test('groups people by the family they were born into, in order of birth', () => {
+  const timeline = buildTimeline(tree, 'family', undefined, NOW);
+
+  expect(timeline.groups.map(group => [group.label, group.bars.map(bar => bar.person.id)])).toEqual([
+    ['No parents in the tree', ['grandpa', 'grandma']],
+    ['Children of grandpa and grandma', ['son', 'daughter']],
+    ['Children of son and wife', ['grandchild']]
+  ]);
+});
+
+test('groups people by generation, counting people with no dates', () => {
+  const timeline = buildTimeline(tree, 'generation', undefined, NOW);
+
+  expect(timeline.groups.map(group => [group.label, group.bars.map(bar => bar.person.id)])).toEqual([
+    ['Generation 1', ['grandpa', 'grandma']],
+    ['Generation 2', ['son', 'daughter']],
+    ['Generation 3', ['grandchild']]
+  ]);
+});
+
+test('marks partnerships on both partners and births on the parents', () => {
+  const timeline = buildTimeline(tree, 'family', undefined, NOW);
+
+  expect(barOf(timeline, 'grandma').markers).toEqual(expect.arrayContaining([
+    expect.objectContaining({ kind: 'partner', personId: 'grandpa', label: expect.stringMatching(/^Married .*: grandpa$/) }),
+    expect.objectContaining({ kind: 'child', personId: 'son' }),
+    expect.objectContaining({ kind: 'child', personId: 'daughter' })
+  ]));
+  expect(barOf(timeline, 'grandpa').markers.filter(m => m.kind === 'partner')).toHaveLength(1);
+  // No date for the marriage, so no marker
+  expect(barOf(timeline, 'son').markers.map(m => m.kind)).toEqual(['child']);
+});
+
+test('narrows to a branch', () => {
+  const timeline = buildTimeline(tree, 'family', ['son', 'grandchild'], NOW);
+
+  expect(timeline.groups.flatMap(group => group.bars).map(bar => bar.person.id)).toEqual(['son', 'grandchild']);
+  expect(barOf(timeline, 'son').markers).toHaveLength(1);
+  expect(timeline.undated).toEqual([]);
+});
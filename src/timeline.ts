@@ -0,0 +1,149 @@
+import { FamilyTree, Person } from './types';
+import { assignGenerations } from './autoLayout';
+import { buildTreeGraph, neighbours } from './treeGraph';
+import { dateBounds, formatDate } from './shared/dates';
+import { eventDate } from './shared/person';
+import { linkKind } from './shared/relationships';
+
+export type TimelineGrouping = 'family' | 'generation';
+
+// Someone born this recently with no death recorded may still be alive
+const LIVING_SPAN = 110;
+// How long a bar is drawn when only one end of the life is known
+const USUAL_SPAN = 60;
+
+export interface TimelineMarker {
+  year: number;
+  kind: 'partner' | 'child';
+  personId: string; // the partner or child
+  label: string;
+}
+
+export interface TimelineBar {
+  person: Person;
+  start: number; // years, with fractions
+  end: number;
+  from: 'birth' | 'unknown';
+  to: 'death' | 'living' | 'unknown';
+  markers: TimelineMarker[];
+}
+
+export interface TimelineGroup {
+  label: string;
+  bars: TimelineBar[];
+}
+
+export interface Timeline {
+  groups: TimelineGroup[];
+  start: number;
+  end: number;
+  undated: Person[]; // no birth or death date to place them by
+}
+
+// yyyymmdd -> years with fractions
+const yearOf = (day: number) => Math.floor(day / 10000) + (Math.floor(day / 100) % 100 - 1) / 12 + (day % 100 - 1) / 365;
+
+// The middle of what a date allows, or one end of "before"/"after" dates
+const yearWhen = (value?: string) => {
+  const bounds = dateBounds(value);
+  if (!bounds) return null;
+  const ends = [bounds.earliest, bounds.latest].filter(Number.isFinite).map(yearOf);
+  return ends.length ? ends.reduce((sum, year) => sum + year, 0) / ends.length : null;
+};
+
+const lifeBar = (person: Person, now: number): Omit<TimelineBar, 'markers'> | null => {
+  const born = yearWhen(eventDate(person, 'birth'));
+  const died = yearWhen(eventDate(person, 'death'));
+  if (born === null && died === null) return null;
+  if (born === null) {
+    return { person, start: died! - USUAL_SPAN, end: died!, from: 'unknown', to: 'death' };
+  }
+  if (died !== null) return { person, start: born, end: Math.max(born, died), from: 'birth', to: 'death' };
+  return now - born < LIVING_SPAN
+    ? { person, start: born, end: now, from: 'birth', to: 'living' }
+    : { person, start: born, end: born + USUAL_SPAN, from: 'birth', to: 'unknown' };
+};
+
+/**
+ * One bar per person from birth to death (or today for people who may still
+ * be alive), grouped into birth families or generations, with a marker where
+ * each partnership starts and each child is born. `ids` narrows it to a branch.
+ */
+export const buildTimeline = (
+  tree: FamilyTree,
+  grouping: TimelineGrouping,
+  ids?: string[],
+  now = new Date().getFullYear() + new Date().getMonth() / 12
+): Timeline => {
+  const shown = new Set(ids || tree.people.map(p => p.id));
+  const people = tree.people.filter(p => shown.has(p.id));
+  const byId = new Map(people.map(p => [p.id, p]));
+  const graph = buildTreeGraph({ ...tree, people });
+
+  const bars = new Map<string, TimelineBar>();
+  const undated: Person[] = [];
+  people.forEach(person => {
+    const bar = lifeBar(person, now);
+    if (bar) {
+      bars.set(person.id, { ...bar, markers: [] });
+    } else {
+      undated.push(person);
+    }
+  });
+
+  tree.relationships.forEach(rel => {
+    const from = bars.get(rel.from);
+    const to = bars.get(rel.to);
+    if (!from || !to || rel.from === rel.to) return;
+    if (rel.type === 'parent') {
+      if (to.from !== 'birth') return;
+      from.markers.push({ year: to.start, kind: 'child', personId: to.person.id, label: `${to.person.name} born, ${formatDate(eventDate(to.person, 'birth'))}` });
+      return;
+    }
+    const year = yearWhen(rel.startDate);
+    if (year === null) return;
+    const what = linkKind(rel)?.start || 'Partners from';
+    [[from, to], [to, from]].forEach(([bar, other]) => bar.markers.push({
+      year,
+      kind: 'partner',
+      personId: other.person.id,
+      label: `${what} ${formatDate(rel.startDate)}: ${other.person.name}`
+    }));
+  });
+
+  // Groups and the bars in them go in order of birth
+  const groups = new Map<string, TimelineGroup>();
+  const nameOf = (id: string) => byId.get(id)!.name;
+  // Undated people still count, so a gap in the dates doesn't split the generations
+  const generation = grouping === 'generation' ? assignGenerations(new Set(Array.from(byId.keys())), graph) : null;
+  const groupOf = (id: string): [string, string] => {
+    if (generation) {
+      const gen = generation.get(id)! + 1;
+      return [`${gen}`, `Generation ${gen}`];
+    }
+    // Someone who married in sits with their partner's family
+    const child = [id, ...neighbours(graph.spouses, id)].find(p => neighbours(graph.parents, p).length);
+    if (!child) return ['', 'No parents in the tree'];
+    const parents = neighbours(graph.parents, child);
+    return [[...parents].sort().join('|'), `Children of ${parents.map(nameOf).join(' and ')}`];
+  };
+  Array.from(bars.values())
+    .sort((a, b) => a.start - b.start)
+    .forEach(bar => {
+      const [key, label] = groupOf(bar.person.id);
+      const group = groups.get(key) || { label, bars: [] };
+      group.bars.push(bar);
+      groups.set(key, group);
+    });
+  const ordered = Array.from(groups.values());
+  if (generation) ordered.sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true }));
+
+  const starts = Array.from(bars.values()).map(bar => bar.start);
+  const ends = Array.from(bars.values()).map(bar => bar.end);
+  return {
+    groups: ordered,
+    start: starts.length ? Math.floor(Math.min(...starts) / 10) * 10 : Math.floor(now / 10) * 10 - 100,
+    end: ends.length ? Math.ceil(Math.max(...ends) / 10) * 10 : Math.ceil(now / 10) * 10,
+    undated
+  };
+};
@@ -0,0 +1,44 @@
+import { buildTreeGraph, relativeInDirection } from './treeGraph';
+import { FamilyTree, Person, Relationship } from './types';
+
+// Two parents with three children side by side; the eldest has a spouse and a child
+const person = (id: string, x: number, y: number): Person => ({ id, name: id, x, y });
+const parent = (from: string, to: string): Relationship => ({ id: `${from}-${to}`, type: 'parent', from, to });
+
+const tree: FamilyTree = {
+  people: [
+    person('dad', 0, 0), person('mum', 200, 0),
+    person('ann', 0, 200), person('bob', 200, 200), person('cat', 400, 200), person('annsHusband', -200, 200),
+    person('kid', -100, 400),
+    person('stranger', 600, 200)
+  ],
+  relationships: [
+    parent('dad', 'ann'), parent('mum', 'ann'),
+    parent('dad', 'bob'), parent('mum', 'bob'),
+    parent('dad', 'cat'), parent('mum', 'cat'),
+    parent('ann', 'kid'), parent('annsHusband', 'kid'),
+    { id: 's1', type: 'spouse', from: 'dad', to: 'mum' },
+    { id: 's2', type: 'spouse', from: 'ann', to: 'annsHusband' }
+  ]
+};
+const graph = buildTreeGraph(tree);
+const go = (id: string, direction: 'up' | 'down' | 'left' | 'right') => relativeInDirection(tree, graph, id, direction);
+
+test('goes up to the nearest parent and down to the nearest child', () => {
+  expect(go('bob', 'up')).toBe('mum');
+  expect(go('ann', 'up')).toBe('dad');
+  expect(go('mum', 'down')).toBe('bob');
+  expect(go('dad', 'down')).toBe('ann');
+  expect(go('dad', 'up')).toBeNull();
+  expect(go('kid', 'down')).toBeNull();
+});
+
+test('goes sideways through spouses, siblings and co-parents in canvas order', () => {
+  expect(go('ann', 'left')).toBe('annsHusband');
+  expect(go('ann', 'right')).toBe('bob');
+  expect(go('bob', 'right')).toBe('cat');
+  expect(go('cat', 'right')).toBeNull();
+  expect(go('annsHusband', 'left')).toBeNull();
+  expect(go('dad', 'right')).toBe('mum');
+  expect(go('stranger', 'left')).toBeNull();
+});
@@ -0,0 +1,93 @@
+import { FamilyTree } from './types';
+
+export interface TreeGraph {
+  parents: Map<string, string[]>;
+  children: Map<string, string[]>;
+  spouses: Map<string, string[]>;
+}
+
+const addEdge = (map: Map<string, string[]>, key: string, value: string) => {
+  const list = map.get(key);
+  if (!list) {
+    map.set(key, [value]);
+  } else if (!list.includes(value)) {
+    list.push(value);
+  }
+};
+
+// Adjacency view of the stored links, ignoring any that point at missing people.
+export const buildTreeGraph = (tree: FamilyTree): TreeGraph => {
+  const ids = new Set(tree.people.map(p => p.id));
+  const graph: TreeGraph = { parents: new Map(), children: new Map(), spouses: new Map() };
+
+  tree.relationships.forEach(rel => {
+    if (!ids.has(rel.from) || !ids.has(rel.to) || rel.from === rel.to) return;
+
+    if (rel.type === 'spouse') {
+      addEdge(graph.spouses, rel.from, rel.to);
+      addEdge(graph.spouses, rel.to, rel.from);
+      return;
+    }
+
+    addEdge(graph.children, rel.from, rel.to);
+    addEdge(graph.parents, rel.to, rel.from);
+  });
+
+  return graph;
+};
+
+export const neighbours = (map: Map<string, string[]>, id: string): string[] => map.get(id) || [];
+
+const collect = (map: Map<string, string[]>, startId: string): Set<string> => {
+  const found = new Set<string>();
+  const queue = [...neighbours(map, startId)];
+  while (queue.length) {
+    const id = queue.shift()!;
+    if (found.has(id) || id === startId) continue;
+    found.add(id);
+    queue.push(...neighbours(map, id));
+  }
+  return found;
+};
+
+export const collectDescendants = (graph: TreeGraph, id: string) => collect(graph.children, id);
+
+export const collectAncestors = (graph: TreeGraph, id: string) => collect(graph.parents, id);
+
+export type Direction = 'up' | 'down' | 'left' | 'right';
+
+// The person an arrow key moves to: up to a parent, down to a child, left and
+// right to the next spouse, sibling or co-parent on that side. Among several
+// parents or children the one nearest across the canvas wins.
+export const relativeInDirection = (
+  tree: FamilyTree,
+  graph: TreeGraph,
+  id: string,
+  direction: Direction
+): string | null => {
+  const people = new Map(tree.people.map(p => [p.id, p]));
+  const person = people.get(id);
+  if (!person) return null;
+
+  if (direction === 'up' || direction === 'down') {
+    const relatives = neighbours(direction === 'up' ? graph.parents : graph.children, id)
+      .map(other => people.get(other))
+      .filter((p): p is NonNullable<typeof p> => !!p);
+    if (relatives.length === 0) return null;
+    return relatives.reduce((best, p) => (Math.abs(p.x - person.x) < Math.abs(best.x - person.x) ? p : best)).id;
+  }
+
+  const row = new Set([
+    ...neighbours(graph.spouses, id),
+    ...neighbours(graph.parents, id).flatMap(parentId => neighbours(graph.children, parentId)),
+    ...neighbours(graph.children, id).flatMap(childId => neighbours(graph.parents, childId))
+  ]);
+  row.add(id);
+  const ordered = Array.from(row)
+    .map(other => people.get(other))
+    .filter((p): p is NonNullable<typeof p> => !!p)
+    .sort((a, b) => a.x - b.x || a.y - b.y || a.id.localeCompare(b.id));
+  const index = ordered.findIndex(p => p.id === id);
+  const next = ordered[direction === 'left' ? index - 1 : index + 1];
+  return next ? next.id : null;
+};
@@ -1,21 +1,112 @@
+// GEDCOM data we can't model yet, kept so it survives an import/export round trip
+export interface GedcomExtras {
+  xref?: string;
+  name?: string; // original NAME value, with the surname in slashes
+  details?: Record<string, string[]>; // unmapped sub-lines of NAME/BIRT/DEAT
+  unmapped?: string[]; // raw lines, levels relative to the record
+}
+
+// See EVENT_TYPES in shared/person.js for labels and GEDCOM tags
+export type LifeEventType =
+  | 'birth' | 'baptism' | 'death' | 'burial' | 'cremation'
+  | 'occupation' | 'education' | 'residence'
+  | 'immigration' | 'emigration' | 'naturalization' | 'other';
+
+// Where a fact came from; the source itself is in FamilyTree.sources
+export interface Source {
+  id: string;
+  title: string;
+  author?: string;
+  archive?: string; // where the original is held
+  url?: string;
+  notes?: string;
+  gedcom?: GedcomExtras;
+}
+
+// How far the cited source can be trusted, see CONFIDENCE_LEVELS in shared/sources.js
+export type Confidence = 'primary' | 'secondary' | 'questionable' | 'unreliable' | 'unknown';
+
+// Cites a source for whatever holds it: a person, a life event or a relationship
+export interface Citation {
+  id: string;
+  sourceId: string;
+  confidence: Confidence;
+  page?: string; // where in the source: page, entry, folio
+  note?: string;
+  field?: 'name' | 'gender'; // on a person: the fact cited; none cites the person as a whole
+}
+
+export interface LifeEvent {
+  type: LifeEventType;
+  date?: string; // '1901-03-12', '1901-03', 'abt 1850', 'bet 1820 and 1825', '(phrase)'; see shared/dates.js
+  place?: string;
+  description?: string; // the occupation, or what an 'other' event was
+  citations?: Citation[];
+  gedcom?: GedcomExtras;
+}
+
+export type NameType = 'birth' | 'married' | 'nickname' | 'alias' | 'other';
+
+// A name other than the preferred one in Person.name
+export interface PersonName {
+  type: NameType;
+  value: string;
+}
+
+// A photo or document kept with a person. Only this description is part of
+// the tree; the file itself is stored separately, see shared/storage.js
+export interface Attachment {
+  id: string;
+  name: string; // original file name
+  type: string; // MIME type
+  size: number; // bytes
+  added: string; // ISO timestamp
+}
+
 export interface Person {
   id: string;
-  name: string;
-  birthDate?: string;
-  deathDate?: string;
+  name: string; // preferred name, shown on the card
+  names?: PersonName[];
+  events?: LifeEvent[]; // birth and death included, in the order they were entered
+  notes?: string;
+  attachments?: Attachment[];
+  avatar?: string; // id of the image attachment shown on the card
+  citations?: Citation[];
   gender?: 'male' | 'female' | 'other';
   x: number;
   y: number;
+  gedcom?: GedcomExtras;
 }
 
+// How someone is a parent; a parent link without one is biological
+export type ParentKind = 'biological' | 'adoptive' | 'step' | 'foster' | 'guardian';
+
+export type PartnerStatus = 'married' | 'partnered' | 'divorced' | 'widowed';
+
+// A 'parent' link points from the parent to the child; see shared/relationships.js
 export interface Relationship {
   id: string;
-  type: 'parent' | 'spouse' | 'child';
+  type: 'parent' | 'spouse';
   from: string; // person id
   to: string; // person id
+  subtype?: ParentKind; // parent links only
+  status?: PartnerStatus; // spouse links only
+  startDate?: string; // stored form, see shared/dates.js: the wedding, the adoption
+  endDate?: string; // the divorce or death, the end of fostering
+  notes?: string;
+  citations?: Citation[];
+  gedcom?: GedcomExtras;
 }
 
+// What connect mode can draw; 'child' is stored as a 'parent' link the other way round
+export type ConnectionType = Relationship['type'] | 'child';
+
 export interface FamilyTree {
+  version?: number; // schema version, see shared/schema.js
   people: Person[];
   relationships: Relationship[];
+  sources?: Source[];
+  gedcom?: {
+    records: string[]; // top-level records (sources, notes...) not imported
+  };
 }
\ No newline at end of file
@@ -0,0 +1,30 @@
+import { useEffect, useState } from 'react';
+import { loadAttachment } from './shared/storage';
+
+/**
+ * An object URL for a stored attachment of the active tree, or null while it
+ * loads or if the file isn't stored here. The URL is revoked on unmount.
+ */
+export const useAttachmentUrl = (id?: string) => {
+  const [url, setUrl] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!id) return;
+    let objectUrl: string | null = null;
+    let cancelled = false;
+    loadAttachment(id)
+      .then(blob => {
+        if (cancelled || !blob) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch(error => console.error('Failed to load attachment:', error));
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+      setUrl(null);
+    };
+  }, [id]);
+
+  return url;
+};
@@ -0,0 +1,94 @@
+import { act, renderHook } from '@testing-library/react';
+import { useTreeHistory } from './useTreeHistory';
+import { FamilyTree } from './types';
+
+// Ann and Bob, joined by one link; `moved` puts Ann somewhere else
+const start: FamilyTree = {
+  people: [{ id: 'a', name: 'Ann', x: 0, y: 0 }, { id: 'b', name: 'Bob', x: 200, y: 0 }],
+  relationships: [{ id: 'r1', type: 'spouse', from: 'a', to: 'b' }]
+};
+const moved = (tree: FamilyTree, x: number): FamilyTree => ({
+  ...tree,
+  people: tree.people.map(p => (p.id === 'a' ? { ...p, x } : p))
+});
+const annX = (tree: FamilyTree) => tree.people.find(p => p.id === 'a')!.x;
+
+beforeEach(() => {
+  sessionStorage.clear();
+  jest.useFakeTimers();
+});
+
+afterEach(() => jest.useRealTimers());
+
+test('undoes and redoes each change, and drops the redo steps on a new change', () => {
+  const { result } = renderHook(() => useTreeHistory());
+  act(() => { result.current.resetTree(start); });
+  act(() => result.current.setTree(moved(result.current.tree, 20)));
+  act(() => result.current.setTree(moved(result.current.tree, 40)));
+
+  act(() => result.current.undo());
+  expect(annX(result.current.tree)).toBe(20);
+  act(() => result.current.undo());
+  expect(result.current.tree).toBe(start);
+  expect(result.current.canUndo).toBe(false);
+
+  act(() => result.current.redo());
+  expect(annX(result.current.tree)).toBe(20);
+  expect(result.current.canRedo).toBe(true);
+  act(() => result.current.setTree(moved(result.current.tree, 60)));
+  expect(result.current.canRedo).toBe(false);
+});
+
+test('makes one step of the changes in a batch', () => {
+  const { result } = renderHook(() => useTreeHistory());
+  act(() => { result.current.resetTree(start); });
+
+  act(() => result.current.beginBatch());
+  [20, 40, 60].forEach(x => act(() => result.current.setTree(moved(result.current.tree, x))));
+  act(() => result.current.endBatch());
+  expect(annX(result.current.tree)).toBe(60);
+
+  act(() => result.current.undo());
+  expect(result.current.tree).toBe(start);
+});
+
+test('keeps an unrelated change made during a batch out of it', () => {
+  const { result } = renderHook(() => useTreeHistory());
+  act(() => { result.current.resetTree(start); });
+
+  // Ann's card is being edited when the link is deleted
+  act(() => result.current.beginBatch());
+  act(() => result.current.setTree(moved(result.current.tree, 20)));
+  act(() => result.current.setTree({ ...result.current.tree, relationships: [] }));
+  act(() => result.current.setTree(moved(result.current.tree, 40)));
+  act(() => result.current.setTree(moved(result.current.tree, 60)));
+  act(() => result.current.endBatch());
+
+  act(() => result.current.undo());
+  expect(annX(result.current.tree)).toBe(20);
+  expect(result.current.tree.relationships).toEqual([]);
+  act(() => result.current.undo());
+  expect(annX(result.current.tree)).toBe(20);
+  expect(result.current.tree.relationships).toHaveLength(1);
+  act(() => result.current.undo());
+  expect(result.current.tree).toBe(start);
+});
+
+test('picks the history back up from the session after a reload', () => {
+  const { result: before, unmount } = renderHook(() => useTreeHistory());
+  act(() => { before.current.resetTree(start); });
+  act(() => before.current.setTree(moved(before.current.tree, 20)));
+  act(() => { jest.runOnlyPendingTimers(); });
+  const saved = before.current.tree;
+  unmount();
+
+  const { result } = renderHook(() => useTreeHistory());
+  act(() => { result.current.resetTree(JSON.parse(JSON.stringify(saved))); });
+  expect(result.current.canUndo).toBe(true);
+  act(() => result.current.undo());
+  expect(result.current.tree).toEqual(start);
+
+  // History that ends somewhere else belongs to another tree
+  act(() => { result.current.resetTree(moved(start, 99)); });
+  expect(result.current.canUndo).toBe(false);
+});
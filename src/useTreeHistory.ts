@@ -0,0 +1,165 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { FamilyTree } from './types';
+import { withSchemaVersion } from './shared/schema';
+
+const HISTORY_KEY = 'family-tree-history';
+const MAX_HISTORY = 50;
+const HISTORY_SAVE_DELAY = 500;
+
+interface HistoryState {
+  past: FamilyTree[];
+  present: FamilyTree;
+  future: FamilyTree[];
+}
+
+const EMPTY_TREE: FamilyTree = { people: [], relationships: [] };
+
+// History lives in sessionStorage so it survives a reload but not a new session
+const persistHistory = (state: HistoryState) => {
+  let { past } = state;
+  while (true) {
+    try {
+      sessionStorage.setItem(HISTORY_KEY, JSON.stringify({ ...state, past }));
+      return;
+    } catch (error) {
+      if (past.length === 0) {
+        console.error('Failed to save undo history:', error);
+        return;
+      }
+      // Over quota: drop the oldest half and try again
+      past = past.slice(Math.ceil(past.length / 2));
+    }
+  }
+};
+
+const restoreHistory = (tree: FamilyTree): HistoryState | null => {
+  try {
+    const saved = sessionStorage.getItem(HISTORY_KEY);
+    if (saved) {
+      const state: HistoryState = JSON.parse(saved);
+      // Only reuse history that ends at the tree we just loaded
+      if (JSON.stringify(withSchemaVersion(state.present)) === JSON.stringify(withSchemaVersion(tree))) {
+        return { past: state.past, present: tree, future: state.future };
+      }
+    }
+  } catch (error) {
+    console.error('Failed to load undo history:', error);
+  }
+  return null;
+};
+
+// Keys of the people, links and sources an update added, removed or replaced,
+// and of any other top-level field it changed. Updates keep the objects they
+// don't touch, so comparing references is enough.
+const changedRecords = (before: FamilyTree, after: FamilyTree) => {
+  const changed = new Set<string>();
+  const compare = (kind: string, old: { id: string }[] = [], next: { id: string }[] = []) => {
+    if (old === next) return;
+    const byId = new Map(old.map(record => [record.id, record]));
+    next.forEach(record => {
+      if (byId.get(record.id) !== record) changed.add(`${kind}:${record.id}`);
+      byId.delete(record.id);
+    });
+    byId.forEach((_, id) => changed.add(`${kind}:${id}`));
+  };
+  compare('person', before.people, after.people);
+  compare('link', before.relationships, after.relationships);
+  compare('source', before.sources, after.sources);
+  (['version', 'gedcom'] as const).forEach(key => {
+    if (before[key] !== after[key]) changed.add(key);
+  });
+  return changed;
+};
+
+/**
+ * Family tree state with an undo/redo stack. Updates made between
+ * `beginBatch` and `endBatch` (a drag, an edit session) count as one step,
+ * as long as they touch what the batch has touched so far; anything else
+ * (a link deleted while a person's form is open) is a step of its own and
+ * the batch carries on in a new step after it.
+ */
+export const useTreeHistory = () => {
+  const [state, setState] = useState<HistoryState>({ past: [], present: EMPTY_TREE, future: [] });
+  const stateRef = useRef(state);
+  const batchRef = useRef({ open: false, pushed: false, touched: new Set<string>() });
+  stateRef.current = state;
+
+  // The whole history is serialised, which is slow for large trees, so wait for a pause
+  useEffect(() => {
+    if (batchRef.current.open) return;
+    const timer = setTimeout(() => persistHistory(state), HISTORY_SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [state]);
+
+  const setTree = useCallback((tree: FamilyTree) => {
+    const batch = batchRef.current;
+    let replace = false;
+    if (batch.open) {
+      const changed = changedRecords(stateRef.current.present, tree);
+      if (!batch.pushed || Array.from(changed).some(key => batch.touched.has(key))) {
+        replace = batch.pushed;
+        batch.pushed = true;
+        changed.forEach(key => batch.touched.add(key));
+      } else {
+        batchRef.current = { open: true, pushed: false, touched: new Set() };
+      }
+    }
+
+    setState(prev => replace
+      ? { ...prev, present: tree }
+      : { past: [...prev.past, prev.present].slice(-MAX_HISTORY), present: tree, future: [] }
+    );
+  }, []);
+
+  // Replaces the tree without recording a step, e.g. when loading from storage.
+  // Returns every tree in the history it ends up with, present included.
+  const resetTree = useCallback((tree: FamilyTree) => {
+    const next = restoreHistory(tree) || { past: [], present: tree, future: [] };
+    setState(next);
+    return [...next.past, next.present, ...next.future];
+  }, []);
+
+  const undo = useCallback(() => {
+    setState(prev => {
+      if (prev.past.length === 0) return prev;
+      return {
+        past: prev.past.slice(0, -1),
+        present: prev.past[prev.past.length - 1],
+        future: [prev.present, ...prev.future]
+      };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setState(prev => {
+      if (prev.future.length === 0) return prev;
+      return {
+        past: [...prev.past, prev.present],
+        present: prev.future[0],
+        future: prev.future.slice(1)
+      };
+    });
+  }, []);
+
+  const beginBatch = useCallback(() => {
+    batchRef.current = { open: true, pushed: false, touched: new Set() };
+  }, []);
+
+  const endBatch = useCallback(() => {
+    if (!batchRef.current.open) return;
+    batchRef.current = { open: false, pushed: false, touched: new Set() };
+    persistHistory(stateRef.current);
+  }, []);
+
+  return {
+    tree: state.present,
+    setTree,
+    resetTree,
+    undo,
+    redo,
+    canUndo: state.past.length > 0,
+    canRedo: state.future.length > 0,
+    beginBatch,
+    endBatch
+  };
+};